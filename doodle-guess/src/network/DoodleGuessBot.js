@@ -0,0 +1,341 @@
+import GameConfig from '../config/GameConfig.js';
+import { NetworkProtocol } from './NetworkProtocol.js';
+
+// Time between the bot's guesses while the player draws
+const GUESS_INTERVAL_MIN_MS = 5000;
+const GUESS_INTERVAL_MAX_MS = 9000;
+// The player's scene shows the result for 3s and the role swap for 5s before the next round
+const NEXT_ROUND_DELAY_MS = 8500;
+// After a rematch the scene starts the next round straight away
+const REMATCH_DELAY_MS = 1500;
+
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+const STROKE_STEP_MS = 30;
+const STROKE_COLOR = '#000000';
+const STROKE_WIDTH = 4;
+
+// Points for the guesser, as in the scene
+const POINTS_CORRECT = 10;
+const POINTS_CLOSE = 5;
+const WIN_DIFFERENCE = 20;
+
+/**
+ * DoodleGuessBot - Opponent played by the browser when nobody joins the queue
+ * Plays B over the same protocol as a remote player and swaps roles every
+ * round like the scene: while the player draws it guesses, getting closer as
+ * the clock runs down; when it draws it picks a word, scribbles shapes, keeps
+ * the timer and hints in sync and judges the player's guesses.
+ * See BotGameConnection.
+ */
+export class DoodleGuessBot {
+    /**
+     * @param {function(ArrayBuffer, boolean): void} send - Delivers a frame to the player
+     */
+    constructor(send) {
+        this.send = send;
+        this.isDrawer = false; // Player A draws first
+        this.word = '';
+        this.isRoundActive = false;
+        this.roundStartedAt = 0;
+        this.roundScore = 0;
+        this.timeRemaining = 0;
+        this.playerScore = 0;
+        this.botScore = 0;
+        this.isGameOver = false;
+
+        this.timers = new Set();
+        this.clockInterval = null;
+        this.strokeInterval = null;
+    }
+
+    receive(data) {
+        if (!(data instanceof ArrayBuffer)) return;
+        const msg = NetworkProtocol.decode(data);
+        if (!msg) return;
+
+        switch (msg.type) {
+            case 'word_selected':
+                if (!this.isDrawer) this.startGuessing(msg.word);
+                break;
+
+            case 'typing_feedback':
+                if (msg.status === 'correct') this.stopRound();
+                break;
+
+            case 'round_end':
+                if (!this.isDrawer) this.finishRound(msg.points || 0);
+                break;
+
+            case 'guess':
+                if (this.isDrawer) this.judgeGuess(msg.guess);
+                break;
+        }
+    }
+
+    /**
+     * Both agreed to play again; the first drawer alternates like in the scene
+     */
+    onRematch(game) {
+        this.stopRound();
+        this.clearTimers();
+        this.playerScore = 0;
+        this.botScore = 0;
+        this.isGameOver = false;
+        this.isDrawer = game % 2 !== 0;
+        if (this.isDrawer) this.later(() => this.startDrawing(), REMATCH_DELAY_MS);
+    }
+
+    // --- Guessing ---
+
+    startGuessing(word) {
+        this.word = word;
+        this.isRoundActive = true;
+        this.roundStartedAt = Date.now();
+        this.scheduleGuess();
+    }
+
+    scheduleGuess() {
+        const delay = GUESS_INTERVAL_MIN_MS + Math.random() * (GUESS_INTERVAL_MAX_MS - GUESS_INTERVAL_MIN_MS);
+        this.later(() => {
+            if (!this.isRoundActive) return;
+            this.sendMessage({ type: 'guess', guess: this.makeGuess() }, true);
+            this.scheduleGuess();
+        }, delay);
+    }
+
+    /**
+     * The right word becomes more likely as the drawing fills in; otherwise a
+     * near miss or another word from the list
+     */
+    makeGuess() {
+        const elapsed = (Date.now() - this.roundStartedAt) / 1000;
+        const chance = Math.min(0.8, 0.15 + elapsed / GameConfig.GAME.ROUND_TIME);
+        const roll = Math.random();
+
+        if (roll < chance) return this.word;
+        if (roll < chance + 0.2 && this.word.length > 3) {
+            const index = 1 + Math.floor(Math.random() * (this.word.length - 2));
+            return this.word.slice(0, index) + this.word.slice(index + 1);
+        }
+        const others = GameConfig.GAME.WORDS.filter(word => word !== this.word);
+        return others[Math.floor(Math.random() * others.length)];
+    }
+
+    // --- Drawing ---
+
+    startDrawing() {
+        if (this.isGameOver) return;
+
+        const words = GameConfig.GAME.WORDS;
+        this.word = words[Math.floor(Math.random() * words.length)];
+        this.isRoundActive = true;
+        this.roundScore = 0;
+        this.timeRemaining = GameConfig.GAME.ROUND_TIME;
+        this.sendMessage({ type: 'word_selected', word: this.word }, true);
+
+        this.clockInterval = setInterval(() => {
+            if (this.timeRemaining > 0) {
+                this.timeRemaining--;
+                this.syncGameState();
+            } else {
+                this.endDrawing(false);
+            }
+        }, 1000);
+
+        this.drawStrokes(this.makeDoodle());
+    }
+
+    /**
+     * Same hints as the scene's syncGameState: one more letter every HINT_INTERVAL
+     */
+    syncGameState() {
+        const { ROUND_TIME, HINT_INTERVAL } = GameConfig.GAME;
+        const revealCount = Math.floor((ROUND_TIME - this.timeRemaining) / HINT_INTERVAL);
+        let hints = '';
+        for (let i = 0; i < this.word.length; i++) {
+            hints += i < revealCount ? this.word[i].toUpperCase() + ' ' : '_ ';
+        }
+        this.sendMessage({
+            type: 'game_state',
+            state: 'DRAWING',
+            timeRemaining: this.timeRemaining,
+            wordLength: this.word.length,
+            hints: hints
+        }, true);
+    }
+
+    judgeGuess(guess) {
+        if (!this.isRoundActive || !guess) return;
+
+        const distance = levenshtein(guess.toLowerCase(), this.word.toLowerCase());
+        let status = 'wrong';
+        if (distance === 0) {
+            status = 'correct';
+            this.roundScore = POINTS_CORRECT;
+        } else if (distance <= 2) {
+            status = 'close';
+            this.roundScore = Math.max(this.roundScore, POINTS_CLOSE);
+        }
+
+        this.sendMessage({ type: 'typing_feedback', status: status, text: guess, points: 0 }, false);
+        if (status === 'correct') {
+            this.stopRound();
+            this.later(() => this.endDrawing(true), 1000);
+        }
+    }
+
+    endDrawing(guessedCorrectly) {
+        this.stopRound();
+        this.sendMessage({ type: 'round_end', guessedCorrectly: guessedCorrectly, word: this.word, points: this.roundScore }, true);
+        this.finishRound(this.roundScore);
+    }
+
+    /**
+     * A few random shapes, each as a list of canvas points
+     */
+    makeDoodle() {
+        const strokes = [];
+        const shapes = 2 + Math.floor(Math.random() * 3);
+        for (let i = 0; i < shapes; i++) {
+            const cx = 200 + Math.random() * (CANVAS_WIDTH - 400);
+            const cy = 150 + Math.random() * (CANVAS_HEIGHT - 300);
+            const size = 40 + Math.random() * 100;
+            const kind = Math.floor(Math.random() * 3);
+            const points = [];
+
+            if (kind === 0) {
+                for (let step = 0; step <= 36; step++) {
+                    const angle = (step / 36) * Math.PI * 2;
+                    points.push({ x: cx + Math.cos(angle) * size, y: cy + Math.sin(angle) * size });
+                }
+            } else if (kind === 1) {
+                const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1], [-1, -1]];
+                for (let c = 0; c < corners.length - 1; c++) {
+                    for (let step = 0; step < 8; step++) {
+                        const t = step / 8;
+                        points.push({
+                            x: cx + size * (corners[c][0] + (corners[c + 1][0] - corners[c][0]) * t),
+                            y: cy + size * (corners[c][1] + (corners[c + 1][1] - corners[c][1]) * t)
+                        });
+                    }
+                }
+            } else {
+                for (let step = 0; step <= 24; step++) {
+                    points.push({ x: cx - size + (step / 24) * size * 2, y: cy + Math.sin(step / 2) * size / 3 });
+                }
+            }
+            strokes.push(points.map(point => ({ x: Math.round(point.x), y: Math.round(point.y) })));
+        }
+        return strokes;
+    }
+
+    /**
+     * Send the strokes point by point, like a pointer moving over the canvas
+     */
+    drawStrokes(strokes) {
+        let strokeIndex = 0;
+        let pointIndex = 0;
+        this.strokeInterval = setInterval(() => {
+            const stroke = strokes[strokeIndex];
+            if (!stroke || !this.isRoundActive) {
+                clearInterval(this.strokeInterval);
+                this.strokeInterval = null;
+                return;
+            }
+
+            const point = stroke[pointIndex];
+            this.sendMessage({
+                type: 'draw',
+                x: point.x,
+                y: point.y,
+                isDrawing: pointIndex > 0,
+                color: STROKE_COLOR,
+                thickness: STROKE_WIDTH
+            }, false);
+
+            pointIndex++;
+            if (pointIndex >= stroke.length) {
+                strokeIndex++;
+                pointIndex = 0;
+            }
+        }, STROKE_STEP_MS);
+    }
+
+    // --- Rounds ---
+
+    /**
+     * Score the round for whoever guessed, then swap roles unless someone won
+     */
+    finishRound(points) {
+        this.stopRound();
+        if (this.isDrawer) {
+            this.playerScore += points;
+        } else {
+            this.botScore += points;
+        }
+
+        if (Math.abs(this.playerScore - this.botScore) >= WIN_DIFFERENCE) {
+            this.isGameOver = true;
+            return;
+        }
+
+        this.isDrawer = !this.isDrawer;
+        if (this.isDrawer) this.later(() => this.startDrawing(), NEXT_ROUND_DELAY_MS);
+    }
+
+    stopRound() {
+        this.isRoundActive = false;
+        if (this.clockInterval) {
+            clearInterval(this.clockInterval);
+            this.clockInterval = null;
+        }
+        if (this.strokeInterval) {
+            clearInterval(this.strokeInterval);
+            this.strokeInterval = null;
+        }
+    }
+
+    sendMessage(message, reliable) {
+        this.send(NetworkProtocol.encode(message), reliable);
+    }
+
+    later(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    destroy() {
+        this.stopRound();
+        this.clearTimers();
+    }
+}
+
+/**
+ * Edit distance between two words
+ */
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
@@ -1,5 +1,7 @@
 import { NetworkProtocol } from './NetworkProtocol.js';
 import { GameConnection } from './GameConnection.js';
+import { LinkMonitor } from '../../../shared-networking/LinkMonitor.js';
+import { isSharedFrame } from '../../../shared-networking/SharedFrames.js';
 
 /**
  * DoodleGuessConnection - Game-specific WebRTC logic for Doodle Guess
@@ -13,7 +15,7 @@ export class DoodleGuessConnection {
 
         this.gameConnection = gameConnection;
         this.scene = scene;
-        this.heartbeatInterval = null;
+        this.linkMonitor = null; // Measures the link while the match runs, see startHeartbeat()
 
         // Setup game-specific message handlers
         this.setupMessageHandlers();
@@ -21,12 +23,18 @@ export class DoodleGuessConnection {
 
     setupMessageHandlers() {
         console.log('[DoodleGuess] Setting up message handlers');
-        this.scene.events.on('game_data_received', (event) => {
+        // Keep a reference so destroy() only removes this handler
+        this.onGameData = (event) => {
+            // Rematch, resync, probe, clock and hello frames belong to the shared helpers
+            if (isSharedFrame(event.data)) return;
             const msg = NetworkProtocol.decode(event.data);
             if (msg) {
+                // Spectators receive both players' data, tagged with the sender's role
+                if (event.from) msg.from = event.from;
                 this.handleGameMessage(msg);
             }
-        });
+        };
+        this.scene.events.on('game_data_received', this.onGameData);
     }
 
     handleGameMessage(msg) {
@@ -201,26 +209,20 @@ export class DoodleGuessConnection {
 
     startHeartbeat() {
         this.stopHeartbeat();
-        this.heartbeatInterval = setInterval(() => {
-            if (this.gameConnection.isConnected) {
-                const data = { type: 'ping' };
-                const encoded = NetworkProtocol.encode(data);
-                if (encoded) {
-                    this.gameConnection.send(encoded, false);
-                }
-            }
-        }, 5000); // 5 seconds
+        // Timestamped ping/pong on both channels; the scene gets link_stats for its overlay
+        this.linkMonitor = new LinkMonitor(this.scene, this.gameConnection);
+        this.linkMonitor.start();
     }
 
     stopHeartbeat() {
-        if (this.heartbeatInterval) {
-            clearInterval(this.heartbeatInterval);
-            this.heartbeatInterval = null;
+        if (this.linkMonitor) {
+            this.linkMonitor.destroy();
+            this.linkMonitor = null;
         }
     }
 
     destroy() {
         this.stopHeartbeat();
-        this.scene.events.off('game_data_received');
+        this.scene.events.off('game_data_received', this.onGameData);
     }
 }
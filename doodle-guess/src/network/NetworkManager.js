@@ -1,6 +1,10 @@
 import GameConfig from '../config/GameConfig.js';
 import { LocalNetworkManager as WebSocketNetworkManager } from '../../../shared-networking/WebSocketNetworkManager.js';
+import { LocalNetworkManager as TabNetworkManager } from '../../../shared-networking/LocalNetworkManager.js';
 import { LocalGameConnection } from '../../../shared-networking/LocalGameConnection.js';
+import { SessionRecorder } from '../../../shared-networking/SessionRecorder.js';
+import { ReplayNetworkManager } from '../../../shared-networking/SessionReplay.js';
+import { DoodleGuessBot } from './DoodleGuessBot.js';
 
 /**
  * NetworkManager - Main network coordinator
@@ -12,8 +16,35 @@ export class NetworkManager {
         this.scene = scene;
         this.gameConnection = null;
         
-        // Use WebSocket-based local networking
-        this.localNetworkManager = new WebSocketNetworkManager(scene);
+        // Game messages of every match, for bug reports (?record)
+        this.recorder = GameConfig.NETWORK.RECORD_SESSION
+            ? new SessionRecorder(scene, {
+                gameId: GameConfig.NETWORK.GAME_ID,
+                protocolVersion: GameConfig.NETWORK.PROTOCOL_VERSION,
+                build: GameConfig.NETWORK.BUILD_ID,
+                userId: GameConfig.USER_ID
+            })
+            : null;
+
+        // Use WebSocket-based local networking, pair tabs directly when no server is running,
+        // or play back a recorded match
+        let LocalManager = GameConfig.NETWORK.TAB_SIGNALING ? TabNetworkManager : WebSocketNetworkManager;
+        if (GameConfig.NETWORK.REPLAY !== null) LocalManager = ReplayNetworkManager;
+        this.localNetworkManager = new LocalManager(scene, {
+            serverUrl: GameConfig.NETWORK.SIGNALING_URL,
+            identityToken: GameConfig.IDENTITY_TOKEN,
+            botTimeoutMs: GameConfig.NETWORK.BOT_TIMEOUT_MS,
+            createBot: (send) => new DoodleGuessBot(send),
+            hello: {
+                gameId: GameConfig.NETWORK.GAME_ID,
+                protocolVersion: GameConfig.NETWORK.PROTOCOL_VERSION,
+                build: GameConfig.NETWORK.BUILD_ID,
+                features: GameConfig.NETWORK.FEATURES
+            },
+            networkConditions: GameConfig.NETWORK.SIMULATE_NETWORK,
+            recorder: this.recorder,
+            replay: GameConfig.NETWORK.REPLAY
+        });
 
         this.userId = this.generateUserId();
         this.roomId = null;
@@ -271,16 +302,68 @@ export class NetworkManager {
 
     /**
      * Find match - send request to WebSocket server
+     * @param {Object} preferences - e.g. { roomCode } to open or join a private room
      */
     async findMatch(preferences = {}) {
         console.log('[NetworkManager] Looking for local peer via WebSocket server...');
         if (this.localNetworkManager) {
             // Ensure signaling is ready before sending find-match
             await this.localNetworkManager.connect();
-            await this.localNetworkManager.findMatch(preferences);
+            await this.localNetworkManager.findMatch({
+                gameId: GameConfig.NETWORK.GAME_ID,
+                gameVersion: GameConfig.NETWORK.PROTOCOL_VERSION,
+                userId: GameConfig.USER_ID,
+                ...preferences
+            });
+        }
+    }
+
+    /**
+     * Register for a tournament; its games arrive as normal match_found events
+     * @param {string} tournamentId - Tournament id from the server's /tournaments
+     */
+    async joinTournament(tournamentId) {
+        console.log('[NetworkManager] Registering for tournament:', tournamentId);
+        if (this.localNetworkManager) {
+            await this.localNetworkManager.joinTournament(tournamentId, {
+                gameId: GameConfig.NETWORK.GAME_ID,
+                gameVersion: GameConfig.NETWORK.PROTOCOL_VERSION,
+                userId: GameConfig.USER_ID
+            });
         }
     }
 
+    /**
+     * Watch a running match read-only instead of playing
+     * @param {string} roomId - Room id of the match to watch
+     */
+    async spectate(roomId) {
+        console.log('[NetworkManager] Joining match as spectator:', roomId);
+        if (this.localNetworkManager) {
+            await this.localNetworkManager.spectate(roomId);
+        }
+    }
+
+    /**
+     * Report the winner of a finished game for the players' ratings
+     * @param {string|null} winner - Winning role ('A' or 'B'), or null for a draw
+     * @param {number} game - Number of the game in this match, 1 for the first
+     */
+    reportMatchResult(winner, game) {
+        if (this.localNetworkManager) {
+            this.localNetworkManager.reportMatchResult(winner, game);
+        }
+    }
+
+    /**
+     * Top players of this game, from the matchmaking server
+     * @param {number} [limit]
+     */
+    async fetchLeaderboard(limit = 10) {
+        if (!this.localNetworkManager) throw new Error('Not connected to the matchmaking server');
+        return this.localNetworkManager.fetchLeaderboard(GameConfig.NETWORK.GAME_ID, limit);
+    }
+
     disconnect() {
         console.log('[NetworkManager] Disconnecting all connections...');
         if (this.gameConnection) this.gameConnection.close();
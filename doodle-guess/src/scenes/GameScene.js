@@ -3,6 +3,14 @@ import GameConfig from '../config/GameConfig.js';
 import { NetworkManager } from '../network/NetworkManager.js';
 import { GameConnection } from '../network/GameConnection.js';
 import { DoodleGuessConnection } from '../network/DoodleGuessConnection.js';
+import { RematchNegotiator } from '../../../shared-networking/RematchNegotiator.js';
+import { StateResync } from '../../../shared-networking/StateResync.js';
+import { LeaderboardPanel } from '../../../shared-networking/LeaderboardPanel.js';
+import { TournamentPanel } from '../../../shared-networking/TournamentPanel.js';
+import { LinkStatsOverlay } from '../../../shared-networking/LinkStatsOverlay.js';
+import { UpdateRequiredScreen } from '../../../shared-networking/UpdateRequiredScreen.js';
+import { NetworkConditionsPanel } from '../../../shared-networking/NetworkConditionsPanel.js';
+import { ReplayPanel } from '../../../shared-networking/ReplayPanel.js';
 
 export default class GameScene extends Phaser.Scene {
     constructor() {
@@ -12,6 +20,10 @@ export default class GameScene extends Phaser.Scene {
         this.doodleConnection = null;
 
         this.isDrawer = false;
+        this.myRole = null; // 'A' or 'B', fixed for the match while isDrawer swaps
+        this.isSpectator = false; // Watching someone else's match
+        this.tournamentId = null; // Set while playing a tournament game
+        this.drawerRole = null; // Spectators: role of the current drawer ('A' or 'B')
         this.currentWord = '';
         this.gameState = 'WAITING';
         this.timer = 0;
@@ -37,6 +49,17 @@ export default class GameScene extends Phaser.Scene {
         this.myScore = 0;
         this.opponentScore = 0;
         this.roundScore = 0;
+        this.roundsPlayed = 0; // Rounds ended this game, to tell who is behind after a reconnect
+        this.lastRoundGuessed = false;
+
+        this.rematch = null;
+        this.resync = null;
+        this.isReconnecting = false; // Connection dropped mid-match; the round waits for the resync
+        this.gameOverElements = []; // Game over screen, cleared when a rematch starts
+        this.rematchButton = null;
+        this.leaderboardPanel = null;
+        this.tournamentPanel = null;
+        this.linkStatsOverlay = null;
     }
 
     create() {
@@ -50,6 +73,33 @@ export default class GameScene extends Phaser.Scene {
 
     setupNetworking() {
         this.networkManager = new NetworkManager(this);
+        this.rematch = new RematchNegotiator(this, {
+            send: (frame) => this.doodleConnection?.gameConnection.send(frame, true)
+        });
+
+        // After a reconnect the guesser catches up with the drawer's round
+        this.resync = new StateResync(this, {
+            send: (frame) => this.doodleConnection?.gameConnection.send(frame, true),
+            getState: () => this.getResyncState(),
+            applyState: (state) => this.applyResyncState(state),
+            rematch: this.rematch
+        });
+        this.events.once('shutdown', () => {
+            this.rematch.destroy();
+            this.resync.destroy();
+        });
+        this.leaderboardPanel = new LeaderboardPanel(this, {
+            fetchLeaderboard: (limit) => this.networkManager.fetchLeaderboard(limit)
+        });
+        this.tournamentPanel = new TournamentPanel(this);
+        this.linkStatsOverlay = new LinkStatsOverlay(this, { visible: GameConfig.NETWORK.SHOW_LINK_STATS });
+        this.updateRequiredScreen = new UpdateRequiredScreen(this);
+        if (GameConfig.NETWORK.SIMULATE_NETWORK) {
+            this.networkConditionsPanel = new NetworkConditionsPanel(this, GameConfig.NETWORK.SIMULATE_NETWORK);
+        }
+        if (GameConfig.NETWORK.REPLAY !== null) {
+            this.replayPanel = new ReplayPanel(this);
+        }
         this.setupNetworkEvents();
         this.connectToServer();
     }
@@ -64,9 +114,17 @@ export default class GameScene extends Phaser.Scene {
                 await new Promise(resolve => setTimeout(resolve, 500));
                 // In embedded mode, match_found won't be sent by server, we simulate it
                 this.networkManager.handleMatchFound(matchData);
+            } else if (GameConfig.SPECTATE_ROOM_ID) {
+                console.log('[DoodleGuess] Joining as spectator...');
+                this.wordDisplay.setText('JOINING AS SPECTATOR...');
+                this.networkManager.spectate(GameConfig.SPECTATE_ROOM_ID);
+            } else if (GameConfig.TOURNAMENT_ID) {
+                console.log('[DoodleGuess] Registering for tournament...');
+                this.wordDisplay.setText('JOINING TOURNAMENT...');
+                this.networkManager.joinTournament(GameConfig.TOURNAMENT_ID);
             } else {
                 console.log('[DoodleGuess] Joining matchmaking queue...');
-                this.networkManager.findMatch();
+                this.networkManager.findMatch({ roomCode: GameConfig.ROOM_CODE });
             }
         } catch (error) {
             console.error('[DoodleGuess] Failed to connect:', error);
@@ -79,15 +137,33 @@ export default class GameScene extends Phaser.Scene {
             this.wordDisplay.setText('WAITING FOR OPPONENT...');
         });
 
+        this.events.on('room_created', (data) => {
+            this.wordDisplay.setText(`ROOM CODE: ${data.code}`);
+        });
+
+        this.events.on('room_error', (data) => {
+            this.wordDisplay.setText((data.message || 'Room not found').toUpperCase());
+        });
+
         this.events.on('match_found', (msg) => {
             console.log('[DoodleGuess] Match found, connecting to game...');
 
+            // The next tournament game comes in on a fresh connection; clear the last one first
+            if (msg.tournamentId && this.tournamentId) this.prepareNextMatch();
+            this.tournamentId = msg.tournamentId || null;
+            this.tournamentPanel.hide();
+
             // role normalization (A/host = Drawer, B/client = Guesser)
             let normalizedRole = 'B';
             if (msg.role === 'A' || msg.role === 'host') {
                 normalizedRole = 'A';
             }
+            this.myRole = normalizedRole;
             this.isDrawer = normalizedRole === 'A';
+            if (msg.opponentName) {
+                // Verified display name, if they signed in
+                this.opponentLabel.setText(msg.opponentName.toUpperCase());
+            }
 
             this.networkManager.connectToGame();
 
@@ -103,10 +179,12 @@ export default class GameScene extends Phaser.Scene {
             console.log('[DoodleGuess] WebRTC Channel Open!');
 
             // Ensure we have the live game connection reference
-            if (!this.networkManager.gameConnection && this.networkManager.localNetworkManager?.gameConnection) {
+            if (this.networkManager.localNetworkManager?.gameConnection) {
                 this.networkManager.gameConnection = this.networkManager.localNetworkManager.gameConnection;
             }
             if (this.networkManager.gameConnection) {
+                // A resumed session opens a fresh channel; drop the old wrapper first
+                if (this.doodleConnection) this.doodleConnection.destroy();
                 this.doodleConnection = new DoodleGuessConnection(
                     this.networkManager.gameConnection,
                     this
@@ -116,6 +194,9 @@ export default class GameScene extends Phaser.Scene {
                 console.warn('[DoodleGuess] No gameConnection available for DoodleGuessConnection');
             }
 
+            // A reopened channel goes on with the round once the players have resynced
+            if (this.isReconnecting) return;
+
             if (this.isDrawer) {
                 this.showWordChoice();
                 this.createDrawerUI();
@@ -126,6 +207,65 @@ export default class GameScene extends Phaser.Scene {
 
         this.events.on('connection_failed', () => {
             this.wordDisplay.setText('CONNECTION LOST');
+            if (this.rematchButton) this.rematchButton.setVisible(false);
+        });
+
+        // Rematch
+        this.events.on('rematch_requested', () => {
+            if (this.rematchButton && !this.rematch.hasChosen) this.rematchButton.setText('ACCEPT REMATCH');
+        });
+
+        this.events.on('rematch_declined', () => {
+            if (this.isSpectator || !this.rematchButton) return;
+            this.rematchButton.setText('OPPONENT LEFT');
+            this.rematchButton.disableInteractive();
+        });
+
+        this.events.on('rematch_started', ({ game }) => this.startRematch(game));
+
+        // Tournaments: between games the panel shows the bracket or the table
+        this.events.on('tournament_updated', (update) => this.tournamentPanel.update(update));
+
+        this.events.on('tournament_error', (data) => {
+            this.wordDisplay.setText((data.message || 'Tournament not found').toUpperCase());
+        });
+
+        // The two players reported different winners, or only one reported
+        this.events.on('result_flagged', () => {
+            this.wordDisplay.setText('RESULT NOT CONFIRMED, IT WILL NOT COUNT');
+        });
+
+        this.events.on('opponent_reconnecting', () => {
+            this.wordDisplay.setText('OPPONENT RECONNECTING...');
+        });
+
+        // Our own connection dropped; the round clock stops until the snapshots are merged
+        this.events.on('game_reconnecting', () => {
+            this.isReconnecting = true;
+            if (this.timerEvent) this.timerEvent.paused = true;
+            if (this.gameState !== 'RESULTS') this.wordDisplay.setText('RECONNECTING...');
+        });
+
+        this.events.on('state_resynced', () => {
+            this.isReconnecting = false;
+            if (this.timerEvent) this.timerEvent.paused = false;
+            if (this.gameState === 'DRAWING') {
+                // The guesser's hints come back with the drawer's next game state
+                this.wordDisplay.setText(this.isDrawer ? this.currentWord.toUpperCase() : '_ '.repeat(this.currentWord.length));
+            } else if (this.gameState !== 'RESULTS' && this.gameState !== 'TRANSITION') {
+                this.wordDisplay.setText(this.isDrawer ? 'PICK A WORD' : 'WAITING FOR DRAWER...');
+            }
+        });
+
+        // Spectator mode
+        this.events.on('spectate_started', () => this.startSpectating());
+
+        this.events.on('spectate_error', (data) => {
+            this.wordDisplay.setText((data.message || 'Match not found').toUpperCase());
+        });
+
+        this.events.on('spectate_ended', () => {
+            if (this.gameState !== 'RESULTS') this.wordDisplay.setText('MATCH ENDED');
         });
 
         // Game specific events
@@ -166,7 +306,7 @@ export default class GameScene extends Phaser.Scene {
         const myBg = this.add.graphics();
         myBg.fillStyle(0x3498db, 0.9); // Blue
         myBg.fillRoundedRect(0, 0, 150, 70, 15);
-        const myLabel = this.add.text(75, 20, 'YOU', {
+        this.myLabel = this.add.text(75, 20, 'YOU', {
             fontSize: '14px',
             color: '#ffffff',
             fontFamily: 'Outfit',
@@ -178,14 +318,14 @@ export default class GameScene extends Phaser.Scene {
             fontFamily: 'Outfit',
             fontWeight: '800'
         }).setOrigin(0.5);
-        this.myScoreContainer.add([myBg, myLabel, this.myScoreText]);
+        this.myScoreContainer.add([myBg, this.myLabel, this.myScoreText]);
 
         // 3. "Opponent" Label (Top Right)
         this.opponentScoreContainer = this.add.container(width - 170, 30);
         const oppBg = this.add.graphics();
         oppBg.fillStyle(0xe74c3c, 0.9); // Red
         oppBg.fillRoundedRect(0, 0, 150, 70, 15);
-        const oppLabel = this.add.text(75, 20, 'OPPONENT', {
+        this.opponentLabel = this.add.text(75, 20, 'OPPONENT', {
             fontSize: '14px',
             color: '#ffffff',
             fontFamily: 'Outfit',
@@ -197,7 +337,7 @@ export default class GameScene extends Phaser.Scene {
             fontFamily: 'Outfit',
             fontWeight: '800'
         }).setOrigin(0.5);
-        this.opponentScoreContainer.add([oppBg, oppLabel, this.opponentScoreText]);
+        this.opponentScoreContainer.add([oppBg, this.opponentLabel, this.opponentScoreText]);
 
         // 4. Word Display (Below Timer)
         this.wordDisplay = this.add.text(width / 2, 100, 'CONNECTING...', {
@@ -628,16 +768,44 @@ export default class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Watch the match without a role: the left score is Player A, the right
+     * Player B, and the word is shown in full while the drawing comes in.
+     */
+    startSpectating() {
+        this.isSpectator = true;
+        this.rematch.isSpectator = true;
+        this.resync.isSpectator = true;
+        this.isDrawer = false;
+
+        if (this.doodleConnection) this.doodleConnection.destroy();
+        this.doodleConnection = new DoodleGuessConnection(
+            this.networkManager.localNetworkManager.gameConnection,
+            this
+        );
+
+        this.myLabel.setText('PLAYER A');
+        this.opponentLabel.setText('PLAYER B');
+        this.wordDisplay.setText('WAITING FOR DRAWER...');
+    }
+
     handleRemoteWordSelected(data) {
         this.currentWord = data.word;
         this.gameState = 'DRAWING';
+
+        if (this.isSpectator) {
+            this.drawerRole = data.from || this.drawerRole;
+            this.wordDisplay.setText(data.word.toUpperCase());
+            this.hintText.setText(`PLAYER ${this.drawerRole} IS DRAWING`);
+            return;
+        }
         this.showGuessUI();
     }
 
     handleRemoteGameState(data) {
         this.timer = data.timeRemaining;
         this.updateTimerDisplay();
-        if (!this.isDrawer) {
+        if (!this.isDrawer && !this.isSpectator) {
             this.wordDisplay.setText(data.hints);
         }
     }
@@ -720,12 +888,74 @@ export default class GameScene extends Phaser.Scene {
         if (send) this.doodleConnection.sendClearCanvas();
     }
 
+    getResyncState() {
+        return {
+            roundsPlayed: this.roundsPlayed,
+            isDrawer: this.isDrawer,
+            gameState: this.gameState,
+            word: this.currentWord,
+            timer: this.timer,
+            myScore: this.myScore,
+            opponentScore: this.opponentScore,
+            lastRoundGuessed: this.lastRoundGuessed,
+            // Strokes sent while the channel was down are lost; line art on white stays well under a frame's size limit
+            canvas: this.isDrawer && this.gameState === 'DRAWING' ? this.drawingCanvas.toDataURL('image/png') : null
+        };
+    }
+
+    /**
+     * The drawer runs the round, so only the guesser has anything to catch up
+     * on: the end of a round it missed, or the word, clock and canvas of the
+     * round being drawn
+     */
+    applyResyncState(state) {
+        if (this.isDrawer) return;
+
+        if (state.roundsPlayed > this.roundsPlayed) {
+            // The drawer's view of our score includes the points of the round we missed
+            if (this.gameState !== 'RESULTS') {
+                this.endRound(state.lastRoundGuessed, false, state.opponentScore - this.myScore);
+            }
+            return;
+        }
+        if (state.roundsPlayed < this.roundsPlayed || !state.isDrawer || state.gameState !== 'DRAWING') return;
+        if (this.gameState === 'RESULTS' || this.gameState === 'TRANSITION') return;
+
+        const missedWord = this.gameState !== 'DRAWING';
+        this.currentWord = state.word;
+        this.gameState = 'DRAWING';
+        this.timer = state.timer;
+        this.updateTimerDisplay();
+
+        if (state.canvas) {
+            const image = new Image();
+            image.onload = () => {
+                this.drawingCtx.drawImage(image, 0, 0);
+                this.drawingTexture.refresh();
+            };
+            image.src = state.canvas;
+        }
+        if (missedWord) this.showGuessUI();
+    }
+
     endRound(guessedCorrectly, sendToRemote = true, remotePoints = null) {
         if (this.gameState === 'RESULTS') return;
         this.gameState = 'RESULTS';
+        this.roundsPlayed++;
+        this.lastRoundGuessed = guessedCorrectly;
 
         // Apply scoring at end of round
-        if (this.isDrawer) {
+        if (this.isSpectator) {
+            // The guesser, the player who isn't drawing, earns the points
+            const finalPoints = remotePoints !== null ? remotePoints : 0;
+            if (this.drawerRole === 'B') {
+                this.myScore += finalPoints;
+                if (this.myScoreText) this.myScoreText.setText(`Score: ${this.myScore}`);
+            } else {
+                this.opponentScore += finalPoints;
+                if (this.opponentScoreText) this.opponentScoreText.setText(`Score: ${this.opponentScore}`);
+            }
+        } else if (this.isDrawer) {
             // Drawer perspective: opponent guessed
             const finalPoints = remotePoints !== null ? remotePoints : this.roundScore;
             this.opponentScore += finalPoints;
@@ -771,27 +1001,26 @@ export default class GameScene extends Phaser.Scene {
         // Check win condition
         const diff = Math.abs(this.myScore - this.opponentScore);
         if (diff >= 20) {
-            const winner = this.myScore > this.opponentScore ? 'YOU WIN!' : 'OPPONENT WINS!';
+            let winner = this.myScore > this.opponentScore ? 'YOU WIN!' : 'OPPONENT WINS!';
+            if (this.isSpectator) {
+                winner = this.myScore > this.opponentScore ? 'PLAYER A WINS!' : 'PLAYER B WINS!';
+            } else {
+                // Update both players' ratings on the server
+                const opponentRole = this.myRole === 'A' ? 'B' : 'A';
+                this.networkManager.reportMatchResult(this.myScore > this.opponentScore ? this.myRole : opponentRole, this.rematch.game + 1);
+            }
             resultText.setText(winner);
             resultText.setColor('#f1c40f');
 
-            this.add.text(width / 2, height / 2 + 100, 'GAME OVER', {
+            const gameOverText = this.add.text(width / 2, height / 2 + 100, 'GAME OVER', {
                 fontSize: '32px',
                 fontWeight: '900',
                 color: '#ffffff',
                 fontFamily: 'Outfit'
             }).setOrigin(0.5).setDepth(101);
 
-            this.add.text(width / 2, height / 2 + 160, 'BACK TO HOME', {
-                fontSize: '20px',
-                fontWeight: '700',
-                backgroundColor: '#2ecc71',
-                padding: { x: 30, y: 15 },
-                color: '#000000',
-                fontFamily: 'Outfit'
-            }).setOrigin(0.5).setDepth(101).setInteractive({ useHandCursor: true }).on('pointerdown', () => {
-                window.location.href = '/home';
-            });
+            this.gameOverElements = [overlay, resultText, wordText, gameOverText];
+            if (!this.isSpectator) this.showRematchButtons();
             return;
         }
 
@@ -800,10 +1029,115 @@ export default class GameScene extends Phaser.Scene {
             overlay.destroy();
             resultText.destroy();
             wordText.destroy();
+            if (this.isSpectator) {
+                // The players pick the next word; just wait for it
+                this.clearCanvas(false);
+                this.gameState = 'WAITING';
+                this.wordDisplay.setText('WAITING FOR DRAWER...');
+                this.hintText.setText('');
+                return;
+            }
             this.startTransition();
         });
     }
 
+    /**
+     * Rematch / Leave / Leaderboard buttons on the game over screen. Leaving goes back home.
+     */
+    showRematchButtons() {
+        // Tournament games are followed by the next pairing, not a rematch
+        if (this.tournamentId) return;
+
+        const { width, height } = this.scale;
+        const buttonStyle = {
+            fontSize: '20px',
+            fontWeight: '700',
+            padding: { x: 30, y: 15 },
+            color: '#000000',
+            fontFamily: 'Outfit'
+        };
+
+        this.rematchButton = this.add.text(width / 2 - 110, height / 2 + 160,
+            this.rematch.opponentWantsRematch ? 'ACCEPT REMATCH' : 'REMATCH',
+            { ...buttonStyle, backgroundColor: '#2ecc71' }
+        ).setOrigin(0.5).setDepth(101).setInteractive({ useHandCursor: true }).on('pointerdown', () => {
+            if (this.rematch.hasChosen) return;
+            this.rematchButton.setText('WAITING...');
+            this.rematch.request();
+        });
+
+        const leaveButton = this.add.text(width / 2 + 110, height / 2 + 160, 'LEAVE', {
+            ...buttonStyle,
+            backgroundColor: '#ffffff'
+        }).setOrigin(0.5).setDepth(101).setInteractive({ useHandCursor: true }).on('pointerdown', () => {
+            this.rematch.leave();
+            // Give the leave frame a moment to go out before the connection closes
+            this.time.delayedCall(200, () => {
+                this.networkManager.disconnect();
+                window.location.href = '/home';
+            });
+        });
+
+        const leaderboardButton = this.add.text(width / 2, height / 2 + 230, 'LEADERBOARD', {
+            ...buttonStyle,
+            fontSize: '16px',
+            padding: { x: 20, y: 10 },
+            backgroundColor: '#f1c40f'
+        }).setOrigin(0.5).setDepth(101).setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.leaderboardPanel.toggle());
+
+        this.gameOverElements.push(this.rematchButton, leaveButton, leaderboardButton);
+    }
+
+    /**
+     * Both players agreed to play again: clear the game over screen and start
+     * from 0-0 on the same connection. The first drawer alternates each game.
+     */
+    startRematch(game) {
+        this.resetMatch();
+
+        if (this.isSpectator) {
+            this.clearCanvas(false);
+            this.gameState = 'WAITING';
+            this.wordDisplay.setText('WAITING FOR DRAWER...');
+            this.hintText.setText('');
+            return;
+        }
+
+        this.isDrawer = this.myRole === (game % 2 === 0 ? 'A' : 'B');
+        this.startNextRound();
+    }
+
+    /**
+     * Clear the last game for the next tournament pairing; the first round
+     * starts once the new data channel opens
+     */
+    prepareNextMatch() {
+        this.resetMatch();
+        this.rematch.reset();
+        if (this.timerEvent) this.timerEvent.remove();
+        this.clearCanvas(false);
+        this.gameState = 'WAITING';
+        this.hintText.setText('');
+        if (this.drawerUIContainer) {
+            this.drawerUIContainer.destroy();
+            this.drawerUIContainer = null;
+        }
+    }
+
+    resetMatch() {
+        this.gameOverElements.forEach(element => element.destroy());
+        this.gameOverElements = [];
+        this.rematchButton = null;
+        this.leaderboardPanel.hide();
+
+        this.myScore = 0;
+        this.opponentScore = 0;
+        this.roundsPlayed = 0;
+        this.myScoreText.setText('Score: 0');
+        this.opponentScoreText.setText('Score: 0');
+    }
+
     startTransition() {
         this.gameState = 'TRANSITION';
         this.isDrawer = !this.isDrawer; // Swap roles
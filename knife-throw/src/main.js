@@ -1,6 +1,7 @@
 import Phaser from 'phaser';
 import { GameScene } from './scenes/GameScene.js';
 import { CONFIG } from './config.js';
+import { parseNetworkConditions } from '../../shared-networking/NetworkConditioner.js';
 
 // Get user ID from URL parameters or generate logical default for testing
 const urlParams = new URLSearchParams(window.location.search);
@@ -24,6 +25,61 @@ CONFIG.MATCH_DATA = {
     mode: urlParams.get('mode')
 };
 
+// Private room code for playing with a friend (?room=new opens a room, ?room=<code> joins one)
+CONFIG.ROOM_CODE = urlParams.get('room');
+
+// Watch a running match instead of playing (?spectate=<roomId>, see the server's /matches)
+CONFIG.SPECTATE_ROOM_ID = urlParams.get('spectate');
+
+// Play the games of a tournament (?tournament=<id>, see the server's /tournaments)
+CONFIG.TOURNAMENT_ID = urlParams.get('tournament');
+
+// Signed identity token from the server's /identity endpoint (?identity=<token>)
+CONFIG.IDENTITY_TOKEN = urlParams.get('identity');
+
+// Play a bot after this many ms alone in the queue, 0 to always wait for a person (?botTimeout=5000)
+const botTimeout = urlParams.get('botTimeout');
+if (botTimeout !== null && !isNaN(Number(botTimeout))) {
+    CONFIG.NETWORK.BOT_TIMEOUT_MS = Number(botTimeout);
+}
+
+// Pair with another tab of this browser without a server (?signaling=tabs)
+if (urlParams.get('signaling') === 'tabs') {
+    CONFIG.NETWORK.TAB_SIGNALING = true;
+}
+
+// Show the connection quality overlay from the start (?netstats)
+if (urlParams.has('netstats')) {
+    CONFIG.NETWORK.SHOW_LINK_STATS = true;
+}
+
+// Simulate a worse network than the local one (?netsim=3g, ?netsim=latency:100,loss:5%)
+if (urlParams.has('netsim')) {
+    CONFIG.NETWORK.SIMULATE_NETWORK = parseNetworkConditions(urlParams.get('netsim'));
+}
+
+// Record the game messages of this session (?record), or play a recording back (?replay=<url>, or ?replay to pick a file)
+if (urlParams.has('record')) {
+    CONFIG.NETWORK.RECORD_SESSION = true;
+}
+if (urlParams.has('replay')) {
+    CONFIG.NETWORK.REPLAY = urlParams.get('replay');
+}
+
+// Two boards side by side for two players at one screen (?hotseat, or ?hotseat=<latency ms>)
+const hotseat = urlParams.get('hotseat');
+if (hotseat !== null) {
+    CONFIG.NETWORK.LOOPBACK = true;
+    CONFIG.NETWORK.LOOPBACK_LATENCY_MS = Number(hotseat) || 0;
+}
+
+// Matchmaking server to connect to (?signalingUrl=ws://192.168.1.10:8081)
+const signalingUrl = urlParams.get('signalingUrl');
+if (signalingUrl) {
+    CONFIG.NETWORK.SIGNALING_URL = signalingUrl;
+}
+console.log('[Main] Using signaling URL:', CONFIG.NETWORK.SIGNALING_URL);
+
 // Override server URL if provided via URL parameter (for embedded games)
 const serverUrl = urlParams.get('serverUrl');
 if (serverUrl) {
@@ -58,7 +114,21 @@ const loading = document.getElementById('loading');
 if (loading) loading.style.display = 'none';
 
 // Start game
-new Phaser.Game(config);
+if (CONFIG.NETWORK.LOOPBACK) {
+    // One board per half of the page; the first board to queue plays A
+    const app = document.getElementById('app');
+    app.style.display = 'flex';
+    ['hotseat-a', 'hotseat-b'].forEach(id => {
+        const half = document.createElement('div');
+        half.id = id;
+        half.style.flex = '1';
+        half.style.height = '100vh';
+        app.appendChild(half);
+        new Phaser.Game({ ...config, scale: { ...config.scale, parent: id } });
+    });
+} else {
+    new Phaser.Game(config);
+}
 
 // Handle window resize
 window.addEventListener('resize', () => {
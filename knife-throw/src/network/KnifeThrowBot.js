@@ -0,0 +1,124 @@
+import { CONFIG } from '../config.js';
+import { NetworkProtocol } from './NetworkProtocol.js';
+import { wireTime } from '../../../shared-networking/ClockSync.js';
+
+// Time between the bot's throws
+const THROW_INTERVAL_MIN_MS = 1200;
+const THROW_INTERVAL_MAX_MS = 2500;
+// Time between throw_start and throw_knife, roughly the knife's flight to the disc
+const FLIGHT_MS = 500;
+
+/**
+ * KnifeThrowBot - Opponent played by the browser when nobody joins the queue
+ * Plays B over the same protocol as a remote player. The player is the
+ * initiator and sends each round's setup; the bot then throws its knives at
+ * random moments, and a throw only sticks if it clears every knife already
+ * in the disc. The player is also the clock reference, so the bot's
+ * timestamps are the page's own time. See BotGameConnection.
+ */
+export class KnifeThrowBot {
+    /**
+     * @param {function(ArrayBuffer, boolean): void} send - Delivers a frame to the player
+     */
+    constructor(send) {
+        this.send = send;
+        this.stuckAngles = []; // Dummy and stuck knives, in disc degrees
+        this.knivesRemaining = 0;
+        this.playerScore = 0;
+        this.botScore = 0;
+        this.isGameOver = false;
+        this.throwTimer = null;
+    }
+
+    receive(data) {
+        if (!(data instanceof ArrayBuffer)) return;
+        const msg = NetworkProtocol.decode(data);
+        if (!msg) return;
+
+        switch (msg.type) {
+            case 'round_setup':
+                this.startRound(msg.dummyKnives);
+                break;
+
+            case 'throw_knife':
+                if (msg.success) {
+                    this.stuckAngles.push(msg.angle);
+                    this.playerScore += CONFIG.SCORE.SUCCESSFUL_THROW;
+                    this.checkWinCondition();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Both agreed to play again; the player's next round setup starts round 1
+     */
+    onRematch() {
+        this.cancelThrow();
+        this.playerScore = 0;
+        this.botScore = 0;
+        this.knivesRemaining = 0;
+        this.isGameOver = false;
+    }
+
+    startRound(dummyKnives) {
+        this.cancelThrow();
+        if (this.isGameOver) return;
+
+        this.stuckAngles = dummyKnives.slice();
+        this.knivesRemaining = CONFIG.KNIFE.KNIVES_PER_ROUND;
+        this.scheduleThrow();
+    }
+
+    scheduleThrow() {
+        const delay = THROW_INTERVAL_MIN_MS + Math.random() * (THROW_INTERVAL_MAX_MS - THROW_INTERVAL_MIN_MS);
+        this.throwTimer = setTimeout(() => {
+            this.send(NetworkProtocol.encode({ type: 'throw_start', timestamp: wireTime(performance.now()) }), true);
+            this.throwTimer = setTimeout(() => this.throwKnife(), FLIGHT_MS);
+        }, delay);
+    }
+
+    throwKnife() {
+        this.throwTimer = null;
+        if (this.isGameOver) return;
+
+        const angle = Math.random() * 360;
+        const success = this.stuckAngles.every(stuck => {
+            let diff = Math.abs(stuck - angle) % 360;
+            if (diff > 180) diff = 360 - diff;
+            return diff >= CONFIG.KNIFE.COLLISION_THRESHOLD;
+        });
+
+        this.knivesRemaining--;
+        if (success) {
+            this.stuckAngles.push(angle);
+            this.botScore += CONFIG.SCORE.SUCCESSFUL_THROW;
+        }
+        this.send(NetworkProtocol.encode({
+            type: 'throw_knife',
+            angle: angle,
+            success: success,
+            timestamp: wireTime(performance.now())
+        }), true);
+
+        this.checkWinCondition();
+        if (!this.isGameOver && this.knivesRemaining > 0) this.scheduleThrow();
+    }
+
+    checkWinCondition() {
+        if (Math.abs(this.playerScore - this.botScore) < CONFIG.SCORE.WIN_DIFFERENCE) return;
+        this.isGameOver = true;
+        this.cancelThrow();
+    }
+
+    cancelThrow() {
+        if (this.throwTimer) {
+            clearTimeout(this.throwTimer);
+            this.throwTimer = null;
+        }
+    }
+
+    destroy() {
+        this.cancelThrow();
+    }
+}
@@ -1,5 +1,8 @@
 import { NetworkProtocol } from './NetworkProtocol.js';
 import { GameConnection } from './GameConnection.js';
+import { LinkMonitor } from '../../../shared-networking/LinkMonitor.js';
+import { wireTime } from '../../../shared-networking/ClockSync.js';
+import { isSharedFrame } from '../../../shared-networking/SharedFrames.js';
 
 /**
  * KnifeThrowConnection - Game-specific WebRTC logic for Knife Throw
@@ -7,7 +10,12 @@ import { GameConnection } from './GameConnection.js';
  * This is the ONLY file that knows about Knife Throw game logic
  */
 export class KnifeThrowConnection {
-    constructor(gameConnection, scene) {
+    /**
+     * @param {Object} gameConnection - Any connection with send(data, reliable)
+     * @param {Phaser.Scene} scene
+     * @param {ClockSync} clock - Timestamps are written in shared time
+     */
+    constructor(gameConnection, scene, clock) {
         // Accept any connection that implements the GameConnection surface
         if (!gameConnection || typeof gameConnection.send !== 'function') {
             throw new Error('KnifeThrowConnection requires a connection with send()');
@@ -15,7 +23,8 @@ export class KnifeThrowConnection {
 
         this.gameConnection = gameConnection;
         this.scene = scene;
-        this.heartbeatInterval = null;
+        this.clock = clock;
+        this.linkMonitor = null; // Measures the link while the match runs, see startHeartbeat()
 
         // Setup game-specific message handlers
         this.setupMessageHandlers();
@@ -26,16 +35,22 @@ export class KnifeThrowConnection {
      */
     setupMessageHandlers() {
         console.log('[KnifeThrow] Setting up message handlers');
-        this.scene.events.on('game_data_received', (event) => {
+        // Keep a reference so destroy() only removes this handler
+        this.onGameData = (event) => {
+            // Rematch, resync, probe, clock and hello frames belong to the shared helpers
+            if (isSharedFrame(event.data)) return;
             console.log('[KnifeThrow] Received game_data_received event, data size:', event.data.byteLength);
             const msg = NetworkProtocol.decode(event.data);
             if (msg) {
                 console.log('[KnifeThrow] Decoded message:', msg.type);
+                // Spectators receive both players' data, tagged with the sender's role
+                if (event.from) msg.from = event.from;
                 this.handleGameMessage(msg);
             } else {
                 console.error('[KnifeThrow] Failed to decode message');
             }
-        });
+        };
+        this.scene.events.on('game_data_received', this.onGameData);
     }
 
     /**
@@ -48,21 +63,24 @@ export class KnifeThrowConnection {
                     action: 'throw_knife',
                     angle: msg.angle,
                     success: msg.success,
-                    timestamp: msg.timestamp
+                    timestamp: msg.timestamp,
+                    from: msg.from
                 });
                 break;
 
             case 'throw_start':
                 this.scene.events.emit('opponent_action', {
                     action: 'throw_start',
-                    timestamp: msg.timestamp
+                    timestamp: msg.timestamp,
+                    from: msg.from
                 });
                 break;
 
             case 'round_setup':
                 this.scene.events.emit('round_setup', {
                     dummyKnives: msg.dummyKnives,
-                    timestamp: msg.timestamp
+                    startAt: msg.startAt,
+                    from: msg.from
                 });
                 break;
 
@@ -93,7 +111,7 @@ export class KnifeThrowConnection {
             type: 'throw_knife',
             angle: angle,
             success: success,
-            timestamp: Date.now()
+            timestamp: this.now()
         };
 
         const encoded = NetworkProtocol.encode(data);
@@ -110,7 +128,7 @@ export class KnifeThrowConnection {
     sendThrowStart() {
         const data = {
             type: 'throw_start',
-            timestamp: Date.now()
+            timestamp: this.now()
         };
 
         const encoded = NetworkProtocol.encode(data);
@@ -124,14 +142,15 @@ export class KnifeThrowConnection {
     /**
      * Send round setup (dummy knives configuration)
      * @param {Array<number>} dummyKnives - Array of angles for dummy knives
+     * @param {number} startAt - Shared time at which both players may throw
      */
-    sendRoundSetup(dummyKnives) {
+    sendRoundSetup(dummyKnives, startAt) {
         console.log('[KnifeThrow] Sending round setup with', dummyKnives.length, 'dummy knives');
 
         const data = {
             type: 'round_setup',
             dummyKnives: dummyKnives,
-            timestamp: Date.now()
+            startAt: wireTime(startAt)
         };
 
         const encoded = NetworkProtocol.encode(data);
@@ -146,13 +165,14 @@ export class KnifeThrowConnection {
      * Send rotation update (disc speed and direction)
      * @param {number} speed - Rotation speed
      * @param {number} direction - Rotation direction (1 or -1)
+     * @param {number} effectAt - Shared time at which both discs change
      */
-    sendRotationUpdate(speed, direction) {
+    sendRotationUpdate(speed, direction, effectAt) {
         const data = {
             type: 'rotation_update',
             speed: speed,
             direction: direction,
-            timestamp: Date.now()
+            timestamp: wireTime(effectAt)
         };
 
         const encoded = NetworkProtocol.encode(data);
@@ -163,23 +183,24 @@ export class KnifeThrowConnection {
         }
     }
 
+    /**
+     * Current shared time as a timestamp field
+     */
+    now() {
+        return wireTime(this.clock.sharedNow());
+    }
+
     /**
      * Start heartbeat (keepalive)
-     * Sends periodic ping messages to keep connection alive
+     * Sends timestamped ping/pong probes on both channels, which keep the
+     * connection alive and give the scene link_stats for its overlay
      */
     startHeartbeat() {
         // Clear any existing heartbeat
         this.stopHeartbeat();
 
-        this.heartbeatInterval = setInterval(() => {
-            if (this.gameConnection.isConnected) {
-                const data = { type: 'ping' };
-                const encoded = NetworkProtocol.encode(data);
-                if (encoded) {
-                    this.gameConnection.send(encoded, false); // Unreliable ping
-                }
-            }
-        }, 30000); // Every 30 seconds
+        this.linkMonitor = new LinkMonitor(this.scene, this.gameConnection);
+        this.linkMonitor.start();
 
         console.log('[KnifeThrow] Heartbeat started');
     }
@@ -188,9 +209,9 @@ export class KnifeThrowConnection {
      * Stop heartbeat
      */
     stopHeartbeat() {
-        if (this.heartbeatInterval) {
-            clearInterval(this.heartbeatInterval);
-            this.heartbeatInterval = null;
+        if (this.linkMonitor) {
+            this.linkMonitor.destroy();
+            this.linkMonitor = null;
             console.log('[KnifeThrow] Heartbeat stopped');
         }
     }
@@ -200,6 +221,6 @@ export class KnifeThrowConnection {
      */
     destroy() {
         this.stopHeartbeat();
-        this.scene.events.off('game_data_received');
+        this.scene.events.off('game_data_received', this.onGameData);
     }
 }
@@ -1,6 +1,11 @@
 import { CONFIG } from '../config.js';
 import { LocalNetworkManager as WebSocketNetworkManager } from '../../../shared-networking/WebSocketNetworkManager.js';
+import { LocalNetworkManager as TabNetworkManager } from '../../../shared-networking/LocalNetworkManager.js';
+import { LoopbackNetworkManager } from '../../../shared-networking/LoopbackGameConnection.js';
 import { LocalGameConnection } from '../../../shared-networking/LocalGameConnection.js';
+import { SessionRecorder } from '../../../shared-networking/SessionRecorder.js';
+import { ReplayNetworkManager } from '../../../shared-networking/SessionReplay.js';
+import { KnifeThrowBot } from './KnifeThrowBot.js';
 /**
  * NetworkManager - Main network coordinator
  * Manages Socket.IO connection (or embedded messaging), matchmaking, and coordinates WebRTC connections
@@ -20,8 +25,37 @@ export class NetworkManager {
         // Connection instances
         this.gameConnection = null;
         
-        // Use WebSocket-based local networking
-        this.localNetworkManager = new WebSocketNetworkManager(scene);
+        // Game messages of every match, for bug reports (?record)
+        this.recorder = CONFIG.NETWORK.RECORD_SESSION
+            ? new SessionRecorder(scene, {
+                gameId: CONFIG.NETWORK.GAME_ID,
+                protocolVersion: CONFIG.NETWORK.PROTOCOL_VERSION,
+                build: CONFIG.NETWORK.BUILD_ID,
+                userId: CONFIG.USER_ID
+            })
+            : null;
+
+        // Use WebSocket-based local networking, pair tabs directly when no server is running,
+        // pair the two boards of a hot-seat page in memory, or play back a recorded match
+        let LocalManager = CONFIG.NETWORK.TAB_SIGNALING ? TabNetworkManager : WebSocketNetworkManager;
+        if (CONFIG.NETWORK.LOOPBACK) LocalManager = LoopbackNetworkManager;
+        if (CONFIG.NETWORK.REPLAY !== null) LocalManager = ReplayNetworkManager;
+        this.localNetworkManager = new LocalManager(scene, {
+            serverUrl: CONFIG.NETWORK.SIGNALING_URL,
+            identityToken: CONFIG.IDENTITY_TOKEN,
+            botTimeoutMs: CONFIG.NETWORK.BOT_TIMEOUT_MS,
+            loopbackLatencyMs: CONFIG.NETWORK.LOOPBACK_LATENCY_MS,
+            createBot: (send) => new KnifeThrowBot(send),
+            hello: {
+                gameId: CONFIG.NETWORK.GAME_ID,
+                protocolVersion: CONFIG.NETWORK.PROTOCOL_VERSION,
+                build: CONFIG.NETWORK.BUILD_ID,
+                features: CONFIG.NETWORK.FEATURES
+            },
+            networkConditions: CONFIG.NETWORK.SIMULATE_NETWORK,
+            recorder: this.recorder,
+            replay: CONFIG.NETWORK.REPLAY
+        });
 
         // Connection states
         this.isSignalingConnected = false;
@@ -274,14 +308,74 @@ export class NetworkManager {
 
     /**
      * Find match - send request to WebSocket server
+     * @param {Object} preferences - e.g. { roomCode } to open or join a private room
      */
     async findMatch(preferences = {}) {
         console.log('[NetworkManager] Looking for local peer via WebSocket server...');
         if (this.localNetworkManager) {
-            await this.localNetworkManager.findMatch(preferences);
+            await this.localNetworkManager.findMatch({
+                gameId: CONFIG.NETWORK.GAME_ID,
+                gameVersion: CONFIG.NETWORK.PROTOCOL_VERSION,
+                userId: CONFIG.USER_ID,
+                ...preferences
+            });
+        }
+    }
+
+    /**
+     * Register for a tournament; its games arrive as normal match_found events
+     * @param {string} tournamentId - Tournament id from the server's /tournaments
+     */
+    async joinTournament(tournamentId) {
+        console.log('[NetworkManager] Registering for tournament:', tournamentId);
+        if (this.localNetworkManager) {
+            await this.localNetworkManager.joinTournament(tournamentId, {
+                gameId: CONFIG.NETWORK.GAME_ID,
+                gameVersion: CONFIG.NETWORK.PROTOCOL_VERSION,
+                userId: CONFIG.USER_ID
+            });
         }
     }
 
+    /**
+     * Watch a running match read-only instead of playing
+     * @param {string} roomId - Room id of the match to watch
+     */
+    async spectate(roomId) {
+        console.log('[NetworkManager] Joining match as spectator:', roomId);
+        if (this.localNetworkManager) {
+            await this.localNetworkManager.spectate(roomId);
+        }
+    }
+
+    /**
+     * Report the winner of a finished game for the players' ratings
+     * @param {string|null} winner - Winning role ('A' or 'B'), or null for a draw
+     * @param {number} game - Number of the game in this match, 1 for the first
+     */
+    reportMatchResult(winner, game) {
+        if (this.localNetworkManager) {
+            this.localNetworkManager.reportMatchResult(winner, game);
+        }
+    }
+
+    /**
+     * True if the opponent supports an optional feature too (CONFIG.NETWORK.FEATURES)
+     * @param {string} feature - e.g. 'clock-sync'
+     */
+    sharesFeature(feature) {
+        return this.localNetworkManager ? this.localNetworkManager.sharesFeature(feature) : false;
+    }
+
+    /**
+     * Top players of this game, from the matchmaking server
+     * @param {number} [limit]
+     */
+    async fetchLeaderboard(limit = 10) {
+        if (!this.localNetworkManager) throw new Error('Not connected to the matchmaking server');
+        return this.localNetworkManager.fetchLeaderboard(CONFIG.NETWORK.GAME_ID, limit);
+    }
+
     disconnect() {
         console.log('[NetworkManager] Disconnecting all connections...');
         if (this.gameConnection) this.gameConnection.close();
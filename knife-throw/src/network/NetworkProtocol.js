@@ -74,9 +74,9 @@ export class NetworkProtocol {
     }
 
     static encodeRoundSetup(data) {
-        // [Type:1][Count:1][Angle1:2][Angle2:2]...
+        // [Type:1][Count:1][Angle1:2][Angle2:2]...[StartAt:4]
         const count = data.dummyKnives.length;
-        const buffer = new ArrayBuffer(2 + (count * 2));
+        const buffer = new ArrayBuffer(2 + (count * 2) + 4);
         const view = new DataView(buffer);
 
         view.setUint8(0, MSG_TYPE.ROUND_SETUP);
@@ -85,6 +85,7 @@ export class NetworkProtocol {
         for (let i = 0; i < count; i++) {
             view.setUint16(2 + (i * 2), Math.round(data.dummyKnives[i] * 100));
         }
+        view.setUint32(2 + (count * 2), data.startAt);
 
         return buffer;
     }
@@ -137,7 +138,8 @@ export class NetworkProtocol {
 
         return {
             type: 'round_setup',
-            dummyKnives: dummyKnives
+            dummyKnives: dummyKnives,
+            startAt: view.getUint32(2 + (count * 2))
         };
     }
 
@@ -2,6 +2,15 @@ import Phaser from 'phaser';
 import { CONFIG } from '../config.js';
 import { NetworkManager } from '../network/NetworkManager.js';
 import { KnifeThrowConnection } from '../network/KnifeThrowConnection.js';
+import { RematchNegotiator } from '../../../shared-networking/RematchNegotiator.js';
+import { StateResync } from '../../../shared-networking/StateResync.js';
+import { ClockSync } from '../../../shared-networking/ClockSync.js';
+import { LeaderboardPanel } from '../../../shared-networking/LeaderboardPanel.js';
+import { TournamentPanel } from '../../../shared-networking/TournamentPanel.js';
+import { LinkStatsOverlay } from '../../../shared-networking/LinkStatsOverlay.js';
+import { UpdateRequiredScreen } from '../../../shared-networking/UpdateRequiredScreen.js';
+import { NetworkConditionsPanel } from '../../../shared-networking/NetworkConditionsPanel.js';
+import { ReplayPanel } from '../../../shared-networking/ReplayPanel.js';
 import { Target } from '../objects/Target.js';
 import { Knife, ThrowingKnife } from '../objects/Knife.js';
 
@@ -19,6 +28,7 @@ export class GameScene extends Phaser.Scene {
         this.dummyKnives = [];
         this.opponentThrowingKnife = null; // For opponent animations
         this.opponentReadyKnife = null; // Opponent's ready knife sprite
+        this.spectatedThrowingKnife = null; // Player A's knife in flight, spectators only
 
         // Player state
         this.playerRole = null; // 'A' or 'B'
@@ -34,6 +44,14 @@ export class GameScene extends Phaser.Scene {
         this.statusText = null;
         this.roundText = null;
         this.connectButton = null;
+        this.gameOverBg = null;
+        this.gameOverText = null;
+        this.rematchButton = null;
+        this.leaveButton = null;
+        this.leaderboardButton = null;
+        this.leaderboardPanel = null;
+        this.tournamentPanel = null;
+        this.linkStatsOverlay = null;
 
         // Network - Generic network manager
         this.network = new NetworkManager(this);
@@ -47,10 +65,14 @@ export class GameScene extends Phaser.Scene {
         this.gameOver = false;
         this.isRoundSetup = false;
         this.roundSetupTimeout = null; // Timeout for waiting on round setup
+        this.isSpectator = false; // Watching someone else's match, input disabled
+        this.isReconnecting = false; // Connection dropped mid-match; throws wait for the resync
+        this.tournamentId = null; // Set while playing a tournament game
 
         // Rotation control
         this.rotationTimer = 0;
         this.nextRotationChange = 2000;
+        this.lastRotationAt = -Infinity; // Shared time of the newest scheduled rotation change
 
         // Center coordinates
         this.centerX = 0;
@@ -94,6 +116,29 @@ export class GameScene extends Phaser.Scene {
         this.scale.on('resize', this.handleResize, this);
         this.handleResize({ width: this.scale.width, height: this.scale.height });
 
+        // Rematch intents travel over the game connection
+        this.rematch = new RematchNegotiator(this, {
+            send: (frame) => this.gameConnection?.gameConnection.send(frame, true)
+        });
+
+        // After a reconnect the players swap the throws the other one may have missed
+        this.resync = new StateResync(this, {
+            send: (frame) => this.gameConnection?.gameConnection.send(frame, true),
+            getState: () => this.getResyncState(),
+            applyState: (state) => this.applyResyncState(state),
+            rematch: this.rematch
+        });
+
+        // Shared clock, so round starts and disc changes happen at the same instant for both players
+        this.clock = new ClockSync(this, {
+            send: (frame) => this.gameConnection?.gameConnection.send(frame, false)
+        });
+        this.events.once('shutdown', () => {
+            this.rematch.destroy();
+            this.resync.destroy();
+            this.clock.destroy();
+        });
+
         // Setup network event listeners
         this.setupNetworkEvents();
 
@@ -170,6 +215,59 @@ export class GameScene extends Phaser.Scene {
             this.updateStatusDisplay('Connecting...');
             this.network.connectToGame();
         });
+
+        // Rematch / Leave buttons, shown on the game over screen
+        const buttonStyle = {
+            fontSize: '32px',
+            fill: '#ffffff',
+            backgroundColor: '#000000',
+            padding: { x: 20, y: 10 },
+            fontFamily: 'Arial, sans-serif'
+        };
+
+        this.rematchButton = this.add.text(CONFIG.WIDTH / 2 - 130, CONFIG.HEIGHT / 2 + 100, 'REMATCH', { ...buttonStyle, fill: '#00ff00' });
+        this.rematchButton.setOrigin(0.5);
+        this.rematchButton.setDepth(202);
+        this.rematchButton.setInteractive({ useHandCursor: true });
+        this.rematchButton.on('pointerdown', (pointer, x, y, event) => {
+            event.stopPropagation(); // Not a throw
+            if (this.rematch.hasChosen) return;
+            this.rematchButton.setText('WAITING...');
+            this.rematch.request();
+        });
+
+        this.leaveButton = this.add.text(CONFIG.WIDTH / 2 + 130, CONFIG.HEIGHT / 2 + 100, 'LEAVE', buttonStyle);
+        this.leaveButton.setOrigin(0.5);
+        this.leaveButton.setDepth(202);
+        this.leaveButton.setInteractive({ useHandCursor: true });
+        this.leaveButton.on('pointerdown', (pointer, x, y, event) => {
+            event.stopPropagation();
+            this.leaveMatch();
+        });
+
+        this.leaderboardPanel = new LeaderboardPanel(this, {
+            fetchLeaderboard: (limit) => this.network.fetchLeaderboard(limit)
+        });
+        this.leaderboardButton = this.add.text(CONFIG.WIDTH / 2, CONFIG.HEIGHT / 2 + 180, 'LEADERBOARD', { ...buttonStyle, fontSize: '24px' });
+        this.leaderboardButton.setOrigin(0.5);
+        this.leaderboardButton.setDepth(202);
+        this.leaderboardButton.setInteractive({ useHandCursor: true });
+        this.leaderboardButton.on('pointerdown', (pointer, x, y, event) => {
+            event.stopPropagation();
+            this.leaderboardPanel.toggle();
+        });
+
+        this.tournamentPanel = new TournamentPanel(this);
+        this.linkStatsOverlay = new LinkStatsOverlay(this, { visible: CONFIG.NETWORK.SHOW_LINK_STATS });
+        this.updateRequiredScreen = new UpdateRequiredScreen(this);
+        if (CONFIG.NETWORK.SIMULATE_NETWORK) {
+            this.networkConditionsPanel = new NetworkConditionsPanel(this, CONFIG.NETWORK.SIMULATE_NETWORK);
+        }
+        if (CONFIG.NETWORK.REPLAY !== null) {
+            this.replayPanel = new ReplayPanel(this);
+        }
+
+        this.hideRematchButtons();
     }
 
     updateStatusDisplay(text) {
@@ -209,9 +307,15 @@ export class GameScene extends Phaser.Scene {
                 await new Promise(resolve => setTimeout(resolve, 500));
 
                 this.network.handleMatchFound(CONFIG.MATCH_DATA);
+            } else if (CONFIG.SPECTATE_ROOM_ID) {
+                this.updateStatusDisplay('Joining as spectator...');
+                this.network.spectate(CONFIG.SPECTATE_ROOM_ID);
+            } else if (CONFIG.TOURNAMENT_ID) {
+                this.updateStatusDisplay('Joining tournament...');
+                this.network.joinTournament(CONFIG.TOURNAMENT_ID);
             } else {
-                this.updateStatusDisplay('Finding opponent...');
-                this.network.findMatch();
+                this.updateStatusDisplay(CONFIG.ROOM_CODE ? 'Joining room...' : 'Finding opponent...');
+                this.network.findMatch({ roomCode: CONFIG.ROOM_CODE });
             }
         } catch (error) {
             console.error('Failed to connect:', error);
@@ -224,35 +328,64 @@ export class GameScene extends Phaser.Scene {
             this.updateStatusDisplay('Waiting...');
         });
 
+        // Private rooms: show the join code so it can be shared with a friend
+        this.events.on('room_created', (data) => {
+            this.updateStatusDisplay(`Room code: ${data.code}`);
+        });
+
+        this.events.on('room_error', (data) => {
+            this.updateStatusDisplay(data.message || 'Room not found');
+        });
+
         this.events.on('match_found', (msg) => {
+            // The next tournament game comes in on a fresh connection; clear the last one first
+            if (msg.tournamentId && this.tournamentId) this.prepareNextMatch();
+            this.tournamentId = msg.tournamentId || null;
+            this.tournamentPanel.hide();
+
             this.playerRole = msg.role;
+            this.opponentName = msg.opponentName || null; // Verified display name, if they signed in
+            this.redrawScoreBoard();
             this.updateStatusDisplay('Waiting...');
             this.network.connectToGame();
         });
 
         // Game connection established
         this.events.on('game_datachannel_open', () => {
-            this.updateStatusDisplay('Start');
-
-            // Hide status after a moment
-            setTimeout(() => {
-                this.statusText.setVisible(false);
-                this.statusBg.setVisible(false);
-            }, 1000);
-
             // Initialize game-specific connection
-            if (!this.network.gameConnection && this.network.localNetworkManager?.gameConnection) {
+            if (this.network.localNetworkManager?.gameConnection) {
                 this.network.gameConnection = this.network.localNetworkManager.gameConnection;
             }
             if (this.network.gameConnection) {
+                // A resumed session opens a fresh channel; drop the old wrapper first
+                if (this.gameConnection) this.gameConnection.destroy();
                 this.gameConnection = new KnifeThrowConnection(
                     this.network.gameConnection,
-                    this
+                    this,
+                    this.clock
                 );
                 this.gameConnection.startHeartbeat();
             } else {
                 console.warn('[KnifeThrow] No gameConnection available for KnifeThrowConnection');
             }
+            // An opponent without clock sync would never answer; both then time rounds
+            // locally, and stop() drops the last opponent's offset
+            if (this.network.sharesFeature('clock-sync')) {
+                this.clock.start(this.network.isInitiator);
+            } else {
+                this.clock.stop();
+            }
+
+            // A reopened channel carries on with the round once the players have resynced
+            if (this.isReconnecting) return;
+
+            this.updateStatusDisplay('Start');
+
+            // Hide status after a moment
+            setTimeout(() => {
+                this.statusText.setVisible(false);
+                this.statusBg.setVisible(false);
+            }, 1000);
 
             setTimeout(() => {
                 this.startNewRound();
@@ -260,27 +393,198 @@ export class GameScene extends Phaser.Scene {
         });
 
         this.events.on('round_setup', (msg) => {
-            this.handleRoundSetup(msg.dummyKnives);
+            if (this.isSpectator) {
+                this.startSpectatedRound(msg.dummyKnives);
+                return;
+            }
+            this.handleRoundSetup(msg.dummyKnives, msg.startAt);
         });
 
         this.events.on('rotation_update', (msg) => {
-            if (this.target) {
-                this.target.setRotationSpeed(msg.speed);
-                this.target.setRotationDirection(msg.direction);
-            }
+            this.scheduleRotation(msg.speed, msg.direction, this.clock.fromWireTime(msg.timestamp));
         });
 
         this.events.on('opponent_action', (msg) => {
+            // Spectators watch from Player A's side; B is shown as the opponent
+            if (this.isSpectator && msg.from === 'A') {
+                this.handleSpectatedPlayerAction(msg);
+                return;
+            }
             this.handleOpponentAction(msg);
         });
 
         this.events.on('connection_failed', () => {
             this.statusText.setText('Connection lost. Please refresh.');
+            this.rematchButton.setVisible(false);
         });
 
         this.events.on('webrtc_disconnected', () => {
             this.statusText.setText('Opponent disconnected. Reconnecting...');
+            this.rematchButton.setVisible(false);
         });
+
+        // Rematch
+        this.events.on('rematch_requested', () => {
+            if (!this.isSpectator && !this.rematch.hasChosen) this.rematchButton.setText('ACCEPT REMATCH');
+        });
+
+        this.events.on('rematch_declined', () => {
+            if (this.isSpectator) return;
+            this.rematchButton.setVisible(false);
+            this.updateStatusDisplay('Opponent left');
+        });
+
+        this.events.on('rematch_started', () => this.startRematch());
+
+        // Tournaments: between games the panel shows the bracket or the table
+        this.events.on('tournament_updated', (update) => {
+            // An opponent's forfeit ends our game early
+            if (update.status !== 'playing') this.canThrow = false;
+            this.tournamentPanel.update(update);
+        });
+
+        this.events.on('tournament_error', (data) => {
+            this.updateStatusDisplay(data.message || 'Tournament not found');
+        });
+
+        // The two players reported different winners, or only one reported
+        this.events.on('result_flagged', () => {
+            this.updateStatusDisplay('Result not confirmed, it will not count');
+        });
+
+        // The server holds the match while the opponent reloads or reconnects
+        this.events.on('opponent_reconnecting', () => {
+            this.updateStatusDisplay('Opponent reconnecting...');
+        });
+
+        // Our own connection dropped; throws are held until the snapshots are merged
+        this.events.on('game_reconnecting', () => {
+            this.isReconnecting = true;
+            this.canThrow = false;
+            if (!this.gameOver) this.updateStatusDisplay('Reconnecting...');
+        });
+
+        this.events.on('state_resynced', () => {
+            this.isReconnecting = false;
+            if (this.gameOver) return;
+
+            this.statusText.setVisible(false);
+            this.statusBg.setVisible(false);
+            if (this.isRoundSetup) {
+                this.startGameplay();
+            } else if (this.network.isInitiator) {
+                // The channel dropped before the first round was set up
+                this.startNewRound();
+            }
+        });
+
+        // Spectator mode
+        this.events.on('spectate_started', () => this.startSpectating());
+
+        this.events.on('spectate_error', (data) => {
+            this.updateStatusDisplay(data.message || 'Match not found');
+        });
+
+        this.events.on('spectate_ended', () => {
+            if (!this.gameOver) this.updateStatusDisplay('Match ended');
+        });
+    }
+
+    /**
+     * Watch the match from Player A's side. Rounds start when the players
+     * send their round setup; every throw comes from the network.
+     */
+    startSpectating() {
+        this.isSpectator = true;
+        this.rematch.isSpectator = true;
+        this.resync.isSpectator = true;
+        this.playerRole = 'A';
+
+        if (this.gameConnection) this.gameConnection.destroy();
+        this.gameConnection = new KnifeThrowConnection(
+            this.network.localNetworkManager.gameConnection,
+            this,
+            this.clock
+        );
+
+        this.updateUI();
+        this.updateStatusDisplay('Spectating - waiting for next round...');
+    }
+
+    /**
+     * Reset the board for a round the spectated players just started
+     */
+    startSpectatedRound(dummyKnivesConfig) {
+        if (this.gameOver) return;
+        if (this.isRoundSetup) this.currentRound++;
+
+        this.stuckKnives.forEach(knife => knife.destroy());
+        this.stuckKnives = [];
+        this.dummyKnives = [];
+        if (this.spectatedThrowingKnife) {
+            this.spectatedThrowingKnife.destroy();
+            this.spectatedThrowingKnife = null;
+        }
+
+        this.knivesRemaining = CONFIG.KNIFE.KNIVES_PER_ROUND;
+        this.opponentKnivesRemaining = CONFIG.KNIFE.KNIVES_PER_ROUND;
+        this.createDummyKnives(dummyKnivesConfig);
+        this.isRoundSetup = true;
+        this.gameStarted = true;
+
+        this.statusText.setVisible(false);
+        this.statusBg.setVisible(false);
+
+        this.updateUI();
+        this.showReadyKnife();
+        this.updateOpponentReadyKnife();
+    }
+
+    /**
+     * Mirror of handleOpponentAction for Player A's knives at the bottom
+     */
+    handleSpectatedPlayerAction(msg) {
+        if (msg.action === 'throw_start') {
+            if (this.readyKnife) {
+                this.spectatedThrowingKnife = this.readyKnife;
+                this.readyKnife = null;
+                this.spectatedThrowingKnife.isFlying = true;
+                this.spectatedThrowingKnife.targetAngle = this.target.getRotation();
+
+                this.sound.play('throw');
+            }
+        } else if (msg.action === 'throw_knife') {
+            this.knivesRemaining--;
+
+            if (msg.success) {
+                this.playerScore += CONFIG.SCORE.SUCCESSFUL_THROW;
+
+                const knife = new Knife(this, msg.angle, 'playerA', true);
+                this.stuckKnives.push(knife);
+
+                this.sound.play('hit');
+                this.cameras.main.shake(100, 0.005);
+            } else {
+                this.sound.play('fail');
+
+                if (this.spectatedThrowingKnife && this.spectatedThrowingKnife.sprite) {
+                    this.animateBounce(this.spectatedThrowingKnife.sprite);
+                    this.spectatedThrowingKnife = null;
+                }
+            }
+
+            if (this.spectatedThrowingKnife) {
+                this.spectatedThrowingKnife.destroy();
+                this.spectatedThrowingKnife = null;
+            }
+
+            this.updateUI();
+            this.checkWinCondition();
+
+            if (this.knivesRemaining > 0) {
+                this.showReadyKnife();
+            }
+        }
     }
 
     startNewRound() {
@@ -308,14 +612,17 @@ export class GameScene extends Phaser.Scene {
             const dummyKnivesConfig = this.generateDummyKnivesConfig();
             this.createDummyKnives(dummyKnivesConfig);
 
+            // Both players may throw from the same instant, once the setup has reached the peer
+            const startAt = this.clock.sharedNow() + CONFIG.NETWORK.ROUND_START_LEAD_MS;
+
             // Small delay to ensure DataChannel is ready
             setTimeout(() => {
-                this.gameConnection.sendRoundSetup(dummyKnivesConfig);
+                this.gameConnection.sendRoundSetup(dummyKnivesConfig, startAt);
                 console.log('Round setup sent:', dummyKnivesConfig);
             }, 100);
 
             this.isRoundSetup = true;
-            this.startGameplay();
+            this.atSharedTime(startAt, () => this.startGameplay());
         } else {
             // Peer waits for round setup
             this.updateStatusDisplay('Waiting...');
@@ -346,7 +653,11 @@ export class GameScene extends Phaser.Scene {
         return config;
     }
 
-    handleRoundSetup(dummyKnivesConfig) {
+    /**
+     * @param {Array<number>} dummyKnivesConfig - Dummy knife angles
+     * @param {number} [startAt] - Wire time at which the round opens; now if missing
+     */
+    handleRoundSetup(dummyKnivesConfig, startAt) {
         // Clear timeout if it exists
         if (this.roundSetupTimeout) {
             clearTimeout(this.roundSetupTimeout);
@@ -356,7 +667,11 @@ export class GameScene extends Phaser.Scene {
         console.log('Round setup received:', dummyKnivesConfig);
         this.createDummyKnives(dummyKnivesConfig);
         this.isRoundSetup = true;
-        this.startGameplay();
+        if (startAt === undefined) {
+            this.startGameplay();
+        } else {
+            this.atSharedTime(this.clock.fromWireTime(startAt), () => this.startGameplay());
+        }
     }
 
     createDummyKnives(config) {
@@ -367,9 +682,38 @@ export class GameScene extends Phaser.Scene {
         });
     }
 
+    /**
+     * Run a callback when the shared clock reaches a time the players agreed
+     * on; straight away if it has passed or the clock is not synced
+     */
+    atSharedTime(sharedTime, callback) {
+        const delay = this.clock.isSynced ? this.clock.delayUntil(sharedTime) : 0;
+        if (delay === 0) {
+            callback();
+        } else {
+            setTimeout(callback, delay);
+        }
+    }
+
+    /**
+     * Change the disc's rotation at a shared time. Rotation updates are sent
+     * unreliably, so one older than the newest scheduled change is dropped.
+     */
+    scheduleRotation(speed, direction, effectAt) {
+        if (effectAt <= this.lastRotationAt) return;
+        this.lastRotationAt = effectAt;
+
+        this.atSharedTime(effectAt, () => {
+            if (!this.target) return;
+            this.target.setRotationSpeed(speed);
+            this.target.setRotationDirection(direction);
+        });
+    }
+
     startGameplay() {
         this.gameStarted = true;
-        this.canThrow = true;
+        // A round that starts while reconnecting opens for throws on the resync
+        this.canThrow = !this.isReconnecting;
         this.updateStatusText();
         this.showReadyKnife();
     }
@@ -404,7 +748,7 @@ export class GameScene extends Phaser.Scene {
     }
 
     handleThrow(pointer) {
-        if (!this.canThrow || this.throwingKnife || this.gameOver || !this.isRoundSetup) return;
+        if (this.isSpectator || !this.canThrow || this.throwingKnife || this.gameOver || !this.isRoundSetup) return;
 
         // Strict check: cannot throw if no knives remaining
         if (this.knivesRemaining <= 0) return;
@@ -446,10 +790,10 @@ export class GameScene extends Phaser.Scene {
                     const newSpeed = Phaser.Math.FloatBetween(2, 6); // Random speed
                     const newDirection = Math.random() < 0.5 ? 1 : -1; // Random direction
 
-                    this.target.setRotationSpeed(newSpeed);
-                    this.target.setRotationDirection(newDirection);
-
-                    this.gameConnection.sendRotationUpdate(newSpeed, newDirection);
+                    // Both discs change once the update has had time to arrive
+                    const effectAt = this.clock.sharedNow() + CONFIG.NETWORK.ROTATION_CHANGE_LEAD_MS;
+                    this.gameConnection.sendRotationUpdate(newSpeed, newDirection, effectAt);
+                    this.scheduleRotation(newSpeed, newDirection, effectAt);
                 }
             }
         }
@@ -469,6 +813,11 @@ export class GameScene extends Phaser.Scene {
             }
         }
 
+        // Update spectated player's throwing knife, the result comes via network message
+        if (this.spectatedThrowingKnife && this.spectatedThrowingKnife.update(delta)) {
+            this.spectatedThrowingKnife.isFlying = false;
+        }
+
         // Update opponent throwing knife (with physics simulation)
         if (this.opponentThrowingKnife) {
             const reached = this.opponentThrowingKnife.update(delta);
@@ -583,6 +932,17 @@ export class GameScene extends Phaser.Scene {
                 this.opponentThrowingKnife.isFlying = true; // Start physics simulation
                 this.opponentThrowingKnife.targetAngle = this.target.getRotation(); // Current disc angle
 
+                // The knife left the opponent's hand a one-way trip ago; fly it that much further
+                if (this.clock.isSynced && msg.timestamp !== undefined) {
+                    const latency = Math.min(
+                        this.clock.elapsedSince(this.clock.fromWireTime(msg.timestamp)),
+                        CONFIG.NETWORK.MAX_LATENCY_COMPENSATION_MS
+                    );
+                    if (latency > 0 && this.opponentThrowingKnife.update(latency)) {
+                        this.opponentThrowingKnife.isFlying = false;
+                    }
+                }
+
                 this.sound.play('throw');
             }
         } else if (msg.action === 'throw_knife') {
@@ -632,6 +992,71 @@ export class GameScene extends Phaser.Scene {
     }
 
 
+    /**
+     * This player's view of the match, in absolute roles so both snapshots
+     * read the same way
+     */
+    getResyncState() {
+        const opponentRole = this.playerRole === 'A' ? 'B' : 'A';
+        return {
+            round: this.currentRound,
+            isRoundSetup: this.isRoundSetup,
+            scores: { [this.playerRole]: this.playerScore, [opponentRole]: this.opponentScore },
+            remaining: { [this.playerRole]: this.knivesRemaining, [opponentRole]: this.opponentKnivesRemaining },
+            knives: this.stuckKnives.map(knife => ({ angle: knife.angle, type: knife.type }))
+        };
+    }
+
+    /**
+     * Each player is the authority on their own throws and the initiator on the
+     * dummy knives, so both sides end up with the same board. A player who is
+     * a round behind takes the other one's round as it is.
+     */
+    applyResyncState(state) {
+        if (this.gameOver || state.round < this.currentRound) return;
+
+        const opponentRole = this.playerRole === 'A' ? 'B' : 'A';
+        const opponentType = `player${opponentRole}`;
+        const roundWasOver = this.knivesRemaining <= 0 && this.opponentKnivesRemaining <= 0;
+        let knives;
+
+        if (state.round > this.currentRound) {
+            // We missed the end of our round; the new one has none of our throws yet
+            this.currentRound = state.round;
+            this.knivesRemaining = state.remaining[this.playerRole];
+            this.isRoundSetup = state.isRoundSetup;
+            knives = state.knives;
+        } else {
+            const takeDummies = !this.network.isInitiator && state.isRoundSetup;
+            knives = this.stuckKnives
+                .filter(knife => knife.type !== opponentType && !(takeDummies && knife.type === 'dummy'))
+                .map(knife => ({ angle: knife.angle, type: knife.type }))
+                .concat(state.knives.filter(knife => knife.type === opponentType || (takeDummies && knife.type === 'dummy')));
+        }
+
+        this.opponentScore = state.scores[opponentRole];
+        this.opponentKnivesRemaining = state.remaining[opponentRole];
+        if (state.isRoundSetup) {
+            // The round setup we were waiting for is in the snapshot
+            if (this.roundSetupTimeout) {
+                clearTimeout(this.roundSetupTimeout);
+                this.roundSetupTimeout = null;
+            }
+            this.isRoundSetup = true;
+        }
+
+        // Rebuild the board from the merged list
+        this.stuckKnives.forEach(knife => knife.destroy());
+        this.stuckKnives = knives.map(knife => new Knife(this, knife.angle, knife.type, true));
+        this.dummyKnives = this.stuckKnives.filter(knife => knife.type === 'dummy');
+
+        this.updateUI();
+        this.showReadyKnife();
+        this.updateOpponentReadyKnife();
+        this.checkWinCondition();
+        if (!roundWasOver) this.checkRoundEnd();
+    }
+
     checkRoundEnd() {
         if (this.knivesRemaining <= 0 && this.opponentKnivesRemaining <= 0) {
             this.endRound();
@@ -652,12 +1077,19 @@ export class GameScene extends Phaser.Scene {
             const isWin = this.playerScore > this.opponentScore;
             this.createGameOverScreen(isWin);
 
+            // Update both players' ratings on the server
+            if (!this.isSpectator) {
+                const opponentRole = this.playerRole === 'A' ? 'B' : 'A';
+                this.network.reportMatchResult(isWin ? this.playerRole : opponentRole, this.rematch.game + 1);
+            }
+
             this.target.stopRotation();
         }
     }
 
     endRound() {
-        if (this.gameOver) return;
+        // Spectators move on when the players send the next round setup
+        if (this.gameOver || this.isSpectator) return;
 
         this.currentRound++;
 
@@ -697,6 +1129,11 @@ export class GameScene extends Phaser.Scene {
         if (this.connectButton) {
             this.connectButton.setPosition(this.centerX, this.centerY + 50);
         }
+        if (this.rematchButton) {
+            this.rematchButton.setPosition(this.centerX - 130, this.centerY + 100);
+            this.leaveButton.setPosition(this.centerX + 130, this.centerY + 100);
+            this.leaderboardButton.setPosition(this.centerX, this.centerY + 180);
+        }
 
         // Update Scoreboard positions
         this.updateScoreBoardPositions(width, height);
@@ -833,7 +1270,7 @@ export class GameScene extends Phaser.Scene {
         const sb = CONFIG.SCORE_BOARD;
 
         let leftName = "You";
-        let rightName = "Opponent";
+        let rightName = this.opponentName || "Opponent";
         let leftScoreVal = this.playerScore;
         let rightScoreVal = this.opponentScore;
 
@@ -844,6 +1281,11 @@ export class GameScene extends Phaser.Scene {
 
         let rightColor = CONFIG.COLORS.PLAYER_A;
 
+        if (this.isSpectator) {
+            leftName = "Player A";
+            rightName = "Player B";
+        }
+
         if (this.playerRole) {
             if (this.playerRole === 'A') {
                 // I am A (Red) -> Left
@@ -911,15 +1353,16 @@ export class GameScene extends Phaser.Scene {
         color = isWin ? myColor : opponentColor;
 
         // Full Screen Background
-        const graphics = this.add.graphics();
-        graphics.setDepth(200); // High depth to cover everything
-        graphics.fillStyle(color, 1);
-        graphics.fillRect(0, 0, width, height);
+        this.gameOverBg = this.add.graphics();
+        this.gameOverBg.setDepth(200); // High depth to cover everything
+        this.gameOverBg.fillStyle(color, 1);
+        this.gameOverBg.fillRect(0, 0, width, height);
 
         // Center Text
-        const text = isWin ? "You Won" : "Opponent Won";
+        let text = isWin ? "You Won" : "Opponent Won";
+        if (this.isSpectator) text = isWin ? "Player A Won" : "Player B Won";
 
-        const gameOverText = this.add.text(width / 2, height / 2, text, {
+        this.gameOverText = this.add.text(width / 2, height / 2, text, {
             fontSize: '64px',
             fill: '#ffffff',
             fontFamily: 'Arial',
@@ -927,7 +1370,92 @@ export class GameScene extends Phaser.Scene {
             stroke: '#000000',
             strokeThickness: 6
         });
-        gameOverText.setOrigin(0.5);
-        gameOverText.setDepth(201);
+        this.gameOverText.setOrigin(0.5);
+        this.gameOverText.setDepth(201);
+
+        if (!this.isSpectator) this.showRematchButtons();
+    }
+
+    showRematchButtons() {
+        // Tournament games are followed by the next pairing, not a rematch
+        if (this.tournamentId) return;
+
+        this.rematchButton.setText(this.rematch.opponentWantsRematch ? 'ACCEPT REMATCH' : 'REMATCH');
+        this.rematchButton.setVisible(true);
+        this.leaveButton.setVisible(true);
+        this.leaderboardButton.setVisible(true);
+    }
+
+    hideRematchButtons() {
+        this.rematchButton.setVisible(false);
+        this.leaveButton.setVisible(false);
+        this.leaderboardButton.setVisible(false);
+        this.leaderboardPanel.hide();
+    }
+
+    leaveMatch() {
+        this.rematch.leave();
+        this.hideRematchButtons();
+        this.updateStatusDisplay('You left the match');
+
+        // Give the leave frame a moment to go out before the connection closes
+        this.time.delayedCall(200, () => this.network.disconnect());
+    }
+
+    /**
+     * Both players agreed to play again: clear the game over screen and start
+     * round 1 from 0-0 on the same connection
+     */
+    startRematch() {
+        this.resetMatch();
+
+        if (this.isSpectator) {
+            // The players' next round setup starts the board again
+            this.isRoundSetup = false;
+            this.updateUI();
+            this.updateStatusDisplay('Rematch - waiting for next round...');
+            return;
+        }
+
+        this.startNewRound();
+    }
+
+    /**
+     * Clear the last game for the next tournament pairing; its first round
+     * starts once the new data channel opens
+     */
+    prepareNextMatch() {
+        this.resetMatch();
+        if (this.roundSetupTimeout) {
+            clearTimeout(this.roundSetupTimeout);
+            this.roundSetupTimeout = null;
+        }
+        this.canThrow = false;
+        this.gameStarted = false;
+        this.isRoundSetup = false;
+        this.lastRotationAt = -Infinity; // The next opponent's clock starts elsewhere
+        this.rematch.reset();
+        this.updateUI();
+    }
+
+    resetMatch() {
+        if (this.gameOverBg) this.gameOverBg.destroy();
+        if (this.gameOverText) this.gameOverText.destroy();
+        this.gameOverBg = null;
+        this.gameOverText = null;
+        this.hideRematchButtons();
+
+        [this.throwingKnife, this.opponentThrowingKnife, this.spectatedThrowingKnife].forEach(knife => {
+            if (knife) knife.destroy();
+        });
+        this.throwingKnife = null;
+        this.opponentThrowingKnife = null;
+        this.spectatedThrowingKnife = null;
+
+        this.playerScore = 0;
+        this.opponentScore = 0;
+        this.currentRound = 1;
+        this.gameOver = false;
+        this.target.startRotation();
     }
 }
@@ -95,8 +95,25 @@ const GameConfig = {
         SERVER_URL: (window.location.port === '5173' || window.location.port === '3000')
             ? 'http://localhost:8000'
             : window.location.origin,
+        // Matchmaking WebSocket server (shared-networking). Vite dev servers use its default
+        // port on the same host; builds it serves under /games/ connect back to their origin.
+        SIGNALING_URL: (window.location.port === '5173' || window.location.port === '3000')
+            ? `ws://${window.location.hostname}:8081`
+            : `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}`,
         SOCKET_PATH: '/socket.io',  // Default Socket.IO path (server has its own domain)
         RECONNECT_DELAY: 3000,
+        GAME_ID: 'ping-pong',  // Matchmaking queue; only players of the same game are paired
+        PROTOCOL_VERSION: 3,  // Bump when the data channel protocol changes
+        BUILD_ID: typeof __BUILD_ID__ !== 'undefined' ? __BUILD_ID__ : 'dev', // Set by vite.config.js
+        FEATURES: ['rematch', 'resync', 'link-stats'], // Announced in the hello, see shared-networking/HelloHandshake.js
+        BOT_TIMEOUT_MS: 20000, // Offer a bot opponent after this long in the queue (0 = never)
+        TAB_SIGNALING: false, // Pair browser tabs over a BroadcastChannel instead of the matchmaking server
+        LOOPBACK: false, // Two tables in one page, connected in memory (hot-seat play)
+        LOOPBACK_LATENCY_MS: 0, // Artificial one-way delay between the two tables
+        SHOW_LINK_STATS: false, // Latency, loss and connection path overlay; F2 toggles it
+        SIMULATE_NETWORK: null, // Conditions for the network simulator (?netsim), see shared-networking/NetworkConditioner.js
+        RECORD_SESSION: false, // Record the game messages for a bug report (?record); F4 downloads them
+        REPLAY: null, // Recording to play back instead of matchmaking (?replay), see shared-networking/SessionReplay.js
     },
 
     UI: {
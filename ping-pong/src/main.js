@@ -1,6 +1,7 @@
 import Phaser from 'phaser';
 import GameConfig from './config/GameConfig.js';
 import GameScene from './scenes/GameScene.js';
+import { parseNetworkConditions } from '../../shared-networking/NetworkConditioner.js';
 
 // Get user ID from URL parameters or generate logical default for testing
 const urlParams = new URLSearchParams(window.location.search);
@@ -36,6 +37,61 @@ function processIceServers(iceServersStr) {
     }
 }
 
+// Private room code for playing with a friend (?room=new opens a room, ?room=<code> joins one)
+GameConfig.ROOM_CODE = urlParams.get('room');
+
+// Watch a running match instead of playing (?spectate=<roomId>, see the server's /matches)
+GameConfig.SPECTATE_ROOM_ID = urlParams.get('spectate');
+
+// Play the games of a tournament (?tournament=<id>, see the server's /tournaments)
+GameConfig.TOURNAMENT_ID = urlParams.get('tournament');
+
+// Signed identity token from the server's /identity endpoint (?identity=<token>)
+GameConfig.IDENTITY_TOKEN = urlParams.get('identity');
+
+// Play a bot after this many ms alone in the queue, 0 to always wait for a person (?botTimeout=5000)
+const botTimeout = urlParams.get('botTimeout');
+if (botTimeout !== null && !isNaN(Number(botTimeout))) {
+    GameConfig.NETWORK.BOT_TIMEOUT_MS = Number(botTimeout);
+}
+
+// Pair with another tab of this browser without a server (?signaling=tabs)
+if (urlParams.get('signaling') === 'tabs') {
+    GameConfig.NETWORK.TAB_SIGNALING = true;
+}
+
+// Show the connection quality overlay from the start (?netstats)
+if (urlParams.has('netstats')) {
+    GameConfig.NETWORK.SHOW_LINK_STATS = true;
+}
+
+// Simulate a worse network than the local one (?netsim=3g, ?netsim=latency:100,loss:5%)
+if (urlParams.has('netsim')) {
+    GameConfig.NETWORK.SIMULATE_NETWORK = parseNetworkConditions(urlParams.get('netsim'));
+}
+
+// Record the game messages of this session (?record), or play a recording back (?replay=<url>, or ?replay to pick a file)
+if (urlParams.has('record')) {
+    GameConfig.NETWORK.RECORD_SESSION = true;
+}
+if (urlParams.has('replay')) {
+    GameConfig.NETWORK.REPLAY = urlParams.get('replay');
+}
+
+// Two tables side by side for two players at one screen (?hotseat, or ?hotseat=<latency ms>)
+const hotseat = urlParams.get('hotseat');
+if (hotseat !== null) {
+    GameConfig.NETWORK.LOOPBACK = true;
+    GameConfig.NETWORK.LOOPBACK_LATENCY_MS = Number(hotseat) || 0;
+}
+
+// Matchmaking server to connect to (?signalingUrl=ws://192.168.1.10:8081)
+const signalingUrl = urlParams.get('signalingUrl');
+if (signalingUrl) {
+    GameConfig.NETWORK.SIGNALING_URL = signalingUrl;
+}
+console.log('[Main] Using signaling URL:', GameConfig.NETWORK.SIGNALING_URL);
+
 // Override server URL if provided via URL parameter (for embedded games)
 const serverUrl = urlParams.get('serverUrl');
 if (serverUrl) {
@@ -67,4 +123,18 @@ const config = {
     scene: [GameScene]
 };
 
-const game = new Phaser.Game(config);
+if (GameConfig.NETWORK.LOOPBACK) {
+    // One table per half of the page; the first table to queue plays A
+    const app = document.getElementById(GameConfig.DISPLAY.PARENT);
+    app.style.display = 'flex';
+    ['hotseat-a', 'hotseat-b'].forEach(id => {
+        const half = document.createElement('div');
+        half.id = id;
+        half.style.flex = '1';
+        half.style.height = '100vh';
+        app.appendChild(half);
+        new Phaser.Game({ ...config, scale: { ...config.scale, parent: id } });
+    });
+} else {
+    const game = new Phaser.Game(config);
+}
@@ -0,0 +1,233 @@
+import GameConfig from '../config/GameConfig.js';
+import { NetworkProtocol } from './NetworkProtocol.js';
+
+// How often the bot's bat position goes out, like a player's pointer moves
+const BAT_UPDATE_MS = 1000 / 30;
+const BAT_SPEED = 600; // World units per second
+
+// Wait before serving, so the player sees the ball in place first
+const SERVE_DELAY_MS = 1000;
+// Chance of letting a ball go past, so the bot can be beaten
+const MISS_CHANCE = 0.15;
+
+// Ball prediction step and horizon
+const PREDICT_STEP = 1 / 120;
+const PREDICT_HORIZON = 5;
+
+const IDLE_POSITION = { x: 0, y: -220 };
+
+/**
+ * PingPongBot - Opponent played by the browser when nobody joins the queue
+ * Plays B over the same protocol as a remote player, in the network (Player A)
+ * coordinates: it moves its bat, predicts where the player's shots come down
+ * and returns them with the same in-bounds aiming the scene uses. The player's
+ * client stays authoritative for scoring, so the bot follows its score updates.
+ * See BotGameConnection.
+ */
+export class PingPongBot {
+    /**
+     * @param {function(ArrayBuffer, boolean): void} send - Delivers a frame to the player
+     */
+    constructor(send) {
+        this.send = send;
+        this.bat = { x: IDLE_POSITION.x, y: IDLE_POSITION.y, vx: 0, vy: 0 };
+        this.batTarget = { ...IDLE_POSITION };
+        this.currentServer = GameConfig.GAME.INITIAL_SERVER;
+        this.isGameOver = false;
+        this.shotTimer = null;
+
+        this.batInterval = setInterval(() => this.moveBat(BAT_UPDATE_MS / 1000), BAT_UPDATE_MS);
+        if (this.currentServer === 'B') this.scheduleServe();
+    }
+
+    receive(data) {
+        if (!(data instanceof ArrayBuffer)) return;
+        const msg = NetworkProtocol.decode(data);
+        if (!msg) return;
+
+        switch (msg.type) {
+            case 'hit':
+                this.handleHit(msg.state);
+                break;
+
+            case 'score':
+                this.handleScore(msg);
+                break;
+        }
+    }
+
+    /**
+     * Both agreed to play again; the first server alternates like in the scene
+     */
+    onRematch(game) {
+        const initialServer = GameConfig.GAME.INITIAL_SERVER;
+        this.currentServer = game % 2 === 0 ? initialServer : (initialServer === 'A' ? 'B' : 'A');
+        this.isGameOver = false;
+        this.cancelShot();
+        this.batTarget = { ...IDLE_POSITION };
+        if (this.currentServer === 'B') this.scheduleServe();
+    }
+
+    /**
+     * The player hit the ball towards us: decide where to meet it
+     */
+    handleHit(state) {
+        this.cancelShot();
+        if (this.isGameOver || state.vy >= 0) return;
+
+        const contact = this.predictContact(state);
+        if (!contact || Math.random() < MISS_CHANCE) {
+            // Drift towards the ball anyway, a little late
+            this.batTarget = { x: Math.max(-150, Math.min(150, state.x + state.vx * 0.5)), y: IDLE_POSITION.y };
+            return;
+        }
+
+        this.batTarget = { x: contact.state.x, y: contact.state.y };
+        this.shotTimer = setTimeout(() => {
+            this.shotTimer = null;
+            this.hit(contact.state);
+        }, contact.time * 1000);
+    }
+
+    handleScore(msg) {
+        this.cancelShot();
+        this.currentServer = msg.currentServer;
+        this.batTarget = { ...IDLE_POSITION };
+
+        const winningScore = GameConfig.GAME.WINNING_SCORE;
+        this.isGameOver = msg.scoreA >= winningScore || msg.scoreB >= winningScore;
+        if (!this.isGameOver && this.currentServer === 'B') this.scheduleServe();
+    }
+
+    /**
+     * Serve the ball from where the scene puts it for Player B
+     */
+    scheduleServe() {
+        this.cancelShot();
+        const ball = {
+            x: 0,
+            y: -GameConfig.GAME.BALL_SERVE_Y_OFFSET,
+            z: GameConfig.GAME.BALL_SERVE_Z,
+            vx: 0,
+            vy: 0,
+            vz: 0,
+            spin: 0
+        };
+        this.batTarget = { x: ball.x, y: ball.y };
+        this.shotTimer = setTimeout(() => {
+            this.shotTimer = null;
+            this.hit(ball);
+        }, SERVE_DELAY_MS);
+    }
+
+    /**
+     * Return the ball to a random spot on the player's half. Same projectile
+     * aiming as the scene's bat collision: keep vz and pick vx/vy so the ball
+     * lands on target when it next reaches the table.
+     */
+    hit(ball) {
+        const g = GameConfig.PHYSICS.GRAVITY;
+        const z0 = Math.max(0, ball.z);
+        let tHit = (ball.vz + Math.sqrt(ball.vz * ball.vz + 2 * g * z0)) / g;
+        if (isNaN(tHit) || tHit < 0.1) tHit = 0.5;
+
+        const { TABLE_LENGTH, TABLE_WIDTH, LANDING_ZONE_MARGIN_X, LANDING_ZONE_MARGIN_Y,
+            LANDING_ZONE_MIN_DEPTH, LANDING_ZONE_MAX_DEPTH } = GameConfig.GAME;
+        const depth = LANDING_ZONE_MIN_DEPTH + (LANDING_ZONE_MAX_DEPTH - LANDING_ZONE_MIN_DEPTH) * Math.random();
+        const targetY = (TABLE_LENGTH / 2 - LANDING_ZONE_MARGIN_Y) * depth + LANDING_ZONE_MARGIN_Y;
+        const targetX = (Math.random() * 2 - 1) * (TABLE_WIDTH / 2 - LANDING_ZONE_MARGIN_X);
+
+        const state = {
+            x: ball.x,
+            y: ball.y,
+            z: ball.z,
+            vx: (targetX - ball.x) / tHit,
+            vy: (targetY - ball.y) / tHit,
+            vz: ball.vz,
+            spin: 0
+        };
+        this.send(NetworkProtocol.encode({ type: 'hit', state: state, isServing: false }), true);
+        this.batTarget = { ...IDLE_POSITION };
+    }
+
+    /**
+     * Step the ball forward with the scene's physics until it has bounced on
+     * our half and is in reach: at the top of its bounce, or before it leaves
+     * the table. Null if it never comes within reach.
+     */
+    predictContact(state) {
+        const { PHYSICS, GAME } = GameConfig;
+        const b = { ...state, spin: state.spin || 0 };
+        let bounced = false;
+
+        for (let time = 0; time < PREDICT_HORIZON; time += PREDICT_STEP) {
+            let gravityMultiplier = 1.0;
+            if (PHYSICS.SPIN_ENABLED && b.spin !== 0) {
+                gravityMultiplier = b.spin > 0 ? PHYSICS.TOPSPIN_GRAVITY_MULTIPLIER : PHYSICS.BACKSPIN_GRAVITY_MULTIPLIER;
+            }
+            b.vz -= PHYSICS.GRAVITY * gravityMultiplier * PREDICT_STEP;
+            if (b.spin !== 0) {
+                b.spin *= Math.pow(PHYSICS.SPIN_DECAY, PREDICT_STEP);
+                if (Math.abs(b.spin) < 0.01) b.spin = 0;
+            }
+            b.x += b.vx * PREDICT_STEP;
+            b.y += b.vy * PREDICT_STEP;
+            b.z += b.vz * PREDICT_STEP;
+
+            if (b.z <= 0) {
+                const onTable = Math.abs(b.x) <= GAME.TABLE_WIDTH / 2 && Math.abs(b.y) <= GAME.TABLE_LENGTH / 2;
+                if (!onTable || b.vz >= 0) return null;
+                b.z = 0;
+                b.vz = -b.vz * PHYSICS.BOUNCE_DAMPING;
+                b.vx *= PHYSICS.FRICTION;
+                b.vy *= PHYSICS.FRICTION;
+                if (Math.abs(b.vz) < PHYSICS.MIN_BOUNCE_VELOCITY) return null;
+                bounced = b.y < 0;
+            }
+
+            if (b.y < GAME.BAT_B_Y_MIN) return null;
+            const nearEnd = b.y <= -GAME.TABLE_LENGTH / 2 + 10;
+            if (bounced && b.y <= GAME.BAT_B_Y_MAX && (b.vz <= 0 || nearEnd)) {
+                return { time: time, state: { ...b } };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Ease the bat towards its target and report it like a player's pointer
+     */
+    moveBat(dt) {
+        const dx = this.batTarget.x - this.bat.x;
+        const dy = this.batTarget.y - this.bat.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const step = Math.min(distance, BAT_SPEED * dt);
+        const ratio = distance > 0 ? step / distance : 0;
+
+        this.bat.vx = dx * ratio / dt;
+        this.bat.vy = dy * ratio / dt;
+        this.bat.x += dx * ratio;
+        this.bat.y += dy * ratio;
+
+        this.send(NetworkProtocol.encode({
+            type: 'bat',
+            role: 'B',
+            x: this.bat.x,
+            y: this.bat.y,
+            vx: this.bat.vx,
+            vy: this.bat.vy
+        }), false);
+    }
+
+    cancelShot() {
+        if (this.shotTimer) {
+            clearTimeout(this.shotTimer);
+            this.shotTimer = null;
+        }
+    }
+
+    destroy() {
+        this.cancelShot();
+        clearInterval(this.batInterval);
+    }
+}
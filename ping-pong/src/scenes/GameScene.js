@@ -5,6 +5,14 @@ import PhysicsUtils from '../utils/PhysicsUtils.js';
 import ViewTransform from '../utils/ViewTransform.js';
 import { NetworkManager } from '../network/NetworkManager.js';
 import { PingPongConnection } from '../network/PingPongConnection.js';
+import { RematchNegotiator } from '../../../shared-networking/RematchNegotiator.js';
+import { StateResync } from '../../../shared-networking/StateResync.js';
+import { LeaderboardPanel } from '../../../shared-networking/LeaderboardPanel.js';
+import { TournamentPanel } from '../../../shared-networking/TournamentPanel.js';
+import { LinkStatsOverlay } from '../../../shared-networking/LinkStatsOverlay.js';
+import { UpdateRequiredScreen } from '../../../shared-networking/UpdateRequiredScreen.js';
+import { NetworkConditionsPanel } from '../../../shared-networking/NetworkConditionsPanel.js';
+import { ReplayPanel } from '../../../shared-networking/ReplayPanel.js';
 
 /**
  * GameScene - Main table tennis gameplay
@@ -22,6 +30,9 @@ export default class GameScene extends Phaser.Scene {
 
         this.gameStarted = false;
         this.gameOver = false; // New flag for win state
+        this.isSpectator = false; // Watching someone else's match, input disabled
+        this.isReconnecting = false; // Connection dropped mid-match; play waits for the resync
+        this.tournamentId = null; // Set while playing a tournament game
 
         // UI elements
         this.statusText = null;
@@ -34,6 +45,14 @@ export default class GameScene extends Phaser.Scene {
         this.bgA = null;
         this.bgB = null;
         this.infoText = null;
+        this.winOverlay = null;
+        this.winText = null;
+        this.rematchButton = null;
+        this.leaveButton = null;
+        this.leaderboardButton = null;
+        this.leaderboardPanel = null;
+        this.tournamentPanel = null;
+        this.linkStatsOverlay = null;
 
         // Logical State (World Coordinates)
         this.ballState = { x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0, spin: 0 };
@@ -129,6 +148,23 @@ export default class GameScene extends Phaser.Scene {
         // Initial resize to set correct scaling
         this.handleResize({ width: this.scale.width, height: this.scale.height });
 
+        // Rematch intents travel over the game connection
+        this.rematch = new RematchNegotiator(this, {
+            send: (frame) => this.pingPongConnection?.gameConnection.send(frame, true)
+        });
+
+        // After a reconnect the score is compared with the opponent's before play goes on
+        this.resync = new StateResync(this, {
+            send: (frame) => this.pingPongConnection?.gameConnection.send(frame, true),
+            getState: () => ({ scoreA: this.scoreA, scoreB: this.scoreB, currentServer: this.currentServer }),
+            applyState: (state) => this.applyResyncState(state),
+            rematch: this.rematch
+        });
+        this.events.once('shutdown', () => {
+            this.rematch.destroy();
+            this.resync.destroy();
+        });
+
         // Setup network event listeners
         this.setupNetworkEvents();
 
@@ -138,7 +174,7 @@ export default class GameScene extends Phaser.Scene {
         // Input
         this.input.on('pointermove', (pointer) => {
             // Adjust pointer for resize if necessary, though pointer coordinates usually scale automatically in RESIZE mode
-            if (this.gameStarted) {
+            if (this.gameStarted && !this.isSpectator) {
                 this.handlePointerMove(pointer);
             }
         });
@@ -243,6 +279,14 @@ export default class GameScene extends Phaser.Scene {
         if (this.connectButton) {
             this.connectButton.setPosition(this.centerX, this.centerY + 50);
         }
+        if (this.rematchButton) {
+            this.rematchButton.setPosition(this.centerX - 130, this.centerY + 100);
+            this.leaveButton.setPosition(this.centerX + 130, this.centerY + 100);
+            this.leaderboardButton.setPosition(this.centerX, this.centerY + 180);
+        }
+        if (this.winText) {
+            this.winText.setPosition(this.centerX, this.centerY);
+        }
         if (this.infoText) {
             this.infoText.setPosition(this.centerX, GameConfig.UI.INFO_Y);
         }
@@ -312,6 +356,52 @@ export default class GameScene extends Phaser.Scene {
             this.updateStatusDisplay('Connecting...');
             this.network.connectToGame();
         });
+
+        // Rematch / Leave buttons, shown on the win screen
+        const buttonStyle = {
+            fontSize: '32px',
+            fill: '#ffffff',
+            backgroundColor: '#000000',
+            padding: { x: 20, y: 10 },
+            fontFamily: 'Arial, sans-serif'
+        };
+
+        this.rematchButton = this.add.text(this.centerX - 130, this.centerY + 100, 'REMATCH', { ...buttonStyle, fill: '#00ff00' });
+        this.rematchButton.setOrigin(0.5);
+        this.rematchButton.setDepth(202);
+        this.rematchButton.setInteractive({ useHandCursor: true });
+        this.rematchButton.on('pointerdown', () => {
+            if (this.rematch.hasChosen) return;
+            this.rematchButton.setText('WAITING...');
+            this.rematch.request();
+        });
+
+        this.leaveButton = this.add.text(this.centerX + 130, this.centerY + 100, 'LEAVE', buttonStyle);
+        this.leaveButton.setOrigin(0.5);
+        this.leaveButton.setDepth(202);
+        this.leaveButton.setInteractive({ useHandCursor: true });
+        this.leaveButton.on('pointerdown', () => this.leaveMatch());
+
+        this.leaderboardPanel = new LeaderboardPanel(this, {
+            fetchLeaderboard: (limit) => this.network.fetchLeaderboard(limit)
+        });
+        this.leaderboardButton = this.add.text(this.centerX, this.centerY + 180, 'LEADERBOARD', { ...buttonStyle, fontSize: '24px' });
+        this.leaderboardButton.setOrigin(0.5);
+        this.leaderboardButton.setDepth(202);
+        this.leaderboardButton.setInteractive({ useHandCursor: true });
+        this.leaderboardButton.on('pointerdown', () => this.leaderboardPanel.toggle());
+
+        this.tournamentPanel = new TournamentPanel(this);
+        this.linkStatsOverlay = new LinkStatsOverlay(this, { visible: GameConfig.NETWORK.SHOW_LINK_STATS });
+        this.updateRequiredScreen = new UpdateRequiredScreen(this);
+        if (GameConfig.NETWORK.SIMULATE_NETWORK) {
+            this.networkConditionsPanel = new NetworkConditionsPanel(this, GameConfig.NETWORK.SIMULATE_NETWORK);
+        }
+        if (GameConfig.NETWORK.REPLAY !== null) {
+            this.replayPanel = new ReplayPanel(this);
+        }
+
+        this.hideRematchButtons();
     }
 
     updateStatusDisplay(text) {
@@ -401,13 +491,16 @@ export default class GameScene extends Phaser.Scene {
         let leftColor = 0xff0000; // Red for A
         let rightColor = 0x0000ff; // Blue for B
 
-        if (this.role) {
+        if (this.isSpectator) {
+            leftName = "Player A";
+            rightName = "Player B";
+        } else if (this.role) {
             if (this.role === 'A') {
                 leftName = "You";
                 leftColor = 0xff0000;
                 leftScoreVal = this.scoreA;
 
-                rightName = "Opponent";
+                rightName = this.opponentName || "Opponent";
                 rightColor = 0x0000ff;
                 rightScoreVal = this.scoreB;
             } else {
@@ -415,7 +508,7 @@ export default class GameScene extends Phaser.Scene {
                 leftColor = 0x0000ff;
                 leftScoreVal = this.scoreB;
 
-                rightName = "Opponent";
+                rightName = this.opponentName || "Opponent";
                 rightColor = 0xff0000;
                 rightScoreVal = this.scoreA;
             }
@@ -477,9 +570,15 @@ export default class GameScene extends Phaser.Scene {
                 await new Promise(resolve => setTimeout(resolve, 500));
 
                 this.network.handleMatchFound(GameConfig.MATCH_DATA);
+            } else if (GameConfig.SPECTATE_ROOM_ID) {
+                this.updateStatusDisplay('Joining as spectator...');
+                this.network.spectate(GameConfig.SPECTATE_ROOM_ID);
+            } else if (GameConfig.TOURNAMENT_ID) {
+                this.updateStatusDisplay('Joining tournament...');
+                this.network.joinTournament(GameConfig.TOURNAMENT_ID);
             } else {
-                this.updateStatusDisplay('Finding opponent...');
-                this.network.findMatch();
+                this.updateStatusDisplay(GameConfig.ROOM_CODE ? 'Joining room...' : 'Finding opponent...');
+                this.network.findMatch({ roomCode: GameConfig.ROOM_CODE });
             }
         } catch (error) {
             console.error('Failed to connect:', error);
@@ -502,7 +601,21 @@ export default class GameScene extends Phaser.Scene {
             this.updateStatusDisplay('Waiting...');
         });
 
+        // Private rooms: show the join code so it can be shared with a friend
+        this.events.on('room_created', (data) => {
+            this.updateStatusDisplay(`Room code: ${data.code}`);
+        });
+
+        this.events.on('room_error', (data) => {
+            this.updateStatusDisplay(data.message || 'Room not found');
+        });
+
         this.events.on('match_found', (msg) => {
+            // The next tournament game comes in on a fresh connection; clear the last one first
+            if (msg.tournamentId && this.tournamentId) this.prepareNextMatch();
+            this.tournamentId = msg.tournamentId || null;
+            this.tournamentPanel.hide();
+
             // Normalize Role: Handle 'host'/'client' from backend or 'A'/'B'
             // Default to 'B' unless explicitly 'A' or 'host'
             let normalizedRole = 'B';
@@ -514,6 +627,7 @@ export default class GameScene extends Phaser.Scene {
 
             this.role = normalizedRole; // Set local role
             this.isInitiator = msg.isInitiator;
+            this.opponentName = msg.opponentName || null; // Verified display name, if they signed in
             this.updateStatusDisplay('Waiting...');
 
             // Now that we have a role, we can properly label "You" and "Opponent"
@@ -525,20 +639,15 @@ export default class GameScene extends Phaser.Scene {
         // Game connection established (WebRTC DataChannel open)
         this.events.on('game_datachannel_open', () => {
             console.log('Game Data Channel Open - Starting Sync');
-            this.updateStatusDisplay('Start');
-
-            // Hide status text after a moment
-            this.time.delayedCall(1000, () => {
-                this.statusText.setVisible(false);
-                this.statusBg.setVisible(false);
-            });
 
             // Initialize game-specific connection
             // Ensure we have the live game connection reference
-            if (!this.network.gameConnection && this.network.localNetworkManager?.gameConnection) {
+            if (this.network.localNetworkManager?.gameConnection) {
                 this.network.gameConnection = this.network.localNetworkManager.gameConnection;
             }
             if (this.network.gameConnection) {
+                // A resumed session opens a fresh channel; drop the old wrapper first
+                if (this.pingPongConnection) this.pingPongConnection.destroy();
                 this.pingPongConnection = new PingPongConnection(
                     this.network.gameConnection,
                     this
@@ -548,6 +657,17 @@ export default class GameScene extends Phaser.Scene {
                 console.warn('[GameScene] No gameConnection available to start PingPongConnection');
             }
 
+            // A reopened channel waits for the score resync instead
+            if (this.isReconnecting) return;
+
+            this.updateStatusDisplay('Start');
+
+            // Hide status text after a moment
+            this.time.delayedCall(1000, () => {
+                this.statusText.setVisible(false);
+                this.statusBg.setVisible(false);
+            });
+
             this.startGameplay();
         });
 
@@ -555,12 +675,80 @@ export default class GameScene extends Phaser.Scene {
             this.statusText.setText('Connection lost. Please refresh.');
             this.statusText.setVisible(true);
             this.gameStarted = false;
+            this.rematchButton.setVisible(false);
         });
 
         this.events.on('webrtc_disconnected', () => {
             this.statusText.setText('Opponent disconnected.');
             this.statusText.setVisible(true);
             this.gameStarted = false;
+            this.rematchButton.setVisible(false);
+        });
+
+        // The server holds the match while the opponent reloads or reconnects
+        this.events.on('opponent_reconnecting', () => {
+            this.updateStatusDisplay('Opponent reconnecting...');
+            this.gameStarted = false;
+        });
+
+        // Our own connection dropped; the rally is replayed from a serve once the scores agree
+        this.events.on('game_reconnecting', () => {
+            this.isReconnecting = true;
+            this.gameStarted = false;
+            if (!this.gameOver) this.updateStatusDisplay('Reconnecting...');
+        });
+
+        this.events.on('state_resynced', () => {
+            this.isReconnecting = false;
+            if (this.gameOver) return;
+
+            this.updateStatusDisplay('Resumed');
+            this.time.delayedCall(1000, () => {
+                this.statusText.setVisible(false);
+                this.statusBg.setVisible(false);
+            });
+            this.startGameplay();
+        });
+
+        // Spectator mode
+        this.events.on('spectate_started', () => this.startSpectating());
+
+        this.events.on('spectate_error', (data) => {
+            this.updateStatusDisplay(data.message || 'Match not found');
+        });
+
+        this.events.on('spectate_ended', () => {
+            if (!this.gameOver) this.updateStatusDisplay('Match ended');
+            this.gameStarted = false;
+        });
+
+        // Rematch
+        this.events.on('rematch_requested', () => {
+            if (!this.isSpectator && !this.rematch.hasChosen) this.rematchButton.setText('ACCEPT REMATCH');
+        });
+
+        this.events.on('rematch_declined', () => {
+            if (this.isSpectator) return;
+            this.rematchButton.setVisible(false);
+            this.updateStatusDisplay('Opponent left');
+        });
+
+        this.events.on('rematch_started', ({ game }) => this.startRematch(game));
+
+        // Tournaments: between games the panel shows the bracket or the table
+        this.events.on('tournament_updated', (update) => {
+            // An opponent's forfeit ends our game early
+            if (update.status !== 'playing') this.gameStarted = false;
+            this.tournamentPanel.update(update);
+        });
+
+        this.events.on('tournament_error', (data) => {
+            this.updateStatusDisplay(data.message || 'Tournament not found');
+        });
+
+        // The two players reported different winners, or only one reported
+        this.events.on('result_flagged', () => {
+            this.updateStatusDisplay('Result not confirmed, it will not count');
         });
 
         // Game specific events
@@ -569,6 +757,27 @@ export default class GameScene extends Phaser.Scene {
         this.events.on('remote_score_update', (msg) => this.handleRemoteScore(msg));
     }
 
+    /**
+     * Watch the match from Player A's side of the table. The ball follows the
+     * players' hit events and the score follows their score updates.
+     */
+    startSpectating() {
+        this.isSpectator = true;
+        this.rematch.isSpectator = true;
+        this.resync.isSpectator = true;
+        this.role = 'A';
+
+        if (this.pingPongConnection) this.pingPongConnection.destroy();
+        this.pingPongConnection = new PingPongConnection(
+            this.network.localNetworkManager.gameConnection,
+            this
+        );
+
+        this.updateStatusDisplay('Spectating');
+        this.redrawScoreBoard();
+        this.startGameplay();
+    }
+
     startGameplay() {
         this.gameStarted = true;
         this.resetBall();
@@ -802,6 +1011,9 @@ export default class GameScene extends Phaser.Scene {
             return;
         }
 
+        // Spectators only replay the players' hits
+        if (this.isSpectator) return;
+
         this.lastHitTime = now;
         this.sound.play(TableTennisConfig.ASSETS.BAT_HIT);
         // Hit!
@@ -881,6 +1093,9 @@ export default class GameScene extends Phaser.Scene {
     }
 
     handleScoreChange(winner) {
+        // Spectators wait for the players' score update
+        if (this.isSpectator) return;
+
         if (winner === 'A') {
             this.scoreA++;
             this.currentServer = 'A';
@@ -918,22 +1133,26 @@ export default class GameScene extends Phaser.Scene {
         this.gameOver = true;
         this.gameStarted = false; // Stop updates
 
+        // Update both players' ratings on the server
+        if (!this.isSpectator) this.network.reportMatchResult(winner, this.rematch.game + 1);
+
         const isMeWinner = (this.role === winner);
 
         // Visuals
         const overlayColor = (winner === 'A') ? 0xff0000 : 0x0000ff; // Red (A) or Blue (B)
         const overlayAlpha = GameConfig.UI.WIN_OVERLAY_ALPHA;
 
-        const winText = isMeWinner ? "You Won" : "Opponent Won";
+        let winText = isMeWinner ? "You Won" : "Opponent Won";
+        if (this.isSpectator) winText = `Player ${winner} Won`;
 
         // Create Full Screen Overlay
-        const overlay = this.add.graphics();
-        overlay.setDepth(200);
-        overlay.fillStyle(overlayColor, overlayAlpha);
-        overlay.fillRect(0, 0, GameConfig.DISPLAY.WIDTH, GameConfig.DISPLAY.HEIGHT);
+        this.winOverlay = this.add.graphics();
+        this.winOverlay.setDepth(200);
+        this.winOverlay.fillStyle(overlayColor, overlayAlpha);
+        this.winOverlay.fillRect(0, 0, GameConfig.DISPLAY.WIDTH, GameConfig.DISPLAY.HEIGHT);
 
         // Create Win Text
-        const text = this.add.text(
+        this.winText = this.add.text(
             this.centerX,
             this.centerY,
             winText,
@@ -946,7 +1165,76 @@ export default class GameScene extends Phaser.Scene {
                 strokeThickness: 6
             }
         ).setOrigin(0.5);
-        text.setDepth(201);
+        this.winText.setDepth(201);
+
+        if (!this.isSpectator) this.showRematchButtons();
+    }
+
+    showRematchButtons() {
+        // Tournament games are followed by the next pairing, not a rematch
+        if (this.tournamentId) return;
+
+        this.rematchButton.setText(this.rematch.opponentWantsRematch ? 'ACCEPT REMATCH' : 'REMATCH');
+        this.rematchButton.setVisible(true);
+        this.leaveButton.setVisible(true);
+        this.leaderboardButton.setVisible(true);
+    }
+
+    hideRematchButtons() {
+        this.rematchButton.setVisible(false);
+        this.leaveButton.setVisible(false);
+        this.leaderboardButton.setVisible(false);
+        this.leaderboardPanel.hide();
+    }
+
+    leaveMatch() {
+        this.rematch.leave();
+        this.hideRematchButtons();
+        this.updateStatusDisplay('You left the match');
+
+        // Give the leave frame a moment to go out before the connection closes
+        this.time.delayedCall(200, () => this.network.disconnect());
+    }
+
+    /**
+     * Both players agreed to play again: clear the win screen and start from
+     * 0-0 on the same connection, with the other player serving first
+     */
+    startRematch(game) {
+        const initialServer = GameConfig.GAME.INITIAL_SERVER;
+        this.resetMatch(game % 2 === 0 ? initialServer : (initialServer === 'A' ? 'B' : 'A'));
+
+        this.updateStatusDisplay('Rematch!');
+        this.time.delayedCall(1000, () => {
+            this.statusText.setVisible(false);
+            this.statusBg.setVisible(false);
+        });
+
+        this.startGameplay();
+    }
+
+    /**
+     * Clear the last game's result for the next tournament pairing; play
+     * starts once its data channel opens
+     */
+    prepareNextMatch() {
+        this.resetMatch(GameConfig.GAME.INITIAL_SERVER);
+        this.gameStarted = false;
+        this.rematch.reset();
+    }
+
+    resetMatch(server) {
+        if (this.winOverlay) this.winOverlay.destroy();
+        if (this.winText) this.winText.destroy();
+        this.winOverlay = null;
+        this.winText = null;
+        this.hideRematchButtons();
+
+        this.currentServer = server;
+        this.scoreA = 0;
+        this.scoreB = 0;
+        this.gameOver = false;
+        this.redrawScoreBoard();
     }
 
     resetBall() {
@@ -1107,6 +1395,17 @@ export default class GameScene extends Phaser.Scene {
     }
 
     handleRemoteBat(msg) {
+        if (this.isSpectator && msg.role === this.role) {
+            // Spectators also get Player A's bat, which is batA in the local world
+            const localState = this.viewTransform.fromNetwork(msg, this.role);
+
+            this.batAState.prevX = this.batAState.x;
+            this.batAState.prevY = this.batAState.y;
+            this.batAState.x = localState.x;
+            this.batAState.y = localState.y;
+            return;
+        }
+
         if (msg.role !== this.role) {
             // Transform inbound network coordinates to our local relative world
             const localState = this.viewTransform.fromNetwork(msg, this.role);
@@ -1126,6 +1425,22 @@ export default class GameScene extends Phaser.Scene {
         this.isServing = msg.isServing;
     }
 
+    /**
+     * Take the opponent's score if it has more points in it (a score update
+     * got lost), or on a tie if the opponent is the host
+     */
+    applyResyncState(state) {
+        const remotePoints = state.scoreA + state.scoreB;
+        const localPoints = this.scoreA + this.scoreB;
+        if (remotePoints < localPoints || (remotePoints === localPoints && this.role === 'A')) return;
+
+        this.scoreA = state.scoreA;
+        this.scoreB = state.scoreB;
+        this.currentServer = state.currentServer;
+        this.redrawScoreBoard();
+        this.checkWinCondition();
+    }
+
     handleRemoteScore(msg) {
         this.scoreA = msg.scoreA;
         this.scoreB = msg.scoreB;
@@ -0,0 +1,119 @@
+/**
+ * BotGameConnection - Game data exchanged with a local bot instead of a peer
+ * Used when nobody else joins the queue in time. Exposes the same surface as
+ * LocalGameConnection: send(data, reliable), isConnected and the game_* events,
+ * so the game-specific connections work unchanged.
+ *
+ * The bot itself is game specific and is created by the game's NetworkManager:
+ *
+ *   createBot(send) -> { receive(data), onRematch(game)?, destroy() }
+ *
+ * receive() gets every frame the player sends; the bot answers through
+ * send(data, reliable), which arrives as game_data_received like a peer's data.
+ * Rematch frames are answered here, so every bot agrees to play again, and so
+ * are link probes, so the link stats show the bot's latency.
+ */
+import { isRematchFrame, REMATCH_INTENT } from './RematchNegotiator.js';
+import { isProbeFrame, answerProbe } from './LinkMonitor.js';
+
+// Delay before the bot's frames arrive, so they never land inside the player's own send()
+const BOT_LATENCY_MS = 30;
+
+export class BotGameConnection {
+    /**
+     * @param {Phaser.Events.EventEmitter} eventEmitter - Scene events
+     * @param {function(function(ArrayBuffer|string, boolean): void): Object} createBot
+     */
+    constructor(eventEmitter, createBot) {
+        this.eventEmitter = eventEmitter;
+        this.createBot = createBot;
+        this.transport = 'bot';
+        this.isConnected = false;
+        this.isInitiator = true;
+        this.opponentId = null;
+        this.roomId = null;
+        this.bot = null;
+        this.timers = new Set();
+    }
+
+    /**
+     * Start the bot; the connection is usable straight away
+     */
+    initialize(config) {
+        this.isInitiator = config.isInitiator;
+        this.opponentId = config.opponentId;
+        this.roomId = config.roomId;
+
+        console.log(`[BotGameConnection] Playing against a bot in ${this.roomId}`);
+
+        this.isConnected = true;
+        this.bot = this.createBot((data, reliable = true) => this.deliver(data, reliable));
+        this.eventEmitter.emit('game_connection_established');
+        this.eventEmitter.emit('game_datachannel_open');
+    }
+
+    /**
+     * Send data to the bot
+     */
+    send(data, reliable = true) {
+        if (!this.isConnected) {
+            console.warn('[BotGameConnection] Failed to send data: bot not running.');
+            return false;
+        }
+
+        if (isRematchFrame(data)) {
+            this.answerRematch(data);
+        } else if (isProbeFrame(data)) {
+            const pong = answerProbe(data);
+            if (pong) this.deliver(pong, reliable);
+        } else {
+            this.bot.receive(data);
+        }
+        return true;
+    }
+
+    /**
+     * Hand a frame from the bot to the game, as if it came over the data channel
+     */
+    deliver(data, reliable) {
+        if (!this.isConnected) return;
+
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (!this.isConnected) return;
+            this.eventEmitter.emit('game_data_received', {
+                data: data,
+                channel: reliable ? 'game_reliable' : 'game_unreliable'
+            });
+        }, BOT_LATENCY_MS);
+        this.timers.add(timer);
+    }
+
+    /**
+     * The bot always wants a rematch: echo the player's REMATCH for the same game
+     */
+    answerRematch(frame) {
+        const view = new DataView(frame);
+        if (view.getUint8(1) !== REMATCH_INTENT.REMATCH) return;
+
+        const game = view.getUint8(2);
+        const reply = new ArrayBuffer(3);
+        new Uint8Array(reply).set([view.getUint8(0), REMATCH_INTENT.REMATCH, game]);
+        this.deliver(reply, true);
+
+        if (typeof this.bot.onRematch === 'function') this.bot.onRematch(game + 1);
+    }
+
+    /**
+     * Close connection
+     */
+    close() {
+        this.isConnected = false;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        if (this.bot) {
+            this.bot.destroy();
+            this.bot = null;
+        }
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * ClockSync - NTP-style estimate of the offset between the players' clocks
+ * The initiator's clock is the reference. The other player asks for its time
+ * over the data channel, a burst of requests as the channel opens and one
+ * every few seconds after that, and keeps the sample with the shortest round
+ * trip of the last few, since that one was delayed the least on the way.
+ * sharedNow() then reads the same instant on both sides, so games can
+ * schedule events at a common moment and tell how long ago a message was sent:
+ *
+ *   const startAt = clock.sharedNow() + 500; // sent to the opponent with the round setup
+ *   scene.time.delayedCall(clock.delayUntil(startAt), startRound);
+ *
+ * Frame: [Type:1 = CLOCK_MSG_TYPE][Kind:1 (REQUEST/RESPONSE)][T0:8][T1:8]
+ * T0 is the requester's local time when it asked, echoed in the response;
+ * T1 is the reference time when the response was sent (float64 ms).
+ *
+ * Times are performance.now() based, so they never jump with the wall clock.
+ * Messages carry them as 32-bit wire times, see wireTime() and fromWireTime().
+ *
+ * Scene events:
+ *   clock_synced { offset, rtt } - the first estimate since start() is in; sharedNow() is now meaningful
+ */
+
+// Outside the message type range of every game's NetworkProtocol, next to PROBE_MSG_TYPE
+export const CLOCK_MSG_TYPE = 0xF3;
+
+export const CLOCK_KIND = {
+    REQUEST: 1,
+    RESPONSE: 2
+};
+
+const FRAME_SIZE = 18;
+const BURST_REQUESTS = 5; // Sent as the channel opens, for a quick first estimate
+const BURST_INTERVAL_MS = 100;
+const REQUEST_INTERVAL_MS = 5000; // After the burst, to follow clock drift
+const SAMPLE_WINDOW = 8;
+const WIRE_RANGE = 2 ** 32;
+
+/**
+ * True for data channel frames that belong to clock sync, so game protocol
+ * decoders can skip them
+ */
+export function isClockFrame(data) {
+    return data instanceof ArrayBuffer && data.byteLength === FRAME_SIZE &&
+        new DataView(data).getUint8(0) === CLOCK_MSG_TYPE;
+}
+
+/**
+ * A shared time as the unsigned 32-bit field game protocols use for timestamps.
+ * It wraps every 49 days, far longer than any match.
+ */
+export function wireTime(sharedTime) {
+    return ((Math.floor(sharedTime) % WIRE_RANGE) + WIRE_RANGE) % WIRE_RANGE;
+}
+
+/**
+ * Back from a wire time to a shared time, taking the nearest one to now; works
+ * for timestamps up to 24 days in the past or future
+ */
+export function fromWireTime(wire, now) {
+    let difference = (wire - wireTime(now) + WIRE_RANGE) % WIRE_RANGE;
+    if (difference >= WIRE_RANGE / 2) difference -= WIRE_RANGE;
+    return Math.floor(now) + difference;
+}
+
+function encodeFrame(kind, t0, t1) {
+    const buffer = new ArrayBuffer(FRAME_SIZE);
+    const view = new DataView(buffer);
+    view.setUint8(0, CLOCK_MSG_TYPE);
+    view.setUint8(1, kind);
+    view.setFloat64(2, t0);
+    view.setFloat64(10, t1);
+    return buffer;
+}
+
+export class ClockSync {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} options
+     * @param {function(ArrayBuffer): void} options.send - Sends a frame to the opponent, preferably unreliably
+     */
+    constructor(scene, options) {
+        this.scene = scene;
+        this.send = options.send;
+        this.isReference = false; // Set by start(); unstarted clocks (spectators) are never in sync
+        this.offset = 0; // Reference time minus local time, ms
+        this.rtt = null;
+        this.samples = []; // { offset, rtt }, most recent last
+        this.hasSynced = false;
+        this.timer = null;
+
+        // Keep a reference so destroy() only removes this handler
+        this.onGameData = (event) => {
+            // Spectators see both players' requests; those are not ours to answer
+            if (event.from || !isClockFrame(event.data)) return;
+            this.handleFrame(event.data);
+        };
+        this.scene.events.on('game_data_received', this.onGameData);
+    }
+
+    /**
+     * Start syncing once the game channel is open; call again for every new
+     * channel, since the next opponent's clock is a different one
+     * @param {boolean} isReference - True for the initiator, whose clock the other player follows
+     */
+    start(isReference) {
+        this.stop();
+        this.isReference = isReference;
+        if (isReference) return;
+
+        let burst = BURST_REQUESTS;
+        const next = () => {
+            this.request();
+            burst--;
+            this.timer = setTimeout(next, burst > 0 ? BURST_INTERVAL_MS : REQUEST_INTERVAL_MS);
+        };
+        next();
+    }
+
+    /**
+     * Stop asking for the time and forget the estimate, so a clock that is not
+     * started again for the next opponent reads local time and is not in sync
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.isReference = false;
+        this.offset = 0;
+        this.rtt = null;
+        this.samples = [];
+        this.hasSynced = false;
+    }
+
+    /**
+     * The initiator's clock, in ms. Before the first estimate this is local time.
+     */
+    sharedNow() {
+        return performance.now() + this.offset;
+    }
+
+    /**
+     * The reference side is always in sync; the other side once a response came back
+     */
+    get isSynced() {
+        return this.isReference || this.hasSynced;
+    }
+
+    /**
+     * Milliseconds from now until a shared time, 0 if it has passed
+     */
+    delayUntil(sharedTime) {
+        return Math.max(0, sharedTime - this.sharedNow());
+    }
+
+    /**
+     * Milliseconds since a shared time, 0 if it is still to come
+     */
+    elapsedSince(sharedTime) {
+        return Math.max(0, this.sharedNow() - sharedTime);
+    }
+
+    /**
+     * A timestamp field from the opponent as a shared time
+     */
+    fromWireTime(wire) {
+        return fromWireTime(wire, this.sharedNow());
+    }
+
+    request() {
+        this.send(encodeFrame(CLOCK_KIND.REQUEST, performance.now(), 0));
+    }
+
+    handleFrame(frame) {
+        const view = new DataView(frame);
+        const kind = view.getUint8(1);
+        const t0 = view.getFloat64(2);
+
+        if (kind === CLOCK_KIND.REQUEST) {
+            // Only the reference answers, or two followers would chase each other
+            if (this.isReference) this.send(encodeFrame(CLOCK_KIND.RESPONSE, t0, performance.now()));
+            return;
+        }
+        if (kind !== CLOCK_KIND.RESPONSE || this.isReference) return;
+
+        const t3 = performance.now();
+        const t1 = view.getFloat64(10);
+        this.addSample({ offset: t1 - (t0 + t3) / 2, rtt: t3 - t0 });
+    }
+
+    addSample(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > SAMPLE_WINDOW) this.samples.shift();
+
+        const best = this.samples.reduce((min, candidate) => (candidate.rtt < min.rtt ? candidate : min));
+        this.offset = best.offset;
+        this.rtt = best.rtt;
+
+        if (!this.hasSynced) {
+            this.hasSynced = true;
+            console.log(`[ClockSync] Synced: offset ${Math.round(this.offset)} ms, RTT ${Math.round(this.rtt)} ms`);
+            this.scene.events.emit('clock_synced', { offset: this.offset, rtt: this.rtt });
+        }
+    }
+
+    destroy() {
+        this.stop();
+        this.scene.events.off('game_data_received', this.onGameData);
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * HelloHandshake - Both players introduce themselves before any game data
+ * As a game channel opens, each side sends a hello with its game id, protocol
+ * version, build and supported features. The scene only gets
+ * game_datachannel_open once the opponent's hello has arrived and matches, so
+ * a peer running another game or protocol version (a mixed deploy) can never
+ * misdecode our messages or corrupt our state.
+ *
+ * The network managers put a HelloGate between a game connection and the
+ * scene's events (see wrapConnection). It holds back the channel open and any
+ * game frames until the hello exchange is done:
+ *
+ *   const gate = new HelloGate(scene.events, { gameId, protocolVersion, build, features });
+ *   const connection = gate.attach(new LocalGameConnection(manager, gate));
+ *
+ * Frame: [Type:1 = HELLO_MSG_TYPE][JSON (UTF-8): { gameId, protocolVersion, build, features }]
+ *
+ * Scene events:
+ *   peer_verified { hello, features } - the opponent's hello and the features both sides support
+ *   peer_incompatible { code, message, local, remote } - the opponent runs another game or
+ *     protocol version ('game-mismatch', 'version-mismatch'), or sent no hello ('no-hello')
+ */
+
+// Outside the message type range of every game's NetworkProtocol, next to CLOCK_MSG_TYPE
+export const HELLO_MSG_TYPE = 0xF4;
+
+// A build from before the handshake never says hello; give a slow link plenty of time
+const HELLO_TIMEOUT_MS = 5000;
+
+/**
+ * True for data channel frames that carry a hello
+ */
+export function isHelloFrame(data) {
+    return data instanceof ArrayBuffer && data.byteLength > 1 &&
+        new DataView(data).getUint8(0) === HELLO_MSG_TYPE;
+}
+
+export function encodeHello(hello) {
+    const json = new TextEncoder().encode(JSON.stringify(hello));
+    const frame = new Uint8Array(json.byteLength + 1);
+    frame[0] = HELLO_MSG_TYPE;
+    frame.set(json, 1);
+    return frame.buffer;
+}
+
+/**
+ * @returns {Object|null} The hello, or null if the frame is not valid JSON
+ */
+export function decodeHello(frame) {
+    try {
+        return JSON.parse(new TextDecoder().decode(new Uint8Array(frame, 1)));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Why two hellos can't play together, or null if they can. Builds may differ
+ * as long as the protocol is the same.
+ * @returns {{code: string, message: string}|null}
+ */
+export function checkCompatibility(local, remote) {
+    if (!remote || remote.gameId !== local.gameId) {
+        return {
+            code: 'game-mismatch',
+            message: `Your opponent is playing ${remote && remote.gameId ? remote.gameId : 'another game'}.`
+        };
+    }
+    if (remote.protocolVersion !== local.protocolVersion) {
+        const whoUpdates = remote.protocolVersion > local.protocolVersion
+            ? 'Reload the page to get the latest version.'
+            : 'Your opponent needs to reload the page.';
+        return {
+            code: 'version-mismatch',
+            message: `Your game is version ${local.protocolVersion} and your opponent's is ${remote.protocolVersion}. ${whoUpdates}`
+        };
+    }
+    return null;
+}
+
+/**
+ * Stands in for the scene's event emitter in front of one game connection
+ */
+export class HelloGate {
+    /**
+     * @param {Phaser.Events.EventEmitter} events - Scene events, where everything ends up
+     * @param {Object} hello - This player's { gameId, protocolVersion, build, features }
+     */
+    constructor(events, hello) {
+        this.events = events;
+        this.hello = { features: [], ...hello };
+        this.connection = null;
+        this.isOpen = false; // Our channel is open and our hello went out
+        this.remoteHello = null;
+        this.state = 'waiting'; // 'waiting', 'verified' or 'incompatible'
+        this.heldFrames = []; // Game frames that arrived before the opponent's hello
+        this.timeout = null;
+    }
+
+    /**
+     * @param {Object} connection - The game connection this gate was given to
+     * @returns {Object} The same connection
+     */
+    attach(connection) {
+        this.connection = connection;
+        return connection;
+    }
+
+    emit(name, payload) {
+        if (name === 'game_datachannel_open') {
+            this.handleOpen();
+        } else if (name === 'game_data_received') {
+            this.handleData(payload);
+        } else {
+            this.events.emit(name, payload);
+        }
+    }
+
+    handleOpen() {
+        // A reopened channel (same connection) needs no second introduction
+        if (this.state === 'verified') {
+            this.events.emit('game_datachannel_open');
+            return;
+        }
+        if (this.state === 'incompatible' || this.isOpen) return;
+
+        this.isOpen = true;
+        this.connection.send(encodeHello(this.hello), true);
+        if (this.remoteHello) {
+            this.verify();
+            return;
+        }
+
+        this.timeout = setTimeout(() => {
+            this.timeout = null;
+            // A connection replaced in the meantime is not worth reporting
+            if (this.state !== 'waiting' || !this.connection.isConnected) return;
+            this.reject({
+                code: 'no-hello',
+                message: 'Your opponent\'s game did not identify itself. It is probably out of date and needs a reload.'
+            });
+        }, HELLO_TIMEOUT_MS);
+    }
+
+    handleData(event) {
+        if (this.state === 'incompatible') return;
+
+        if (isHelloFrame(event.data)) {
+            if (this.remoteHello) return;
+            this.remoteHello = decodeHello(event.data);
+            if (this.isOpen) this.verify();
+            return;
+        }
+        if (this.state === 'waiting') {
+            this.heldFrames.push(event);
+            return;
+        }
+        this.events.emit('game_data_received', event);
+    }
+
+    verify() {
+        this.cancelTimeout();
+        const problem = checkCompatibility(this.hello, this.remoteHello);
+        if (problem) {
+            this.reject(problem);
+            return;
+        }
+
+        this.state = 'verified';
+        const remoteFeatures = Array.isArray(this.remoteHello.features) ? this.remoteHello.features : [];
+        const features = this.hello.features.filter(feature => remoteFeatures.includes(feature));
+        if (this.remoteHello.build !== this.hello.build) {
+            console.log(`[HelloHandshake] Opponent runs build ${this.remoteHello.build}, we run ${this.hello.build}`);
+        }
+
+        this.events.emit('peer_verified', { hello: this.remoteHello, features });
+        this.events.emit('game_datachannel_open');
+        this.heldFrames.forEach(event => this.events.emit('game_data_received', event));
+        this.heldFrames = [];
+    }
+
+    reject(problem) {
+        this.cancelTimeout();
+        this.state = 'incompatible';
+        this.heldFrames = [];
+        console.warn(`[HelloHandshake] Opponent is incompatible (${problem.code}): ${problem.message}`);
+        this.events.emit('peer_incompatible', { ...problem, local: this.hello, remote: this.remoteHello });
+    }
+
+    cancelTimeout() {
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+    }
+}
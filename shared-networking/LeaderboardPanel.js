@@ -0,0 +1,108 @@
+/**
+ * LeaderboardPanel - Overlay listing the top players of a game
+ * Standings come from the matchmaking server's /leaderboard endpoint and only
+ * count results both players agreed on. The panel is drawn on top of the game
+ * over screen and closes when clicked.
+ */
+
+const MAX_ROWS = 10;
+
+export class LeaderboardPanel {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} options
+     * @param {function(number): Promise<Array>} options.fetchLeaderboard - Resolves to the ranked entries
+     * @param {number} [options.depth] - Display depth, above the game over screen
+     */
+    constructor(scene, options) {
+        this.scene = scene;
+        this.fetchLeaderboard = options.fetchLeaderboard;
+        this.depth = options.depth || 300;
+        this.container = null;
+        this.bodyText = null;
+    }
+
+    get isOpen() {
+        return this.container !== null;
+    }
+
+    toggle() {
+        if (this.isOpen) this.hide();
+        else this.show();
+    }
+
+    async show() {
+        if (this.isOpen) return;
+
+        const { width, height } = this.scene.scale;
+        const panelWidth = Math.min(560, width - 40);
+        const panelHeight = Math.min(480, height - 40);
+
+        const background = this.scene.add.rectangle(0, 0, panelWidth, panelHeight, 0x111111, 0.95)
+            .setStrokeStyle(2, 0xffffff);
+        const title = this.scene.add.text(0, -panelHeight / 2 + 30, 'LEADERBOARD', {
+            fontSize: '28px',
+            fontFamily: 'Arial, sans-serif',
+            fontStyle: 'bold',
+            color: '#ffd700'
+        }).setOrigin(0.5);
+        this.bodyText = this.scene.add.text(0, -panelHeight / 2 + 70, 'Loading...', {
+            fontSize: '18px',
+            fontFamily: 'monospace',
+            color: '#ffffff',
+            lineSpacing: 6
+        }).setOrigin(0.5, 0);
+        const hint = this.scene.add.text(0, panelHeight / 2 - 24, 'Click to close', {
+            fontSize: '14px',
+            fontFamily: 'Arial, sans-serif',
+            color: '#aaaaaa'
+        }).setOrigin(0.5);
+
+        this.container = this.scene.add.container(width / 2, height / 2, [background, title, this.bodyText, hint]);
+        this.container.setDepth(this.depth);
+        this.container.setScrollFactor(0);
+
+        background.setInteractive({ useHandCursor: true });
+        background.on('pointerdown', (pointer, x, y, event) => {
+            // Don't let the click reach the game underneath
+            if (event) event.stopPropagation();
+            this.hide();
+        });
+
+        try {
+            const entries = await this.fetchLeaderboard(MAX_ROWS);
+            if (this.bodyText) this.bodyText.setText(this.formatEntries(entries));
+        } catch (err) {
+            console.warn('[LeaderboardPanel] Could not load leaderboard:', err.message);
+            if (this.bodyText) this.bodyText.setText('Leaderboard unavailable');
+        }
+    }
+
+    formatEntries(entries) {
+        if (!entries || entries.length === 0) return 'No results yet';
+
+        const header = '#   Player          W   L   D  Win%  Best';
+        const rows = entries.map(entry => [
+            String(entry.rank).padEnd(3),
+            entry.name.slice(0, 14).padEnd(15),
+            String(entry.wins).padStart(3),
+            String(entry.losses).padStart(3),
+            String(entry.draws).padStart(3),
+            `${Math.round(entry.winRate * 100)}%`.padStart(5),
+            String(entry.bestStreak).padStart(5)
+        ].join(' '));
+
+        return [header, ...rows].join('\n');
+    }
+
+    hide() {
+        if (!this.container) return;
+        this.container.destroy();
+        this.container = null;
+        this.bodyText = null;
+    }
+
+    destroy() {
+        this.hide();
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * LinkMonitor - Round-trip time, jitter and packet loss of a game connection
+ * Each interval it sends a timestamped probe on both the reliable and the
+ * unreliable channel; the other player's monitor echoes it on the same
+ * channel. Where the connection is WebRTC it also reads the peer connection's
+ * getStats(): the selected candidate pair (host, srflx, prflx or relay) and
+ * the bytes sent and received.
+ *
+ * Frame: [Type:1 = PROBE_MSG_TYPE][Kind:1 (PING/PONG)][Seq:4][SentAt:8 (float64, sender's clock in ms)]
+ * A pong echoes the ping's sequence number and time unchanged, so the clocks
+ * of the two players never need to agree.
+ *
+ * Scene events:
+ *   link_stats { reliable, unreliable, transport, path, bytesSent, bytesReceived }
+ *     reliable / unreliable: { rtt, jitter, loss } in ms and 0..1, null until measured.
+ *     Loss on the reliable channel stays near 0: retransmits show up as RTT instead.
+ */
+
+// Outside the message type range of every game's NetworkProtocol, next to RESYNC_MSG_TYPE
+export const PROBE_MSG_TYPE = 0xF2;
+
+export const PROBE_KIND = {
+    PING: 1,
+    PONG: 2
+};
+
+const PROBE_SIZE = 14;
+const DEFAULT_INTERVAL_MS = 1000;
+const DEFAULT_PROBE_TIMEOUT_MS = 3000; // A probe without an answer by then counts as lost
+const LOSS_WINDOW = 30; // Loss is over this many most recent probes
+const STATS_EVERY = 2; // Read getStats() on every second probe round
+
+/**
+ * True for data channel frames that belong to link monitoring, so game
+ * protocol decoders can skip them
+ */
+export function isProbeFrame(data) {
+    return data instanceof ArrayBuffer && data.byteLength === PROBE_SIZE &&
+        new DataView(data).getUint8(0) === PROBE_MSG_TYPE;
+}
+
+export function encodeProbe(kind, seq, sentAt) {
+    const buffer = new ArrayBuffer(PROBE_SIZE);
+    const view = new DataView(buffer);
+    view.setUint8(0, PROBE_MSG_TYPE);
+    view.setUint8(1, kind);
+    view.setUint32(2, seq);
+    view.setFloat64(6, sentAt);
+    return buffer;
+}
+
+/**
+ * The pong for a ping frame, or null for any other frame. Also used by
+ * connections without a monitor on the far side, such as the bot.
+ */
+export function answerProbe(frame) {
+    if (!isProbeFrame(frame)) return null;
+    const view = new DataView(frame);
+    if (view.getUint8(1) !== PROBE_KIND.PING) return null;
+    return encodeProbe(PROBE_KIND.PONG, view.getUint32(2), view.getFloat64(6));
+}
+
+/**
+ * RTT, jitter and loss of one channel
+ */
+class ChannelStats {
+    constructor() {
+        this.outstanding = new Map(); // seq -> sent at
+        this.outcomes = []; // true = answered, most recent last
+        this.rtt = null; // Smoothed, ms
+        this.lastRtt = null;
+        this.jitter = null; // Mean deviation between consecutive RTTs (RFC 3550), ms
+    }
+
+    expire(now, timeoutMs) {
+        this.outstanding.forEach((sentAt, seq) => {
+            if (now - sentAt < timeoutMs) return;
+            this.outstanding.delete(seq);
+            this.record(false);
+        });
+    }
+
+    sent(seq, sentAt) {
+        this.outstanding.set(seq, sentAt);
+    }
+
+    answered(seq, now) {
+        const sentAt = this.outstanding.get(seq);
+        // Late answers were already counted as lost
+        if (sentAt === undefined) return;
+        this.outstanding.delete(seq);
+        this.record(true);
+
+        const rtt = now - sentAt;
+        this.rtt = this.rtt === null ? rtt : this.rtt * 7 / 8 + rtt / 8;
+        if (this.lastRtt !== null) {
+            const deviation = Math.abs(rtt - this.lastRtt);
+            this.jitter = this.jitter === null ? deviation : this.jitter + (deviation - this.jitter) / 16;
+        }
+        this.lastRtt = rtt;
+    }
+
+    record(answered) {
+        this.outcomes.push(answered);
+        if (this.outcomes.length > LOSS_WINDOW) this.outcomes.shift();
+    }
+
+    get loss() {
+        if (this.outcomes.length === 0) return null;
+        return this.outcomes.filter(answered => !answered).length / this.outcomes.length;
+    }
+
+    toJSON() {
+        return { rtt: this.rtt, jitter: this.jitter, loss: this.loss };
+    }
+}
+
+export class LinkMonitor {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} gameConnection - Any connection with send(data, reliable) and isConnected
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Time between probe rounds
+     * @param {number} [options.probeTimeoutMs] - When an unanswered probe counts as lost
+     */
+    constructor(scene, gameConnection, options = {}) {
+        this.scene = scene;
+        this.gameConnection = gameConnection;
+        this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+        this.probeTimeoutMs = options.probeTimeoutMs || DEFAULT_PROBE_TIMEOUT_MS;
+        this.channels = {
+            reliable: new ChannelStats(),
+            unreliable: new ChannelStats()
+        };
+        this.nextSeq = 1;
+        this.rounds = 0;
+        this.interval = null;
+        this.transportStats = { path: null, bytesSent: null, bytesReceived: null };
+
+        // Keep a reference so destroy() only removes this handler
+        this.onGameData = (event) => {
+            // Spectators see both players' probes; those are not ours to answer
+            if (event.from || !isProbeFrame(event.data)) return;
+            this.handleFrame(event.data, event.channel !== 'game_unreliable');
+        };
+        this.scene.events.on('game_data_received', this.onGameData);
+    }
+
+    start() {
+        this.stop();
+        this.interval = setInterval(() => this.probe(), this.intervalMs);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    probe() {
+        if (!this.gameConnection.isConnected) return;
+
+        const now = performance.now();
+        [['reliable', true], ['unreliable', false]].forEach(([name, reliable]) => {
+            const channel = this.channels[name];
+            channel.expire(now, this.probeTimeoutMs);
+
+            const seq = this.nextSeq++;
+            channel.sent(seq, now);
+            this.gameConnection.send(encodeProbe(PROBE_KIND.PING, seq, now), reliable);
+        });
+
+        this.rounds++;
+        if (this.rounds % STATS_EVERY === 0) {
+            this.readTransportStats().then(() => this.emitStats());
+        } else {
+            this.emitStats();
+        }
+    }
+
+    handleFrame(frame, reliable) {
+        const view = new DataView(frame);
+        if (view.getUint8(1) === PROBE_KIND.PING) {
+            this.gameConnection.send(answerProbe(frame), reliable);
+            return;
+        }
+        this.channels[reliable ? 'reliable' : 'unreliable'].answered(view.getUint32(2), performance.now());
+    }
+
+    /**
+     * The selected candidate pair and its byte counters, for WebRTC connections
+     */
+    async readTransportStats() {
+        const peerConnection = this.gameConnection.peerConnection;
+        if (!peerConnection || typeof peerConnection.getStats !== 'function') return;
+
+        try {
+            const report = await peerConnection.getStats();
+            let pair = null;
+            report.forEach(stat => {
+                if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+                    pair = report.get(stat.selectedCandidatePairId);
+                }
+            });
+            if (!pair) {
+                // Firefox has no transport stats; the nominated pair is the selected one
+                report.forEach(stat => {
+                    if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') pair = stat;
+                });
+            }
+            if (!pair) return;
+
+            const local = report.get(pair.localCandidateId);
+            const remote = report.get(pair.remoteCandidateId);
+            this.transportStats = {
+                path: local && remote ? `${local.candidateType} -> ${remote.candidateType} (${local.protocol})` : null,
+                bytesSent: pair.bytesSent ?? null,
+                bytesReceived: pair.bytesReceived ?? null
+            };
+        } catch (err) {
+            console.warn('[LinkMonitor] Could not read connection stats:', err.message);
+        }
+    }
+
+    get stats() {
+        return {
+            reliable: this.channels.reliable.toJSON(),
+            unreliable: this.channels.unreliable.toJSON(),
+            transport: this.gameConnection.transport || 'webrtc',
+            ...this.transportStats
+        };
+    }
+
+    emitStats() {
+        // The monitor may have been destroyed while getStats() was pending
+        if (!this.interval) return;
+        this.scene.events.emit('link_stats', this.stats);
+    }
+
+    destroy() {
+        this.stop();
+        this.scene.events.off('game_data_received', this.onGameData);
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * LinkStatsOverlay - Small corner readout of the LinkMonitor's link_stats
+ * Shows round-trip time, jitter and loss per channel plus the connection path,
+ * so a playtester can tell a bad network from a game bug. F2 toggles it.
+ */
+
+const TOGGLE_KEY = 'keydown-F2';
+
+export class LinkStatsOverlay {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options]
+     * @param {boolean} [options.visible] - Show from the start (?netstats)
+     * @param {number} [options.depth] - Display depth, above the game and its panels
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.stats = null;
+
+        this.text = scene.add.text(8, 8, 'Waiting for link stats...', {
+            fontSize: '12px',
+            fontFamily: 'monospace',
+            color: '#00ff00',
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            padding: { x: 6, y: 4 }
+        });
+        this.text.setDepth(options.depth || 1000);
+        this.text.setScrollFactor(0);
+        this.text.setVisible(Boolean(options.visible));
+
+        // Keep references so destroy() only removes these handlers
+        this.onStats = (stats) => {
+            this.stats = stats;
+            if (this.text.visible) this.render();
+        };
+        this.onToggle = () => this.toggle();
+        scene.events.on('link_stats', this.onStats);
+        if (scene.input.keyboard) scene.input.keyboard.on(TOGGLE_KEY, this.onToggle);
+        scene.events.once('shutdown', () => this.destroy());
+    }
+
+    toggle() {
+        this.text.setVisible(!this.text.visible);
+        if (this.text.visible && this.stats) this.render();
+    }
+
+    render() {
+        const { reliable, unreliable, transport, path, bytesSent, bytesReceived } = this.stats;
+        const ms = (value) => (value === null ? '-' : `${Math.round(value)} ms`).padStart(8);
+        const percent = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`).padStart(8);
+        const kb = (value) => (value === null ? '-' : `${(value / 1024).toFixed(1)} KB`);
+
+        const lines = [
+            '         reliable  unreliable',
+            `RTT     ${ms(reliable.rtt)}    ${ms(unreliable.rtt)}`,
+            `Jitter  ${ms(reliable.jitter)}    ${ms(unreliable.jitter)}`,
+            `Loss    ${percent(reliable.loss)}    ${percent(unreliable.loss)}`,
+            `Path    ${transport}${path ? `, ${path}` : ''}`
+        ];
+        if (bytesSent !== null) lines.push(`Bytes   sent ${kb(bytesSent)}, received ${kb(bytesReceived)}`);
+        this.text.setText(lines.join('\n'));
+    }
+
+    destroy() {
+        this.scene.events.off('link_stats', this.onStats);
+        if (this.scene.input.keyboard) this.scene.input.keyboard.off(TOGGLE_KEY, this.onToggle);
+        this.text.destroy();
+    }
+}
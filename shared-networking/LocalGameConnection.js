@@ -17,6 +17,7 @@ export class LocalGameConnection {
         this.roomId = null;
         this.iceServers = [];
         this.pendingRemoteCandidates = [];
+        this.onSend = null; // Optional hook called with (data, reliable) after each send
     }
 
     /**
@@ -155,10 +156,11 @@ export class LocalGameConnection {
 
     /**
      * Create and send offer (initiator only)
+     * @param {RTCOfferOptions} [options] - e.g. { iceRestart: true }
      */
-    async createAndSendOffer() {
+    async createAndSendOffer(options) {
         try {
-            const offer = await this.peerConnection.createOffer();
+            const offer = await this.peerConnection.createOffer(options);
             await this.peerConnection.setLocalDescription(offer);
             console.log(`[LocalGameConnection] Sending offer to: ${this.opponentId}`);
 
@@ -174,6 +176,19 @@ export class LocalGameConnection {
         }
     }
 
+    /**
+     * Gather new ICE candidates on the same peer connection, e.g. after the
+     * network changed. The data channels stay open if it comes back. Only the
+     * initiator sends the offer; the other side answers it as usual.
+     */
+    restartIce() {
+        if (!this.peerConnection || this.peerConnection.signalingState === 'closed') return;
+        if (!this.isInitiator) return;
+
+        console.log('[LocalGameConnection] Restarting ICE...');
+        this.createAndSendOffer({ iceRestart: true });
+    }
+
     /**
      * Handle incoming offer
      */
@@ -265,6 +280,7 @@ export class LocalGameConnection {
 
         if (channel && channel.readyState === 'open') {
             channel.send(data);
+            if (this.onSend) this.onSend(data, reliable);
             return true;
         } else {
             console.warn(`[LocalGameConnection] Failed to send data: ${reliable ? 'Reliable' : 'Unreliable'} channel not ready.`);
@@ -1,13 +1,64 @@
 /**
- * LocalNetworkManager - Simplified networking for local development
- * Uses localStorage for peer discovery and WebRTC for direct communication
- * No matchmaking server required - works with two browser tabs
+ * LocalNetworkManager - Serverless networking for local development
+ * Pairs browser tabs of the same origin over a BroadcastChannel and connects
+ * them with WebRTC. No matchmaking server required; it has the same surface
+ * as the WebSocket LocalNetworkManager, so a game can switch to it when no
+ * server is running.
+ *
+ * Pairing messages on the channel:
+ *   hello    { from, queueKey, since, reply } - looking for a match; repeated while looking
+ *   claim    { from, to, queueKey }          - the host asks a waiting tab to be Player B
+ *   accept   { from, to }                    - the claimed tab agrees
+ *   decline  { from, to }                    - the claimed tab is busy, or the host moved on
+ *   matched  { from, to }                    - the host confirms; everyone else forgets both tabs
+ *   signal   { from, to, data }              - WebRTC offer/answer/candidates for one pair
+ *   bye      { from }                        - the tab left or closed
+ *
+ * Tie-breaking: tabs rank by when they started looking, then by peer id. Only
+ * the best-ranked looking tab a tab knows of claims anyone, and it claims the
+ * next one, so pairs form one at a time and any number of pairs can share the
+ * channel.
  */
+import { CREATE_ROOM_CODE } from './WebSocketNetworkManager.js';
+import { wrapConnection } from './wrapConnection.js';
+
+const CHANNEL_NAME = 'local-game-signaling';
+
+// Looking tabs repeat their hello this often; a tab not heard from in PEER_TTL_MS is gone
+const HELLO_INTERVAL_MS = 2000;
+const PEER_TTL_MS = 5000;
+
+// How long a claim (or an accepted claim) waits for the other tab's answer
+const CLAIM_TIMEOUT_MS = 2000;
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+
+const PAIRING_STATE = {
+    IDLE: 'idle',
+    LOOKING: 'looking',
+    CLAIMING: 'claiming', // Host waiting for an accept
+    ACCEPTED: 'accepted', // Guest waiting for the host's matched
+    MATCHED: 'matched'
+};
+
 export class LocalNetworkManager {
-    constructor(scene) {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options] - Accepted for compatibility with the WebSocket manager; nothing here needs a server
+     * @param {Object} [options.hello] - { gameId, protocolVersion, build, features } checked with the other tab, see HelloHandshake
+     * @param {Object} [options.networkConditions] - Latency, loss and bandwidth to simulate, see NetworkConditioner
+     * @param {SessionRecorder} [options.recorder] - Records the game messages of every match, see SessionRecorder
+     */
+    constructor(scene, options = {}) {
         this.scene = scene;
+        this.options = options;
+        this.hello = options.hello || null;
+        this.networkConditions = options.networkConditions || null;
+        this.recorder = options.recorder || null;
         this.peerId = this.generatePeerId();
         this.roomId = 'local-room';
+        this.roomCode = null;
         this.role = null; // 'A' or 'B'
         this.opponentId = null;
         this.isInitiator = false;
@@ -17,387 +68,293 @@ export class LocalNetworkManager {
         this.gameConnection = null;
         this.pendingOffer = null;
         this.pendingCandidates = [];
-        
+
+        this.state = PAIRING_STATE.IDLE;
+        this.queueKey = null; // Only tabs with the same key are paired
+        this.since = 0; // When we started looking, our rank
+        this.knownPeers = new Map(); // peer id -> { since, seenAt } of tabs looking in our queue
+        this.claimTarget = null; // Peer id we claimed, or accepted a claim from
+        this.claimTimer = null;
+        this.helloTimer = null;
+        this.peerFeatures = null; // Features both tabs support, once the other tab said hello
+
         // STUN servers only for local development
         this.iceServers = [
             { urls: 'stun:stun.l.google.com:19302' },
             { urls: 'stun:stun1.l.google.com:19302' }
         ];
 
-        this.setupLocalStorageSignaling();
-    }
-
-    generatePeerId() {
-        return 'peer-' + Math.random().toString(36).substr(2, 9);
+        this.setupChannel();
+        this.setupHandshake();
     }
 
     /**
-     * Setup localStorage-based signaling for local development
+     * Follow the hello exchange of gated connections: remember what the
+     * opponent supports, and leave if it can't play with us at all
      */
-    setupLocalStorageSignaling() {
-        // Listen for signaling messages from other tabs
-        window.addEventListener('storage', (event) => {
-            if (event.key !== 'local-game-signaling') return;
-            
-            try {
-                const message = JSON.parse(event.newValue);
-                if (message.targetPeer === this.peerId) {
-                    this.handleSignalingMessage(message);
-                }
-            } catch (err) {
-                console.error('[LocalNetworkManager] Error parsing signaling message:', err);
-            }
+    setupHandshake() {
+        // A new opponent has not said hello yet
+        this.scene.events.on('match_found', () => {
+            this.peerFeatures = null;
+        });
+        this.scene.events.on('peer_verified', ({ features }) => {
+            this.peerFeatures = features;
         });
 
-        // Don't auto-start matchmaking - wait for findMatch() call
-        console.log('[LocalNetworkManager] Local signaling setup complete, waiting for findMatch()...');
+        // The scene shows the reason; the other tab sees us leave
+        this.scene.events.on('peer_incompatible', () => this.disconnect());
     }
 
     /**
-     * Start matchmaking process - find available peers or create room
+     * True if both tabs support an optional feature from the hello; until the
+     * other tab has said hello this goes by our own features
      */
-    startMatchmaking() {
-        console.log('[LocalNetworkManager] Starting matchmaking process...');
-        
-        // Use leader election approach
-        this.electLeader();
+    sharesFeature(feature) {
+        const features = this.peerFeatures || (this.hello && this.hello.features) || [];
+        return features.includes(feature);
+    }
+
+    generatePeerId() {
+        return 'peer-' + Math.random().toString(36).substr(2, 9);
     }
 
     /**
-     * Leader election - determine who should be host vs guest
+     * Open the channel shared by every tab of this origin
      */
-    electLeader() {
-        const peersData = localStorage.getItem('local-game-peers');
-        const peers = peersData ? JSON.parse(peersData) : [];
-        
-        // Clean up old inactive peers (older than 10 seconds)
-        const now = Date.now();
-        const activePeers = peers.filter(p => p.active && (now - p.timestamp) < 10000);
-        
-        // Check if we're already registered
-        const existingPeer = activePeers.find(p => p.id === this.peerId);
-        
-        if (existingPeer) {
-            console.log('[LocalNetworkManager] Already registered as', existingPeer.role);
-            this.role = existingPeer.role;
-            this.isInitiator = existingPeer.role === 'A';
-            this.isSignalingConnected = true;
+    setupChannel() {
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.onmessage = (event) => this.handleChannelMessage(event.data);
+
+        // Tell a waiting or matched tab that we are gone
+        this.onPageHide = () => this.post({ type: 'bye' });
+        window.addEventListener('pagehide', this.onPageHide);
+
+        this.isSignalingConnected = true;
+        console.log('[LocalNetworkManager] Tab signaling ready, waiting for findMatch()...');
+    }
+
+    post(message) {
+        if (!this.channel) return;
+        this.channel.postMessage({ ...message, from: this.peerId });
+    }
+
+    handleChannelMessage(message) {
+        if (!message || message.from === this.peerId) return;
+        // Broadcast messages have no target; the rest are for one tab only
+        if (message.to && message.to !== this.peerId) {
+            if (message.type === 'matched') this.forgetPeers([message.from, message.to]);
             return;
         }
-        
-        // Try to register as host first
-        this.tryRegisterAsHost(activePeers);
-    }
 
-    /**
-     * Try to register as host
-     */
-    tryRegisterAsHost(activePeers) {
-        // Check if there's already a host
-        const existingHost = activePeers.find(p => p.role === 'A' && p.lookingForMatch);
-        
-        if (existingHost) {
-            // There's already a host, join as guest
-            console.log('[LocalNetworkManager] Found existing host, joining as guest');
-            this.joinAsGuest(existingHost);
-        } else {
-            // No host, try to become host
-            console.log('[LocalNetworkManager] No host found, trying to become host');
-            this.becomeHost();
+        switch (message.type) {
+            case 'hello':
+                this.handleHello(message);
+                break;
+
+            case 'claim':
+                this.handleClaim(message);
+                break;
+
+            case 'accept':
+                this.handleAccept(message);
+                break;
+
+            case 'decline':
+                this.handleDecline(message);
+                break;
+
+            case 'matched':
+                this.handleMatched(message);
+                break;
+
+            case 'signal':
+                if (message.from === this.opponentId) this.handleSignalingMessage(message);
+                break;
+
+            case 'bye':
+                this.handleBye(message);
+                break;
         }
     }
 
     /**
-     * Become host
+     * Start looking for another tab in the same queue
      */
-    becomeHost() {
-        const peersData = localStorage.getItem('local-game-peers') || '[]';
-        const peers = JSON.parse(peersData);
-        
-        // Add ourselves as host
-        peers.push({ 
-            id: this.peerId, 
-            active: true, 
-            timestamp: Date.now(),
-            role: 'A',
-            lookingForMatch: true
-        });
-        
-        // Write to localStorage
-        localStorage.setItem('local-game-peers', JSON.stringify(peers));
-        
-        // Wait a moment and verify we're still the only host
-        setTimeout(() => {
-            this.verifyHostStatus();
-        }, 100);
-        
-        this.role = 'A';
-        this.isInitiator = true;
-        this.isSignalingConnected = true;
-        
-        console.log('[LocalNetworkManager] Registered as host, verifying...');
+    startLooking() {
+        this.state = PAIRING_STATE.LOOKING;
+        this.since = Date.now();
+        this.knownPeers.clear();
+        this.sayHello();
+
+        clearInterval(this.helloTimer);
+        this.helloTimer = setInterval(() => {
+            if (this.state !== PAIRING_STATE.LOOKING) return;
+            this.sayHello();
+            this.tryClaim(); // Tabs that went quiet drop out here
+        }, HELLO_INTERVAL_MS);
+        this.scene.events.emit('queued', { queueKey: this.queueKey });
     }
 
-    /**
-     * Verify we're still the host (check for race conditions)
-     */
-    verifyHostStatus() {
-        const peersData = localStorage.getItem('local-game-peers');
-        const peers = peersData ? JSON.parse(peersData) : [];
-        const now = Date.now();
-        const activePeers = peers.filter(p => p.active && (now - p.timestamp) < 10000);
-        
-        const allHosts = activePeers.filter(p => p.role === 'A' && p.lookingForMatch);
-        
-        if (allHosts.length > 1) {
-            // Multiple hosts, check if we should remain host
-            allHosts.sort((a, b) => a.timestamp - b.timestamp);
-            const earliestHost = allHosts[0];
-            
-            if (earliestHost.id !== this.peerId) {
-                // We're not the earliest, switch to guest
-                console.log('[LocalNetworkManager] Race condition detected, switching to guest');
-                this.switchToGuest(earliestHost);
-                return;
-            }
+    sayHello(to = null, reply = false) {
+        this.post({ type: 'hello', to: to || undefined, queueKey: this.queueKey, since: this.since, reply });
+    }
+
+    handleHello(message) {
+        if (message.queueKey !== this.queueKey) return;
+        const isNew = !this.knownPeers.has(message.from);
+        this.knownPeers.set(message.from, { since: message.since, seenAt: Date.now() });
+
+        // Make sure a newcomer knows about us too, or it might wait for nobody
+        if (isNew && !message.reply && this.state === PAIRING_STATE.LOOKING) {
+            this.sayHello(message.from, true);
         }
-        
-        // We're confirmed as host
-        console.log('[LocalNetworkManager] Confirmed as host');
-        this.startHostPolling();
-        this.waitForPlayer();
+        this.tryClaim();
     }
 
     /**
-     * Switch to guest role
+     * True if tab a ranks before tab b: it started looking earlier, ties broken by peer id
      */
-    switchToGuest(host) {
-        // Remove our host registration
-        const peersData = localStorage.getItem('local-game-peers') || '[]';
-        const peers = JSON.parse(peersData);
-        const updatedPeers = peers.filter(p => p.id !== this.peerId);
-        
-        // Add ourselves as guest
-        updatedPeers.push({ 
-            id: this.peerId, 
-            active: true, 
-            timestamp: Date.now(),
-            role: 'B',
-            matchedWith: host.id
-        });
-        
-        localStorage.setItem('local-game-peers', JSON.stringify(updatedPeers));
-        
-        this.role = 'B';
-        this.isInitiator = false;
-        this.opponentId = host.id;
-        
-        // Send join request to host
-        this.emitSignalingMessage({
-            type: 'join-request',
-            fromPeer: this.peerId,
-            toPeer: host.id
-        });
-        
-        this.waitForHostAcceptance();
+    ranksBefore(a, b) {
+        return a.since !== b.since ? a.since < b.since : a.id < b.id;
     }
 
     /**
-     * Join as guest
+     * Claim the next tab if nobody we know of ranks before us
      */
-    joinAsGuest(host) {
-        const peersData = localStorage.getItem('local-game-peers') || '[]';
-        const peers = JSON.parse(peersData);
-        
-        // Add ourselves as guest
-        peers.push({ 
-            id: this.peerId, 
-            active: true, 
-            timestamp: Date.now(),
-            role: 'B',
-            matchedWith: host.id
+    tryClaim() {
+        if (this.state !== PAIRING_STATE.LOOKING) return;
+
+        const now = Date.now();
+        const me = { id: this.peerId, since: this.since };
+        const peers = [];
+        this.knownPeers.forEach((peer, id) => {
+            if (now - peer.seenAt > PEER_TTL_MS) {
+                this.knownPeers.delete(id);
+            } else {
+                peers.push({ id, since: peer.since });
+            }
         });
-        
-        localStorage.setItem('local-game-peers', JSON.stringify(peers));
-        
-        this.role = 'B';
-        this.isInitiator = false;
-        this.opponentId = host.id;
-        this.isSignalingConnected = true;
-        
-        console.log('[LocalNetworkManager] Joined as guest');
-        
-        // Send join request to host
-        this.emitSignalingMessage({
-            type: 'join-request',
-            fromPeer: this.peerId,
-            toPeer: host.id
+
+        if (peers.some(peer => this.ranksBefore(peer, me))) return;
+        const [next] = peers.sort((a, b) => (this.ranksBefore(a, b) ? -1 : 1));
+        if (!next) return;
+
+        console.log('[LocalNetworkManager] Claiming', next.id);
+        this.state = PAIRING_STATE.CLAIMING;
+        this.claimTarget = next.id;
+        this.post({ type: 'claim', to: next.id, queueKey: this.queueKey });
+        this.startClaimTimer(() => {
+            console.log('[LocalNetworkManager] No answer from', next.id);
+            this.knownPeers.delete(next.id);
+            this.resumeLooking();
         });
-        
-        this.waitForHostAcceptance();
     }
 
-    /**
-     * Start polling to check if we should remain host or join as guest
-     */
-    startHostPolling() {
-        this.hostPollingInterval = setInterval(() => {
-            this.checkHostStatus();
-        }, 200); // Check every 200ms
+    handleClaim(message) {
+        if (message.queueKey !== this.queueKey || this.state !== PAIRING_STATE.LOOKING) {
+            this.post({ type: 'decline', to: message.from });
+            return;
+        }
+
+        console.log('[LocalNetworkManager] Claimed by', message.from);
+        this.state = PAIRING_STATE.ACCEPTED;
+        this.claimTarget = message.from;
+        this.post({ type: 'accept', to: message.from });
+        this.startClaimTimer(() => {
+            console.log('[LocalNetworkManager] Host never confirmed, looking again');
+            this.knownPeers.delete(message.from);
+            this.resumeLooking();
+        });
     }
 
-    /**
-     * Check if we should remain host or switch to guest
-     */
-    checkHostStatus() {
-        if (this.matchmakingComplete) {
-            clearInterval(this.hostPollingInterval);
+    handleAccept(message) {
+        if (this.state !== PAIRING_STATE.CLAIMING || message.from !== this.claimTarget) {
+            // A late accept for a claim we gave up on
+            this.post({ type: 'decline', to: message.from });
             return;
         }
 
-        const peersData = localStorage.getItem('local-game-peers');
-        const peers = peersData ? JSON.parse(peersData) : [];
-        const now = Date.now();
-        const activePeers = peers.filter(p => p.active && (now - p.timestamp) < 10000);
-        
-        // Find all hosts
-        const allHosts = activePeers.filter(p => p.role === 'A');
-        
-        if (allHosts.length > 1) {
-            // Multiple hosts exist, find the earliest one
-            allHosts.sort((a, b) => a.timestamp - b.timestamp);
-            const earliestHost = allHosts[0];
-            
-            if (earliestHost.id !== this.peerId) {
-                // We're not the earliest host, switch to guest and join the earliest host
-                console.log('[LocalNetworkManager] Found earlier host, switching to guest');
-                clearInterval(this.hostPollingInterval);
-                
-                // Remove our host registration
-                const updatedPeers = peers.filter(p => p.id !== this.peerId);
-                localStorage.setItem('local-game-peers', JSON.stringify(updatedPeers));
-                
-                // Join as guest
-                this.role = 'B';
-                this.isInitiator = false;
-                this.opponentId = earliestHost.id;
-                
-                // Send join request
-                this.emitSignalingMessage({
-                    type: 'join-request',
-                    fromPeer: this.peerId,
-                    toPeer: earliestHost.id
-                });
-                
-                // Register as guest
-                updatedPeers.push({ 
-                    id: this.peerId, 
-                    active: true, 
-                    timestamp: Date.now(),
-                    role: 'B',
-                    matchedWith: earliestHost.id
-                });
-                localStorage.setItem('local-game-peers', JSON.stringify(updatedPeers));
-                
-                this.waitForHostAcceptance();
-            }
+        this.post({ type: 'matched', to: message.from });
+        this.startMatch('A', message.from);
+    }
+
+    handleDecline(message) {
+        if (message.from !== this.claimTarget) return;
+        if (this.state !== PAIRING_STATE.CLAIMING && this.state !== PAIRING_STATE.ACCEPTED) return;
+
+        console.log('[LocalNetworkManager] Declined by', message.from);
+        this.knownPeers.delete(message.from);
+        this.resumeLooking();
+    }
+
+    handleMatched(message) {
+        if (this.state !== PAIRING_STATE.ACCEPTED || message.from !== this.claimTarget) return;
+        this.startMatch('B', message.from);
+    }
+
+    handleBye(message) {
+        this.knownPeers.delete(message.from);
+
+        if (message.from === this.claimTarget && this.state !== PAIRING_STATE.MATCHED) {
+            this.resumeLooking();
+        } else if (message.from === this.opponentId && this.state === PAIRING_STATE.MATCHED) {
+            console.log('[LocalNetworkManager] Opponent closed their tab');
+            this.scene.events.emit('connection_failed');
+        } else {
+            this.tryClaim();
         }
     }
 
-    /**
-     * Try to join an existing room as guest (Player B)
-     */
-    tryJoinRoom(availableHosts) {
-        // Find the first available host
-        const host = availableHosts[0];
-        
-        this.role = 'B';
-        this.isInitiator = false;
-        this.opponentId = host.id;
-        
-        console.log('[LocalNetworkManager] Found host, joining as Player B (Guest)');
-        
-        // Send join request to host
-        this.emitSignalingMessage({
-            type: 'join-request',
-            fromPeer: this.peerId,
-            toPeer: host.id
-        });
-        
-        // Register ourselves
-        const peersData = localStorage.getItem('local-game-peers') || '[]';
-        const peers = JSON.parse(peersData);
-        peers.push({ 
-            id: this.peerId, 
-            active: true, 
-            timestamp: Date.now(),
-            role: 'B',
-            matchedWith: host.id
-        });
-        localStorage.setItem('local-game-peers', JSON.stringify(peers));
-        
-        this.isSignalingConnected = true;
-        
-        // Wait for host to accept
-        this.waitForHostAcceptance();
+    forgetPeers(ids) {
+        ids.forEach(id => this.knownPeers.delete(id));
+        this.tryClaim();
     }
 
-    /**
-     * Wait for a player to join our room
-     */
-    waitForPlayer() {
-        // This will be handled by handleSignalingMessage when we receive join-request
+    startClaimTimer(onTimeout) {
+        clearTimeout(this.claimTimer);
+        this.claimTimer = setTimeout(onTimeout, CLAIM_TIMEOUT_MS);
     }
 
     /**
-     * Wait for host to accept our join request
+     * Back to looking after a claim fell through, keeping our rank
      */
-    waitForHostAcceptance() {
-        // This will be handled by handleSignalingMessage when we receive join-accept
+    resumeLooking() {
+        clearTimeout(this.claimTimer);
+        this.claimTarget = null;
+        this.state = PAIRING_STATE.LOOKING;
+        this.sayHello();
+        this.tryClaim();
+    }
+
+    startMatch(role, opponentId) {
+        clearTimeout(this.claimTimer);
+        clearInterval(this.helloTimer);
+        this.state = PAIRING_STATE.MATCHED;
+        this.claimTarget = null;
+        this.knownPeers.clear();
+
+        this.role = role;
+        this.isInitiator = role === 'A';
+        this.opponentId = opponentId;
+        this.roomId = `tab-${role === 'A' ? this.peerId : opponentId}`;
+        this.matchmakingComplete = true;
+
+        console.log(`[LocalNetworkManager] Match found! Role: ${this.role}, Opponent: ${this.opponentId}`);
+        this.emitMatchFound();
+
+        // Same as the server-backed manager: start WebRTC without waiting for the scene
+        this.connectToGame();
     }
 
     /**
-     * Handle incoming signaling messages
+     * Handle incoming WebRTC signaling messages
      */
     handleSignalingMessage(message) {
-        console.log('[LocalNetworkManager] Received signaling message:', message.type);
+        if (!message.data) return;
 
-        switch (message.type) {
-            case 'join-request':
-                if (this.role === 'A' && !this.opponentId && !this.matchmakingComplete) {
-                    this.opponentId = message.fromPeer;
-                    this.matchmakingComplete = true;
-                    
-                    console.log('[LocalNetworkManager] Player B joined, accepting match...');
-                    
-                    // Update our status in localStorage
-                    this.updatePeerStatus(false); // No longer looking for match
-                    
-                    // Send acceptance to Player B
-                    this.emitSignalingMessage({
-                        type: 'join-accept',
-                        fromPeer: this.peerId,
-                        toPeer: message.fromPeer
-                    });
-                    
-                    // Emit match_found for both players
-                    this.emitMatchFound();
-                    this.connectToGame();
-                }
-                break;
-
-            case 'join-accept':
-                if (this.role === 'B' && message.fromPeer === this.opponentId && !this.matchmakingComplete) {
-                    this.matchmakingComplete = true;
-                    
-                    console.log('[LocalNetworkManager] Host accepted our join request');
-                    
-                    // Emit match_found for Player B
-                    this.emitMatchFound();
-                    this.connectToGame();
-                }
-                break;
+        console.log('[LocalNetworkManager] Received signal:', message.data.type);
 
+        switch (message.data.type) {
             case 'offer':
                 if (this.gameConnection) {
                     this.gameConnection.handleOffer(message.data);
@@ -422,21 +379,6 @@ export class LocalNetworkManager {
         }
     }
 
-    /**
-     * Update peer status in localStorage
-     */
-    updatePeerStatus(lookingForMatch) {
-        const peersData = localStorage.getItem('local-game-peers') || '[]';
-        const peers = JSON.parse(peersData);
-        const peerIndex = peers.findIndex(p => p.id === this.peerId);
-        
-        if (peerIndex !== -1) {
-            peers[peerIndex].lookingForMatch = lookingForMatch;
-            peers[peerIndex].timestamp = Date.now();
-            localStorage.setItem('local-game-peers', JSON.stringify(peers));
-        }
-    }
-
     /**
      * Emit match_found event
      */
@@ -452,28 +394,13 @@ export class LocalNetworkManager {
     }
 
     /**
-     * Emit signaling message via localStorage
-     */
-    emitSignalingMessage(message) {
-        message.targetPeer = this.opponentId;
-        message.fromPeer = this.peerId;
-        message.timestamp = Date.now();
-        
-        localStorage.setItem('local-game-signaling', JSON.stringify(message));
-        
-        // Clear after a short delay to prevent old messages
-        setTimeout(() => {
-            localStorage.removeItem('local-game-signaling');
-        }, 100);
-    }
-
-    /**
-     * Wrapper for compatibility with existing GameConnection
+     * Compatibility wrapper so LocalGameConnection can call socket.emit(...)
      */
     emit(event, payload) {
-        this.emitSignalingMessage({
-            type: event,
-            data: payload
+        this.post({
+            type: 'signal',
+            to: this.opponentId,
+            data: { type: event, ...payload }
         });
     }
 
@@ -519,11 +446,15 @@ export class LocalNetworkManager {
             this.gameConnection.close();
             this.gameConnection = null;
         }
-        
+
         // Import LocalGameConnection dynamically to avoid circular dependencies
         const { LocalGameConnection } = await import('./LocalGameConnection.js');
-        
-        this.gameConnection = new LocalGameConnection(this, this.scene.events);
+
+        this.gameConnection = wrapConnection(this.scene.events, events => new LocalGameConnection(this, events), {
+            hello: this.hello,
+            networkConditions: this.networkConditions,
+            recorder: this.recorder
+        });
 
         await this.gameConnection.initialize({
             isInitiator: this.isInitiator,
@@ -535,17 +466,41 @@ export class LocalNetworkManager {
     }
 
     /**
-     * Find match - simplified for local development
+     * Find match among the other open tabs
+     * @param {Object} preferences
+     * @param {string} [preferences.gameId] - Only tabs of the same game are paired
+     * @param {string|number} [preferences.gameVersion] - Only tabs of the same build are paired
+     * @param {string} [preferences.roomCode] - Pair only with tabs using this code, or CREATE_ROOM_CODE to make one up
      */
     async findMatch(preferences = {}) {
-        console.log('[LocalNetworkManager] findMatch called - checking current status...');
-        // Only start matchmaking if not already in progress or completed
-        if (!this.isSignalingConnected || (!this.matchmakingComplete && !this.opponentId)) {
-            console.log('[LocalNetworkManager] Starting fresh matchmaking process...');
-            this.startMatchmaking();
-        } else {
+        if (this.state !== PAIRING_STATE.IDLE) {
             console.log('[LocalNetworkManager] Matchmaking already in progress or completed');
+            return;
+        }
+
+        let roomCode = preferences.roomCode ? String(preferences.roomCode).trim().toUpperCase() : '';
+        if (roomCode.toLowerCase() === CREATE_ROOM_CODE) {
+            roomCode = this.generateRoomCode();
+            console.log('[LocalNetworkManager] Private room created:', roomCode);
+            this.scene.events.emit('room_created', { code: roomCode });
         }
+        this.roomCode = roomCode || null;
+
+        const game = preferences.gameVersion !== undefined
+            ? `${preferences.gameId}@${preferences.gameVersion}`
+            : String(preferences.gameId || 'default');
+        this.queueKey = roomCode ? `${game}#${roomCode}` : game;
+
+        console.log(`[LocalNetworkManager] Looking for another tab (${this.queueKey})...`);
+        this.startLooking();
+    }
+
+    generateRoomCode() {
+        let code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+        }
+        return code;
     }
 
     /**
@@ -556,29 +511,50 @@ export class LocalNetworkManager {
         return Promise.resolve();
     }
 
+    /**
+     * Spectating needs the matchmaking server
+     */
+    async spectate(roomId) {
+        this.scene.events.emit('spectate_error', { roomId, message: 'Spectating needs the matchmaking server' });
+    }
+
+    /**
+     * Tournaments need the matchmaking server
+     */
+    async joinTournament(tournamentId) {
+        this.scene.events.emit('tournament_error', { tournamentId, message: 'Tournaments need the matchmaking server' });
+    }
+
+    /**
+     * Nothing is rated without the server
+     */
+    reportMatchResult() {}
+
+    async fetchLeaderboard() {
+        throw new Error('Leaderboards need the matchmaking server');
+    }
+
     /**
      * Disconnect and cleanup
      */
     disconnect() {
         console.log('[LocalNetworkManager] Disconnecting...');
-        
-        // Clear polling interval
-        if (this.hostPollingInterval) {
-            clearInterval(this.hostPollingInterval);
-        }
-        
-        // Remove peer from active list
-        const peersData = localStorage.getItem('local-game-peers');
-        if (peersData) {
-            const peers = JSON.parse(peersData);
-            const updatedPeers = peers.filter(p => p.id !== this.peerId);
-            localStorage.setItem('local-game-peers', JSON.stringify(updatedPeers));
+        clearTimeout(this.claimTimer);
+        clearInterval(this.helloTimer);
+
+        this.post({ type: 'bye' });
+        window.removeEventListener('pagehide', this.onPageHide);
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
         }
 
         if (this.gameConnection) {
             this.gameConnection.close();
         }
-        
+
+        this.state = PAIRING_STATE.IDLE;
+        this.isSignalingConnected = false;
         this.matchmakingComplete = false;
         this.opponentId = null;
     }
@@ -0,0 +1,317 @@
+import { wrapConnection } from './wrapConnection.js';
+
+/**
+ * LoopbackGameConnection - Game data passed straight between two endpoints in
+ * the same page or process, without WebRTC or a server
+ * Exposes the same surface as LocalGameConnection: send(data, reliable),
+ * isConnected and the game_* events, so the game-specific connections work
+ * unchanged. Used for hot-seat play (two scenes in one page) and for protocol
+ * round-trip tests in Node:
+ *
+ *   const [a, b] = createLoopbackPair(sceneA.events, sceneB.events, { latencyMs: 50 });
+ *   a.initialize({ isInitiator: true });
+ *   b.initialize({ isInitiator: false }); // both get game_datachannel_open
+ *
+ * LoopbackNetworkManager pairs the scenes of one page the way the matchmaking
+ * server pairs tabs, so a game's NetworkManager can use it as a drop-in.
+ */
+
+export class LoopbackGameConnection {
+    /**
+     * @param {{emit: function(string, Object): void}} eventEmitter - Scene events, or any emitter in tests
+     * @param {Object} [options]
+     * @param {number} [options.latencyMs] - One-way delay for every frame; 0 still delivers asynchronously
+     */
+    constructor(eventEmitter, options = {}) {
+        this.eventEmitter = eventEmitter;
+        this.latencyMs = options.latencyMs || 0;
+        this.transport = 'loopback';
+        this.peer = null; // The other endpoint, see createLoopbackPair()
+        this.isInitialized = false;
+        this.isConnected = false;
+        this.isInitiator = false;
+        this.opponentId = null;
+        this.roomId = null;
+        this.timers = new Set();
+        this.onSend = null; // Optional hook called with (data, reliable) after each send
+    }
+
+    /**
+     * Mark this end ready; the channel opens once both ends are
+     */
+    initialize(config = {}) {
+        this.isInitiator = Boolean(config.isInitiator);
+        this.opponentId = config.opponentId || null;
+        this.roomId = config.roomId || null;
+        this.isInitialized = true;
+
+        if (this.peer && this.peer.isInitialized) {
+            this.open();
+            this.peer.open();
+        }
+    }
+
+    open() {
+        if (this.isConnected) return;
+        console.log(`[LoopbackGameConnection] Channel open${this.roomId ? ` in ${this.roomId}` : ''}`);
+        this.isConnected = true;
+        this.eventEmitter.emit('game_connection_established');
+        this.eventEmitter.emit('game_datachannel_open');
+    }
+
+    /**
+     * Send data to the other endpoint
+     */
+    send(data, reliable = true) {
+        if (!this.isConnected || !this.peer) {
+            console.warn('[LoopbackGameConnection] Failed to send data: channel not open.');
+            return false;
+        }
+
+        // Copy binary frames like a real channel would, so the sender may reuse its buffer
+        const frame = data instanceof ArrayBuffer ? data.slice(0) : data;
+        this.peer.deliver(frame, reliable);
+        if (this.onSend) this.onSend(data, reliable);
+        return true;
+    }
+
+    /**
+     * Hand a frame from the other endpoint to the game. Never synchronous, so
+     * a frame does not land inside the sender's own send() call.
+     */
+    deliver(data, reliable) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (!this.isConnected) return;
+            this.eventEmitter.emit('game_data_received', {
+                data: data,
+                channel: reliable ? 'game_reliable' : 'game_unreliable'
+            });
+        }, this.latencyMs);
+        this.timers.add(timer);
+    }
+
+    /**
+     * Close both ends; the other one sees game_connection_lost
+     */
+    close() {
+        if (!this.isInitialized && !this.isConnected) return;
+        this.shutdown();
+
+        const peer = this.peer;
+        if (peer && (peer.isConnected || peer.isInitialized)) {
+            peer.shutdown();
+            peer.eventEmitter.emit('game_connection_lost');
+        }
+    }
+
+    shutdown() {
+        this.isConnected = false;
+        this.isInitialized = false;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+/**
+ * Two connected endpoints, one per emitter
+ * @param {Object} emitterA
+ * @param {Object} emitterB
+ * @param {Object} [options] - latencyMs, as for LoopbackGameConnection
+ * @returns {[LoopbackGameConnection, LoopbackGameConnection]}
+ */
+export function createLoopbackPair(emitterA, emitterB, options = {}) {
+    const a = new LoopbackGameConnection(emitterA, options);
+    const b = new LoopbackGameConnection(emitterB, options);
+    a.peer = b;
+    b.peer = a;
+    return [a, b];
+}
+
+// Scenes of this page waiting for an opponent, by queue key
+const waitingManagers = new Map();
+
+let nextPeerNumber = 1;
+
+/**
+ * Pairs scenes running in the same page, e.g. two GameScene instances side by
+ * side for couch play. Same surface as the LocalNetworkManagers: the first
+ * scene to call findMatch() becomes Player A, the next one of the same game
+ * Player B.
+ */
+export class LoopbackNetworkManager {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options]
+     * @param {number} [options.loopbackLatencyMs] - Artificial one-way latency between the two scenes
+     * @param {Object} [options.hello] - { gameId, protocolVersion, build, features } checked with the other scene, see HelloHandshake
+     * @param {Object} [options.networkConditions] - Latency, loss and bandwidth to simulate, see NetworkConditioner
+     * @param {SessionRecorder} [options.recorder] - Records the game messages of every match, see SessionRecorder
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.latencyMs = options.loopbackLatencyMs || 0;
+        this.hello = options.hello || null;
+        this.networkConditions = options.networkConditions || null;
+        this.recorder = options.recorder || null;
+        this.peerId = `loopback-${nextPeerNumber++}`;
+        this.roomId = 'loopback-room';
+        this.role = null; // 'A' or 'B'
+        this.opponentId = null;
+        this.isInitiator = false;
+        this.isSignalingConnected = true;
+        this.matchmakingComplete = false;
+        this.queueKey = null;
+
+        this.gameConnection = null;
+        this.pendingConnection = null; // Our end of the pair, handed out by connectToGame()
+        this.peerFeatures = null; // Features both scenes support, once the other scene said hello
+
+        this.setupHandshake();
+    }
+
+    /**
+     * Follow the hello exchange of gated connections: remember what the
+     * other scene supports, and leave if it can't play with us at all
+     */
+    setupHandshake() {
+        // A new opponent has not said hello yet
+        this.scene.events.on('match_found', () => {
+            this.peerFeatures = null;
+        });
+        this.scene.events.on('peer_verified', ({ features }) => {
+            this.peerFeatures = features;
+        });
+
+        // The scene shows the reason; the other scene sees us leave
+        this.scene.events.on('peer_incompatible', () => this.disconnect());
+    }
+
+    /**
+     * True if both scenes support an optional feature from the hello; until the
+     * other scene has said hello this goes by our own features
+     */
+    sharesFeature(feature) {
+        const features = this.peerFeatures || (this.hello && this.hello.features) || [];
+        return features.includes(feature);
+    }
+
+    async connect() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Wait for, or pair with, another scene of the same game in this page
+     * @param {Object} preferences - gameId and gameVersion, as for the server
+     */
+    async findMatch(preferences = {}) {
+        if (this.queueKey) {
+            console.log('[LoopbackNetworkManager] Matchmaking already in progress or completed');
+            return;
+        }
+
+        this.queueKey = `${preferences.gameId}@${preferences.gameVersion}`;
+        const host = waitingManagers.get(this.queueKey);
+        if (!host) {
+            console.log(`[LoopbackNetworkManager] ${this.peerId} waiting for a second scene (${this.queueKey})`);
+            waitingManagers.set(this.queueKey, this);
+            this.scene.events.emit('queued', { queueKey: this.queueKey });
+            return;
+        }
+
+        waitingManagers.delete(this.queueKey);
+        // Each end sits behind its own scene's layers, like a player's connection does.
+        // Both scenes share the game's config, so conditioning the host's end covers both directions once.
+        const hostEnd = host.createEnd({ networkConditions: host.networkConditions });
+        const guestEnd = this.createEnd({});
+        hostEnd.peer = guestEnd;
+        guestEnd.peer = hostEnd;
+        const roomId = `loopback-${host.peerId}`;
+        host.startMatch('A', this.peerId, roomId, hostEnd);
+        this.startMatch('B', host.peerId, roomId, guestEnd);
+    }
+
+    /**
+     * Our end of a pair, behind the hello gate and the recorder tap
+     */
+    createEnd(options) {
+        return wrapConnection(this.scene.events, events => new LoopbackGameConnection(events, { latencyMs: this.latencyMs }), {
+            hello: this.hello,
+            recorder: this.recorder,
+            ...options
+        });
+    }
+
+    startMatch(role, opponentId, roomId, connection) {
+        this.role = role;
+        this.isInitiator = role === 'A';
+        this.opponentId = opponentId;
+        this.roomId = roomId;
+        this.matchmakingComplete = true;
+        this.pendingConnection = connection;
+
+        console.log(`[LoopbackNetworkManager] Match found! Role: ${this.role}, Opponent: ${this.opponentId}`);
+        this.scene.events.emit('match_found', {
+            roomId: this.roomId,
+            role: this.role,
+            opponentId: this.opponentId,
+            opponentUid: this.opponentId,
+            isInitiator: this.isInitiator,
+            iceServers: { game: [] }
+        });
+    }
+
+    /**
+     * Open our end of the pair; the channel opens once both scenes did
+     */
+    async connectToGame() {
+        if (!this.pendingConnection) {
+            // Scenes may ask twice; only complain if there is no match at all
+            if (!this.gameConnection) console.error('[LoopbackNetworkManager] Cannot connect to game: No opponent found');
+            return;
+        }
+
+        this.gameConnection = this.pendingConnection;
+        this.pendingConnection = null;
+        this.gameConnection.initialize({
+            isInitiator: this.isInitiator,
+            opponentId: this.opponentId,
+            roomId: this.roomId
+        });
+    }
+
+    /**
+     * Spectating needs the matchmaking server
+     */
+    async spectate(roomId) {
+        this.scene.events.emit('spectate_error', { roomId, message: 'Spectating needs the matchmaking server' });
+    }
+
+    /**
+     * Tournaments need the matchmaking server
+     */
+    async joinTournament(tournamentId) {
+        this.scene.events.emit('tournament_error', { tournamentId, message: 'Tournaments need the matchmaking server' });
+    }
+
+    /**
+     * Nothing is rated without the server
+     */
+    reportMatchResult() {}
+
+    async fetchLeaderboard() {
+        throw new Error('Leaderboards need the matchmaking server');
+    }
+
+    disconnect() {
+        console.log('[LoopbackNetworkManager] Disconnecting...');
+        if (waitingManagers.get(this.queueKey) === this) waitingManagers.delete(this.queueKey);
+        if (this.gameConnection) this.gameConnection.close();
+        this.matchmakingComplete = false;
+        this.opponentId = null;
+    }
+
+    get isConnected() {
+        return this.gameConnection ? this.gameConnection.isConnected : false;
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * NetworkConditioner - Simulated latency, jitter, loss, reordering and
+ * bandwidth limits on a game connection
+ * Two tabs on one machine talk over a perfect link, so timing bugs that every
+ * real network shows never turn up in local testing. The conditioner sits
+ * between a connection and the scene's events, like a HelloGate, and holds
+ * back frames in both directions: the ones the game sends and the ones it
+ * receives. One player with ?netsim is enough to feel the whole link.
+ *
+ *   const conditioner = new NetworkConditioner(scene.events, parseNetworkConditions('3g'));
+ *   const connection = conditioner.attach(new LocalGameConnection(manager, conditioner));
+ *
+ * Conditions, per direction:
+ *   latencyMs     - one-way delay added to every frame
+ *   jitterMs      - random spread around the latency, so RTT varies
+ *   loss          - share of unreliable frames dropped (0..1); the reliable
+ *                   channel retransmits, so loss shows up there as delay instead
+ *   reorder       - share of unreliable frames held back behind later ones (0..1)
+ *                   ?netsim takes both as shares or percentages: loss:0.05,
+ *                   loss:5% and loss:5 all drop one frame in twenty
+ *   bandwidthKbps - link capacity; frames queue behind each other (0 = unlimited)
+ *
+ * The conditions object is read on every frame, so changing it (see
+ * NetworkConditionsPanel) takes effect at once.
+ */
+
+export const NETWORK_PRESETS = {
+    off: { latencyMs: 0, jitterMs: 0, loss: 0, reorder: 0, bandwidthKbps: 0 },
+    lan: { latencyMs: 2, jitterMs: 1, loss: 0, reorder: 0, bandwidthKbps: 0 },
+    wifi: { latencyMs: 15, jitterMs: 10, loss: 0.01, reorder: 0, bandwidthKbps: 0 },
+    '4g': { latencyMs: 50, jitterMs: 20, loss: 0.01, reorder: 0.01, bandwidthKbps: 0 },
+    '3g': { latencyMs: 150, jitterMs: 50, loss: 0.03, reorder: 0.02, bandwidthKbps: 750 },
+    bad: { latencyMs: 300, jitterMs: 120, loss: 0.1, reorder: 0.05, bandwidthKbps: 256 }
+};
+
+// ?netsim=latency:100,jitter:30 keys, and the conditions they set
+const PARAMETER_KEYS = {
+    latency: 'latencyMs',
+    jitter: 'jitterMs',
+    loss: 'loss',
+    reorder: 'reorder',
+    bandwidth: 'bandwidthKbps'
+};
+
+// Conditions that are a share of frames (0..1) rather than an amount
+const SHARE_KEYS = ['loss', 'reorder'];
+
+// How long a reordered frame is held on top of its delay
+const REORDER_HOLD_MS = 40;
+
+/**
+ * Conditions from a ?netsim value: a preset name ('3g'), key:value pairs
+ * ('latency:100,jitter:30,loss:5%,bandwidth:500') or both ('4g,loss:0.2').
+ * An empty value turns the simulator on with no impairment.
+ * @returns {Object} A new conditions object, with `preset` set to the name used if any
+ */
+export function parseNetworkConditions(value) {
+    const conditions = { ...NETWORK_PRESETS.off, preset: 'off' };
+    (value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [key, raw] = part.split(':');
+        if (raw === undefined) {
+            if (NETWORK_PRESETS[key]) {
+                Object.assign(conditions, NETWORK_PRESETS[key], { preset: key });
+            } else {
+                console.warn(`[NetworkConditioner] Unknown preset "${key}"`);
+            }
+            return;
+        }
+
+        const name = PARAMETER_KEYS[key];
+        let number = raw.endsWith('%') ? parseFloat(raw) / 100 : parseFloat(raw);
+        // loss:5 means 5%, not "drop every frame"
+        const share = SHARE_KEYS.includes(name);
+        if (share && !raw.endsWith('%') && number > 1) number /= 100;
+        if (!name || !Number.isFinite(number) || number < 0 || (share && number > 1)) {
+            console.warn(`[NetworkConditioner] Ignoring "${part}"`);
+            return;
+        }
+        conditions[name] = number;
+        conditions.preset = 'custom';
+    });
+    return conditions;
+}
+
+/**
+ * One direction of the simulated link
+ */
+class SimulatedLink {
+    constructor() {
+        this.freeAt = 0; // When the bandwidth queue is empty again
+        this.lastReliableAt = 0; // The reliable channel is ordered; nothing overtakes its last frame
+        this.timers = new Set();
+    }
+
+    /**
+     * Deliver a frame after the conditions' delay, or drop it
+     */
+    carry(conditions, data, reliable, deliver) {
+        if (!reliable && Math.random() < conditions.loss) return;
+
+        const now = performance.now();
+        let at = now;
+        if (conditions.bandwidthKbps > 0) {
+            const bytes = data instanceof ArrayBuffer ? data.byteLength : String(data).length;
+            this.freeAt = Math.max(this.freeAt, now) + bytes * 8 / conditions.bandwidthKbps;
+            at = this.freeAt;
+        }
+
+        at += Math.max(0, conditions.latencyMs + (Math.random() * 2 - 1) * conditions.jitterMs);
+        if (reliable) {
+            at = Math.max(at, this.lastReliableAt);
+            this.lastReliableAt = at;
+        } else if (Math.random() < conditions.reorder) {
+            at += REORDER_HOLD_MS + conditions.jitterMs;
+        }
+
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            deliver();
+        }, at - now);
+        this.timers.add(timer);
+    }
+
+    clear() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+/**
+ * Stands in for the scene's event emitter in front of one game connection,
+ * and wraps that connection's send()
+ */
+export class NetworkConditioner {
+    /**
+     * @param {Object} events - Where the connection's events end up: scene events, or a HelloGate
+     * @param {Object} conditions - See parseNetworkConditions(); read on every frame
+     */
+    constructor(events, conditions) {
+        this.events = events;
+        this.conditions = conditions;
+        this.outbound = new SimulatedLink();
+        this.inbound = new SimulatedLink();
+        this.connection = null;
+    }
+
+    /**
+     * @param {Object} connection - The game connection this conditioner was given to
+     * @returns {Object} The same connection, its send() now going through the simulated link
+     */
+    attach(connection) {
+        this.connection = connection;
+        const send = connection.send.bind(connection);
+        const close = connection.close.bind(connection);
+
+        connection.send = (data, reliable = true) => {
+            if (!connection.isConnected) return send(data, reliable);
+            // Copy binary frames like a real channel would, so the caller may reuse its buffer
+            const frame = data instanceof ArrayBuffer ? data.slice(0) : data;
+            this.outbound.carry(this.conditions, frame, reliable, () => {
+                // Frames still on the way when the connection goes are lost with it
+                if (connection.isConnected) send(frame, reliable);
+            });
+            return true;
+        };
+        connection.close = () => {
+            this.outbound.clear();
+            this.inbound.clear();
+            close();
+        };
+        return connection;
+    }
+
+    emit(name, payload) {
+        if (name !== 'game_data_received') {
+            this.events.emit(name, payload);
+            return;
+        }
+        const reliable = payload.channel !== 'game_unreliable';
+        this.inbound.carry(this.conditions, payload.data, reliable, () => {
+            this.events.emit('game_data_received', payload);
+        });
+    }
+}
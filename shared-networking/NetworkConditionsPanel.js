@@ -0,0 +1,75 @@
+/**
+ * NetworkConditionsPanel - Debug panel for the NetworkConditioner
+ * Lists the simulated conditions and switches between the presets on click,
+ * while the match runs. Shown when the game was opened with ?netsim; F3
+ * hides and shows it.
+ */
+import { NETWORK_PRESETS } from './NetworkConditioner.js';
+
+const TOGGLE_KEY = 'keydown-F3';
+
+const TEXT_STYLE = {
+    fontSize: '12px',
+    fontFamily: 'monospace',
+    color: '#ffcc00'
+};
+
+export class NetworkConditionsPanel {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} conditions - The object the game's conditioners read, changed in place
+     * @param {Object} [options]
+     * @param {number} [options.depth] - Display depth, above the game and its panels
+     */
+    constructor(scene, conditions, options = {}) {
+        this.scene = scene;
+        this.conditions = conditions;
+
+        const { height } = scene.scale;
+        this.summary = scene.add.text(0, 0, '', TEXT_STYLE);
+        this.presetButtons = Object.keys(NETWORK_PRESETS).map((name, index) => {
+            const button = scene.add.text(index * 44, 18, name, { ...TEXT_STYLE, color: '#ffffff' });
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerdown', (pointer, x, y, event) => {
+                // Don't let the click reach the game underneath
+                if (event) event.stopPropagation();
+                this.applyPreset(name);
+            });
+            return button;
+        });
+
+        const background = scene.add.rectangle(-6, -4, Object.keys(NETWORK_PRESETS).length * 44 + 8, 40, 0x000000, 0.7)
+            .setOrigin(0);
+        this.container = scene.add.container(8, height - 48, [background, this.summary, ...this.presetButtons]);
+        this.container.setDepth(options.depth || 1000);
+        this.container.setScrollFactor(0);
+
+        this.onToggle = () => this.container.setVisible(!this.container.visible);
+        if (scene.input.keyboard) scene.input.keyboard.on(TOGGLE_KEY, this.onToggle);
+        scene.events.once('shutdown', () => this.destroy());
+
+        this.render();
+    }
+
+    applyPreset(name) {
+        Object.assign(this.conditions, NETWORK_PRESETS[name], { preset: name });
+        console.log(`[NetworkConditionsPanel] Simulating ${name}`);
+        this.render();
+    }
+
+    render() {
+        const { latencyMs, jitterMs, loss, reorder, bandwidthKbps } = this.conditions;
+        this.summary.setText(
+            `netsim ${latencyMs}±${jitterMs} ms, loss ${Math.round(loss * 100)}%, ` +
+            `reorder ${Math.round(reorder * 100)}%, ${bandwidthKbps > 0 ? `${bandwidthKbps} kbps` : 'no cap'}`
+        );
+        this.presetButtons.forEach(button => {
+            button.setColor(button.text === this.conditions.preset ? '#ffcc00' : '#ffffff');
+        });
+    }
+
+    destroy() {
+        if (this.scene.input.keyboard) this.scene.input.keyboard.off(TOGGLE_KEY, this.onToggle);
+        this.container.destroy();
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * RelayGameConnection - Game data relayed through the matchmaking server
+ * Fallback for when WebRTC cannot connect (restrictive networks, headless runners).
+ * Exposes the same surface as LocalGameConnection: send(data, reliable), isConnected
+ * and the game_* events, so the game-specific connections work unchanged.
+ *
+ * Each payload travels as one binary WebSocket frame: a flag byte followed by the data.
+ */
+const FLAG_RELIABLE = 1;
+const FLAG_TEXT = 2;
+
+/**
+ * Pack game data into a relay frame
+ * @param {ArrayBuffer|ArrayBufferView|string} data
+ * @param {boolean} reliable
+ * @returns {ArrayBuffer}
+ */
+export function encodeRelayFrame(data, reliable) {
+    const isText = typeof data === 'string';
+    let bytes;
+    if (isText) {
+        bytes = new TextEncoder().encode(data);
+    } else if (data instanceof ArrayBuffer) {
+        bytes = new Uint8Array(data);
+    } else {
+        bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    const frame = new Uint8Array(bytes.byteLength + 1);
+    frame[0] = (reliable ? FLAG_RELIABLE : 0) | (isText ? FLAG_TEXT : 0);
+    frame.set(bytes, 1);
+    return frame.buffer;
+}
+
+/**
+ * Unpack a relay frame into the shape of a game_data_received event
+ * @param {ArrayBuffer} frame
+ * @returns {{data: ArrayBuffer|string, channel: string}|null}
+ */
+export function decodeRelayFrame(frame) {
+    if (frame.byteLength < 1) return null;
+
+    const flags = new Uint8Array(frame, 0, 1)[0];
+    const payload = frame.slice(1);
+    return {
+        data: flags & FLAG_TEXT ? new TextDecoder().decode(payload) : payload,
+        channel: flags & FLAG_RELIABLE ? 'game_reliable' : 'game_unreliable'
+    };
+}
+
+export class RelayGameConnection {
+    constructor(socket, eventEmitter) {
+        this.socket = socket; // LocalNetworkManager instance
+        this.eventEmitter = eventEmitter;
+        this.transport = 'relay';
+        this.isConnected = false;
+        this.isInitiator = false;
+        this.opponentId = null;
+        this.roomId = null;
+    }
+
+    /**
+     * The server has already switched the match to relay mode, so the
+     * connection is usable straight away
+     */
+    initialize(config) {
+        this.isInitiator = config.isInitiator;
+        this.opponentId = config.opponentId;
+        this.roomId = config.roomId;
+
+        console.log(`[RelayGameConnection] Relaying game data via server for ${this.roomId}`);
+
+        this.isConnected = true;
+        this.eventEmitter.emit('game_connection_established');
+        this.eventEmitter.emit('game_datachannel_open');
+    }
+
+    /**
+     * Send data to the opponent through the server
+     */
+    send(data, reliable = true) {
+        if (!this.isConnected) {
+            console.warn('[RelayGameConnection] Failed to send data: relay not open.');
+            return false;
+        }
+
+        return this.socket.sendRelayFrame(encodeRelayFrame(data, reliable));
+    }
+
+    /**
+     * Handle a frame forwarded by the server
+     */
+    receive(frame) {
+        if (!this.isConnected) return;
+
+        const event = decodeRelayFrame(frame);
+        if (event) this.eventEmitter.emit('game_data_received', event);
+    }
+
+    /**
+     * Close connection
+     */
+    close() {
+        this.isConnected = false;
+    }
+}
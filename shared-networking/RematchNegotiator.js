@@ -0,0 +1,136 @@
+/**
+ * RematchNegotiator - Agrees on a rematch over the game's data channel
+ * After a game ends each player picks Rematch or Leave. The choice is sent as a
+ * small binary frame next to the game's own messages; once both players have
+ * picked Rematch the scene gets 'rematch_started' and resets itself, on the
+ * same connection, without going back through matchmaking.
+ *
+ * Frame: [Type:1 = REMATCH_MSG_TYPE][Intent:1][Game:1]
+ * Game is the number of the game being finished, so late or duplicated frames
+ * from an earlier game are ignored.
+ *
+ * Scene events:
+ *   rematch_requested { role }  - the opponent (or, for spectators, a player) wants a rematch
+ *   rematch_declined { role }   - the opponent left instead
+ *   rematch_started { game }    - both agreed; `game` counts up from 1 for the first rematch
+ */
+
+// Outside the message type range of every game's NetworkProtocol
+export const REMATCH_MSG_TYPE = 0xF0;
+
+export const REMATCH_INTENT = {
+    REMATCH: 1,
+    LEAVE: 2
+};
+
+/**
+ * True for data channel frames that belong to the rematch protocol, so game
+ * protocol decoders can skip them
+ */
+export function isRematchFrame(data) {
+    return data instanceof ArrayBuffer && data.byteLength === 3 &&
+        new DataView(data).getUint8(0) === REMATCH_MSG_TYPE;
+}
+
+export class RematchNegotiator {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} options
+     * @param {function(ArrayBuffer): void} options.send - Sends a frame reliably to the opponent
+     * @param {boolean} [options.isSpectator] - Only watch both players' choices
+     */
+    constructor(scene, options) {
+        this.scene = scene;
+        this.send = options.send;
+        this.isSpectator = Boolean(options.isSpectator);
+
+        this.game = 0; // Games finished so far in this match, modulo 256 on the wire
+        this.intents = {}; // role ('me' for players) -> REMATCH_INTENT for the current game
+
+        // Keep a reference so destroy() only removes this handler
+        this.onGameData = (event) => {
+            if (isRematchFrame(event.data)) this.handleFrame(event.data, event.from);
+        };
+        this.scene.events.on('game_data_received', this.onGameData);
+    }
+
+    /**
+     * This player wants a rematch
+     */
+    request() {
+        this.choose(REMATCH_INTENT.REMATCH);
+    }
+
+    /**
+     * This player is leaving; the opponent's Rematch button should be withdrawn
+     */
+    leave() {
+        this.choose(REMATCH_INTENT.LEAVE);
+    }
+
+    get hasChosen() {
+        return this.intents.me !== undefined;
+    }
+
+    get opponentWantsRematch() {
+        return this.intents.opponent === REMATCH_INTENT.REMATCH;
+    }
+
+    choose(intent) {
+        if (this.isSpectator || this.hasChosen) return;
+        this.intents.me = intent;
+
+        const buffer = new ArrayBuffer(3);
+        const view = new DataView(buffer);
+        view.setUint8(0, REMATCH_MSG_TYPE);
+        view.setUint8(1, intent);
+        view.setUint8(2, this.game & 0xFF);
+        this.send(buffer);
+
+        this.checkAgreement();
+    }
+
+    handleFrame(buffer, from) {
+        const view = new DataView(buffer);
+        const intent = view.getUint8(1);
+        if (view.getUint8(2) !== (this.game & 0xFF)) return;
+
+        // Players hear only from their opponent; spectators hear both players by role
+        const key = this.isSpectator ? from : 'opponent';
+        if (!key || this.intents[key] === intent) return; // Frames can arrive twice
+        this.intents[key] = intent;
+
+        const role = this.isSpectator ? from : null;
+        if (intent === REMATCH_INTENT.REMATCH) {
+            console.log('[RematchNegotiator] Rematch requested', role ? `by ${role}` : 'by opponent');
+            this.scene.events.emit('rematch_requested', { role });
+        } else if (intent === REMATCH_INTENT.LEAVE) {
+            console.log('[RematchNegotiator] Rematch declined', role ? `by ${role}` : 'by opponent');
+            this.scene.events.emit('rematch_declined', { role });
+        }
+
+        this.checkAgreement();
+    }
+
+    checkAgreement() {
+        const keys = this.isSpectator ? ['A', 'B'] : ['me', 'opponent'];
+        if (!keys.every(key => this.intents[key] === REMATCH_INTENT.REMATCH)) return;
+
+        this.game++;
+        this.intents = {};
+        console.log(`[RematchNegotiator] Rematch agreed, starting game ${this.game + 1}`);
+        this.scene.events.emit('rematch_started', { game: this.game });
+    }
+
+    /**
+     * Start counting again for a new match, e.g. the next tournament pairing
+     */
+    reset() {
+        this.game = 0;
+        this.intents = {};
+    }
+
+    destroy() {
+        this.scene.events.off('game_data_received', this.onGameData);
+    }
+}
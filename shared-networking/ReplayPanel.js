@@ -0,0 +1,97 @@
+/**
+ * ReplayPanel - Playback controls and the current message of a SessionReplay
+ * Space pauses and resumes, the right arrow plays the next message and stays
+ * paused, + and - change the speed. Each message shows with its direction,
+ * channel and first bytes, so a desync can be walked through frame by frame.
+ */
+
+const PREVIEW_BYTES = 16;
+
+const KEYS = {
+    'keydown-SPACE': replay => replay.togglePause(),
+    'keydown-RIGHT': replay => replay.step(),
+    'keydown-PLUS': replay => replay.changeSpeed(1),
+    'keydown-NUMPAD_ADD': replay => replay.changeSpeed(1),
+    'keydown-MINUS': replay => replay.changeSpeed(-1),
+    'keydown-NUMPAD_SUBTRACT': replay => replay.changeSpeed(-1)
+};
+
+/**
+ * One line about a recorded message
+ */
+function describeEntry(entry) {
+    if (entry.type === 'event') return `event    ${entry.name}`;
+
+    const channel = entry.channel === 'game_unreliable' ? 'unreliable' : 'reliable';
+    let content;
+    if (entry.bytes !== undefined) {
+        const binary = atob(entry.bytes);
+        const hex = Array.from(binary.slice(0, PREVIEW_BYTES), char => char.charCodeAt(0).toString(16).padStart(2, '0'));
+        content = `${binary.length} B  ${hex.join(' ')}${binary.length > PREVIEW_BYTES ? ' ...' : ''}`;
+    } else {
+        content = JSON.stringify(entry.text.slice(0, 40));
+    }
+    return `${entry.type.padEnd(8)} ${channel.padEnd(10)} ${content}`;
+}
+
+export class ReplayPanel {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options]
+     * @param {number} [options.depth] - Display depth, above the game and its panels
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.replay = null; // The ReplayGameConnection, from its first progress event
+
+        const { height } = scene.scale;
+        this.text = scene.add.text(8, height - 8, 'REPLAY  Loading recording...', {
+            fontSize: '12px',
+            fontFamily: 'monospace',
+            color: '#66ccff',
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            padding: { x: 6, y: 4 }
+        }).setOrigin(0, 1);
+        this.text.setDepth(options.depth || 1000);
+        this.text.setScrollFactor(0);
+
+        // Keep references so destroy() only removes these handlers
+        this.onProgress = (progress) => {
+            this.replay = progress.replay;
+            this.render(progress);
+        };
+        this.onFinished = ({ total }) => {
+            this.text.setText(`REPLAY  finished, ${total} messages`);
+        };
+        this.onError = ({ message }) => {
+            this.text.setColor('#ff5555');
+            this.text.setText(`REPLAY  ${message}`);
+        };
+        this.keyHandlers = Object.entries(KEYS).map(([key, action]) => [key, () => {
+            if (this.replay) action(this.replay);
+        }]);
+
+        scene.events.on('replay_progress', this.onProgress);
+        scene.events.on('replay_finished', this.onFinished);
+        scene.events.on('replay_error', this.onError);
+        if (scene.input.keyboard) this.keyHandlers.forEach(([key, handler]) => scene.input.keyboard.on(key, handler));
+        scene.events.once('shutdown', () => this.destroy());
+    }
+
+    render({ index, total, entry, playing, speed }) {
+        const time = entry ? `${(entry.t / 1000).toFixed(2)} s` : '-';
+        this.text.setText([
+            `REPLAY  ${playing ? 'playing' : 'paused'} x${speed}  message ${index}/${total}  ${time}`,
+            entry ? describeEntry(entry) : '',
+            'Space pause  Right step  +/- speed'
+        ].join('\n'));
+    }
+
+    destroy() {
+        this.scene.events.off('replay_progress', this.onProgress);
+        this.scene.events.off('replay_finished', this.onFinished);
+        this.scene.events.off('replay_error', this.onError);
+        if (this.scene.input.keyboard) this.keyHandlers.forEach(([key, handler]) => this.scene.input.keyboard.off(key, handler));
+        this.text.destroy();
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * SessionRecorder - Capture of every game message a player sent and received
+ * Opt-in (?record). The network managers put a tap between each game
+ * connection and the scene's events, like a HelloGate; it logs the frames the
+ * game sends, the frames and connection events the scene gets, and the match
+ * they belong to. F4 downloads the capture as JSON, to attach to a bug report
+ * and play back with SessionReplay:
+ *
+ *   const recorder = new SessionRecorder(scene, { gameId, protocolVersion, build, userId });
+ *   const tap = recorder.tap(scene.events);
+ *   const connection = tap.attach(new LocalGameConnection(manager, tap));
+ *
+ * File: { format, version, metadata, matches, entries }
+ *   matches: the match_found payloads of the session, with their time
+ *   entries: { t, connection, type, ... } in order, t in ms since recording started
+ *     send    { channel, bytes | text } - a frame the game sent
+ *     receive { channel, bytes | text, from? } - a frame the scene got
+ *     event   { name } - game_connection_established, game_datachannel_open, game_connection_lost
+ *   Binary frames are base64 in `bytes`, string frames are kept in `text`.
+ */
+
+export const RECORDING_FORMAT = 'session-recording';
+export const RECORDING_VERSION = 1;
+
+const DOWNLOAD_KEY = 'keydown-F4';
+
+// Ping-pong at 60 updates a second in both directions fills this in about half an hour
+const MAX_ENTRIES = 250000;
+
+/**
+ * A frame as an entry's bytes or text field
+ */
+export function frameToEntry(data) {
+    if (!(data instanceof ArrayBuffer)) return { text: String(data) };
+
+    const bytes = new Uint8Array(data);
+    let binary = '';
+    // In chunks, since String.fromCharCode takes its bytes as arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return { bytes: btoa(binary) };
+}
+
+/**
+ * The frame an entry holds, as the connection delivered it
+ */
+export function entryToFrame(entry) {
+    if (entry.bytes === undefined) return entry.text;
+
+    const binary = atob(entry.bytes);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
+
+/**
+ * Stands in for the scene's event emitter in front of one game connection,
+ * and wraps that connection's send()
+ */
+class ConnectionTap {
+    constructor(recorder, events, connectionNumber) {
+        this.recorder = recorder;
+        this.events = events;
+        this.connectionNumber = connectionNumber;
+    }
+
+    /**
+     * @param {Object} connection - The game connection this tap was given to
+     * @returns {Object} The same connection
+     */
+    attach(connection) {
+        const send = connection.send.bind(connection);
+        connection.send = (data, reliable = true) => {
+            this.recorder.record(this.connectionNumber, 'send', {
+                channel: reliable ? 'game_reliable' : 'game_unreliable',
+                ...frameToEntry(data)
+            });
+            return send(data, reliable);
+        };
+        return connection;
+    }
+
+    emit(name, payload) {
+        if (name === 'game_data_received') {
+            this.recorder.record(this.connectionNumber, 'receive', {
+                channel: payload.channel,
+                ...frameToEntry(payload.data),
+                ...(payload.from ? { from: payload.from } : {})
+            });
+        } else {
+            this.recorder.record(this.connectionNumber, 'event', { name });
+        }
+        this.events.emit(name, payload);
+    }
+}
+
+export class SessionRecorder {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} metadata - Saved with the capture: gameId, protocolVersion, build, userId
+     */
+    constructor(scene, metadata) {
+        this.scene = scene;
+        this.metadata = {
+            ...metadata,
+            startedAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+        };
+        this.startTime = performance.now();
+        this.matches = [];
+        this.entries = [];
+        this.connectionCount = 0;
+        this.isFull = false;
+
+        // Keep references so destroy() only removes these handlers
+        this.onMatchFound = (match) => {
+            this.matches.push({ t: this.now(), ...match });
+        };
+        this.onDownload = () => this.download();
+        scene.events.on('match_found', this.onMatchFound);
+        if (scene.input && scene.input.keyboard) scene.input.keyboard.on(DOWNLOAD_KEY, this.onDownload);
+        scene.events.once('shutdown', () => this.destroy());
+
+        console.log('[SessionRecorder] Recording game messages; press F4 to download');
+    }
+
+    now() {
+        return Math.round((performance.now() - this.startTime) * 10) / 10;
+    }
+
+    /**
+     * A stand-in for `events` that records what passes through it, for one new connection
+     */
+    tap(events) {
+        this.connectionCount++;
+        return new ConnectionTap(this, events, this.connectionCount);
+    }
+
+    record(connection, type, fields) {
+        if (this.entries.length >= MAX_ENTRIES) {
+            if (!this.isFull) console.warn(`[SessionRecorder] Capture is full (${MAX_ENTRIES} messages); not recording any more`);
+            this.isFull = true;
+            return;
+        }
+        this.entries.push({ t: this.now(), connection, type, ...fields });
+    }
+
+    toJSON() {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            metadata: this.metadata,
+            matches: this.matches,
+            entries: this.entries
+        };
+    }
+
+    /**
+     * Save the capture so far as a JSON file
+     */
+    download() {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = this.metadata.startedAt.replace(/[:.]/g, '-');
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.metadata.gameId}-${stamp}.session.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        console.log(`[SessionRecorder] Downloaded ${this.entries.length} messages`);
+    }
+
+    destroy() {
+        this.scene.events.off('match_found', this.onMatchFound);
+        if (this.scene.input && this.scene.input.keyboard) this.scene.input.keyboard.off(DOWNLOAD_KEY, this.onDownload);
+    }
+}
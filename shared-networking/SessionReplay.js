@@ -0,0 +1,323 @@
+/**
+ * SessionReplay - Plays a SessionRecorder capture back into a game scene
+ * Opened with ?replay (pick the file) or ?replay=<url>. ReplayNetworkManager
+ * stands in for the LocalNetworkManagers: it finds the recorded match at once
+ * and hands out a ReplayGameConnection, which emits the frames and connection
+ * events the recording's scene got, with their original timing. No peer is
+ * connected; what the scene sends now goes nowhere. Playback can be paused and
+ * stepped one message at a time (see ReplayPanel) to find where a desync began.
+ *
+ * Only the first match of a recording is replayed: playback stops where the
+ * next match was found. A resumed match is still the same one.
+ *
+ * Scene events:
+ *   replay_progress { replay, index, total, entry, playing, speed } - after every message, and on pause or speed changes
+ *   replay_finished { total }
+ *   replay_error { message } - the recording could not be loaded or belongs to another game
+ */
+import { RECORDING_FORMAT, RECORDING_VERSION, entryToFrame } from './SessionRecorder.js';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Read a recording from a URL, or from a file the player picks when there is none
+ */
+export async function loadRecording(source) {
+    if (source && typeof source === 'object') return source;
+
+    let text;
+    if (source) {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`Could not load ${source} (${response.status})`);
+        text = await response.text();
+    } else {
+        text = await pickFile();
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * A file input on top of the page; browsers only open files the player chose
+ */
+function pickFile() {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.style.cssText = 'position: fixed; top: 8px; left: 8px; z-index: 10; background: #fff; padding: 4px;';
+        input.addEventListener('change', () => {
+            const [file] = input.files;
+            if (!file) return;
+            input.remove();
+            resolve(file.text());
+        });
+        document.body.appendChild(input);
+    });
+}
+
+/**
+ * Why a recording can't be replayed in this game, or null if it can
+ */
+export function checkRecording(recording, gameId, protocolVersion) {
+    if (!recording || recording.format !== RECORDING_FORMAT || !Array.isArray(recording.entries)) {
+        return 'This file is not a session recording.';
+    }
+    if (recording.version > RECORDING_VERSION) {
+        return `The recording is format version ${recording.version}; this build reads up to ${RECORDING_VERSION}.`;
+    }
+    const { metadata = {} } = recording;
+    if (gameId && metadata.gameId !== gameId) {
+        return `The recording is of ${metadata.gameId}, not ${gameId}.`;
+    }
+    if (protocolVersion && metadata.protocolVersion !== protocolVersion) {
+        return `The recording uses protocol version ${metadata.protocolVersion}; this build speaks ${protocolVersion}.`;
+    }
+    if (!recording.matches || recording.matches.length === 0) {
+        return 'The recording has no match in it.';
+    }
+    return null;
+}
+
+/**
+ * The entries of the recording's first match, up to the next match_found
+ */
+function firstMatchEntries(recording) {
+    const next = (recording.matches || []).slice(1).find(match => !match.resumed);
+    return next ? recording.entries.filter(entry => entry.t < next.t) : recording.entries;
+}
+
+/**
+ * Same surface as LocalGameConnection, fed from a recording
+ */
+export class ReplayGameConnection {
+    /**
+     * @param {{emit: function(string, Object): void}} eventEmitter - Scene events, or any emitter in tests
+     * @param {Object} recording - A SessionRecorder capture
+     */
+    constructor(eventEmitter, recording) {
+        this.eventEmitter = eventEmitter;
+        this.transport = 'replay';
+        this.isConnected = false;
+        this.entries = firstMatchEntries(recording);
+        this.index = 0; // Next entry to play
+        this.playing = false;
+        this.speed = 1;
+        this.timer = null;
+        this.sentCount = 0; // Frames the scene sent during the replay, dropped
+    }
+
+    initialize() {
+        console.log(`[ReplayGameConnection] Replaying ${this.entries.length} messages`);
+        this.play();
+    }
+
+    /**
+     * The scene's own frames have no one to go to
+     */
+    send() {
+        this.sentCount++;
+        return this.isConnected;
+    }
+
+    play() {
+        if (this.playing || this.index >= this.entries.length) return;
+        this.playing = true;
+        this.scheduleNext();
+        this.emitProgress();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.emitProgress();
+    }
+
+    togglePause() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    /**
+     * Play the next message now, and stay paused
+     */
+    step() {
+        this.pause();
+        this.playNext();
+    }
+
+    /**
+     * Next (+1) or previous (-1) playback speed
+     */
+    changeSpeed(direction) {
+        const current = SPEEDS.indexOf(this.speed);
+        this.speed = SPEEDS[Math.min(SPEEDS.length - 1, Math.max(0, current + direction))];
+        this.emitProgress();
+    }
+
+    scheduleNext() {
+        if (!this.playing || this.index >= this.entries.length) return;
+
+        const previous = this.entries[this.index - 1];
+        const wait = previous ? (this.entries[this.index].t - previous.t) / this.speed : 0;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.playNext();
+            this.scheduleNext();
+        }, wait);
+    }
+
+    playNext() {
+        if (this.index >= this.entries.length) return;
+
+        const entry = this.entries[this.index++];
+        if (entry.type === 'receive') {
+            const event = { data: entryToFrame(entry), channel: entry.channel };
+            if (entry.from) event.from = entry.from;
+            this.eventEmitter.emit('game_data_received', event);
+        } else if (entry.type === 'event') {
+            if (entry.name === 'game_datachannel_open') this.isConnected = true;
+            if (entry.name === 'game_connection_lost') this.isConnected = false;
+            this.eventEmitter.emit(entry.name);
+        }
+
+        this.emitProgress(entry);
+        if (this.index >= this.entries.length) {
+            this.playing = false;
+            console.log(`[ReplayGameConnection] Replay finished; the scene sent ${this.sentCount} frames`);
+            this.eventEmitter.emit('replay_finished', { total: this.entries.length });
+        }
+    }
+
+    emitProgress(entry = this.entries[this.index - 1]) {
+        this.eventEmitter.emit('replay_progress', {
+            replay: this,
+            index: this.index,
+            total: this.entries.length,
+            entry: entry || null,
+            playing: this.playing,
+            speed: this.speed
+        });
+    }
+
+    close() {
+        this.pause();
+        this.isConnected = false;
+    }
+}
+
+/**
+ * Same surface as the LocalNetworkManagers, for a recorded match
+ */
+export class ReplayNetworkManager {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options]
+     * @param {string|Object} [options.replay] - URL of the recording, the recording itself, or '' to pick a file
+     * @param {Object} [options.hello] - { features } this game supports, see sharesFeature()
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.source = options.replay || '';
+        this.hello = options.hello || null;
+        this.recording = null;
+        this.roomId = null;
+        this.role = null; // 'A' or 'B'
+        this.opponentId = null;
+        this.isInitiator = false;
+        this.isSignalingConnected = true;
+        this.matchmakingComplete = false;
+
+        this.gameConnection = null;
+    }
+
+    async connect() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Load the recording and report its match as found
+     * @param {Object} preferences - gameId and gameVersion, checked against the recording
+     */
+    async findMatch(preferences = {}) {
+        if (this.recording) return;
+
+        let problem;
+        try {
+            this.recording = await loadRecording(this.source);
+            problem = checkRecording(this.recording, preferences.gameId, preferences.gameVersion);
+        } catch (err) {
+            problem = `Could not read the recording: ${err.message}`;
+        }
+        if (problem) {
+            console.error('[ReplayNetworkManager]', problem);
+            this.recording = null;
+            this.scene.events.emit('replay_error', { message: problem });
+            return;
+        }
+
+        const { t, ...match } = this.recording.matches[0];
+        this.role = match.role;
+        this.isInitiator = match.isInitiator;
+        this.opponentId = match.opponentId;
+        this.roomId = match.roomId;
+        this.matchmakingComplete = true;
+
+        const { metadata } = this.recording;
+        console.log(`[ReplayNetworkManager] Replaying ${metadata.gameId} build ${metadata.build} from ${metadata.startedAt} as Player ${this.role}`);
+        this.scene.events.emit('match_found', match);
+    }
+
+    async connectToGame() {
+        if (!this.recording) {
+            console.error('[ReplayNetworkManager] Cannot connect to game: No recording loaded');
+            return;
+        }
+        if (this.gameConnection) return;
+
+        this.gameConnection = new ReplayGameConnection(this.scene.events, this.recording);
+        this.gameConnection.initialize();
+    }
+
+    /**
+     * Spectating needs the matchmaking server
+     */
+    async spectate(roomId) {
+        this.scene.events.emit('spectate_error', { roomId, message: 'Spectating needs the matchmaking server' });
+    }
+
+    /**
+     * Tournaments need the matchmaking server
+     */
+    async joinTournament(tournamentId) {
+        this.scene.events.emit('tournament_error', { tournamentId, message: 'Tournaments need the matchmaking server' });
+    }
+
+    /**
+     * Nobody says hello in a replay; the recording was made with our own features
+     */
+    sharesFeature(feature) {
+        return Boolean(this.hello && this.hello.features && this.hello.features.includes(feature));
+    }
+
+    /**
+     * A replayed game was already rated when it was played
+     */
+    reportMatchResult() {}
+
+    async fetchLeaderboard() {
+        throw new Error('Leaderboards need the matchmaking server');
+    }
+
+    disconnect() {
+        console.log('[ReplayNetworkManager] Disconnecting...');
+        if (this.gameConnection) this.gameConnection.close();
+        this.matchmakingComplete = false;
+        this.opponentId = null;
+    }
+
+    get isConnected() {
+        return this.gameConnection ? this.gameConnection.isConnected : false;
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * SharedFrames - The data channel frames the shared helpers put next to each
+ * game's own protocol, 0xF0 to 0xF4:
+ *   0xF0 rematch (RematchNegotiator)   0xF1 resync (StateResync)
+ *   0xF2 link probe (LinkMonitor)      0xF3 clock (ClockSync)
+ *   0xF4 hello (HelloHandshake)
+ * Every helper listens on game_data_received itself, so a game's connection
+ * only has to skip these before decoding:
+ *
+ *   if (isSharedFrame(event.data)) return;
+ */
+
+import { isRematchFrame } from './RematchNegotiator.js';
+import { isResyncFrame } from './StateResync.js';
+import { isProbeFrame } from './LinkMonitor.js';
+import { isClockFrame } from './ClockSync.js';
+import { isHelloFrame } from './HelloHandshake.js';
+
+/**
+ * True for frames that belong to one of the shared helpers, not the game.
+ * Hellos are taken by the network manager and only reach spectators here.
+ */
+export function isSharedFrame(data) {
+    return isRematchFrame(data) || isResyncFrame(data) || isProbeFrame(data) ||
+        isClockFrame(data) || isHelloFrame(data);
+}
@@ -0,0 +1,51 @@
+/**
+ * SpectatorConnection - Read-only view of a running match
+ * The server fans out both players' game data to spectators as relay frames,
+ * each prefixed with one byte holding the sender's role ('A' or 'B').
+ * Incoming data is emitted as game_data_received with an extra `from` field,
+ * so the game-specific connections can decode it as usual.
+ */
+import { decodeRelayFrame } from './RelayGameConnection.js';
+
+export class SpectatorConnection {
+    constructor(socket, eventEmitter) {
+        this.socket = socket; // LocalNetworkManager instance
+        this.eventEmitter = eventEmitter;
+        this.transport = 'spectator';
+        this.isConnected = false;
+        this.roomId = null;
+        this.players = [];
+    }
+
+    initialize(config) {
+        this.roomId = config.roomId;
+        this.players = config.players || [];
+        this.isConnected = true;
+
+        console.log(`[SpectatorConnection] Watching ${this.roomId}`);
+    }
+
+    /**
+     * Spectators never send game data
+     */
+    send() {
+        return false;
+    }
+
+    /**
+     * Handle a tagged frame forwarded by the server
+     */
+    receive(frame) {
+        if (!this.isConnected || frame.byteLength < 2) return;
+
+        const from = String.fromCharCode(new Uint8Array(frame, 0, 1)[0]);
+        const event = decodeRelayFrame(frame.slice(1));
+        if (event) {
+            this.eventEmitter.emit('game_data_received', { ...event, from });
+        }
+    }
+
+    close() {
+        this.isConnected = false;
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * StateResync - Brings both players back into agreement after a reconnect
+ * Frames sent while the connection was down can be lost, so once the game
+ * channel is back ('game_reconnected') each player sends a snapshot of its
+ * game state. The scene merges the opponent's snapshot into its own; how is up
+ * to the game (the side that got further, the drawer, each player's own
+ * throws...), but it must come out the same on both sides.
+ *
+ * Frame: [Type:1 = RESYNC_MSG_TYPE][JSON (UTF-8): { game, state }]
+ * Game is the RematchNegotiator's game number: a player who missed the last
+ * rematch agreement starts the rematch first, then merges.
+ *
+ * Scene events:
+ *   state_resynced { state } - the opponent's snapshot has been merged (state is null if it
+ *                              was a game behind and nothing needed merging); play can go on
+ */
+
+// Outside the message type range of every game's NetworkProtocol, next to REMATCH_MSG_TYPE
+export const RESYNC_MSG_TYPE = 0xF1;
+
+/**
+ * True for data channel frames that belong to the resync handshake, so game
+ * protocol decoders can skip them
+ */
+export function isResyncFrame(data) {
+    return data instanceof ArrayBuffer && data.byteLength > 1 &&
+        new DataView(data).getUint8(0) === RESYNC_MSG_TYPE;
+}
+
+export class StateResync {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} options
+     * @param {function(ArrayBuffer): void} options.send - Sends a frame reliably to the opponent
+     * @param {function(): Object} options.getState - JSON-safe snapshot of this player's game state
+     * @param {function(Object): void} options.applyState - Merges the opponent's snapshot
+     * @param {RematchNegotiator} [options.rematch] - Keeps the game number in step
+     */
+    constructor(scene, options) {
+        this.scene = scene;
+        this.send = options.send;
+        this.getState = options.getState;
+        this.applyState = options.applyState;
+        this.rematch = options.rematch || null;
+        this.isSpectator = false; // Spectators see both snapshots and apply neither
+
+        // Keep references so destroy() only removes these handlers
+        this.onReconnected = () => this.sendSnapshot();
+        this.onGameData = (event) => {
+            if (isResyncFrame(event.data)) this.handleFrame(event.data);
+        };
+        this.scene.events.on('game_reconnected', this.onReconnected);
+        this.scene.events.on('game_data_received', this.onGameData);
+    }
+
+    sendSnapshot() {
+        if (this.isSpectator) return;
+
+        const payload = {
+            game: this.rematch ? this.rematch.game : 0,
+            state: this.getState()
+        };
+        const json = new TextEncoder().encode(JSON.stringify(payload));
+        const frame = new Uint8Array(json.byteLength + 1);
+        frame[0] = RESYNC_MSG_TYPE;
+        frame.set(json, 1);
+
+        console.log(`[StateResync] Sending snapshot (${frame.byteLength} bytes)`);
+        this.send(frame.buffer);
+    }
+
+    handleFrame(buffer) {
+        if (this.isSpectator) return;
+
+        let payload;
+        try {
+            payload = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 1)));
+        } catch (err) {
+            console.warn('[StateResync] Dropping malformed snapshot:', err);
+            return;
+        }
+
+        if (this.rematch && payload.game < this.rematch.game) {
+            // The opponent missed the last rematch agreement and catches up from our snapshot
+            this.scene.events.emit('state_resynced', { state: null });
+            return;
+        }
+        if (this.rematch && payload.game > this.rematch.game) {
+            console.log(`[StateResync] Missed the rematch agreement, starting game ${payload.game + 1}`);
+            this.rematch.game = payload.game;
+            this.rematch.intents = {};
+            this.scene.events.emit('rematch_started', { game: payload.game });
+        }
+
+        console.log('[StateResync] Merging opponent snapshot');
+        this.applyState(payload.state);
+        this.scene.events.emit('state_resynced', { state: payload.state });
+    }
+
+    destroy() {
+        this.scene.events.off('game_reconnected', this.onReconnected);
+        this.scene.events.off('game_data_received', this.onGameData);
+    }
+}
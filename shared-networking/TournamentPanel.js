@@ -0,0 +1,155 @@
+/**
+ * TournamentPanel - "Waiting for your next match" screen between tournament games
+ * Fed with the scene's tournament_updated events: shows where the player
+ * stands with the current round of the bracket (or the round robin table),
+ * and gets out of the way while the player is in a match.
+ */
+
+// Leave the game over screen up for a moment before covering it
+const GAME_OVER_DELAY_MS = 3000;
+const MAX_ROWS = 8;
+
+const HEADLINES = {
+    registered: 'Registered',
+    waiting: 'Waiting for your next match...',
+    eliminated: 'You are out',
+    champion: 'You won the tournament!'
+};
+
+export class TournamentPanel {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options]
+     * @param {number} [options.depth] - Display depth, above the game over screen
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.depth = options.depth || 400;
+        this.container = null;
+        this.status = null;
+        this.showTimer = null;
+    }
+
+    get isOpen() {
+        return this.container !== null;
+    }
+
+    /**
+     * @param {{tournament: Object, status: string, playerId: string}} update - A tournament_updated event
+     */
+    update({ tournament, status, playerId }) {
+        const wasPlaying = this.status === 'playing';
+        this.status = status;
+
+        if (status === 'playing') {
+            this.hide();
+            return;
+        }
+
+        this.cancelShow();
+        if (wasPlaying) {
+            this.showTimer = this.scene.time.delayedCall(GAME_OVER_DELAY_MS, () => {
+                this.showTimer = null;
+                this.show(tournament, status, playerId);
+            });
+        } else {
+            this.show(tournament, status, playerId);
+        }
+    }
+
+    show(tournament, status, playerId) {
+        this.hide();
+
+        const { width, height } = this.scene.scale;
+        const panelWidth = Math.min(560, width - 40);
+        const panelHeight = Math.min(440, height - 40);
+
+        const shade = this.scene.add.rectangle(0, 0, width, height, 0x000000, 0.6);
+        shade.setInteractive();
+        shade.on('pointerdown', (pointer, x, y, event) => {
+            // Don't let the click reach the game underneath
+            if (event) event.stopPropagation();
+        });
+        const background = this.scene.add.rectangle(0, 0, panelWidth, panelHeight, 0x111111, 0.95)
+            .setStrokeStyle(2, 0xffd700);
+        const title = this.scene.add.text(0, -panelHeight / 2 + 30, tournament.name.toUpperCase(), {
+            fontSize: '24px',
+            fontFamily: 'Arial, sans-serif',
+            fontStyle: 'bold',
+            color: '#ffd700'
+        }).setOrigin(0.5);
+        const headline = this.scene.add.text(0, -panelHeight / 2 + 70, this.getHeadline(tournament, status), {
+            fontSize: '22px',
+            fontFamily: 'Arial, sans-serif',
+            color: '#ffffff',
+            align: 'center',
+            wordWrap: { width: panelWidth - 40 }
+        }).setOrigin(0.5);
+        const body = this.scene.add.text(0, -panelHeight / 2 + 110, this.formatBody(tournament, playerId), {
+            fontSize: '16px',
+            fontFamily: 'monospace',
+            color: '#dddddd',
+            lineSpacing: 6
+        }).setOrigin(0.5, 0);
+
+        this.container = this.scene.add.container(width / 2, height / 2, [shade, background, title, headline, body]);
+        this.container.setDepth(this.depth);
+        this.container.setScrollFactor(0);
+    }
+
+    getHeadline(tournament, status) {
+        if (status === 'finished') return `${tournament.winnerName || 'Nobody'} won the tournament`;
+        return HEADLINES[status] || '';
+    }
+
+    /**
+     * Registered players while the tournament fills up, then the current
+     * round's pairings (single elimination) or the table (round robin)
+     */
+    formatBody(tournament, playerId) {
+        if (tournament.state === 'registering') {
+            const names = tournament.players.slice(0, MAX_ROWS).map(player => `  ${player.name}`);
+            return [`${tournament.players.length} players, waiting for the start`, ...names].join('\n');
+        }
+
+        const round = `Round ${tournament.currentRound} of ${tournament.totalRounds}`;
+
+        if (tournament.standings) {
+            const rows = tournament.standings.slice(0, MAX_ROWS).map((row, index) => [
+                `${index + 1}.`.padEnd(4),
+                (row.playerId === playerId ? `${row.name} (you)` : row.name).slice(0, 18).padEnd(19),
+                `${row.points} pts`.padStart(7)
+            ].join(''));
+            return [round, '', ...rows].join('\n');
+        }
+
+        const pairings = tournament.rounds[tournament.currentRound - 1] || [];
+        const rows = pairings.slice(0, MAX_ROWS).map(pairing => {
+            const a = pairing.aName || 'bye';
+            const b = pairing.bName || 'bye';
+            let outcome = pairing.state === 'playing' ? 'playing' : '';
+            if (pairing.state === 'done' && pairing.winner) {
+                outcome = `${pairing.winner === pairing.a ? a : b} won`;
+            }
+            return `${a.slice(0, 12)} vs ${b.slice(0, 12)}`.padEnd(30) + outcome;
+        });
+        return [round, '', ...rows].join('\n');
+    }
+
+    cancelShow() {
+        if (!this.showTimer) return;
+        this.showTimer.remove();
+        this.showTimer = null;
+    }
+
+    hide() {
+        this.cancelShow();
+        if (!this.container) return;
+        this.container.destroy();
+        this.container = null;
+    }
+
+    destroy() {
+        this.hide();
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * UpdateRequiredScreen - Full screen notice for an incompatible opponent
+ * Shown on peer_incompatible (see HelloHandshake), after the network manager
+ * has already left the match. It covers the game, blocks its input and offers
+ * a reload, which is what fixes an out of date build.
+ */
+
+const TITLES = {
+    'game-mismatch': 'WRONG GAME',
+    'version-mismatch': 'UPDATE REQUIRED',
+    'no-hello': 'UPDATE REQUIRED'
+};
+
+export class UpdateRequiredScreen {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options]
+     * @param {number} [options.depth] - Display depth, above the game and every panel
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.depth = options.depth || 2000;
+        this.container = null;
+
+        // Keep a reference so destroy() only removes this handler
+        this.onIncompatible = (problem) => this.show(problem);
+        scene.events.on('peer_incompatible', this.onIncompatible);
+        scene.events.once('shutdown', () => this.destroy());
+    }
+
+    get isOpen() {
+        return this.container !== null;
+    }
+
+    show(problem) {
+        if (this.isOpen) return;
+
+        const { width, height } = this.scene.scale;
+        const panelWidth = Math.min(520, width - 40);
+
+        // Swallows every click so the game underneath stays untouched
+        const shade = this.scene.add.rectangle(0, 0, width, height, 0x000000, 0.85)
+            .setInteractive();
+        const background = this.scene.add.rectangle(0, 0, panelWidth, 260, 0x111111, 0.95)
+            .setStrokeStyle(2, 0xff5555);
+        const title = this.scene.add.text(0, -90, TITLES[problem.code] || 'UPDATE REQUIRED', {
+            fontSize: '28px',
+            fontFamily: 'Arial, sans-serif',
+            fontStyle: 'bold',
+            color: '#ff5555'
+        }).setOrigin(0.5);
+        const message = this.scene.add.text(0, -20, problem.message, {
+            fontSize: '18px',
+            fontFamily: 'Arial, sans-serif',
+            color: '#ffffff',
+            align: 'center',
+            wordWrap: { width: panelWidth - 40 }
+        }).setOrigin(0.5);
+        const reloadButton = this.scene.add.text(0, 80, 'Reload', {
+            fontSize: '22px',
+            fontFamily: 'Arial, sans-serif',
+            color: '#ffffff',
+            backgroundColor: '#aa3333',
+            padding: { x: 20, y: 8 }
+        }).setOrigin(0.5);
+
+        reloadButton.setInteractive({ useHandCursor: true });
+        reloadButton.on('pointerdown', () => window.location.reload());
+
+        this.container = this.scene.add.container(width / 2, height / 2, [shade, background, title, message, reloadButton]);
+        this.container.setDepth(this.depth);
+        this.container.setScrollFactor(0);
+    }
+
+    destroy() {
+        this.scene.events.off('peer_incompatible', this.onIncompatible);
+        if (this.container) {
+            this.container.destroy();
+            this.container = null;
+        }
+    }
+}
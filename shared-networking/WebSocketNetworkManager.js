@@ -2,10 +2,52 @@
  * WebSocket-based LocalNetworkManager
  * Uses a simple WebSocket server for coordination between browser tabs
  */
+import { RelayGameConnection, encodeRelayFrame } from './RelayGameConnection.js';
+import { SpectatorConnection } from './SpectatorConnection.js';
+import { BotGameConnection } from './BotGameConnection.js';
+import { wrapConnection } from './wrapConnection.js';
+
+// Room code value that asks the server to open a new private room
+export const CREATE_ROOM_CODE = 'new';
+
+// sessionStorage key for the token that lets a reloaded tab resume its match
+const SESSION_TOKEN_KEY = 'localNetwork.sessionToken';
+
+// How long WebRTC gets to open its data channel before falling back to the server relay
+const RELAY_FALLBACK_MS = 8000;
+
+// Matchmaking server used when the game does not configure one
+const DEFAULT_SERVER_URL = 'ws://localhost:8081';
+
+// Bringing a dropped game connection back: each step (ICE restart, then a new
+// peer connection) gets RECONNECT_ATTEMPT_MS, about the server's resume grace in all
+const RECONNECT_ATTEMPT_MS = 10000;
+const MAX_RECONNECT_ATTEMPTS = 3;
+
+// Delay between tries to reach the server again while reconnecting
+const SIGNALING_RETRY_MS = 2000;
 
 export class LocalNetworkManager {
-    constructor(scene) {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} [options]
+     * @param {string} [options.serverUrl] - WebSocket URL of the matchmaking server
+     * @param {string} [options.identityToken] - Signed identity token issued by the server's /identity endpoint
+     * @param {number} [options.botTimeoutMs] - Play a bot if nobody is paired with us this long after queueing (0 = never)
+     * @param {function} [options.createBot] - Creates the game's bot, see BotGameConnection
+     * @param {Object} [options.hello] - { gameId, protocolVersion, build, features } checked with the opponent, see HelloHandshake
+     * @param {Object} [options.networkConditions] - Latency, loss and bandwidth to simulate, see NetworkConditioner
+     * @param {SessionRecorder} [options.recorder] - Records the game messages of every match, see SessionRecorder
+     */
+    constructor(scene, options = {}) {
         this.scene = scene;
+        this.hello = options.hello || null;
+        this.networkConditions = options.networkConditions || null;
+        this.recorder = options.recorder || null;
+        this.serverUrl = options.serverUrl || DEFAULT_SERVER_URL;
+        this.identityToken = options.identityToken || null;
+        this.identity = null; // { userId, name } once the server has verified the token
+        this.opponentName = null;
         this.peerId = null;
         this.roomId = 'local-room';
         this.role = null; // 'A' or 'B'
@@ -13,18 +55,42 @@ export class LocalNetworkManager {
         this.isInitiator = false;
         this.isSignalingConnected = false;
         this.matchmakingComplete = false;
+        this.roomCode = null;
+        this.isResuming = false;
+        this.isResumed = false;
+        this.sessionToken = null;
 
         this.gameConnection = null;
         this.pendingOffer = null;
         this.pendingCandidates = [];
+        this.relayFallbackTimer = null;
+        this.spectatorCount = 0;
+        this.isSpectator = false;
+        this.rating = null; // Elo rating for this game, once the server reports it
+        this.botTimeoutMs = options.createBot ? (options.botTimeoutMs || 0) : 0;
+        this.createBot = options.createBot || null;
+        this.botTimer = null;
+        this.isBotMatch = false;
+        this.tournamentId = null; // Set while registered for a tournament
+        this.tournamentStatus = null; // Where we stand in it, see the server's tournament-registry.js
+        this.gameChannelOpened = false; // The current match has been played, so a drop is worth reconnecting
+        this.reconnection = null; // Attempt count, timers and what has been tried, while reconnecting
+        this.isClosing = false; // disconnect() was called; a closed socket is not a drop
+        this.signalingRetryTimer = null;
+        this.peerFeatures = null; // Features both players support, once the opponent said hello
         
-        // STUN servers only for local development
+        // STUN servers only for local development, replaced by the server's list on match-found
         this.iceServers = [
             { urls: 'stun:stun.l.google.com:19302' },
             { urls: 'stun:stun1.l.google.com:19302' }
         ];
 
         this.setupWebSocketConnection();
+        this.setupReconnection();
+        this.setupHandshake();
+
+        // A rematch carries on in the same match, which was finished since the last game
+        this.scene.events.on('rematch_started', () => this.reportMatchState('playing'));
     }
 
     /**
@@ -32,14 +98,32 @@ export class LocalNetworkManager {
      */
     setupWebSocketConnection() {
         try {
-            this.ws = new WebSocket('ws://localhost:8081');
+            console.log('[LocalNetworkManager] Connecting to', this.serverUrl);
+            this.ws = new WebSocket(this.getConnectionUrl());
+            this.ws.binaryType = 'arraybuffer';
             
             this.ws.onopen = () => {
                 console.log('[LocalNetworkManager] Connected to local server');
-                this.isSignalingConnected = true;
+
+                // Try to take back the seat of a session this tab dropped
+                // (e.g. after a reload); matchmaking waits for the answer
+                const storedToken = this.loadSessionToken();
+                if (storedToken) {
+                    console.log('[LocalNetworkManager] Resuming previous session...');
+                    this.isResuming = true;
+                    this.sendToServer({ type: 'resume', token: storedToken });
+                } else {
+                    this.isSignalingConnected = true;
+                }
             };
             
             this.ws.onmessage = (event) => {
+                // Binary frames are relayed game data
+                if (event.data instanceof ArrayBuffer) {
+                    this.handleRelayFrame(event.data);
+                    return;
+                }
+
                 try {
                     const message = JSON.parse(event.data);
                     this.handleServerMessage(message);
@@ -51,6 +135,7 @@ export class LocalNetworkManager {
             this.ws.onclose = () => {
                 console.log('[LocalNetworkManager] Disconnected from server');
                 this.isSignalingConnected = false;
+                this.handleSignalingClosed();
             };
             
             this.ws.onerror = (error) => {
@@ -64,6 +149,16 @@ export class LocalNetworkManager {
         }
     }
 
+    /**
+     * Server URL with the identity token attached, so it is checked before anything else is sent
+     */
+    getConnectionUrl() {
+        if (!this.identityToken) return this.serverUrl;
+        const url = new URL(this.serverUrl);
+        url.searchParams.set('identity', this.identityToken);
+        return url.toString();
+    }
+
     /**
      * Handle messages from the server
      */
@@ -74,25 +169,187 @@ export class LocalNetworkManager {
             case 'client-id':
                 this.peerId = message.clientId;
                 console.log('[LocalNetworkManager] Received client ID:', this.peerId);
+                // Keep the stored token until we know whether the old session resumed
+                this.sessionToken = message.sessionToken || null;
+                if (!this.isResuming) this.saveSessionToken(this.sessionToken);
+                this.identity = message.identity || null;
+                if (this.identity) console.log('[LocalNetworkManager] Signed in as', this.identity.name);
+                break;
+
+            case 'identity-rejected':
+                // The server closes the connection right after this
+                console.warn('[LocalNetworkManager] Identity token rejected:', message.message);
+                this.scene.events.emit('connection_failed', { reason: message.message });
+                break;
+
+            case 'resumed':
+                this.peerId = message.clientId;
+                this.sessionToken = message.sessionToken;
+                this.saveSessionToken(this.sessionToken);
+                this.isResuming = false;
+                this.isResumed = true;
+                this.isSignalingConnected = true;
+                console.log('[LocalNetworkManager] Session resumed as', this.peerId);
+                if (this.gameChannelOpened) {
+                    // Same page, same match: only the game connection has to come back
+                    if (this.startReconnection('back on the server')) this.scheduleReconnectAttempt();
+                    this.restartGameConnection();
+                    break;
+                }
+                this.handleMatchFound(message);
+                // A reloaded page starts from a blank game; the opponent's snapshot fills it in
+                this.gameChannelOpened = true;
+                if (this.startReconnection('resumed after a reload')) this.scheduleReconnectAttempt();
+                break;
+
+            case 'resume-failed':
+                console.log('[LocalNetworkManager] Previous session could not be resumed');
+                this.saveSessionToken(this.sessionToken);
+                this.isResuming = false;
+                this.isSignalingConnected = true;
+                if (this.gameChannelOpened) {
+                    // The server gave our seat up in the meantime
+                    this.cancelReconnection();
+                    this.gameChannelOpened = false;
+                    this.scene.events.emit('connection_failed', { reason: 'Match expired' });
+                }
                 break;
                 
             case 'waiting':
                 console.log('[LocalNetworkManager] Waiting for opponent...');
                 this.scene.events.emit('queued');
+                this.startBotTimer();
                 break;
                 
+            case 'room-created':
+                this.roomCode = message.code;
+                console.log('[LocalNetworkManager] Private room created:', this.roomCode);
+                this.scene.events.emit('room_created', { code: this.roomCode });
+                break;
+
+            case 'room-error':
+                console.warn('[LocalNetworkManager] Room error:', message.message);
+                this.scene.events.emit('room_error', { code: message.code, message: message.message });
+                break;
+
             case 'match-found':
+                if (this.isBotMatch) {
+                    // Paired just as the bot took over; free the seat for the other player
+                    this.sendToServer({ type: 'leave' });
+                    break;
+                }
+                this.clearBotTimer();
+                // The next tournament pairing can start before we heard the last one ended
+                if (message.tournamentId && this.matchmakingComplete) this.endTournamentMatch();
                 this.handleMatchFound(message);
                 break;
+
+            case 'tournament-update':
+                this.handleTournamentUpdate(message);
+                break;
+
+            case 'tournament-error':
+                console.warn('[LocalNetworkManager] Tournament error:', message.message);
+                this.scene.events.emit('tournament_error', { tournamentId: message.tournamentId, message: message.message });
+                break;
                 
             case 'signal':
                 this.handleSignalingMessage(message);
                 break;
                 
             case 'peer-disconnected':
+                // Ignore notices about a match we have already left
+                if (message.roomId && message.roomId !== this.roomId) break;
+                if (this.tournamentId) {
+                    // The opponent forfeited; the tournament update says what happens next
+                    console.log('[LocalNetworkManager] Opponent left the tournament game');
+                    this.endTournamentMatch();
+                    break;
+                }
                 console.log('[LocalNetworkManager] Opponent disconnected');
+                this.cancelReconnection();
+                this.gameChannelOpened = false;
                 this.scene.events.emit('connection_failed');
                 break;
+
+            case 'match-closed':
+            case 'kicked':
+                if (message.roomId && message.roomId !== this.roomId) break;
+                console.log(`[LocalNetworkManager] Removed by the server: ${message.reason}`);
+                this.cancelReconnection();
+                this.gameChannelOpened = false; // Nothing left to reconnect to once the socket closes
+                this.scene.events.emit('connection_failed', { reason: message.reason });
+                break;
+
+            case 'relay-ready':
+                if (message.roomId && message.roomId !== this.roomId) break;
+                this.switchToRelay();
+                break;
+
+            case 'spectators':
+                if (message.roomId && message.roomId !== this.roomId) break;
+                this.spectatorCount = message.count;
+                console.log(`[LocalNetworkManager] Spectators watching: ${this.spectatorCount}`);
+                this.scene.events.emit('spectators_changed', { count: this.spectatorCount });
+                break;
+
+            case 'spectating':
+                this.startSpectating(message);
+                break;
+
+            case 'spectate-error':
+                console.warn('[LocalNetworkManager] Cannot spectate:', message.message);
+                this.scene.events.emit('spectate_error', { roomId: message.roomId, message: message.message });
+                break;
+
+            case 'spectate-ended':
+                if (message.roomId && message.roomId !== this.roomId) break;
+                console.log('[LocalNetworkManager] Spectated match ended');
+                if (this.gameConnection) this.gameConnection.close();
+                this.scene.events.emit('spectate_ended', { roomId: message.roomId });
+                break;
+
+            case 'peer-reconnecting':
+                if (message.roomId && message.roomId !== this.roomId) break;
+                console.log('[LocalNetworkManager] Opponent dropped, holding the match for them...');
+                this.scene.events.emit('opponent_reconnecting', { timeoutMs: message.timeoutMs });
+                break;
+
+            case 'error':
+                // The server dropped one of our messages (invalid, too large or rate limited)
+                console.warn(`[LocalNetworkManager] Server rejected ${message.requestType || 'message'}: ${message.code} (${message.message})`);
+                this.scene.events.emit('server_error', { code: message.code, message: message.message, requestType: message.requestType });
+                break;
+
+            case 'rating-update':
+                if (message.roomId && message.roomId !== this.roomId) break;
+                this.rating = message.rating;
+                console.log(`[LocalNetworkManager] Rating now ${message.rating} (${message.delta >= 0 ? '+' : ''}${message.delta})`);
+                this.scene.events.emit('rating_updated', {
+                    rating: message.rating,
+                    delta: message.delta,
+                    opponentRating: message.opponentRating,
+                    winner: message.winner
+                });
+                break;
+
+            case 'result-flagged':
+                if (message.roomId && message.roomId !== this.roomId) break;
+                console.warn(`[LocalNetworkManager] Result of game ${message.game} was ${message.status}, it will not count`);
+                this.scene.events.emit('result_flagged', {
+                    game: message.game,
+                    status: message.status,
+                    reports: message.reports
+                });
+                break;
+
+            case 'peer-resumed':
+                if (message.roomId && message.roomId !== this.roomId) break;
+                console.log('[LocalNetworkManager] Opponent resumed, reconnecting game...');
+                this.scene.events.emit('opponent_resumed');
+                if (this.startReconnection('opponent resumed')) this.scheduleReconnectAttempt();
+                this.restartGameConnection();
+                break;
         }
     }
 
@@ -100,21 +357,41 @@ export class LocalNetworkManager {
      * Handle match found message from server
      */
     handleMatchFound(message) {
+        this.roomId = message.roomId || this.roomId;
         this.role = message.role;
         this.opponentId = message.opponentId;
         this.isInitiator = message.isInitiator;
         this.matchmakingComplete = true;
+        this.gameChannelOpened = false;
+        this.spectatorCount = message.spectators || 0;
+        if (message.rating !== undefined) this.rating = message.rating;
+        this.opponentName = message.opponentName || null;
+        if (Array.isArray(message.iceServers) && message.iceServers.length > 0) {
+            this.iceServers = message.iceServers;
+        }
         
         console.log(`[LocalNetworkManager] Match found! Role: ${this.role}, Opponent: ${this.opponentId}`);
 
         // Emit match_found event to game
         this.scene.events.emit('match_found', {
             roomId: this.roomId,
+            resumed: this.isResumed,
             role: this.role,
             opponentId: this.opponentId,
             opponentUid: this.opponentId,
             isInitiator: this.isInitiator,
-            iceServers: message.iceServers || { game: this.iceServers }
+            iceServers: message.iceServers || { game: this.iceServers },
+            rating: message.rating,
+            opponentRating: message.opponentRating,
+            name: message.name || null,
+            opponentName: this.opponentName,
+            tournamentId: message.tournamentId || null,
+            round: message.round || null
+        });
+
+        // Let the server know when the match is actually being played
+        this.scene.events.once('game_datachannel_open', () => {
+            this.reportMatchState('playing');
         });
 
         // Auto-initialize WebRTC once matchmaking completes so offers/answers
@@ -127,6 +404,9 @@ export class LocalNetworkManager {
      */
     handleSignalingMessage(message) {
         if (!message.data) return;
+
+        // Late WebRTC signals are meaningless once the match is relayed
+        if (this.gameConnection && this.gameConnection.transport === 'relay') return;
         
         console.log('[LocalNetworkManager] Received signal:', message.data.type);
 
@@ -152,6 +432,12 @@ export class LocalNetworkManager {
                     this.pendingCandidates.push(message.data);
                 }
                 break;
+
+            case 'restart-connection':
+                // The initiator is replacing the peer connection; get ready for its offer
+                if (this.startReconnection('opponent restarted the connection')) this.scheduleReconnectAttempt();
+                this.restartGameConnection();
+                break;
         }
     }
 
@@ -176,6 +462,57 @@ export class LocalNetworkManager {
         });
     }
 
+    /**
+     * Report the match lifecycle state ('playing' or 'finished') to the server
+     */
+    reportMatchState(state) {
+        // The server knows nothing about bot matches, and spectators have no say
+        if (this.isBotMatch || this.isSpectator) return;
+        this.sendToServer({
+            type: 'match-state',
+            roomId: this.roomId,
+            state: state
+        });
+    }
+
+    /**
+     * Report the winner of a finished game so the server can update both ratings.
+     * The match shows as finished until a rematch starts.
+     * @param {string|null} winner - Winning role ('A' or 'B'), or null for a draw
+     * @param {number} game - Number of the game in this match, 1 for the first (see RematchNegotiator)
+     */
+    reportMatchResult(winner, game) {
+        // Games against the bot are not rated
+        if (this.isBotMatch) return;
+        this.sendToServer({
+            type: 'match-result',
+            roomId: this.roomId,
+            game: game,
+            winner: winner
+        });
+        this.reportMatchState('finished');
+    }
+
+    /**
+     * Fetch a game's leaderboard over HTTP from the same server
+     * @param {string} gameId
+     * @param {number} [limit]
+     * @returns {Promise<Array<{rank: number, userId: string, name: string, wins: number, losses: number,
+     *          draws: number, games: number, winRate: number, currentStreak: number, bestStreak: number,
+     *          rating: number}>>}
+     */
+    async fetchLeaderboard(gameId, limit = 10) {
+        const url = new URL('/leaderboard', this.serverUrl);
+        url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+        url.searchParams.set('gameId', gameId);
+        url.searchParams.set('limit', String(limit));
+
+        const response = await fetch(url.toString());
+        if (!response.ok) throw new Error(`Leaderboard request failed (${response.status})`);
+        const data = await response.json();
+        return data.players;
+    }
+
     /**
      * Compatibility wrapper so LocalGameConnection can call socket.emit(...)
      */
@@ -190,10 +527,96 @@ export class LocalNetworkManager {
 
     /**
      * Find match - send request to server
+     * @param {Object} preferences
+     * @param {string} preferences.gameId - Queue to join; only players of the same game are paired
+     * @param {string|number} [preferences.gameVersion] - Optional version, pairs only matching builds
+     * @param {string} [preferences.roomCode] - Join a private room, or CREATE_ROOM_CODE to open one
      */
     async findMatch(preferences = {}) {
-        console.log('[LocalNetworkManager] Finding match...');
-        this.sendToServer({ type: 'find-match' });
+        await this.connect();
+
+        // A resumed session is already seated in its match
+        if (this.isResumed) {
+            console.log('[LocalNetworkManager] Resumed an existing match, skipping matchmaking');
+            return;
+        }
+
+        const roomCode = preferences.roomCode ? String(preferences.roomCode).trim() : '';
+        const game = {
+            gameId: preferences.gameId,
+            gameVersion: preferences.gameVersion,
+            userId: preferences.userId || undefined // Keys the player's rating on the server
+        };
+
+        if (roomCode.toLowerCase() === CREATE_ROOM_CODE) {
+            console.log('[LocalNetworkManager] Creating private room...');
+            this.sendToServer({ type: 'create-room', ...game });
+        } else if (roomCode) {
+            console.log('[LocalNetworkManager] Joining private room:', roomCode);
+            this.roomCode = roomCode.toUpperCase();
+            this.sendToServer({ type: 'join-room', code: this.roomCode, ...game });
+        } else {
+            console.log(`[LocalNetworkManager] Finding match for ${game.gameId || 'unknown game'}...`);
+            this.sendToServer({ type: 'find-match', ...game });
+        }
+    }
+
+    /**
+     * Register for a tournament instead of joining the public queue. Each
+     * pairing arrives as a normal match_found; between games the scene gets
+     * tournament_updated with the bracket and where we stand.
+     * @param {string} tournamentId - Id from the server's /tournaments endpoint
+     * @param {Object} preferences - gameId, gameVersion and userId, as for findMatch()
+     */
+    async joinTournament(tournamentId, preferences = {}) {
+        await this.connect();
+
+        // A resumed session is already seated in its tournament game
+        if (this.isResumed) return;
+
+        console.log('[LocalNetworkManager] Registering for tournament:', tournamentId);
+        this.tournamentId = tournamentId;
+        this.sendToServer({
+            type: 'tournament-register',
+            tournamentId: tournamentId,
+            gameId: preferences.gameId,
+            gameVersion: preferences.gameVersion,
+            userId: preferences.userId || undefined
+        });
+    }
+
+    handleTournamentUpdate(message) {
+        this.tournamentId = message.tournament.id;
+        this.tournamentStatus = message.status;
+
+        // Our game is over once we are no longer playing; the server closed the match quietly
+        if (message.status !== 'playing' && this.matchmakingComplete) this.endTournamentMatch();
+
+        console.log(`[LocalNetworkManager] Tournament ${message.tournament.id}: ${message.status}`);
+        this.scene.events.emit('tournament_updated', {
+            tournament: message.tournament,
+            status: message.status,
+            playerId: this.peerId
+        });
+    }
+
+    /**
+     * Drop the finished tournament game's connection so the next pairing
+     * starts from scratch
+     */
+    endTournamentMatch() {
+        this.clearRelayFallbackTimer();
+        this.cancelReconnection();
+        if (this.gameConnection) {
+            this.gameConnection.close();
+            this.gameConnection = null;
+        }
+        this.pendingOffer = null;
+        this.pendingCandidates = [];
+        this.matchmakingComplete = false;
+        this.gameChannelOpened = false;
+        this.opponentId = null;
+        this.spectatorCount = 0;
     }
 
     /**
@@ -217,6 +640,9 @@ export class LocalNetworkManager {
      * Connect to game WebRTC connection
      */
     async connectToGame() {
+        // The bot's connection is created with the match
+        if (this.isBotMatch) return;
+
         if (!this.opponentId) {
             console.error("[LocalNetworkManager] Cannot connect to game: No opponent found");
             return;
@@ -229,6 +655,7 @@ export class LocalNetworkManager {
         }
 
         await this.initializeGameConnection();
+        this.startRelayFallbackTimer();
 
         // Process pending messages
         if (this.pendingOffer && !this.isInitiator) {
@@ -259,7 +686,12 @@ export class LocalNetworkManager {
         // Import LocalGameConnection dynamically to avoid circular dependencies
         const { LocalGameConnection } = await import('./LocalGameConnection.js');
         
-        this.gameConnection = new LocalGameConnection(this, this.scene.events);
+        this.gameConnection = wrapConnection(this.scene.events, events => new LocalGameConnection(this, events), {
+            hello: this.hello,
+            networkConditions: this.networkConditions,
+            recorder: this.recorder
+        });
+        this.gameConnection.onSend = (data, reliable) => this.mirrorToSpectators(data, reliable);
 
         await this.gameConnection.initialize({
             isInitiator: this.isInitiator,
@@ -270,12 +702,393 @@ export class LocalNetworkManager {
         });
     }
 
+    /**
+     * Drop the current WebRTC connection and negotiate a new one with the same
+     * opponent, e.g. after the opponent resumed their session
+     */
+    async restartGameConnection() {
+        if (this.isBotMatch) return;
+
+        // A fresh peer connection has nothing to restart ICE on, and is back once its channel opens
+        if (this.reconnection) {
+            this.reconnection.triedIceRestart = true;
+            this.reconnection.isFreshConnection = true;
+        }
+
+        if (this.gameConnection) {
+            this.gameConnection.close();
+            this.gameConnection = null;
+        }
+        this.pendingOffer = null;
+        this.pendingCandidates = [];
+
+        this.scene.events.once('game_datachannel_open', () => {
+            this.reportMatchState('playing');
+        });
+
+        await this.connectToGame();
+    }
+
+    /**
+     * Follow the hello exchange of gated connections: remember what the
+     * opponent supports, and leave if it can't play with us at all
+     */
+    setupHandshake() {
+        // A new opponent has not said hello yet
+        this.scene.events.on('match_found', () => {
+            this.peerFeatures = null;
+        });
+        this.scene.events.on('peer_verified', ({ features }) => {
+            this.peerFeatures = features;
+        });
+
+        // The scene shows the reason; the server and the opponent see us leave
+        this.scene.events.on('peer_incompatible', () => this.disconnect());
+    }
+
+    /**
+     * True if both players support an optional feature from the hello.
+     * Connections without a handshake (bot, spectator) go by our own features
+     */
+    sharesFeature(feature) {
+        const features = this.peerFeatures || (this.hello && this.hello.features) || [];
+        return features.includes(feature);
+    }
+
+    /**
+     * Watch the game connection for drops once a match is being played
+     */
+    setupReconnection() {
+        this.scene.events.on('game_connection_lost', () => {
+            if (this.startReconnection('game connection lost')) this.attemptReconnect();
+        });
+
+        this.scene.events.on('game_datachannel_open', () => {
+            if (this.reconnection) {
+                this.finishReconnection();
+            } else {
+                this.gameChannelOpened = true;
+            }
+        });
+
+        // An ICE restart brings the connection back without reopening the channels
+        this.scene.events.on('game_connection_established', () => {
+            if (this.reconnection && !this.reconnection.isFreshConnection &&
+                this.gameConnection && this.gameConnection.isConnected) {
+                this.finishReconnection();
+            }
+        });
+    }
+
+    /**
+     * Enter the reconnecting state, unless there is no match worth keeping
+     * @returns {boolean} True if a reconnection was started by this call
+     */
+    startReconnection(reason) {
+        if (this.reconnection || this.isClosing || !this.gameChannelOpened) return false;
+        if (!this.matchmakingComplete || this.isBotMatch || this.isSpectator) return false;
+
+        console.warn(`[LocalNetworkManager] Reconnecting (${reason})...`);
+        this.reconnection = { attempt: 0, timer: null, triedIceRestart: false, isFreshConnection: false };
+        this.scene.events.emit('game_reconnecting', { reason });
+        return true;
+    }
+
+    scheduleReconnectAttempt() {
+        if (!this.reconnection) return;
+        clearTimeout(this.reconnection.timer);
+        this.reconnection.timer = setTimeout(() => this.attemptReconnect(), RECONNECT_ATTEMPT_MS);
+    }
+
+    /**
+     * One step of the reconnection. The initiator drives it: an ICE restart
+     * first, then a new peer connection; the other side answers.
+     */
+    attemptReconnect() {
+        const reconnection = this.reconnection;
+        if (!reconnection) return;
+
+        reconnection.attempt++;
+        if (reconnection.attempt > MAX_RECONNECT_ATTEMPTS) {
+            console.warn('[LocalNetworkManager] Could not reconnect the game, giving up');
+            this.cancelReconnection();
+            this.gameChannelOpened = false;
+            clearTimeout(this.signalingRetryTimer);
+            this.scene.events.emit('connection_failed', { reason: 'Connection lost' });
+            return;
+        }
+        this.scheduleReconnectAttempt();
+
+        // Without the server there is nobody to signal through; resuming the session restarts the connection
+        if (!this.isSignalingConnected || !this.isInitiator) return;
+
+        if (!reconnection.triedIceRestart && this.gameConnection && typeof this.gameConnection.restartIce === 'function') {
+            reconnection.triedIceRestart = true;
+            this.gameConnection.restartIce();
+            return;
+        }
+
+        console.log(`[LocalNetworkManager] Restarting the game connection (attempt ${reconnection.attempt})`);
+        this.emitSignalingMessage({ type: 'restart-connection' });
+        this.restartGameConnection();
+    }
+
+    /**
+     * Lost the matchmaking server mid-match: keep trying to reach it and take
+     * our seat back with the session token (see the 'resumed' message)
+     */
+    handleSignalingClosed() {
+        if (this.isClosing || !this.gameChannelOpened || this.isBotMatch || this.isSpectator) return;
+        if (this.startReconnection('lost the server')) this.scheduleReconnectAttempt();
+
+        clearTimeout(this.signalingRetryTimer);
+        this.signalingRetryTimer = setTimeout(() => this.setupWebSocketConnection(), SIGNALING_RETRY_MS);
+    }
+
+    finishReconnection() {
+        console.log('[LocalNetworkManager] Game connection is back');
+        this.cancelReconnection();
+        this.gameChannelOpened = true;
+
+        // After the scene has wrapped the new channel, so it can send its snapshot straight away
+        setTimeout(() => this.scene.events.emit('game_reconnected'), 0);
+    }
+
+    cancelReconnection() {
+        if (!this.reconnection) return;
+        clearTimeout(this.reconnection.timer);
+        this.reconnection = null;
+    }
+
+    /**
+     * Fall back to the server relay if the data channel does not open in time,
+     * or as soon as ICE gives up
+     */
+    startRelayFallbackTimer() {
+        this.clearRelayFallbackTimer();
+
+        const connection = this.gameConnection;
+        const onOpen = () => this.clearRelayFallbackTimer();
+        const onLost = () => {
+            if (this.gameConnection === connection && connection.peerConnection?.connectionState === 'failed') {
+                this.requestRelay('ICE failed');
+            }
+        };
+
+        this.scene.events.once('game_datachannel_open', onOpen);
+        this.scene.events.on('game_connection_lost', onLost);
+
+        this.relayFallbackTimer = {
+            timeout: setTimeout(() => this.requestRelay('data channel did not open'), RELAY_FALLBACK_MS),
+            cancel: () => {
+                this.scene.events.off('game_datachannel_open', onOpen);
+                this.scene.events.off('game_connection_lost', onLost);
+            }
+        };
+    }
+
+    clearRelayFallbackTimer() {
+        if (!this.relayFallbackTimer) return;
+        clearTimeout(this.relayFallbackTimer.timeout);
+        this.relayFallbackTimer.cancel();
+        this.relayFallbackTimer = null;
+    }
+
+    /**
+     * Ask the server to relay this match's game data over the WebSocket
+     */
+    requestRelay(reason) {
+        this.clearRelayFallbackTimer();
+        if (this.gameConnection && this.gameConnection.isConnected) return;
+
+        console.warn(`[LocalNetworkManager] WebRTC unavailable (${reason}), requesting server relay...`);
+        this.sendToServer({ type: 'relay-request', roomId: this.roomId });
+    }
+
+    /**
+     * Replace the WebRTC connection with a RelayGameConnection. Created
+     * synchronously so no relayed frame can arrive before it exists.
+     */
+    switchToRelay() {
+        if (this.gameConnection && this.gameConnection.transport === 'relay') return;
+
+        this.clearRelayFallbackTimer();
+        if (this.gameConnection) this.gameConnection.close();
+
+        this.gameConnection = wrapConnection(this.scene.events, events => new RelayGameConnection(this, events), {
+            hello: this.hello,
+            networkConditions: this.networkConditions,
+            recorder: this.recorder
+        });
+        this.gameConnection.initialize({
+            isInitiator: this.isInitiator,
+            opponentId: this.opponentId,
+            roomId: this.roomId
+        });
+    }
+
+    handleRelayFrame(frame) {
+        if (this.gameConnection && typeof this.gameConnection.receive === 'function') {
+            this.gameConnection.receive(frame);
+        }
+    }
+
+    /**
+     * Copy game data sent over WebRTC to the server while anyone is spectating.
+     * A relayed match needs no copy: the server already sees its frames.
+     */
+    mirrorToSpectators(data, reliable) {
+        if (this.spectatorCount > 0) {
+            this.sendRelayFrame(encodeRelayFrame(data, reliable));
+        }
+    }
+
+    /**
+     * Watch a running match instead of playing
+     * @param {string} roomId - Room id of the match, as listed by the server's /matches endpoint
+     */
+    async spectate(roomId) {
+        await this.connect();
+
+        console.log('[LocalNetworkManager] Requesting to spectate:', roomId);
+        this.sendToServer({ type: 'spectate', roomId: roomId });
+    }
+
+    startSpectating(message) {
+        this.roomId = message.roomId;
+        this.isSpectator = true;
+        this.matchmakingComplete = true;
+
+        if (this.gameConnection) this.gameConnection.close();
+        this.gameConnection = new SpectatorConnection(this, this.scene.events);
+        this.gameConnection.initialize({
+            roomId: message.roomId,
+            players: message.players
+        });
+
+        this.scene.events.emit('spectate_started', {
+            roomId: message.roomId,
+            gameId: message.gameId,
+            players: message.players
+        });
+    }
+
+    /**
+     * Offer a bot opponent if the queue has not paired us by the time it fires
+     */
+    startBotTimer() {
+        this.clearBotTimer();
+        if (!this.botTimeoutMs || this.matchmakingComplete) return;
+
+        this.botTimer = setTimeout(() => {
+            this.botTimer = null;
+            this.startBotMatch();
+        }, this.botTimeoutMs);
+    }
+
+    clearBotTimer() {
+        if (!this.botTimer) return;
+        clearTimeout(this.botTimer);
+        this.botTimer = null;
+    }
+
+    /**
+     * Leave the queue and play the game's bot instead. The player is always
+     * role A and the initiator; the bot plays B.
+     */
+    startBotMatch() {
+        if (this.matchmakingComplete) return;
+
+        console.log(`[LocalNetworkManager] Nobody joined within ${this.botTimeoutMs}ms, starting a bot match`);
+        this.sendToServer({ type: 'leave' });
+
+        this.isBotMatch = true;
+        this.roomId = `bot-${Date.now().toString(36)}`;
+        this.role = 'A';
+        this.opponentId = 'bot';
+        this.isInitiator = true;
+        this.matchmakingComplete = true;
+        this.opponentName = 'Bot';
+
+        // Created before match_found so the scene finds it like a relayed match
+        if (this.gameConnection) this.gameConnection.close();
+        // Bot matches are worth recording too, for bot bugs; they need no hello or simulated link
+        this.gameConnection = wrapConnection(this.scene.events, events => new BotGameConnection(events, this.createBot), {
+            recorder: this.recorder
+        });
+
+        this.scene.events.emit('match_found', {
+            roomId: this.roomId,
+            resumed: false,
+            role: this.role,
+            opponentId: this.opponentId,
+            opponentUid: this.opponentId,
+            isInitiator: this.isInitiator,
+            iceServers: { game: this.iceServers },
+            rating: this.rating,
+            opponentRating: null,
+            name: this.identity ? this.identity.name : null,
+            opponentName: this.opponentName,
+            isBot: true
+        });
+
+        this.gameConnection.initialize({
+            isInitiator: this.isInitiator,
+            opponentId: this.opponentId,
+            roomId: this.roomId
+        });
+    }
+
+    /**
+     * Send a binary relay frame to the server
+     */
+    sendRelayFrame(frame) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(frame);
+            return true;
+        }
+        console.error('[LocalNetworkManager] Not connected to server');
+        return false;
+    }
+
+    /**
+     * Session token persistence (sessionStorage is per tab and survives reloads)
+     */
+    loadSessionToken() {
+        try {
+            return sessionStorage.getItem(SESSION_TOKEN_KEY);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    saveSessionToken(token) {
+        try {
+            if (token) {
+                sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+            } else {
+                sessionStorage.removeItem(SESSION_TOKEN_KEY);
+            }
+        } catch (err) {
+            console.warn('[LocalNetworkManager] Could not store session token:', err);
+        }
+    }
+
     /**
      * Disconnect and cleanup
      */
     disconnect() {
         console.log('[LocalNetworkManager] Disconnecting...');
+        this.isClosing = true;
+        this.clearRelayFallbackTimer();
+        this.clearBotTimer();
+        this.cancelReconnection();
+        clearTimeout(this.signalingRetryTimer);
         
+        // Leaving on purpose gives up the seat instead of holding it for a resume
+        this.saveSessionToken(null);
+        this.sendToServer({ type: 'leave' });
+
         if (this.ws) {
             this.ws.close();
         }
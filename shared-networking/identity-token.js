@@ -0,0 +1,81 @@
+/**
+ * Signed player identity tokens
+ * A token is `<payload>.<signature>`, both base64url: the payload is JSON
+ * { sub: userId, name: displayName, exp: expiry in ms since epoch } and the
+ * signature is an HMAC-SHA256 of the encoded payload with the server's secret.
+ */
+const crypto = require('crypto');
+
+const DEFAULT_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 32;
+
+function sign(encodedPayload, secret) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * @param {Object} identity
+ * @param {string} identity.userId
+ * @param {string} [identity.name] - Display name, defaults to the user id
+ * @param {string} secret
+ * @param {number} [ttlMs]
+ * @returns {{token: string, userId: string, name: string, expiresAt: number}}
+ */
+function issueIdentityToken({ userId, name }, secret, ttlMs = DEFAULT_TOKEN_TTL_MS) {
+    const payload = {
+        sub: userId,
+        name: (name || userId).slice(0, MAX_NAME_LENGTH),
+        exp: Date.now() + ttlMs
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+        token: `${encodedPayload}.${sign(encodedPayload, secret)}`,
+        userId: payload.sub,
+        name: payload.name,
+        expiresAt: payload.exp
+    };
+}
+
+/**
+ * @param {string} token
+ * @param {string} secret
+ * @returns {{identity: {userId: string, name: string, expiresAt: number}|null, error: string|null}}
+ */
+function verifyIdentityToken(token, secret) {
+    const [encodedPayload, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!encodedPayload || !signature || extra !== undefined) {
+        return { identity: null, error: 'Malformed identity token' };
+    }
+
+    const expected = Buffer.from(sign(encodedPayload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { identity: null, error: 'Invalid identity token signature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (err) {
+        return { identity: null, error: 'Malformed identity token' };
+    }
+
+    if (typeof payload.sub !== 'string' || !payload.sub || typeof payload.exp !== 'number') {
+        return { identity: null, error: 'Malformed identity token' };
+    }
+    if (payload.exp <= Date.now()) {
+        return { identity: null, error: 'Identity token expired' };
+    }
+
+    return {
+        identity: {
+            userId: payload.sub,
+            name: typeof payload.name === 'string' ? payload.name : payload.sub,
+            expiresAt: payload.exp
+        },
+        error: null
+    };
+}
+
+module.exports = { issueIdentityToken, verifyIdentityToken, DEFAULT_TOKEN_TTL_MS };
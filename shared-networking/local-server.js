@@ -1,168 +1,1603 @@
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
+const { MatchRegistry, MATCH_STATE, MATCH_TRANSPORT } = require('./match-registry.js');
+const { RatingStore } = require('./rating-store.js');
+const { ResultStore, RESULT_STATUS } = require('./result-store.js');
+const { loadConfig } = require('./server-config.js');
+const { serveGameFile, listBuiltGames } = require('./static-files.js');
+const { validateMessage, getMaxTextBytes, ERROR_CODE, MAX_RELAY_FRAME_BYTES } = require('./message-schema.js');
+const { TokenBucket } = require('./token-bucket.js');
+const { issueIdentityToken, verifyIdentityToken } = require('./identity-token.js');
+const { TournamentRegistry, TOURNAMENT_FORMAT } = require('./tournament-registry.js');
+const log = require('./logger.js');
 
-// Create HTTP server
-const server = http.createServer();
-const wss = new WebSocket.Server({ server });
+// Host, port, ICE servers, log level and game hosting (see server-config.js)
+let config;
+try {
+    config = loadConfig(process.argv.slice(2), process.env);
+} catch (err) {
+    console.error(`[Server] ${err.message}`);
+    process.exit(1);
+}
+log.setLevel(config.logLevel);
+
+// Create HTTP server (status and admin endpoints, plus the WebSocket upgrade)
+const server = http.createServer(handleHttpRequest);
+const wss = new WebSocket.Server({ server, maxPayload: MAX_RELAY_FRAME_BYTES });
 
 // Store connected clients
 const clients = new Map();
-let waitingClient = null;
 
-wss.on('connection', (ws) => {
+// Matchmaking queues keyed by game id (and version, when the client sends one)
+// so that different games are never paired with each other
+const queues = new Map();
+const DEFAULT_GAME_ID = 'unknown';
+const MAX_GAME_ID_LENGTH = 64;
+const MAX_USER_ID_LENGTH = 64;
+
+// Elo ratings per game and userId. Waiting players are paired with the closest
+// rating inside their band, which widens the longer they wait.
+const ratings = new RatingStore(config.ratingsFile);
+const RATING_BAND_BASE = 100;
+const RATING_BAND_GROWTH_PER_S = 25;
+const MATCHMAKING_SWEEP_MS = 1000;
+
+// Both players report each game's winner. Results they agree on are stored and
+// rated; disagreements, and reports the opponent never confirms, are flagged.
+const results = new ResultStore(config.resultsFile);
+const pendingResults = new Map(); // `${roomId}#${game number}` -> { match, game, players, reports, timer }
+const RESULT_CONFIRM_MS = config.resultWaitMs;
+
+// All running matches (public and private), with their members and state
+const matches = new MatchRegistry();
+
+// Private rooms: join code -> roomId of the waiting match
+const privateRooms = new Map();
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+
+// Tournaments: players register for a game, then each pairing of the bracket
+// is started as a normal match and the winner advances on the reported result.
+// The next pairings start TOURNAMENT_BREAK_MS after a game ends.
+const tournaments = new TournamentRegistry();
+const tournamentBreaks = new Map(); // tournament id -> timer
+const TOURNAMENT_BREAK_MS = config.tournamentBreakMs;
+const MAX_TOURNAMENT_NAME_LENGTH = 64;
+
+// Resumable sessions: token -> clientId. A player who drops out of a running
+// match keeps their seat for RESUME_GRACE_MS and can reclaim it with the token.
+const sessions = new Map();
+const RESUME_GRACE_MS = config.resumeGraceMs;
+
+// Admin endpoints (and /identity) require this token in the X-Admin-Token header;
+// without it they are all refused, since anyone who can reach the port could use them
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Players can prove who they are with a signed identity token (?identity=<token>
+// on the WebSocket URL), issued by POST /identity
+const MAX_DISPLAY_NAME_LENGTH = 32;
+
+// Relayed messages per second, counted in one-second buckets
+const RELAY_RATE_WINDOW_S = 5;
+const relayBuckets = new Map(); // epoch second -> messages relayed
+let relayedTotal = 0;
+
+// Per-connection token buckets for JSON messages and relayed game frames. Every
+// rejected message costs a strike; a connection that runs out of strikes is dropped.
+const MESSAGE_RATE = { perSecond: 20, burst: 40 };
+const RELAY_FRAME_RATE = { perSecond: 300, burst: 600 };
+const STRIKE_RATE = { perSecond: 0.2, burst: 10 };
+
+// Sockets are pinged every heartbeat interval and evicted if a ping goes unanswered
+// for the heartbeat timeout. A waiting player not heard from within
+// PAIRING_FRESHNESS_MS is pinged again, and only paired once it answers.
+const PAIRING_FRESHNESS_MS = 2000;
+const evictions = { total: 0, waiting: 0, inMatch: 0 };
+
+const startedAt = Date.now();
+
+const ICE_SERVERS = config.iceServers;
+
+wss.on('connection', (ws, req) => {
+    // Forged, expired or (when required) missing identity tokens are turned away
+    const identityToken = new URL(req.url, 'http://localhost').searchParams.get('identity');
+    const { identity, error: identityError } = identityToken
+        ? verifyIdentityToken(identityToken, config.identitySecret)
+        : { identity: null, error: config.requireIdentity ? 'Identity token required' : null };
+
+    if (identityError) {
+        log.warn(`[Server] Rejected connection: ${identityError}`);
+        ws.send(JSON.stringify({ type: 'identity-rejected', message: identityError }));
+        ws.close(4001, identityError);
+        return;
+    }
+
     const clientId = 'client-' + Math.random().toString(36).substr(2, 9);
-    clients.set(clientId, { ws, id: clientId, role: null });
+    const sessionToken = crypto.randomBytes(16).toString('hex');
+    clients.set(clientId, { ws, id: clientId, role: null, sessionToken, identity });
+    sessions.set(sessionToken, clientId);
+
+    // The id this socket speaks for; changes if the socket resumes an older session
+    ws.clientId = clientId;
+
+    // Limits belong to the connection, so they survive a resume
+    ws.messageBucket = new TokenBucket(MESSAGE_RATE.perSecond, MESSAGE_RATE.burst);
+    ws.relayBucket = new TokenBucket(RELAY_FRAME_RATE.perSecond, RELAY_FRAME_RATE.burst);
+    ws.strikeBucket = new TokenBucket(STRIKE_RATE.perSecond, STRIKE_RATE.burst);
+    ws.isRelayThrottled = false;
+
+    // Heartbeats: anything heard from the socket proves it is still there
+    ws.lastSeenAt = Date.now();
+    ws.pongTimer = null;
+    ws.on('pong', () => handlePong(ws));
     
-    console.log(`[Server] Client connected: ${clientId}`);
+    log.info(`[Server] Client connected: ${clientId}${identity ? ` as ${identity.userId}` : ''}`);
     
-    // Send client their ID
+    // Send client their ID, and the token that lets them resume this session
     ws.send(JSON.stringify({
         type: 'client-id',
-        clientId: clientId
+        clientId: clientId,
+        sessionToken: sessionToken,
+        ...(identity ? { identity: { userId: identity.userId, name: identity.name } } : {})
     }));
     
-    ws.on('message', (message) => {
+    ws.on('message', (message, isBinary) => {
+        ws.lastSeenAt = Date.now();
+
+        // Binary frames are game data for a relayed match. Excess frames are
+        // dropped; only the moment a connection starts flooding costs a strike.
+        if (isBinary) {
+            if (!ws.relayBucket.take()) {
+                if (!ws.isRelayThrottled) rejectMessage(ws, ERROR_CODE.RATE_LIMITED, 'Too many game frames');
+                ws.isRelayThrottled = true;
+                return;
+            }
+            ws.isRelayThrottled = false;
+            handleRelayFrame(ws.clientId, message);
+            return;
+        }
+
+        if (!ws.messageBucket.take()) {
+            rejectMessage(ws, ERROR_CODE.RATE_LIMITED, 'Too many messages');
+            return;
+        }
+        if (message.length > getMaxTextBytes()) {
+            rejectMessage(ws, ERROR_CODE.TOO_LARGE, `Message is larger than ${getMaxTextBytes()} bytes`);
+            return;
+        }
+
+        let data;
         try {
-            const data = JSON.parse(message);
-            handleMessage(clientId, data);
+            data = JSON.parse(message);
         } catch (err) {
-            console.error('[Server] Error parsing message:', err);
+            rejectMessage(ws, ERROR_CODE.INVALID_JSON, 'Message is not valid JSON');
+            return;
+        }
+
+        const error = validateMessage(data, message.length);
+        if (error) {
+            rejectMessage(ws, error.code, error.message, data && typeof data.type === 'string' ? data.type : undefined);
+            return;
+        }
+
+        try {
+            handleMessage(ws.clientId, data);
+        } catch (err) {
+            log.error(`[Server] Error handling ${data.type} from ${ws.clientId}:`, err);
         }
     });
     
     ws.on('close', () => {
-        console.log(`[Server] Client disconnected: ${clientId}`);
-        
-        // If this was the waiting client, clear it
-        if (waitingClient && waitingClient.id === clientId) {
-            waitingClient = null;
-        }
+        log.info(`[Server] Client disconnected: ${ws.clientId}`);
+        clearTimeout(ws.pongTimer);
+        ws.pongTimer = null;
         
-        // If this client was matched, notify the other client
-        const client = clients.get(clientId);
-        if (client && client.role) {
-            const otherClientId = client.role === 'A' ? 'B' : 'A';
-            const otherClient = Array.from(clients.values()).find(c => c.role === otherClientId);
-            
-            if (otherClient && otherClient.ws.readyState === WebSocket.OPEN) {
-                otherClient.ws.send(JSON.stringify({
-                    type: 'peer-disconnected'
-                }));
-            }
+        const leaving = clients.get(ws.clientId);
+        if (!leaving || leaving.ws !== ws) return;
+
+        // If this client was queued, release its spot
+        const wasQueued = Boolean(leaving.queueKey);
+        removeFromQueue(leaving);
+        if (wasQueued) logQueueSizes();
+
+        // A player in a running match keeps their seat for a while so they can resume
+        const match = matches.getMatchForClient(leaving.id);
+        if (match && (match.state === MATCH_STATE.SIGNALING || match.state === MATCH_STATE.PLAYING)) {
+            holdSeat(leaving, match);
+            return;
         }
-        
-        clients.delete(clientId);
+
+        // If this client was in a match, notify the rest of that match
+        removeClient(leaving);
     });
     
     ws.on('error', (err) => {
-        console.error(`[Server] Client error: ${clientId}`, err);
-        clients.delete(clientId);
+        // 'close' always follows 'error' and performs the cleanup
+        log.error(`[Server] Client error: ${ws.clientId}: ${err.message}`);
     });
 });
 
+/**
+ * Tell a connection why its message was dropped, and disconnect it once it
+ * has used up its strikes
+ */
+function rejectMessage(ws, code, message, requestType) {
+    const client = clients.get(ws.clientId);
+    log.warn(`[Server] Rejected message from ${ws.clientId}: ${code} (${message})`);
+
+    if (!ws.strikeBucket.take()) {
+        if (client && client.ws === ws) {
+            kickClient(client, 'Too many invalid or excessive messages');
+        } else {
+            ws.close(4000, 'Too many invalid or excessive messages');
+        }
+        return;
+    }
+
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            code: code,
+            message: message,
+            ...(requestType ? { requestType: requestType.slice(0, 64) } : {})
+        }));
+    }
+}
+
 function handleMessage(clientId, data) {
     const client = clients.get(clientId);
     if (!client) return;
     
     switch (data.type) {
+        case 'resume':
+            handleResume(clientId, data);
+            break;
+
+        case 'leave':
+            removeFromQueue(client);
+            leaveMatch(client);
+            break;
+
         case 'find-match':
-            handleFindMatch(clientId);
+            handleFindMatch(clientId, data);
             break;
             
+        case 'create-room':
+            handleCreateRoom(clientId, data);
+            break;
+
+        case 'join-room':
+            handleJoinRoom(clientId, data);
+            break;
+
         case 'signal':
             handleSignal(clientId, data);
             break;
+
+        case 'match-state':
+            handleMatchState(clientId, data);
+            break;
+
+        case 'match-result':
+            handleMatchResult(clientId, data);
+            break;
+
+        case 'relay-request':
+            handleRelayRequest(clientId);
+            break;
+
+        case 'spectate':
+            handleSpectate(clientId, data);
+            break;
+
+        case 'tournament-register':
+            handleTournamentRegister(clientId, data);
+            break;
+
+        case 'tournament-leave':
+            leaveTournament(client);
+            break;
             
         default:
-            console.log('[Server] Unknown message type:', data.type);
+            log.warn('[Server] Unknown message type:', data.type);
     }
 }
 
-function handleFindMatch(clientId) {
+function handleFindMatch(clientId, data) {
     const client = clients.get(clientId);
-    
-    if (waitingClient && waitingClient.id !== clientId) {
-        // We have a waiting client, match them
-        console.log(`[Server] Matching clients: ${waitingClient.id} (A) and ${clientId} (B)`);
-        
-        // Assign roles
-        waitingClient.role = 'A';
-        waitingClient.isInitiator = true;
-        waitingClient.opponentId = clientId;
-        
-        client.role = 'B';
-        client.isInitiator = false;
-        client.opponentId = waitingClient.id;
-        
-        // Send match found to both clients
-        const matchData = {
-            type: 'match-found',
-            roomId: 'local-room',
-            role: waitingClient.role,
-            opponentId: waitingClient.opponentId,
-            isInitiator: waitingClient.isInitiator,
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' }
-            ]
-        };
-        
-        // Send to waiting client (Player A)
-        if (waitingClient.ws.readyState === WebSocket.OPEN) {
-            waitingClient.ws.send(JSON.stringify(matchData));
+    const queueKey = getQueueKey(data);
+
+    // Joining the public queue leaves any match, private room or tournament this client was in
+    leaveMatch(client);
+    removeFromQueue(client);
+    leaveTournament(client);
+
+    client.userId = getUserId(client, data);
+    client.rating = ratings.getRating(getRatingGameId(queueKey), client.userId);
+    client.queuedAt = Date.now();
+    client.queueKey = queueKey;
+
+    const queue = queues.get(queueKey) || [];
+    queue.push(client);
+    queues.set(queueKey, queue);
+
+    pairQueue(queueKey);
+
+    if (client.queueKey) {
+        // No opponent close enough in rating yet, this client waits
+        log.info(`[Server] Client ${clientId} (rating ${client.rating}) waiting for opponent in ${queueKey}...`);
+
+        send(client, {
+            type: 'waiting',
+            message: 'Waiting for opponent...',
+            gameId: queueKey,
+            queueSize: queue.length,
+            rating: client.rating
+        });
+    }
+
+    logQueueSizes();
+}
+
+/**
+ * Start a match for every pair of waiting players whose ratings are close enough
+ * @returns {number} Number of matches started
+ */
+function pairQueue(queueKey) {
+    const queue = queues.get(queueKey);
+    if (!queue) return 0;
+
+    let started = 0;
+    let pair;
+    while ((pair = findClosestPair(queue.filter(isPairable), Date.now()))) {
+        // A player who has gone quiet may be a dead socket; check before pairing
+        const stale = pair.filter(client => Date.now() - client.ws.lastSeenAt > PAIRING_FRESHNESS_MS);
+        if (stale.length > 0) {
+            stale.forEach(client => pingSocket(client.ws));
+            continue;
         }
-        
-        // Send to new client (Player B)
-        const matchDataB = { ...matchData, role: client.role, opponentId: client.opponentId, isInitiator: client.isInitiator };
-        if (client.ws.readyState === WebSocket.OPEN) {
-            client.ws.send(JSON.stringify(matchDataB));
+
+        const [first, second] = pair;
+        removeFromQueue(first);
+        removeFromQueue(second);
+
+        const match = matches.createMatch({ gameId: queueKey });
+        startMatch(match, first, second);
+        started++;
+    }
+    return started;
+}
+
+/**
+ * Waiting players whose socket is open and not in the middle of a liveness check
+ */
+function isPairable(client) {
+    return client.ws.readyState === WebSocket.OPEN && !client.ws.pongTimer;
+}
+
+/**
+ * The longest-waiting player is served first, with the closest rating that
+ * falls inside either player's band
+ */
+function findClosestPair(queue, now) {
+    for (let i = 0; i < queue.length; i++) {
+        let best = null;
+        let bestGap = Infinity;
+
+        for (let j = i + 1; j < queue.length; j++) {
+            const gap = Math.abs(queue[i].rating - queue[j].rating);
+            const band = Math.max(getRatingBand(queue[i], now), getRatingBand(queue[j], now));
+            if (gap <= band && gap < bestGap) {
+                best = queue[j];
+                bestGap = gap;
+            }
         }
-        
-        waitingClient = null;
-        
-    } else {
-        // No waiting client, this client waits
-        console.log(`[Server] Client ${clientId} waiting for opponent...`);
-        waitingClient = client;
-        
-        // Send waiting status
-        if (client.ws.readyState === WebSocket.OPEN) {
-            client.ws.send(JSON.stringify({
-                type: 'waiting',
-                message: 'Waiting for opponent...'
-            }));
+
+        if (best) return [queue[i], best];
+    }
+    return null;
+}
+
+function getRatingBand(client, now) {
+    const waitedS = (now - client.queuedAt) / 1000;
+    return RATING_BAND_BASE + RATING_BAND_GROWTH_PER_S * waitedS;
+}
+
+function handleCreateRoom(clientId, data) {
+    const client = clients.get(clientId);
+
+    // Creating a room takes the client out of the public queue and any tournament
+    removeFromQueue(client);
+    leaveMatch(client);
+    leaveTournament(client);
+    client.userId = getUserId(client, data);
+
+    const code = generateRoomCode();
+    const match = matches.createMatch({ gameId: getQueueKey(data), roomCode: code });
+    matches.addMember(match.roomId, clientId, 'A');
+    privateRooms.set(code, match.roomId);
+
+    log.info(`[Server] Client ${clientId} created private room ${code} (${match.roomId})`);
+
+    send(client, {
+        type: 'room-created',
+        code: code,
+        roomId: match.roomId
+    });
+}
+
+function handleJoinRoom(clientId, data) {
+    const client = clients.get(clientId);
+    const code = typeof data.code === 'string' ? data.code.trim().toUpperCase() : '';
+    const match = matches.getMatch(privateRooms.get(code));
+    const hostId = match && match.members.length === 1 ? match.members[0].clientId : null;
+    const host = hostId ? clients.get(hostId) : null;
+
+    let error = null;
+    if (!host || hostId === clientId || host.ws.readyState !== WebSocket.OPEN) {
+        error = 'Room not found';
+    } else if (match.gameId !== getQueueKey(data)) {
+        error = 'Room is for a different game';
+    }
+
+    if (error) {
+        log.info(`[Server] Client ${clientId} could not join room ${code}: ${error}`);
+        send(client, {
+            type: 'room-error',
+            code: code,
+            message: error
+        });
+        return;
+    }
+
+    removeFromQueue(client);
+    leaveMatch(client);
+    leaveTournament(client);
+    client.userId = getUserId(client, data);
+
+    privateRooms.delete(code);
+    startMatch(match, host, client);
+}
+
+/**
+ * Build the matchmaking queue key for a request: "<gameId>" or "<gameId>@<version>"
+ */
+function getQueueKey(data) {
+    const gameId = typeof data.gameId === 'string' && data.gameId.trim()
+        ? data.gameId.trim().slice(0, MAX_GAME_ID_LENGTH)
+        : DEFAULT_GAME_ID;
+    const hasVersion = data.gameVersion !== undefined && data.gameVersion !== null && data.gameVersion !== '';
+    const gameVersion = hasVersion ? String(data.gameVersion).slice(0, MAX_GAME_ID_LENGTH) : null;
+
+    return gameVersion ? `${gameId}@${gameVersion}` : gameId;
+}
+
+/**
+ * Ratings are kept per game, shared by all of its versions
+ */
+function getRatingGameId(queueKey) {
+    return queueKey.split('@')[0];
+}
+
+/**
+ * The verified userId from the player's identity token, else the unverified
+ * userId from the game URL, or null for anonymous players
+ */
+function getUserId(client, data) {
+    if (client.identity) return client.identity.userId;
+    if (typeof data.userId !== 'string' || !data.userId.trim()) return null;
+    return data.userId.trim().slice(0, MAX_USER_ID_LENGTH);
+}
+
+function removeFromQueue(client) {
+    if (!client.queueKey) return;
+
+    const queue = queues.get(client.queueKey);
+    if (queue) {
+        const index = queue.indexOf(client);
+        if (index !== -1) queue.splice(index, 1);
+        if (queue.length === 0) queues.delete(client.queueKey);
+    }
+    client.queueKey = null;
+}
+
+/**
+ * Number of waiting players per game queue
+ */
+function getQueueSizes() {
+    const sizes = {};
+    for (const [queueKey, queue] of queues) {
+        sizes[queueKey] = queue.length;
+    }
+    return sizes;
+}
+
+function logQueueSizes() {
+    log.debug('[Server] Queue sizes:', JSON.stringify(getQueueSizes()));
+}
+
+/**
+ * Generate a short, unambiguous join code that is not already in use
+ */
+function generateRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
         }
+    } while (privateRooms.has(code));
+    return code;
+}
+
+/**
+ * Seat two clients in a match: the first becomes Player A (initiator), the second Player B
+ */
+function startMatch(match, clientA, clientB) {
+    log.info(`[Server] Matching clients in ${match.roomId}: ${clientA.id} (A) and ${clientB.id} (B)`);
+
+    // Assign roles
+    clientA.role = 'A';
+    clientA.isInitiator = true;
+    clientA.opponentId = clientB.id;
+
+    clientB.role = 'B';
+    clientB.isInitiator = false;
+    clientB.opponentId = clientA.id;
+
+    // Private rooms skip the queue, so look the ratings up here
+    const ratingGameId = getRatingGameId(match.gameId);
+    clientA.rating = ratings.getRating(ratingGameId, clientA.userId);
+    clientB.rating = ratings.getRating(ratingGameId, clientB.userId);
+
+    matches.addMember(match.roomId, clientA.id, clientA.role);
+    matches.addMember(match.roomId, clientB.id, clientB.role);
+    matches.setState(match.roomId, MATCH_STATE.SIGNALING);
+
+    // Send match found to both clients
+    const matchData = {
+        type: 'match-found',
+        roomId: match.roomId,
+        role: clientA.role,
+        opponentId: clientA.opponentId,
+        isInitiator: clientA.isInitiator,
+        iceServers: ICE_SERVERS,
+        rating: clientA.rating,
+        opponentRating: clientB.rating
+    };
+    matchData.name = getDisplayName(clientA);
+    matchData.opponentName = getDisplayName(clientB);
+    if (match.roomCode) matchData.roomCode = match.roomCode;
+    if (match.tournament) {
+        matchData.tournamentId = match.tournament.tournamentId;
+        matchData.round = match.tournament.round;
+    }
+
+    // Send to Player A
+    send(clientA, matchData);
+
+    // Send to Player B
+    send(clientB, {
+        ...matchData,
+        role: clientB.role,
+        opponentId: clientB.opponentId,
+        isInitiator: clientB.isInitiator,
+        rating: clientB.rating,
+        opponentRating: clientA.rating,
+        name: getDisplayName(clientB),
+        opponentName: getDisplayName(clientA)
+    });
+
+    logMatchCounts();
+}
+
+/**
+ * Remove a client from its current match and tell the remaining members
+ */
+function leaveMatch(client) {
+    stopSpectating(client);
+
+    const match = matches.getMatchForClient(client.id);
+    if (!match) return;
+
+    const wasActive = match.state !== MATCH_STATE.FINISHED;
+    const peerIds = matches.getPeerIds(client.id);
+    matches.removeMember(client.id);
+
+    // A private room closes as soon as its host leaves
+    if (match.roomCode && privateRooms.get(match.roomCode) === match.roomId) {
+        privateRooms.delete(match.roomCode);
+        log.info(`[Server] Private room ${match.roomCode} closed`);
     }
+
+    log.info(`[Server] Client ${client.id} left ${match.roomId}`);
+
+    if (wasActive) {
+        peerIds.forEach(peerId => {
+            send(clients.get(peerId), {
+                type: 'peer-disconnected',
+                roomId: match.roomId
+            });
+        });
+    }
+    endSpectating(match);
+
+    client.role = null;
+    client.isInitiator = false;
+    client.opponentId = null;
+
+    // Walking out of a tournament game hands it to the opponent
+    if (wasActive && match.tournament) forfeitTournamentGame(match, client);
+
+    logMatchCounts();
+}
+
+/**
+ * Keep a disconnected player's seat open for the grace period and tell their opponent
+ */
+function holdSeat(client, match) {
+    client.disconnectedAt = Date.now();
+    client.resumeTimer = setTimeout(() => {
+        log.info(`[Server] Session of ${client.id} expired`);
+        removeClient(client);
+    }, RESUME_GRACE_MS);
+
+    log.info(`[Server] Holding seat ${client.role} in ${match.roomId} for ${client.id} (${RESUME_GRACE_MS / 1000}s)`);
+
+    matches.getPeerIds(client.id).forEach(peerId => {
+        send(clients.get(peerId), {
+            type: 'peer-reconnecting',
+            roomId: match.roomId,
+            timeoutMs: RESUME_GRACE_MS
+        });
+    });
+}
+
+/**
+ * Forget a client for good: leave its match and drop its session
+ */
+function removeClient(client) {
+    clearTimeout(client.resumeTimer);
+    leaveMatch(client);
+    leaveTournament(client);
+    sessions.delete(client.sessionToken);
+    clients.delete(client.id);
+}
+
+/**
+ * A reconnecting socket presents the token of a dropped session and takes
+ * back that session's id, role and match. Both sides then renegotiate WebRTC
+ * through the usual signal relay.
+ */
+function handleResume(clientId, data) {
+    const client = clients.get(clientId);
+    const resumedId = typeof data.token === 'string' ? sessions.get(data.token) : null;
+    const session = resumedId ? clients.get(resumedId) : null;
+    const match = session ? matches.getMatchForClient(resumedId) : null;
+
+    // Only a seat that is actually being held can be taken over, and only by the same verified player
+    const sameIdentity = !session || !session.identity ||
+        (client.identity && client.identity.userId === session.identity.userId);
+    if (!session || resumedId === clientId || !session.disconnectedAt || !match ||
+        match.state === MATCH_STATE.FINISHED || !sameIdentity) {
+        log.info(`[Server] Client ${clientId} could not resume session`);
+        send(client, { type: 'resume-failed' });
+        return;
+    }
+
+    // Move this socket over to the held session and drop the fresh one
+    clearTimeout(session.resumeTimer);
+    session.resumeTimer = null;
+    session.disconnectedAt = null;
+    session.ws = client.ws;
+    session.ws.clientId = resumedId;
+    sessions.delete(client.sessionToken);
+    clients.delete(clientId);
+
+    log.info(`[Server] Client ${resumedId} resumed seat ${session.role} in ${match.roomId}`);
+
+    // The opponent restarts its side of the connection first, so it is ready for a new offer.
+    // Both sides try WebRTC again and fall back to the relay on their own if needed.
+    matches.setState(match.roomId, MATCH_STATE.SIGNALING);
+    matches.setTransport(match.roomId, MATCH_TRANSPORT.WEBRTC);
+    matches.getPeerIds(resumedId).forEach(peerId => {
+        send(clients.get(peerId), {
+            type: 'peer-resumed',
+            roomId: match.roomId
+        });
+    });
+
+    send(session, {
+        type: 'resumed',
+        clientId: resumedId,
+        sessionToken: session.sessionToken,
+        roomId: match.roomId,
+        role: session.role,
+        opponentId: session.opponentId,
+        isInitiator: session.isInitiator,
+        iceServers: ICE_SERVERS,
+        spectators: match.spectators.length,
+        name: getDisplayName(session),
+        opponentName: getDisplayName(clients.get(session.opponentId)),
+        ...(match.roomCode ? { roomCode: match.roomCode } : {})
+    });
+
+    logMatchCounts();
 }
 
 function handleSignal(clientId, data) {
+    const match = matches.getMatchForClient(clientId);
+    if (!match || match.state === MATCH_STATE.FINISHED) return;
+
+    // Forward signal to the other members of this match only
+    matches.getPeerIds(clientId).forEach(peerId => {
+        send(clients.get(peerId), {
+            type: 'signal',
+            from: clientId,
+            data: data.data
+        });
+        countRelayed();
+    });
+}
+
+/**
+ * Clients report when their data channel opens ('playing') and when a game ends
+ * ('finished'). A rematch on the same connection reports 'playing' again.
+ */
+function handleMatchState(clientId, data) {
+    const match = matches.getMatchForClient(clientId);
+    if (!match) return;
+
+    if (data.state !== MATCH_STATE.PLAYING && data.state !== MATCH_STATE.FINISHED) {
+        log.warn(`[Server] Ignoring match state '${data.state}' from ${clientId}`);
+        return;
+    }
+
+    matches.setState(match.roomId, data.state);
+    log.info(`[Server] Match ${match.roomId} is now ${match.state}`);
+    logMatchCounts();
+}
+
+/**
+ * Players report the winner's role ('A', 'B', or null for a draw) when a game
+ * ends, with the game's number in the match (1 for the first game, counted up
+ * by each rematch on both sides). The two reports of a game are paired by that
+ * number and cross-checked in settleResult(); a report that never comes only
+ * affects its own game.
+ */
+function handleMatchResult(clientId, data) {
     const client = clients.get(clientId);
-    if (!client || !client.opponentId) return;
-    
-    const opponent = Array.from(clients.values()).find(c => c.id === client.opponentId);
-    if (!opponent || opponent.ws.readyState !== WebSocket.OPEN) return;
-    
-    // Forward signal to opponent
-    opponent.ws.send(JSON.stringify({
-        type: 'signal',
-        from: clientId,
-        data: data.data
+    // Reports come with (or after) the game's 'finished'; only a player leaving ends reporting
+    const match = matches.getMatchForClient(clientId);
+    if (!match || match.members.length !== 2) return;
+
+    if (data.winner !== 'A' && data.winner !== 'B' && data.winner !== null) {
+        log.warn(`[Server] Ignoring match result '${data.winner}' from ${clientId}`);
+        return;
+    }
+    if (!Number.isInteger(data.game) || data.game < 1) {
+        log.warn(`[Server] Ignoring match result for game ${data.game} from ${clientId}`);
+        return;
+    }
+    // A report after the game was settled, e.g. once the wait for it ran out
+    if (match.settledGames.has(data.game)) {
+        log.info(`[Server] Ignoring late result for game ${data.game} in ${match.roomId} from ${clientId}`);
+        return;
+    }
+
+    const key = `${match.roomId}#${data.game}`;
+    let pending = pendingResults.get(key);
+    if (!pending) {
+        const players = {};
+        match.members.forEach(member => {
+            const player = clients.get(member.clientId);
+            players[member.role] = { clientId: member.clientId, userId: player.userId || null, name: getDisplayName(player) };
+        });
+        pending = { match, game: data.game, players, reports: {}, timer: null };
+        pendingResults.set(key, pending);
+    }
+    pending.reports[client.role] = data.winner;
+
+    if ('A' in pending.reports && 'B' in pending.reports) {
+        settleResult(key);
+    } else if (!pending.timer) {
+        pending.timer = setTimeout(() => settleResult(key), RESULT_CONFIRM_MS);
+    }
+}
+
+/**
+ * Store a game's result once both players reported it (or the wait ran out).
+ * Agreed results update the ratings; anything else is flagged instead.
+ * Tournament games then move their bracket on.
+ */
+function settleResult(key) {
+    const pending = pendingResults.get(key);
+    if (!pending) return;
+    pendingResults.delete(key);
+    clearTimeout(pending.timer);
+    pending.match.settledGames.add(pending.game);
+
+    const { match, game, players } = pending;
+    const ratingGameId = getRatingGameId(match.gameId);
+    const result = results.recordResult({
+        gameId: ratingGameId,
+        roomId: match.roomId,
+        game: game,
+        players: {
+            A: { userId: players.A.userId, name: players.A.name },
+            B: { userId: players.B.userId, name: players.B.name }
+        },
+        reports: pending.reports
+    });
+
+    if (result.status !== RESULT_STATUS.AGREED) {
+        log.warn(`[Server] Game ${game} in ${match.roomId} is ${result.status}: A reported ${result.reports.A}, B reported ${result.reports.B}`);
+        ['A', 'B'].forEach(role => {
+            send(clients.get(players[role].clientId), {
+                type: 'result-flagged',
+                roomId: match.roomId,
+                game: game,
+                status: result.status,
+                reports: result.reports
+            });
+        });
+    } else {
+        rateResult(match, game, players, result);
+    }
+
+    if (match.tournament) settleTournamentGame(pending, result);
+}
+
+/**
+ * Update both players' ratings with an agreed result and tell them
+ */
+function rateResult(match, game, players, result) {
+    const ratingGameId = getRatingGameId(match.gameId);
+    const scoreA = result.winner === 'A' ? 1 : (result.winner === 'B' ? 0 : 0.5);
+    const ratingResult = ratings.recordResult(ratingGameId, players.A.userId, players.B.userId, scoreA);
+
+    log.info(`[Server] Result in ${match.roomId}: ${result.winner ? result.winner + ' won' : 'draw'} (A ${ratingResult.A.rating}, B ${ratingResult.B.rating})`);
+
+    ['A', 'B'].forEach(role => {
+        const player = clients.get(players[role].clientId);
+        const opponentRole = role === 'A' ? 'B' : 'A';
+        if (player) player.rating = ratingResult[role].rating;
+
+        send(player, {
+            type: 'rating-update',
+            roomId: match.roomId,
+            gameId: ratingGameId,
+            game: game,
+            winner: result.winner,
+            rating: ratingResult[role].rating,
+            delta: ratingResult[role].delta,
+            opponentRating: ratingResult[opponentRole].rating
+        });
+    });
+}
+
+/**
+ * A client whose WebRTC connection failed asks for its match to be relayed.
+ * Every member switches over, since both ends of a relay must use it.
+ */
+function handleRelayRequest(clientId) {
+    const match = matches.getMatchForClient(clientId);
+    if (!match || match.members.length < 2) return;
+
+    if (match.transport !== MATCH_TRANSPORT.RELAY) {
+        log.info(`[Server] Relaying game data for ${match.roomId} (requested by ${clientId})`);
+        matches.setTransport(match.roomId, MATCH_TRANSPORT.RELAY);
+    }
+
+    match.members.forEach(({ clientId: memberId }) => {
+        send(clients.get(memberId), {
+            type: 'relay-ready',
+            roomId: match.roomId
+        });
+    });
+}
+
+/**
+ * Forward a binary game data frame from a player. In a relayed match it goes
+ * to the opponent untouched; spectators always get a copy tagged with the
+ * sender's role. (Over WebRTC, players only send frames here while watched.)
+ */
+function handleRelayFrame(clientId, frame) {
+    // Between games (finished) the rematch handshake still needs the relay
+    const match = matches.getMatchForClient(clientId);
+    if (!match || match.members.length < 2) return;
+
+    if (match.transport === MATCH_TRANSPORT.RELAY) {
+        matches.getPeerIds(clientId).forEach(peerId => {
+            const peer = clients.get(peerId);
+            if (peer && peer.ws.readyState === WebSocket.OPEN) {
+                peer.ws.send(frame, { binary: true });
+                countRelayed();
+            }
+        });
+    }
+
+    if (match.spectators.length === 0) return;
+
+    const member = match.members.find(m => m.clientId === clientId);
+    const tagged = Buffer.concat([Buffer.from(member.role.charAt(0)), frame]);
+    match.spectators.forEach(spectatorId => {
+        const spectator = clients.get(spectatorId);
+        if (spectator && spectator.ws.readyState === WebSocket.OPEN) {
+            spectator.ws.send(tagged, { binary: true });
+            countRelayed();
+        }
+    });
+}
+
+/**
+ * Attach a read-only client to a running match
+ */
+function handleSpectate(clientId, data) {
+    const client = clients.get(clientId);
+    const match = matches.getMatch(data.roomId);
+
+    // A spectator is never a player at the same time
+    removeFromQueue(client);
+    leaveMatch(client);
+    leaveTournament(client);
+
+    if (!match || match.members.length < 2 ||
+        (match.state !== MATCH_STATE.SIGNALING && match.state !== MATCH_STATE.PLAYING)) {
+        send(client, {
+            type: 'spectate-error',
+            roomId: data.roomId,
+            message: 'Match not found'
+        });
+        return;
+    }
+
+    matches.addSpectator(match.roomId, clientId);
+    log.info(`[Server] Client ${clientId} is spectating ${match.roomId}`);
+
+    send(client, {
+        type: 'spectating',
+        roomId: match.roomId,
+        gameId: match.gameId,
+        transport: match.transport,
+        players: match.members.map(({ clientId: playerId, role }) => ({ clientId: playerId, role }))
+    });
+    notifySpectatorCount(match);
+}
+
+function stopSpectating(client) {
+    const match = matches.removeSpectator(client.id);
+    if (!match) return;
+
+    log.info(`[Server] Client ${client.id} stopped spectating ${match.roomId}`);
+    notifySpectatorCount(match);
+}
+
+/**
+ * Players only mirror their game data to the server while someone is watching
+ */
+function notifySpectatorCount(match) {
+    match.members.forEach(({ clientId }) => {
+        send(clients.get(clientId), {
+            type: 'spectators',
+            roomId: match.roomId,
+            count: match.spectators.length
+        });
+    });
+}
+
+/**
+ * The match is over: tell its spectators and let them go
+ */
+function endSpectating(match) {
+    match.spectators.slice().forEach(spectatorId => {
+        matches.removeSpectator(spectatorId);
+        send(clients.get(spectatorId), {
+            type: 'spectate-ended',
+            roomId: match.roomId
+        });
+    });
+}
+
+/**
+ * Register a player for a tournament that is still open
+ */
+function handleTournamentRegister(clientId, data) {
+    const client = clients.get(clientId);
+    const tournament = tournaments.getTournament(data.tournamentId);
+    const queueKey = getQueueKey(data);
+
+    let error = null;
+    if (!tournament) {
+        error = 'Tournament not found';
+    } else if (getRatingGameId(queueKey) !== tournament.gameId) {
+        error = 'Tournament is for a different game';
+    } else if (tournament.queueKey && tournament.queueKey !== queueKey) {
+        error = 'Tournament is for a different version of the game';
+    }
+
+    if (!error) {
+        removeFromQueue(client);
+        leaveMatch(client);
+        if (tournaments.getTournamentForPlayer(clientId) !== tournament) leaveTournament(client);
+        client.userId = getUserId(client, data);
+
+        error = tournaments.register(tournament, {
+            playerId: clientId,
+            userId: client.userId,
+            name: getDisplayName(client) || client.userId || `Player ${tournament.players.length + 1}`,
+            rating: ratings.getRating(tournament.gameId, client.userId)
+        });
+    }
+
+    if (error) {
+        log.info(`[Server] Client ${clientId} could not register for tournament ${data.tournamentId}: ${error}`);
+        send(client, {
+            type: 'tournament-error',
+            tournamentId: data.tournamentId,
+            message: error
+        });
+        return;
+    }
+
+    // Everyone plays the build the first player registered with
+    if (!tournament.queueKey) tournament.queueKey = queueKey;
+
+    log.info(`[Server] Client ${clientId} registered for tournament ${tournament.id} (${tournament.players.length} players)`);
+    publishTournament(tournament);
+}
+
+/**
+ * Take a player out of their tournament: before the start they are simply
+ * unregistered, afterwards they forfeit their remaining games
+ */
+function leaveTournament(client) {
+    const withdrawal = tournaments.withdraw(client.id);
+    if (!withdrawal) return;
+
+    const { tournament, forfeited } = withdrawal;
+    log.info(`[Server] Client ${client.id} left tournament ${tournament.id}`);
+
+    forfeited.forEach(pairing => {
+        const match = matches.getMatch(pairing.roomId);
+        if (match) closeMatch(match, 'Opponent withdrew from the tournament', false);
+    });
+    updateTournament(tournament);
+}
+
+/**
+ * A player walked out of a tournament game: their opponent wins the pairing
+ */
+function forfeitTournamentGame(match, client) {
+    const tournament = tournaments.getTournament(match.tournament.tournamentId);
+    if (!tournament || !tournaments.forfeit(tournament, match.tournament.pairingId, client.id)) return;
+
+    log.info(`[Server] Client ${client.id} forfeited ${match.tournament.pairingId} of tournament ${tournament.id}`);
+    closeMatch(match, 'Opponent forfeited', false);
+    updateTournament(tournament);
+}
+
+/**
+ * Move the bracket on once a tournament game is settled. Only a result both
+ * players agree on decides the pairing; a disputed game, or one only a single
+ * player reported, is replayed. The match ends either way, and the players
+ * wait for their next pairing.
+ */
+function settleTournamentGame(pending, result) {
+    const { match, players } = pending;
+    const tournament = tournaments.getTournament(match.tournament.tournamentId);
+    if (!tournament) return;
+
+    const { pairingId } = match.tournament;
+    if (result.status !== RESULT_STATUS.AGREED) {
+        log.warn(`[Server] Tournament ${tournament.id}: ${pairingId} is ${result.status}, replaying it`);
+        tournaments.replay(tournament, pairingId);
+    } else {
+        const winnerId = result.winner ? players[result.winner].clientId : null;
+        tournaments.recordResult(tournament, pairingId, winnerId);
+        log.info(`[Server] Tournament ${tournament.id}: ${pairingId} ${result.winner ? `won by ${result.winner}` : 'drawn'}`);
+    }
+
+    closeMatch(match, 'Tournament game over', false);
+    updateTournament(tournament);
+}
+
+/**
+ * Put a tournament game that was closed before it was decided back in the bracket
+ */
+function replayTournamentGame(match) {
+    const tournament = tournaments.getTournament(match.tournament.tournamentId);
+    if (!tournament || !tournaments.replay(tournament, match.tournament.pairingId)) return;
+
+    log.info(`[Server] Tournament ${tournament.id}: ${match.tournament.pairingId} will be replayed`);
+    updateTournament(tournament);
+}
+
+/**
+ * Publish the bracket, then start the next pairings after a short break so
+ * the players see how their game went
+ */
+function updateTournament(tournament) {
+    publishTournament(tournament);
+    if (tournamentBreaks.has(tournament.id)) return;
+
+    tournamentBreaks.set(tournament.id, setTimeout(() => {
+        tournamentBreaks.delete(tournament.id);
+        startTournamentPairings(tournament);
+    }, TOURNAMENT_BREAK_MS));
+}
+
+/**
+ * Start a match for every pairing of the current round that is ready, and
+ * publish the bracket. Registered players are always connected and never in
+ * another match.
+ */
+function startTournamentPairings(tournament) {
+    tournaments.getPairingsToStart(tournament).forEach(pairing => {
+        const clientA = clients.get(pairing.a);
+        const clientB = clients.get(pairing.b);
+        if (!clientA || !clientB) return;
+
+        const match = matches.createMatch({
+            gameId: tournament.queueKey,
+            tournament: { tournamentId: tournament.id, pairingId: pairing.id, round: pairing.round }
+        });
+        tournaments.markPlaying(tournament, pairing.id, match.roomId);
+        log.info(`[Server] Tournament ${tournament.id}: starting ${pairing.id}`);
+        startMatch(match, clientA, clientB);
+    });
+
+    publishTournament(tournament);
+}
+
+/**
+ * Send every player still in a tournament the bracket and where they stand
+ */
+function publishTournament(tournament) {
+    const state = tournaments.describe(tournament);
+    tournament.players.forEach(player => {
+        if (player.withdrawn) return;
+        send(clients.get(player.playerId), {
+            type: 'tournament-update',
+            tournament: state,
+            status: tournaments.getPlayerStatus(tournament, player.playerId)
+        });
+    });
+}
+
+function logMatchCounts() {
+    log.debug('[Server] Matches:', JSON.stringify(matches.countByState()));
+}
+
+/**
+ * Send a JSON message to a client if its socket is still open
+ */
+function send(client, message) {
+    if (client && client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Ping a socket and evict it unless it answers within the heartbeat timeout
+ */
+function pingSocket(ws) {
+    if (ws.pongTimer || ws.readyState !== WebSocket.OPEN) return;
+    ws.pongTimer = setTimeout(() => evictSocket(ws), config.heartbeatTimeoutMs);
+    ws.ping();
+}
+
+function handlePong(ws) {
+    clearTimeout(ws.pongTimer);
+    ws.pongTimer = null;
+    ws.lastSeenAt = Date.now();
+
+    // A waiting player who was being checked before pairing can be paired now
+    const client = clients.get(ws.clientId);
+    if (client && client.ws === ws && client.queueKey && pairQueue(client.queueKey) > 0) {
+        logQueueSizes();
+    }
+}
+
+/**
+ * Drop a socket that stopped answering heartbeats. The usual 'close' cleanup
+ * runs, so a player in a match still gets their seat held for a resume.
+ */
+function evictSocket(ws) {
+    ws.pongTimer = null;
+    const client = clients.get(ws.clientId);
+    const isCurrent = client && client.ws === ws;
+
+    log.warn(`[Server] Evicting ${ws.clientId}: no heartbeat for ${Date.now() - ws.lastSeenAt}ms`);
+    evictions.total++;
+    if (isCurrent && client.queueKey) evictions.waiting++;
+    else if (isCurrent && matches.getMatchForClient(client.id)) evictions.inMatch++;
+
+    ws.terminate();
+}
+
+/**
+ * Kick a client off the server. Its seat is not held for a resume.
+ */
+function kickClient(client, reason) {
+    log.info(`[Server] Kicking ${client.id}: ${reason}`);
+
+    const ws = client.ws;
+    send(client, { type: 'kicked', reason: reason });
+    removeFromQueue(client);
+    removeClient(client);
+
+    // removeClient already forgot this socket, so its 'close' is a no-op
+    if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+        ws.close(4000, 'Kicked');
+    }
+}
+
+/**
+ * End a match for everyone in it. Players stay connected and can queue again.
+ * Tournament games end quietly (notify = false); the bracket update tells the players.
+ */
+function closeMatch(match, reason, notify = true) {
+    log.info(`[Server] Closing ${match.roomId}: ${reason}`);
+
+    if (match.roomCode && privateRooms.get(match.roomCode) === match.roomId) {
+        privateRooms.delete(match.roomCode);
+    }
+
+    match.members.slice().forEach(({ clientId }) => {
+        matches.removeMember(clientId);
+
+        const member = clients.get(clientId);
+        if (!member) return;
+
+        member.role = null;
+        member.isInitiator = false;
+        member.opponentId = null;
+
+        // A held seat has nothing left to come back to
+        if (member.disconnectedAt) {
+            removeClient(member);
+            return;
+        }
+
+        if (notify) {
+            send(member, {
+                type: 'match-closed',
+                roomId: match.roomId,
+                reason: reason
+            });
+        }
+    });
+    endSpectating(match);
+
+    // A tournament game that ends undecided is played again
+    if (match.tournament) replayTournamentGame(match);
+
+    logMatchCounts();
+}
+
+function countRelayed() {
+    const second = Math.floor(Date.now() / 1000);
+    relayBuckets.set(second, (relayBuckets.get(second) || 0) + 1);
+    relayedTotal++;
+
+    for (const bucket of relayBuckets.keys()) {
+        if (bucket <= second - RELAY_RATE_WINDOW_S) relayBuckets.delete(bucket);
+    }
+}
+
+/**
+ * Average messages relayed per second over the last few complete seconds
+ */
+function getRelayRate() {
+    const second = Math.floor(Date.now() / 1000);
+    let count = 0;
+    for (const [bucket, messages] of relayBuckets) {
+        if (bucket >= second - RELAY_RATE_WINDOW_S && bucket < second) count += messages;
+    }
+    return count / RELAY_RATE_WINDOW_S;
+}
+
+function getStats() {
+    let connected = 0;
+    let heldSeats = 0;
+    for (const client of clients.values()) {
+        if (client.disconnectedAt) heldSeats++;
+        else connected++;
+    }
+
+    let spectators = 0;
+    for (const match of matches.list()) {
+        spectators += match.spectators.length;
+    }
+
+    const matchCounts = matches.countByState();
+
+    return {
+        uptimeMs: Date.now() - startedAt,
+        clients: connected,
+        heldSeats: heldSeats,
+        waiting: getQueueSizes(),
+        spectators: spectators,
+        privateRooms: privateRooms.size,
+        tournaments: tournaments.size,
+        evictions: { ...evictions },
+        matches: matchCounts,
+        activeMatches: matchCounts[MATCH_STATE.SIGNALING] + matchCounts[MATCH_STATE.PLAYING],
+        relayed: {
+            total: relayedTotal,
+            perSecond: getRelayRate()
+        }
+    };
+}
+
+function listTournaments() {
+    return tournaments.list().map(tournament => ({
+        id: tournament.id,
+        name: tournament.name,
+        gameId: tournament.gameId,
+        format: tournament.format,
+        state: tournament.state,
+        players: tournament.players.length,
+        maxPlayers: tournament.maxPlayers,
+        currentRound: tournament.currentRound,
+        totalRounds: tournaments.getTotalRounds(tournament),
+        winnerName: tournament.winner ? tournaments.getPlayer(tournament, tournament.winner).name : null
+    }));
+}
+
+function listMatches() {
+    const now = Date.now();
+    return matches.list().map(match => ({
+        roomId: match.roomId,
+        gameId: match.gameId,
+        roomCode: match.roomCode,
+        state: match.state,
+        transport: match.transport,
+        spectators: match.spectators.length,
+        players: match.members.map(({ clientId, role }) => ({
+            clientId: clientId,
+            role: role,
+            name: getDisplayName(clients.get(clientId)),
+            connected: !clients.get(clientId)?.disconnectedAt
+        })),
+        ageMs: now - match.createdAt
     }));
 }
 
+/**
+ * HTTP endpoints:
+ *   GET  /health                         - liveness check
+ *   GET  /stats                          - clients, queues, matches, evictions and relay rate
+ *   GET  /matches                        - every match with its players and age
+ *   GET  /leaderboard?gameId=<id>        - top players of a game by wins (&limit=<n>, default 10)
+ *   GET  /results?gameId=&status=        - recent match results, e.g. status=disputed
+ *   POST /identity?userId=<id>&name=<n>  - issue a signed identity token (admin)
+ *   POST /admin/kick?clientId=<id>       - disconnect a client
+ *   POST /admin/close-match?roomId=<id>  - end a match for both players
+ *   GET  /tournaments                    - every tournament with its state and player count
+ *   GET  /tournament?id=<id>             - one tournament's players, bracket and standings
+ *   POST /admin/create-tournament?gameId=<id>&format=<f>&name=<n>&maxPlayers=<n>
+ *                                        - open a tournament for registrations
+ *   POST /admin/start-tournament?id=<id> - close registrations and start the first round
+ * The admin endpoints are off unless ADMIN_TOKEN is set, see isAdmin().
+ */
+function handleHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Built games under /games/<name>/, when enabled
+    if (config.gamesDir && serveGameFile(req, res, url.pathname, config.gamesDir)) return;
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+
+    switch (route) {
+        case 'GET /health':
+            sendJson(res, 200, { status: 'ok', uptimeMs: Date.now() - startedAt });
+            break;
+
+        case 'GET /stats':
+            sendJson(res, 200, getStats());
+            break;
+
+        case 'GET /matches':
+            sendJson(res, 200, { matches: listMatches() });
+            break;
+
+        case 'GET /leaderboard': {
+            const gameId = url.searchParams.get('gameId');
+            if (!gameId) {
+                sendJson(res, 400, { error: 'gameId is required', games: results.listGames() });
+                return;
+            }
+            const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 10, 1), 100);
+            const players = results.getLeaderboard(gameId, limit).map(entry => ({
+                ...entry,
+                rating: ratings.getRating(gameId, entry.userId)
+            }));
+            sendJson(res, 200, { gameId, players });
+            break;
+        }
+
+        case 'GET /results': {
+            const status = url.searchParams.get('status');
+            if (status && !Object.values(RESULT_STATUS).includes(status)) {
+                sendJson(res, 400, { error: `status must be one of ${Object.values(RESULT_STATUS).join(', ')}` });
+                return;
+            }
+            sendJson(res, 200, {
+                results: results.getResults({
+                    gameId: url.searchParams.get('gameId'),
+                    status: status,
+                    limit: Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 1000)
+                })
+            });
+            break;
+        }
+
+        case 'POST /identity': {
+            if (!isAdmin(req, res)) return;
+            const userId = (url.searchParams.get('userId') || '').trim();
+            const name = (url.searchParams.get('name') || '').trim();
+            if (!userId || userId.length > MAX_USER_ID_LENGTH || name.length > MAX_DISPLAY_NAME_LENGTH) {
+                sendJson(res, 400, { error: `userId (up to ${MAX_USER_ID_LENGTH} characters) is required, name is up to ${MAX_DISPLAY_NAME_LENGTH}` });
+                return;
+            }
+            sendJson(res, 200, issueIdentityToken({ userId, name: name || userId }, config.identitySecret));
+            break;
+        }
+
+        case 'POST /admin/kick': {
+            if (!isAdmin(req, res)) return;
+            const client = clients.get(url.searchParams.get('clientId'));
+            if (!client) {
+                sendJson(res, 404, { error: 'Client not found' });
+                return;
+            }
+            kickClient(client, url.searchParams.get('reason') || 'Kicked by admin');
+            sendJson(res, 200, { kicked: client.id });
+            break;
+        }
+
+        case 'POST /admin/close-match': {
+            if (!isAdmin(req, res)) return;
+            const match = matches.getMatch(url.searchParams.get('roomId'));
+            if (!match) {
+                sendJson(res, 404, { error: 'Match not found' });
+                return;
+            }
+            closeMatch(match, url.searchParams.get('reason') || 'Closed by admin');
+            sendJson(res, 200, { closed: match.roomId });
+            break;
+        }
+
+        case 'GET /tournaments':
+            sendJson(res, 200, { tournaments: listTournaments() });
+            break;
+
+        case 'GET /tournament': {
+            const tournament = tournaments.getTournament(url.searchParams.get('id'));
+            if (!tournament) {
+                sendJson(res, 404, { error: 'Tournament not found' });
+                return;
+            }
+            sendJson(res, 200, tournaments.describe(tournament));
+            break;
+        }
+
+        case 'POST /admin/create-tournament': {
+            if (!isAdmin(req, res)) return;
+            const gameId = (url.searchParams.get('gameId') || '').trim();
+            const format = url.searchParams.get('format') || TOURNAMENT_FORMAT.SINGLE_ELIMINATION;
+            const name = (url.searchParams.get('name') || '').trim();
+            const maxPlayers = parseInt(url.searchParams.get('maxPlayers'), 10) || undefined;
+            if (!gameId || gameId.length > MAX_GAME_ID_LENGTH || gameId.includes('@')) {
+                sendJson(res, 400, { error: `gameId (up to ${MAX_GAME_ID_LENGTH} characters, without a version) is required` });
+                return;
+            }
+            if (!Object.values(TOURNAMENT_FORMAT).includes(format)) {
+                sendJson(res, 400, { error: `format must be one of ${Object.values(TOURNAMENT_FORMAT).join(', ')}` });
+                return;
+            }
+            if (name.length > MAX_TOURNAMENT_NAME_LENGTH) {
+                sendJson(res, 400, { error: `name is up to ${MAX_TOURNAMENT_NAME_LENGTH} characters` });
+                return;
+            }
+            const tournament = tournaments.createTournament({ gameId, format, name, maxPlayers });
+            log.info(`[Server] Tournament ${tournament.id} (${format}) open for ${gameId}`);
+            sendJson(res, 200, tournaments.describe(tournament));
+            break;
+        }
+
+        case 'POST /admin/start-tournament': {
+            if (!isAdmin(req, res)) return;
+            const tournament = tournaments.getTournament(url.searchParams.get('id'));
+            if (!tournament) {
+                sendJson(res, 404, { error: 'Tournament not found' });
+                return;
+            }
+            const error = tournaments.start(tournament);
+            if (error) {
+                sendJson(res, 409, { error });
+                return;
+            }
+            log.info(`[Server] Tournament ${tournament.id} started with ${tournament.players.length} players`);
+            startTournamentPairings(tournament);
+            sendJson(res, 200, tournaments.describe(tournament));
+            break;
+        }
+
+        default:
+            sendJson(res, 404, { error: 'Not found' });
+    }
+}
+
+/**
+ * Verified display name of a player, or null if they did not present an identity token
+ */
+function getDisplayName(client) {
+    return client && client.identity ? client.identity.name : null;
+}
+
+/**
+ * True if the request carries the admin token; answers 403 otherwise. Without
+ * ADMIN_TOKEN nobody is an admin.
+ */
+function isAdmin(req, res) {
+    if (!ADMIN_TOKEN) {
+        sendJson(res, 403, { error: 'Admin endpoints are off; start the server with ADMIN_TOKEN set' });
+        return false;
+    }
+    if (req.headers['x-admin-token'] === ADMIN_TOKEN) return true;
+    sendJson(res, 403, { error: 'Admin token required' });
+    return false;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+// Waiting players' rating bands widen over time, so keep retrying the queues
+setInterval(() => {
+    let started = 0;
+    Array.from(queues.keys()).forEach(queueKey => { started += pairQueue(queueKey); });
+    if (started > 0) logQueueSizes();
+}, MATCHMAKING_SWEEP_MS);
+
+// Heartbeats find half-open connections (e.g. a laptop that went to sleep)
+setInterval(() => {
+    wss.clients.forEach(pingSocket);
+}, config.heartbeatIntervalMs);
+
 // Start server
-const PORT = 8081;
-server.listen(PORT, () => {
-    console.log(`[Server] Local matchmaking server running on port ${PORT}`);
-    console.log('[Server] Clients can connect to ws://localhost:8081');
+server.listen(config.port, config.host, () => {
+    const address = `${config.host || 'localhost'}:${server.address().port}`;
+    log.info(`[Server] Local matchmaking server running on ${address}`);
+    log.info(`[Server] Clients can connect to ws://${address}`);
+    log.info(`[Server] Status: http://${address}/stats and /matches`);
+    log.info(`[Server] ICE servers: ${ICE_SERVERS.map(server => server.urls).join(', ')}`);
+    if (config.identitySecretGenerated) {
+        log.info('[Server] No IDENTITY_SECRET set; identity tokens are valid until the server restarts');
+    }
+    if (config.requireIdentity) log.info('[Server] Connections without an identity token are refused');
+    if (!ADMIN_TOKEN) log.info('[Server] No ADMIN_TOKEN set; admin endpoints and /identity are off');
+
+    if (config.gamesDir) {
+        const games = listBuiltGames(config.gamesDir);
+        log.info(`[Server] Serving ${games.length ? games.join(', ') : 'no built games'} from ${config.gamesDir} at http://${address}/games/`);
+    }
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-    console.log('[Server] Shutting down...');
+    log.info('[Server] Shutting down...');
     wss.close(() => {
         server.close(() => {
-            console.log('[Server] Server closed');
+            log.info('[Server] Server closed');
             process.exit(0);
         });
     });
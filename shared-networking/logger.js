@@ -0,0 +1,24 @@
+/**
+ * Leveled console logger for the matchmaking server
+ * Messages below the configured level are dropped.
+ */
+const { LOG_LEVELS } = require('./server-config.js');
+
+let threshold = LOG_LEVELS.indexOf('info');
+
+function setLevel(level) {
+    const index = LOG_LEVELS.indexOf(level);
+    if (index !== -1) threshold = index;
+}
+
+function enabled(level) {
+    return LOG_LEVELS.indexOf(level) <= threshold;
+}
+
+module.exports = {
+    setLevel,
+    error: (...args) => { if (enabled('error')) console.error(...args); },
+    warn: (...args) => { if (enabled('warn')) console.warn(...args); },
+    info: (...args) => { if (enabled('info')) console.log(...args); },
+    debug: (...args) => { if (enabled('debug')) console.log(...args); }
+};
@@ -0,0 +1,193 @@
+/**
+ * MatchRegistry - Tracks every match running on the local matchmaking server
+ * Each match has a unique room id, a member list and a lifecycle state, so
+ * signals, disconnects and cleanup only ever touch the match they belong to
+ */
+
+const MATCH_STATE = {
+    WAITING: 'waiting',     // Created, not all seats filled yet (e.g. private room host)
+    SIGNALING: 'signaling', // Both players matched, WebRTC negotiation in progress
+    PLAYING: 'playing',     // Data channel open, game running
+    FINISHED: 'finished'    // Game over (playing again after a rematch) or a player left
+};
+
+const MATCH_TRANSPORT = {
+    WEBRTC: 'webrtc', // Peer-to-peer data channels (default)
+    RELAY: 'relay'    // Game data forwarded by the server over the WebSocket
+};
+
+class MatchRegistry {
+    constructor() {
+        this.matches = new Map();       // roomId -> match
+        this.clientMatches = new Map(); // clientId -> roomId
+        this.spectatorMatches = new Map(); // spectator clientId -> roomId
+    }
+
+    generateRoomId() {
+        let roomId;
+        do {
+            roomId = 'room-' + Math.random().toString(36).substr(2, 9);
+        } while (this.matches.has(roomId));
+        return roomId;
+    }
+
+    /**
+     * Create an empty match
+     * @param {Object} options
+     * @param {string} options.gameId - Queue key of the game being played
+     * @param {string} [options.roomCode] - Join code when created as a private room
+     * @param {Object} [options.tournament] - { tournamentId, pairingId, round } for a tournament pairing
+     */
+    createMatch({ gameId, roomCode = null, tournament = null }) {
+        const now = Date.now();
+        const match = {
+            roomId: this.generateRoomId(),
+            gameId: gameId,
+            roomCode: roomCode,
+            tournament: tournament,
+            members: [], // [{ clientId, role }]
+            spectators: [], // [clientId]
+            settledGames: new Set(), // Numbers of the games whose result is in; later reports are ignored
+            state: MATCH_STATE.WAITING,
+            transport: MATCH_TRANSPORT.WEBRTC,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.matches.set(match.roomId, match);
+        return match;
+    }
+
+    /**
+     * Seat a client in a match. A client can only be in one match at a time.
+     */
+    addMember(roomId, clientId, role) {
+        const match = this.matches.get(roomId);
+        if (!match) return null;
+
+        const currentRoomId = this.clientMatches.get(clientId);
+        if (currentRoomId === roomId) return match;
+        if (currentRoomId) this.removeMember(clientId);
+
+        match.members.push({ clientId, role });
+        this.clientMatches.set(clientId, roomId);
+        match.updatedAt = Date.now();
+        return match;
+    }
+
+    /**
+     * Remove a client from its match. The match is marked finished, and dropped
+     * from the registry once its last member is gone.
+     * @returns {Object|null} The match the client was in
+     */
+    removeMember(clientId) {
+        const roomId = this.clientMatches.get(clientId);
+        if (!roomId) return null;
+
+        this.clientMatches.delete(clientId);
+        const match = this.matches.get(roomId);
+        if (!match) return null;
+
+        match.members = match.members.filter(m => m.clientId !== clientId);
+        this.setState(roomId, MATCH_STATE.FINISHED);
+
+        if (match.members.length === 0) {
+            match.spectators.forEach(spectatorId => this.spectatorMatches.delete(spectatorId));
+            this.matches.delete(roomId);
+        }
+        return match;
+    }
+
+    /**
+     * Attach a read-only client to a match. Spectators are not members, so they
+     * never show up in getPeerIds() and never receive signals.
+     */
+    addSpectator(roomId, clientId) {
+        const match = this.matches.get(roomId);
+        if (!match) return null;
+
+        this.removeSpectator(clientId);
+        match.spectators.push(clientId);
+        this.spectatorMatches.set(clientId, roomId);
+        return match;
+    }
+
+    /**
+     * @returns {Object|null} The match the client was watching
+     */
+    removeSpectator(clientId) {
+        const roomId = this.spectatorMatches.get(clientId);
+        if (!roomId) return null;
+
+        this.spectatorMatches.delete(clientId);
+        const match = this.matches.get(roomId);
+        if (!match) return null;
+
+        match.spectators = match.spectators.filter(id => id !== clientId);
+        return match;
+    }
+
+    getSpectatedMatch(clientId) {
+        const roomId = this.spectatorMatches.get(clientId);
+        return roomId ? this.getMatch(roomId) : null;
+    }
+
+    setState(roomId, state) {
+        const match = this.matches.get(roomId);
+        if (!match || match.state === state) return;
+
+        // A match a player left never comes back to life; a finished game does, with a rematch
+        if (match.state === MATCH_STATE.FINISHED && match.members.length < 2) return;
+
+        match.state = state;
+        match.updatedAt = Date.now();
+    }
+
+    setTransport(roomId, transport) {
+        const match = this.matches.get(roomId);
+        if (!match || match.transport === transport) return;
+
+        match.transport = transport;
+        match.updatedAt = Date.now();
+    }
+
+    getMatch(roomId) {
+        return this.matches.get(roomId) || null;
+    }
+
+    getMatchForClient(clientId) {
+        const roomId = this.clientMatches.get(clientId);
+        return roomId ? this.getMatch(roomId) : null;
+    }
+
+    /**
+     * Ids of the other members in the client's match
+     */
+    getPeerIds(clientId) {
+        const match = this.getMatchForClient(clientId);
+        if (!match) return [];
+        return match.members.filter(m => m.clientId !== clientId).map(m => m.clientId);
+    }
+
+    /**
+     * Number of matches per lifecycle state
+     */
+    countByState() {
+        const counts = {};
+        Object.values(MATCH_STATE).forEach(state => { counts[state] = 0; });
+        for (const match of this.matches.values()) {
+            counts[match.state]++;
+        }
+        return counts;
+    }
+
+    list() {
+        return Array.from(this.matches.values());
+    }
+
+    get size() {
+        return this.matches.size;
+    }
+}
+
+module.exports = { MatchRegistry, MATCH_STATE, MATCH_TRANSPORT };
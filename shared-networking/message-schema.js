@@ -0,0 +1,126 @@
+/**
+ * Schemas for the JSON messages clients send to the matchmaking server
+ * Each message type lists its fields and the largest encoded size it may have;
+ * anything else is rejected before it reaches a handler.
+ */
+
+// Largest text message for types without their own limit, and for binary relay frames
+const MAX_MESSAGE_BYTES = 1024;
+const MAX_RELAY_FRAME_BYTES = 64 * 1024;
+
+const ERROR_CODE = {
+    INVALID_JSON: 'invalid-json',
+    INVALID_MESSAGE: 'invalid-message',
+    UNKNOWN_TYPE: 'unknown-type',
+    TOO_LARGE: 'too-large',
+    RATE_LIMITED: 'rate-limited'
+};
+
+const id = { type: 'string', maxLength: 64 };
+const optional = (field) => ({ ...field, optional: true });
+
+const gameFields = {
+    gameId: optional(id),
+    gameVersion: optional({ type: ['string', 'number'], maxLength: 64 }),
+    userId: optional(id)
+};
+
+const SCHEMAS = {
+    'resume': { fields: { token: id } },
+    'leave': { fields: {} },
+    'find-match': { fields: gameFields },
+    'create-room': { fields: gameFields },
+    'join-room': { fields: { ...gameFields, code: { type: 'string', maxLength: 16 } } },
+    'signal': {
+        maxBytes: 16 * 1024, // SDP offers and answers
+        fields: {
+            data: {
+                type: 'object',
+                fields: {
+                    type: { type: 'string', enum: ['offer', 'answer', 'ice-candidate', 'restart-connection'] },
+                    to: optional(id),
+                    targetUid: optional(id),
+                    offer: optional({ type: 'object' }),
+                    answer: optional({ type: 'object' }),
+                    candidate: optional({ type: 'object' })
+                }
+            }
+        }
+    },
+    'match-state': { fields: { roomId: optional(id), state: { type: 'string', enum: ['playing', 'finished'] } } },
+    'match-result': {
+        fields: {
+            roomId: optional(id),
+            game: { type: 'number', maxLength: 6 },
+            winner: { type: ['string', 'null'], enum: ['A', 'B', null] }
+        }
+    },
+    'relay-request': { fields: { roomId: optional(id) } },
+    'spectate': { fields: { roomId: id } },
+    'tournament-register': { fields: { ...gameFields, tournamentId: id } },
+    'tournament-leave': { fields: {} }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * @returns {string|null} What is wrong with the value, or null if it matches
+ */
+function checkField(name, value, spec) {
+    if (value === undefined) return spec.optional ? null : `${name} is required`;
+
+    const allowed = Array.isArray(spec.type) ? spec.type : [spec.type];
+    if (!allowed.includes(typeOf(value))) return `${name} must be ${allowed.join(' or ')}`;
+
+    if (spec.enum && !spec.enum.includes(value)) return `${name} must be one of ${spec.enum.map(String).join(', ')}`;
+    if (spec.maxLength && String(value).length > spec.maxLength) return `${name} is longer than ${spec.maxLength}`;
+
+    if (spec.fields) {
+        for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+            const error = checkField(`${name}.${field}`, value[field], fieldSpec);
+            if (error) return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a parsed message against the schema for its type
+ * @param {*} data - Parsed JSON
+ * @param {number} size - Encoded size in bytes
+ * @returns {{code: string, message: string}|null} The problem, or null if the message is valid
+ */
+function validateMessage(data, size) {
+    if (typeOf(data) !== 'object' || typeof data.type !== 'string') {
+        return { code: ERROR_CODE.INVALID_MESSAGE, message: 'Message must be an object with a type' };
+    }
+
+    const schema = SCHEMAS[data.type];
+    if (!schema) {
+        return { code: ERROR_CODE.UNKNOWN_TYPE, message: `Unknown message type: ${data.type.slice(0, 64)}` };
+    }
+
+    const maxBytes = schema.maxBytes || MAX_MESSAGE_BYTES;
+    if (size > maxBytes) {
+        return { code: ERROR_CODE.TOO_LARGE, message: `${data.type} is larger than ${maxBytes} bytes` };
+    }
+
+    for (const [field, spec] of Object.entries(schema.fields)) {
+        const error = checkField(field, data[field], spec);
+        if (error) return { code: ERROR_CODE.INVALID_MESSAGE, message: error };
+    }
+    return null;
+}
+
+/**
+ * Largest text message any type allows, checked before parsing
+ */
+function getMaxTextBytes() {
+    return Math.max(MAX_MESSAGE_BYTES, ...Object.values(SCHEMAS).map(schema => schema.maxBytes || 0));
+}
+
+module.exports = { validateMessage, getMaxTextBytes, ERROR_CODE, MAX_RELAY_FRAME_BYTES };
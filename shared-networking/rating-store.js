@@ -0,0 +1,89 @@
+/**
+ * RatingStore - Persistent Elo ratings per game and player
+ * Ratings live in a local JSON file keyed by game id, then user id, so the
+ * matchmaking server can pair players of similar skill across restarts
+ */
+const fs = require('fs');
+const log = require('./logger.js');
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+
+class RatingStore {
+    /**
+     * @param {string} filePath - JSON file the ratings are loaded from and saved to
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.ratings = {}; // gameId -> { userId -> { rating, games, updatedAt } }
+        this.load();
+    }
+
+    load() {
+        try {
+            this.ratings = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            log.info(`[RatingStore] Loaded ratings from ${this.filePath}`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log.error(`[RatingStore] Could not read ${this.filePath}, starting empty:`, err.message);
+            }
+            this.ratings = {};
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify(this.ratings, null, 2));
+        } catch (err) {
+            log.error(`[RatingStore] Could not write ${this.filePath}:`, err.message);
+        }
+    }
+
+    /**
+     * Current rating of a player, or the default for unknown and anonymous players
+     */
+    getRating(gameId, userId) {
+        const entry = userId && this.ratings[gameId] ? this.ratings[gameId][userId] : null;
+        return entry ? entry.rating : DEFAULT_RATING;
+    }
+
+    /**
+     * Apply one game's outcome to both players' ratings
+     * @param {string} gameId
+     * @param {string|null} userIdA
+     * @param {string|null} userIdB
+     * @param {number} scoreA - 1 if A won, 0 if B won, 0.5 for a draw
+     * @returns {{A: {rating: number, delta: number}, B: {rating: number, delta: number}}}
+     */
+    recordResult(gameId, userIdA, userIdB, scoreA) {
+        const ratingA = this.getRating(gameId, userIdA);
+        const ratingB = this.getRating(gameId, userIdB);
+
+        const expectedA = 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+        const deltaA = Math.round(K_FACTOR * (scoreA - expectedA));
+
+        const result = {
+            A: { rating: ratingA + deltaA, delta: deltaA },
+            B: { rating: ratingB - deltaA, delta: -deltaA }
+        };
+
+        // Anonymous players get a rating change in the reply but nothing is stored
+        if (userIdA) this.setRating(gameId, userIdA, result.A.rating);
+        if (userIdB) this.setRating(gameId, userIdB, result.B.rating);
+        if (userIdA || userIdB) this.save();
+
+        return result;
+    }
+
+    setRating(gameId, userId, rating) {
+        if (!this.ratings[gameId]) this.ratings[gameId] = {};
+        const entry = this.ratings[gameId][userId] || { rating: DEFAULT_RATING, games: 0 };
+
+        entry.rating = rating;
+        entry.games++;
+        entry.updatedAt = Date.now();
+        this.ratings[gameId][userId] = entry;
+    }
+}
+
+module.exports = { RatingStore, DEFAULT_RATING };
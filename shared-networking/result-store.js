@@ -0,0 +1,160 @@
+/**
+ * ResultStore - Persistent match results and per-game leaderboards
+ * Every reported game is logged with its status: 'agreed' when both players
+ * reported the same winner, 'disputed' when they disagreed, 'unconfirmed' when
+ * only one of them reported. Only agreed results count towards the standings.
+ */
+const fs = require('fs');
+const log = require('./logger.js');
+
+const RESULT_STATUS = {
+    AGREED: 'agreed',
+    DISPUTED: 'disputed',
+    UNCONFIRMED: 'unconfirmed'
+};
+
+// Oldest results are dropped from the log once it grows past this; standings are kept
+const MAX_LOGGED_RESULTS = 1000;
+
+class ResultStore {
+    /**
+     * @param {string} filePath - JSON file the results are loaded from and saved to
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.results = []; // Most recent last
+        this.standings = {}; // gameId -> { userId -> { name, wins, losses, draws, currentStreak, bestStreak, lastPlayedAt } }
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.results = data.results || [];
+            this.standings = data.standings || {};
+            log.info(`[ResultStore] Loaded ${this.results.length} results from ${this.filePath}`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log.error(`[ResultStore] Could not read ${this.filePath}, starting empty:`, err.message);
+            }
+            this.results = [];
+            this.standings = {};
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.filePath, JSON.stringify({ results: this.results, standings: this.standings }, null, 2));
+        } catch (err) {
+            log.error(`[ResultStore] Could not write ${this.filePath}:`, err.message);
+        }
+    }
+
+    /**
+     * Log one game's outcome, and update the standings if both players agreed on it
+     * @param {Object} result
+     * @param {string} result.gameId
+     * @param {string} result.roomId
+     * @param {number} result.game - Game number within the match, from 1
+     * @param {{A: {userId: string|null, name: string|null}, B: {userId: string|null, name: string|null}}} result.players
+     * @param {{A: (string|null|undefined), B: (string|null|undefined)}} result.reports - Winner each player reported
+     *        (undefined if they did not report)
+     * @returns {Object} The logged result
+     */
+    recordResult({ gameId, roomId, game, players, reports }) {
+        let status = RESULT_STATUS.AGREED;
+        if (reports.A === undefined || reports.B === undefined) status = RESULT_STATUS.UNCONFIRMED;
+        else if (reports.A !== reports.B) status = RESULT_STATUS.DISPUTED;
+
+        const entry = {
+            gameId: gameId,
+            roomId: roomId,
+            game: game,
+            status: status,
+            winner: status === RESULT_STATUS.AGREED ? reports.A : undefined,
+            players: players,
+            reports: { A: reports.A === undefined ? 'none' : reports.A, B: reports.B === undefined ? 'none' : reports.B },
+            at: Date.now()
+        };
+
+        this.results.push(entry);
+        if (this.results.length > MAX_LOGGED_RESULTS) this.results.shift();
+
+        if (status === RESULT_STATUS.AGREED) {
+            ['A', 'B'].forEach(role => {
+                const outcome = entry.winner === null ? 'draw' : (entry.winner === role ? 'win' : 'loss');
+                this.updateStanding(gameId, players[role], outcome);
+            });
+        }
+
+        this.save();
+        return entry;
+    }
+
+    updateStanding(gameId, player, outcome) {
+        // Anonymous players have no place on the leaderboard
+        if (!player.userId) return;
+
+        if (!this.standings[gameId]) this.standings[gameId] = {};
+        const standing = this.standings[gameId][player.userId] ||
+            { name: null, wins: 0, losses: 0, draws: 0, currentStreak: 0, bestStreak: 0 };
+
+        if (outcome === 'win') {
+            standing.wins++;
+            standing.currentStreak++;
+            standing.bestStreak = Math.max(standing.bestStreak, standing.currentStreak);
+        } else {
+            if (outcome === 'loss') standing.losses++;
+            else standing.draws++;
+            standing.currentStreak = 0;
+        }
+
+        if (player.name) standing.name = player.name;
+        standing.lastPlayedAt = Date.now();
+        this.standings[gameId][player.userId] = standing;
+    }
+
+    /**
+     * Players of a game ranked by wins, then win rate
+     * @returns {Array<{rank: number, userId: string, name: string, wins: number, losses: number,
+     *          draws: number, games: number, winRate: number, currentStreak: number, bestStreak: number}>}
+     */
+    getLeaderboard(gameId, limit = 10) {
+        const standings = this.standings[gameId] || {};
+
+        return Object.entries(standings)
+            .map(([userId, standing]) => {
+                const games = standing.wins + standing.losses + standing.draws;
+                return {
+                    userId: userId,
+                    name: standing.name || userId,
+                    wins: standing.wins,
+                    losses: standing.losses,
+                    draws: standing.draws,
+                    games: games,
+                    winRate: games > 0 ? Math.round((standing.wins / games) * 1000) / 1000 : 0,
+                    currentStreak: standing.currentStreak,
+                    bestStreak: standing.bestStreak
+                };
+            })
+            .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate || a.games - b.games)
+            .slice(0, limit)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    /**
+     * Most recent results first, optionally only one game or status
+     */
+    getResults({ gameId = null, status = null, limit = 50 } = {}) {
+        return this.results
+            .filter(result => (!gameId || result.gameId === gameId) && (!status || result.status === status))
+            .slice(-limit)
+            .reverse();
+    }
+
+    listGames() {
+        return Object.keys(this.standings);
+    }
+}
+
+module.exports = { ResultStore, RESULT_STATUS };
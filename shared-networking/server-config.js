@@ -0,0 +1,168 @@
+/**
+ * Server configuration from command line flags and environment variables
+ * Flags win over environment variables, which win over the defaults:
+ *
+ *   --host <addr>              HOST                   Interface to listen on (default all)
+ *   --port <n>                 PORT                   Port for HTTP and WebSocket (default 8081)
+ *   --ice-servers <list>       ICE_SERVERS            JSON array of RTCIceServer objects, or
+ *                                                     comma-separated URLs (default Google STUN)
+ *   --log-level <level>        LOG_LEVEL              error, warn, info or debug (default info)
+ *   --serve-games [dir]        SERVE_GAMES            Serve each game's dist/ under /games/<name>/
+ *                                                     (dir holding the game folders, default repo root)
+ *   --ratings-file <path>      RATINGS_FILE           Where Elo ratings are stored
+ *   --results-file <path>      RESULTS_FILE           Where match results and standings are stored
+ *   --identity-secret <s>      IDENTITY_SECRET        HMAC key for player identity tokens
+ *                                                     (default random, so tokens last one run)
+ *   --require-identity         REQUIRE_IDENTITY       Refuse connections without a valid token
+ *   --heartbeat-interval <ms>  HEARTBEAT_INTERVAL_MS  How often every socket is pinged (default 15000)
+ *   --heartbeat-timeout <ms>   HEARTBEAT_TIMEOUT_MS   How long a ping may go unanswered before the
+ *                                                     client is evicted (default 10000)
+ *   --resume-grace <ms>        RESUME_GRACE_MS        How long a dropped player's seat is held (default 30000)
+ *   --result-wait <ms>         RESULT_WAIT_MS         How long the server waits for the second report
+ *                                                     of a game's result (default 10000)
+ *   --tournament-break <ms>    TOURNAMENT_BREAK_MS    Pause between a tournament game and the next
+ *                                                     pairings (default 5000)
+ */
+const path = require('path');
+const crypto = require('crypto');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const DEFAULT_ICE_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' }
+];
+
+const FLAGS = {
+    '--host': 'host',
+    '--port': 'port',
+    '--ice-servers': 'iceServers',
+    '--log-level': 'logLevel',
+    '--serve-games': 'serveGames',
+    '--ratings-file': 'ratingsFile',
+    '--results-file': 'resultsFile',
+    '--identity-secret': 'identitySecret',
+    '--require-identity': 'requireIdentity',
+    '--heartbeat-interval': 'heartbeatIntervalMs',
+    '--heartbeat-timeout': 'heartbeatTimeoutMs',
+    '--resume-grace': 'resumeGraceMs',
+    '--result-wait': 'resultWaitMs',
+    '--tournament-break': 'tournamentBreakMs'
+};
+
+// Flags that may be given without a value
+const SWITCHES = ['serveGames', 'requireIdentity'];
+
+const ENV_VARS = {
+    host: 'HOST',
+    port: 'PORT',
+    iceServers: 'ICE_SERVERS',
+    logLevel: 'LOG_LEVEL',
+    serveGames: 'SERVE_GAMES',
+    ratingsFile: 'RATINGS_FILE',
+    resultsFile: 'RESULTS_FILE',
+    identitySecret: 'IDENTITY_SECRET',
+    requireIdentity: 'REQUIRE_IDENTITY',
+    heartbeatIntervalMs: 'HEARTBEAT_INTERVAL_MS',
+    heartbeatTimeoutMs: 'HEARTBEAT_TIMEOUT_MS',
+    resumeGraceMs: 'RESUME_GRACE_MS',
+    resultWaitMs: 'RESULT_WAIT_MS',
+    tournamentBreakMs: 'TOURNAMENT_BREAK_MS'
+};
+
+/**
+ * Read `--flag value` and `--flag=value` pairs. Switches may appear without a value.
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const key = FLAGS[flag];
+        if (!key) throw new Error(`Unknown option: ${flag}`);
+
+        if (inlineValue !== undefined) {
+            args[key] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[key] = argv[++i];
+        } else if (SWITCHES.includes(key)) {
+            args[key] = true;
+        } else {
+            throw new Error(`Missing value for ${flag}`);
+        }
+    }
+    return args;
+}
+
+function parseIceServers(value) {
+    if (value.trim().startsWith('[')) {
+        const servers = JSON.parse(value);
+        if (!Array.isArray(servers) || !servers.every(server => server && server.urls)) {
+            throw new Error('ICE servers must be a JSON array of objects with urls');
+        }
+        return servers;
+    }
+    return value.split(',').map(url => url.trim()).filter(Boolean).map(url => ({ urls: url }));
+}
+
+function parseDuration(name, value, defaultMs) {
+    if (value === undefined) return defaultMs;
+    const ms = Number(value);
+    if (!Number.isInteger(ms) || ms <= 0) throw new Error(`Invalid ${name}: ${value} (expected milliseconds)`);
+    return ms;
+}
+
+function isEnabled(value) {
+    return value === true || value === '1' || value === 'true';
+}
+
+/**
+ * @param {string[]} argv - Command line arguments after the script name
+ * @param {Object} env - Environment variables
+ * @returns {{host: string|undefined, port: number, iceServers: Object[], logLevel: string,
+ *            gamesDir: string|null, ratingsFile: string, resultsFile: string, identitySecret: string,
+ *            identitySecretGenerated: boolean, requireIdentity: boolean,
+ *            heartbeatIntervalMs: number, heartbeatTimeoutMs: number, resumeGraceMs: number,
+ *            resultWaitMs: number, tournamentBreakMs: number}}
+ */
+function loadConfig(argv = [], env = {}) {
+    const args = parseArgs(argv);
+    const get = (key) => (args[key] !== undefined ? args[key] : env[ENV_VARS[key]]);
+
+    const port = get('port') !== undefined ? Number(get('port')) : 8081;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${get('port')}`);
+    }
+
+    const logLevel = (get('logLevel') || 'info').toLowerCase();
+    if (!LOG_LEVELS.includes(logLevel)) {
+        throw new Error(`Invalid log level: ${logLevel} (expected ${LOG_LEVELS.join(', ')})`);
+    }
+
+    const serveGames = get('serveGames');
+    let gamesDir = null;
+    if (isEnabled(serveGames)) {
+        gamesDir = path.join(__dirname, '..');
+    } else if (serveGames && serveGames !== '0' && serveGames !== 'false') {
+        gamesDir = path.resolve(serveGames);
+    }
+
+    return {
+        host: get('host') || undefined,
+        port: port,
+        iceServers: get('iceServers') ? parseIceServers(get('iceServers')) : DEFAULT_ICE_SERVERS,
+        logLevel: logLevel,
+        gamesDir: gamesDir,
+        ratingsFile: get('ratingsFile') || path.join(__dirname, 'ratings.json'),
+        resultsFile: get('resultsFile') || path.join(__dirname, 'results.json'),
+        identitySecret: get('identitySecret') || crypto.randomBytes(32).toString('hex'),
+        identitySecretGenerated: !get('identitySecret'),
+        requireIdentity: isEnabled(get('requireIdentity')),
+        heartbeatIntervalMs: parseDuration('heartbeat interval', get('heartbeatIntervalMs'), 15000),
+        heartbeatTimeoutMs: parseDuration('heartbeat timeout', get('heartbeatTimeoutMs'), 10000),
+        resumeGraceMs: parseDuration('resume grace', get('resumeGraceMs'), 30000),
+        resultWaitMs: parseDuration('result wait', get('resultWaitMs'), 10000),
+        tournamentBreakMs: parseDuration('tournament break', get('tournamentBreakMs'), 5000)
+    };
+}
+
+module.exports = { loadConfig, LOG_LEVELS, DEFAULT_ICE_SERVERS };
@@ -0,0 +1,129 @@
+/**
+ * Serve the built games from the matchmaking server
+ * /games/<name>/... maps to <gamesDir>/<name>/dist/..., matching the `base`
+ * in each game's vite.config.js, so one process can host a LAN party.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const GAMES_PREFIX = '/games/';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+/**
+ * Names of the games under gamesDir that have a dist/ build
+ */
+function listBuiltGames(gamesDir) {
+    try {
+        return fs.readdirSync(gamesDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && fs.existsSync(path.join(gamesDir, entry.name, 'dist', 'index.html')))
+            .map(entry => entry.name)
+            .sort();
+    } catch (err) {
+        return [];
+    }
+}
+
+/**
+ * Try to answer a request with a file from a game's dist/ folder
+ * @returns {boolean} false if the request is not for /games/, so other routes can handle it
+ */
+function serveGameFile(req, res, pathname, gamesDir) {
+    if (pathname === '/games' || pathname === '/games/') {
+        sendGameIndex(res, gamesDir);
+        return true;
+    }
+    if (!pathname.startsWith(GAMES_PREFIX)) return false;
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return true;
+    }
+
+    const [name, ...rest] = pathname.slice(GAMES_PREFIX.length).split('/');
+
+    // /games/<name> needs the trailing slash so relative asset URLs resolve
+    if (rest.length === 0) {
+        res.writeHead(301, { Location: `${GAMES_PREFIX}${name}/` });
+        res.end();
+        return true;
+    }
+
+    let relativePath;
+    try {
+        relativePath = decodeURIComponent(rest.join('/')) || 'index.html';
+    } catch (err) {
+        sendNotFound(res);
+        return true;
+    }
+
+    // Never leave the game's dist/ folder
+    const distDir = path.join(gamesDir, name, 'dist');
+    const filePath = path.join(distDir, relativePath);
+    if (!name || name.startsWith('.') || !filePath.startsWith(distDir + path.sep)) {
+        sendNotFound(res);
+        return true;
+    }
+
+    fs.stat(filePath, (err, stats) => {
+        if (err || !stats.isFile()) {
+            sendNotFound(res);
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    });
+    return true;
+}
+
+function sendGameIndex(res, gamesDir) {
+    const links = listBuiltGames(gamesDir)
+        .map(name => `<li><a href="${GAMES_PREFIX}${name}/">${name}</a></li>`)
+        .join('\n');
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html>
+<html>
+<head><title>Games</title></head>
+<body>
+<h1>Games</h1>
+<ul>
+${links || '<li>No builds found. Run <code>npm run build</code> in a game folder.</li>'}
+</ul>
+</body>
+</html>
+`);
+}
+
+function sendNotFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+}
+
+module.exports = { serveGameFile, listBuiltGames };
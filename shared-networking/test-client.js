@@ -0,0 +1,234 @@
+/**
+ * TestClient - Scriptable headless client for the matchmaking server
+ * Speaks the same JSON protocol as the games' LocalNetworkManager, without a
+ * browser or WebRTC, so scripts and tests can drive the server directly:
+ *
+ *   const alice = await TestClient.connect('ws://localhost:8081');
+ *   alice.findMatch('tic-tac-toe');
+ *   const match = await alice.waitFor('match-found');
+ *   alice.signal({ type: 'offer', offer: { type: 'offer', sdp: '...' } });
+ *
+ * Every message the server sends is queued until a waitFor() takes it, so
+ * nothing is missed between sending a request and waiting for the reply.
+ */
+const WebSocket = require('ws');
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+class TestClient {
+    /**
+     * Open a connection and wait for the server to assign a client id
+     * @param {string} url - WebSocket URL of the server
+     * @param {Object} [options]
+     * @param {string} [options.identityToken] - Signed identity token, sent as ?identity=
+     * @param {number} [options.timeoutMs]
+     * @returns {Promise<TestClient>}
+     */
+    static async connect(url, options = {}) {
+        const client = new TestClient(url, options);
+        const hello = await client.waitFor('client-id', { timeoutMs: options.timeoutMs });
+        client.clientId = hello.clientId;
+        client.sessionToken = hello.sessionToken;
+        client.identity = hello.identity || null;
+        return client;
+    }
+
+    constructor(url, options = {}) {
+        const connectionUrl = new URL(url);
+        if (options.identityToken) connectionUrl.searchParams.set('identity', options.identityToken);
+
+        this.clientId = null;
+        this.sessionToken = null;
+        this.identity = null;
+        this.inbox = []; // Messages not yet taken by waitFor()
+        this.waiters = [];
+        this.closeEvent = null; // { code, reason } once the socket closed
+
+        this.ws = new WebSocket(connectionUrl.toString());
+        this.ws.on('message', (data, isBinary) => this.receive(data, isBinary));
+        this.ws.on('close', (code, reason) => {
+            this.closeEvent = { code, reason: reason.toString() };
+            this.flushWaiters();
+        });
+        // 'close' follows and rejects anything still waiting
+        this.ws.on('error', () => {});
+    }
+
+    get isOpen() {
+        return this.ws.readyState === WebSocket.OPEN;
+    }
+
+    receive(data, isBinary) {
+        let message;
+        if (isBinary) {
+            message = { type: 'binary', data: data };
+        } else {
+            try {
+                message = JSON.parse(data.toString());
+            } catch (err) {
+                message = { type: 'unparsable', data: data.toString() };
+            }
+        }
+
+        const index = this.waiters.findIndex(waiter => waiter.matches(message));
+        if (index === -1) {
+            this.inbox.push(message);
+            return;
+        }
+        const [waiter] = this.waiters.splice(index, 1);
+        waiter.resolve(message);
+    }
+
+    flushWaiters() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(waiter => waiter.reject(
+            new Error(`Connection closed (${this.closeEvent.code}) while waiting for ${waiter.description}`)
+        ));
+    }
+
+    /**
+     * Resolve with the next message of a type, including one that already arrived
+     * @param {string} type - Message type, or 'binary' for relayed game frames
+     * @param {Object} [options]
+     * @param {function(Object): boolean} [options.filter] - Only take messages this accepts
+     * @param {number} [options.timeoutMs]
+     * @returns {Promise<Object>}
+     */
+    waitFor(type, { filter = () => true, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+        const matches = (message) => message.type === type && filter(message);
+        const description = `'${type}'`;
+
+        const index = this.inbox.findIndex(matches);
+        if (index !== -1) return Promise.resolve(this.inbox.splice(index, 1)[0]);
+        if (this.closeEvent) {
+            return Promise.reject(new Error(`Connection closed (${this.closeEvent.code}) while waiting for ${description}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                matches,
+                description,
+                resolve: (message) => {
+                    clearTimeout(timer);
+                    resolve(message);
+                },
+                reject: (err) => {
+                    clearTimeout(timer);
+                    reject(err);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                const seen = this.inbox.map(message => message.type).join(', ') || 'nothing';
+                reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${description} (unread: ${seen})`));
+            }, timeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Resolve once the given time passed without a message of this type, reject if one arrives
+     */
+    async expectNoMessage(type, timeoutMs = 300) {
+        let message;
+        try {
+            message = await this.waitFor(type, { timeoutMs });
+        } catch (err) {
+            if (err.message.startsWith('Timed out')) return;
+            throw err;
+        }
+        throw new Error(`Expected no '${type}' but got ${JSON.stringify(message)}`);
+    }
+
+    /**
+     * Resolve with { code, reason } once the server closes the connection
+     */
+    waitForClose(timeoutMs = DEFAULT_TIMEOUT_MS) {
+        if (this.closeEvent) return Promise.resolve(this.closeEvent);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms waiting for the connection to close`)), timeoutMs);
+            this.ws.once('close', () => {
+                clearTimeout(timer);
+                resolve(this.closeEvent);
+            });
+        });
+    }
+
+    /**
+     * Messages received but not taken by waitFor() yet
+     */
+    get unread() {
+        return this.inbox.slice();
+    }
+
+    send(message) {
+        this.ws.send(JSON.stringify(message));
+    }
+
+    /**
+     * Send text or binary data as-is, e.g. to test malformed input
+     */
+    sendRaw(data) {
+        this.ws.send(data);
+    }
+
+    /**
+     * Join the public queue
+     * @param {string} gameId
+     * @param {Object} [options] - gameVersion, userId
+     */
+    findMatch(gameId, options = {}) {
+        this.send({ type: 'find-match', gameId, ...options });
+    }
+
+    /**
+     * Send a WebRTC signaling message to the opponent
+     * @param {{type: string, offer?: Object, answer?: Object, candidate?: Object}} data
+     */
+    signal(data) {
+        this.send({ type: 'signal', data });
+    }
+
+    leave() {
+        this.send({ type: 'leave' });
+    }
+
+    /**
+     * Report the match's lifecycle state, as a game does ('playing' or 'finished')
+     */
+    reportState(state) {
+        this.send({ type: 'match-state', state });
+    }
+
+    /**
+     * Register for a tournament created with POST /admin/create-tournament
+     * @param {string} tournamentId
+     * @param {string} gameId
+     * @param {Object} [options] - gameVersion, userId
+     */
+    joinTournament(tournamentId, gameId, options = {}) {
+        this.send({ type: 'tournament-register', tournamentId, gameId, ...options });
+    }
+
+    /**
+     * Report the winner of a game ('A', 'B', or null for a draw)
+     * @param {number} [game] - Number of the game in the match, 1 for the first
+     */
+    reportResult(winner, game = 1) {
+        this.send({ type: 'match-result', game, winner });
+    }
+
+    /**
+     * Close the connection and wait until it is closed
+     */
+    close() {
+        if (this.closeEvent) return Promise.resolve(this.closeEvent);
+        const closed = this.waitForClose();
+        this.ws.close();
+        return closed;
+    }
+}
+
+module.exports = { TestClient };
@@ -0,0 +1,80 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+/**
+ * Resolve with the payload of the next event of this name
+ */
+const nextEvent = (emitter, name) => new Promise(resolve => emitter.once(name, resolve));
+
+describe('bot opponent', () => {
+    let BotGameConnection;
+    let RematchNegotiator;
+    let TicTacToeBot;
+    let NetworkProtocol;
+    let MSG_TYPE;
+
+    let scene;
+    let connection;
+    let rematch;
+
+    before(async () => {
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ BotGameConnection } = await import('../BotGameConnection.js'));
+        ({ RematchNegotiator } = await import('../RematchNegotiator.js'));
+        ({ TicTacToeBot } = await import('../../tic-tac-toe/src/network/TicTacToeBot.js'));
+        ({ NetworkProtocol, MSG_TYPE } = await import('../../tic-tac-toe/src/network/NetworkProtocol.js'));
+
+        // Stand-in for a Phaser scene: the connection and the negotiator only use scene.events
+        scene = { events: new EventEmitter() };
+        connection = new BotGameConnection(scene.events, (send) => new TicTacToeBot(send));
+        rematch = new RematchNegotiator(scene, { send: frame => connection.send(frame, true) });
+    });
+
+    after(() => {
+        rematch.destroy();
+        connection.close();
+    });
+
+    /**
+     * The bot's next game frame, decoded; rematch and probe frames are skipped
+     */
+    const nextMove = async () => {
+        for (;;) {
+            const { data } = await nextEvent(scene.events, 'game_data_received');
+            const msg = NetworkProtocol.decode(data);
+            if (msg) return { data, msg };
+        }
+    };
+
+    it('opens like a peer connection', async () => {
+        const opened = nextEvent(scene.events, 'game_datachannel_open');
+        connection.initialize({ isInitiator: true, opponentId: 'bot', roomId: 'bot-room' });
+        await opened;
+        assert.equal(connection.isConnected, true);
+        assert.equal(connection.transport, 'bot');
+    });
+
+    it('answers the player\'s move with a valid move of its own', async () => {
+        const answer = nextMove();
+        connection.send(NetworkProtocol.encode({ type: 'move', index: 0 }), true);
+
+        const { data, msg } = await answer;
+        assert.equal(data.byteLength, 2);
+        assert.equal(new DataView(data).getUint8(0), MSG_TYPE.MOVE);
+        assert.equal(msg.type, 'move');
+        assert.ok(msg.index >= 1 && msg.index <= 8, `bot played taken or invalid cell ${msg.index}`);
+    });
+
+    it('accepts a rematch and opens the next game as the other player', async () => {
+        const started = nextEvent(scene.events, 'rematch_started');
+        rematch.request();
+        assert.deepEqual(await started, { game: 1 });
+
+        // The second game is the bot's to open, without a move from the player
+        const { msg } = await nextMove();
+        assert.equal(msg.type, 'move');
+        assert.ok(msg.index >= 0 && msg.index <= 8);
+    });
+});
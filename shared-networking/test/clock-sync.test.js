@@ -0,0 +1,65 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextEvent, openPair } = require('./loopback-pair.js');
+
+describe('clock sync', () => {
+    let ClockSync;
+    let wireTime;
+    let fromWireTime;
+
+    before(async () => {
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ ClockSync, wireTime, fromWireTime } = await import('../ClockSync.js'));
+    });
+
+    it('syncs the follower\'s clock to the initiator\'s', async () => {
+        const { a, b, endA, endB } = await openPair({ latencyMs: 20 });
+        const clockA = new ClockSync(a, { send: frame => endA.send(frame, false) });
+        const clockB = new ClockSync(b, { send: frame => endB.send(frame, false) });
+        assert.equal(clockB.isSynced, false);
+
+        const synced = nextEvent(b.events, 'clock_synced');
+        clockA.start(true);
+        clockB.start(false);
+        const { offset, rtt } = await synced;
+        const drift = Math.abs(clockB.sharedNow() - clockA.sharedNow());
+        const isSynced = clockB.isSynced;
+        clockA.destroy();
+        clockB.destroy();
+
+        // Both ends share this process's clock, so the right answer is 0
+        assert.ok(Math.abs(offset) < 5, `offset ${offset} ms`);
+        assert.ok(rtt >= 35, `RTT ${rtt} ms is under two latencies`);
+        assert.ok(isSynced);
+        assert.ok(drift < 5);
+    });
+
+    it('forgets the estimate when stopped, for an opponent without clock sync', async () => {
+        const { a, b, endA, endB } = await openPair({ latencyMs: 20 });
+        const clockA = new ClockSync(a, { send: frame => endA.send(frame, false) });
+        const clockB = new ClockSync(b, { send: frame => endB.send(frame, false) });
+        const synced = nextEvent(b.events, 'clock_synced');
+        clockA.start(true);
+        clockB.start(false);
+        await synced;
+
+        clockA.stop();
+        clockB.stop();
+        clockA.destroy();
+        clockB.destroy();
+        assert.equal(clockA.isSynced, false, 'no longer the reference');
+        assert.equal(clockB.isSynced, false);
+        assert.equal(clockB.offset, 0);
+        assert.equal(clockB.rtt, null);
+        assert.deepEqual(clockB.samples, []);
+    });
+
+    it('carries shared times in 32-bit fields across the wrap', () => {
+        const now = 2 ** 32 + 1000;
+        assert.equal(wireTime(now), 1000);
+        assert.equal(fromWireTime(wireTime(now - 300), now), now - 300);
+        assert.equal(fromWireTime(wireTime(now - 2000), now), now - 2000, 'a time from before the wrap');
+        assert.equal(fromWireTime(wireTime(now + 500), now), now + 500, 'a time still to come');
+    });
+});
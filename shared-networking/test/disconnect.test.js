@@ -0,0 +1,101 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestClient } = require('../test-client.js');
+const { startServer } = require('./server-process.js');
+
+// Short enough that a dropped player's seat expires within a test
+const RESUME_GRACE_MS = 300;
+
+describe('disconnects', () => {
+    let server;
+    let clients = [];
+
+    const connect = async () => {
+        const client = await TestClient.connect(server.url);
+        clients.push(client);
+        return client;
+    };
+
+    const startPair = async (gameId) => {
+        const alice = await connect();
+        const bob = await connect();
+        alice.findMatch(gameId);
+        await alice.waitFor('waiting');
+        bob.findMatch(gameId);
+        const [match] = await Promise.all([alice.waitFor('match-found'), bob.waitFor('match-found')]);
+        return { alice, bob, roomId: match.roomId };
+    };
+
+    before(async () => {
+        server = await startServer(['--resume-grace', String(RESUME_GRACE_MS)]);
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('tells the opponent when a player leaves the match', async () => {
+        const { alice, bob, roomId } = await startPair('disconnect-leave');
+
+        alice.leave();
+        const notice = await bob.waitFor('peer-disconnected');
+        assert.equal(notice.roomId, roomId);
+    });
+
+    it('holds a dropped player\'s seat, then tells the opponent once it expires', async () => {
+        const { alice, bob, roomId } = await startPair('disconnect-drop');
+
+        await alice.close();
+        const reconnecting = await bob.waitFor('peer-reconnecting');
+        assert.equal(reconnecting.roomId, roomId);
+        await bob.expectNoMessage('peer-disconnected', RESUME_GRACE_MS / 2);
+
+        const notice = await bob.waitFor('peer-disconnected', { timeoutMs: RESUME_GRACE_MS * 4 });
+        assert.equal(notice.roomId, roomId);
+    });
+
+    it('gives a dropped player their seat back when they resume in time', async () => {
+        const { alice, bob, roomId } = await startPair('disconnect-resume');
+        const token = alice.sessionToken;
+
+        await alice.close();
+        await bob.waitFor('peer-reconnecting');
+
+        const returning = await connect();
+        returning.send({ type: 'resume', token });
+        const resumed = await returning.waitFor('resumed');
+        assert.equal(resumed.roomId, roomId);
+        assert.equal(resumed.role, 'A');
+
+        await bob.waitFor('peer-resumed');
+        await bob.expectNoMessage('peer-disconnected', RESUME_GRACE_MS * 2);
+    });
+
+    it('removes a waiting player who disconnects from the queue', async () => {
+        const ghost = await connect();
+        ghost.findMatch('disconnect-queue');
+        await ghost.waitFor('waiting');
+        await ghost.close();
+
+        const alice = await connect();
+        alice.findMatch('disconnect-queue');
+        const waiting = await alice.waitFor('waiting');
+        assert.equal(waiting.queueSize, 1);
+        await alice.expectNoMessage('match-found');
+    });
+
+    it('does not notify the opponent of a match that already finished', async () => {
+        const { alice, bob } = await startPair('disconnect-finished');
+
+        alice.send({ type: 'match-state', state: 'finished' });
+        await alice.expectNoMessage('error', 100);
+        alice.leave();
+
+        await bob.expectNoMessage('peer-disconnected');
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextEvent, fakeScene } = require('./loopback-pair.js');
+
+describe('hello handshake', () => {
+    let createLoopbackPair;
+    let HelloGate;
+
+    before(async () => {
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ createLoopbackPair } = await import('../LoopbackGameConnection.js'));
+        ({ HelloGate } = await import('../HelloHandshake.js'));
+    });
+
+    /**
+     * Two gated ends: the scenes only hear from the connection through a HelloGate
+     */
+    const openGatedPair = (helloA, helloB) => {
+        const a = fakeScene();
+        const b = fakeScene();
+        const gateA = new HelloGate(a.events, helloA);
+        const gateB = new HelloGate(b.events, helloB);
+        const [endA, endB] = createLoopbackPair(gateA, gateB);
+        gateA.attach(endA);
+        gateB.attach(endB);
+        endA.initialize({ isInitiator: true });
+        endB.initialize({ isInitiator: false });
+        return { a, b, endA, endB };
+    };
+
+    it('opens the channel only after matching hellos, with the common features', async () => {
+        const hello = { gameId: 'tic-tac-toe', protocolVersion: 3, build: 'abc123' };
+        const { a, b, endA } = openGatedPair(
+            { ...hello, features: ['rematch', 'resync'] },
+            { ...hello, build: 'def456', features: ['resync', 'clock-sync'] }
+        );
+        const events = [];
+        ['peer_verified', 'game_datachannel_open', 'game_data_received'].forEach(name => {
+            b.events.on(name, () => events.push(name));
+        });
+        const verified = await nextEvent(a.events, 'peer_verified');
+        assert.deepEqual(verified.features, ['resync']);
+        assert.equal(verified.hello.build, 'def456');
+
+        // Game data waits behind the hello, never ahead of the open
+        endA.send(new Uint8Array([1]).buffer, true);
+        await nextEvent(b.events, 'game_data_received');
+        assert.deepEqual(events, ['peer_verified', 'game_datachannel_open', 'game_data_received']);
+    });
+
+    it('refuses a peer on another protocol version and keeps its frames out', async () => {
+        const warn = mock.method(console, 'warn', () => {});
+        const hello = { gameId: 'knife-throw', build: 'dev', features: [] };
+        const { a, b, endB } = openGatedPair({ ...hello, protocolVersion: 4 }, { ...hello, protocolVersion: 3 });
+        let opened = false;
+        let received = false;
+        a.events.on('game_datachannel_open', () => { opened = true; });
+        a.events.on('game_data_received', () => { received = true; });
+
+        const [problemA, problemB] = await Promise.all([
+            nextEvent(a.events, 'peer_incompatible'),
+            nextEvent(b.events, 'peer_incompatible')
+        ]);
+        assert.equal(problemA.code, 'version-mismatch');
+        assert.match(problemA.message, /opponent needs to reload/);
+        assert.match(problemB.message, /Reload the page/);
+
+        endB.send(new Uint8Array([1]).buffer, true);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.equal(opened, false);
+        assert.equal(received, false);
+        warn.mock.restore();
+    });
+});
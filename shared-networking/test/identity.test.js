@@ -0,0 +1,49 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestClient } = require('../test-client.js');
+const { startServer } = require('./server-process.js');
+
+describe('identity tokens', () => {
+    const servers = [];
+
+    const start = async (env) => {
+        const server = await startServer([], env);
+        servers.push(server);
+        return server;
+    };
+
+    const requestToken = (server, headers = {}) => fetch(`${server.httpUrl}/identity?userId=alice&name=Alice`, {
+        method: 'POST',
+        headers
+    });
+
+    after(async () => {
+        await Promise.all(servers.map(server => server.stop()));
+    });
+
+    it('issues no tokens and takes no admin actions while ADMIN_TOKEN is unset', async () => {
+        const server = await start();
+        const res = await requestToken(server);
+        assert.equal(res.status, 403);
+
+        const kick = await fetch(`${server.httpUrl}/admin/kick?clientId=client-1`, { method: 'POST' });
+        assert.equal(kick.status, 403);
+        assert.match((await kick.json()).error, /ADMIN_TOKEN/);
+    });
+
+    it('issues tokens to the admin only, and they identify the player', async () => {
+        const server = await start({ ADMIN_TOKEN: 'secret' });
+
+        assert.equal((await requestToken(server)).status, 403);
+        assert.equal((await requestToken(server, { 'X-Admin-Token': 'wrong' })).status, 403);
+
+        const res = await requestToken(server, { 'X-Admin-Token': 'secret' });
+        assert.equal(res.status, 200);
+        const { token, userId } = await res.json();
+        assert.equal(userId, 'alice');
+
+        const client = await TestClient.connect(server.url, { identityToken: token });
+        assert.deepEqual(client.identity, { userId: 'alice', name: 'Alice' });
+        await client.close();
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPair } = require('./loopback-pair.js');
+
+describe('link monitor', () => {
+    let LinkMonitor;
+
+    before(async () => {
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ LinkMonitor } = await import('../LinkMonitor.js'));
+    });
+
+    it('measures round-trip time and loss per channel', async () => {
+        const { a, b, endA, endB } = await openPair({ latencyMs: 20 });
+
+        // B's unreliable channel drops everything, so A never hears those pongs
+        const sendB = endB.send.bind(endB);
+        endB.send = (data, reliable) => (reliable ? sendB(data, reliable) : true);
+
+        const monitorA = new LinkMonitor(a, endA, { intervalMs: 30, probeTimeoutMs: 100 });
+        const monitorB = new LinkMonitor(b, endB, { intervalMs: 30, probeTimeoutMs: 100 });
+        monitorA.start();
+        monitorB.start();
+
+        const stats = await new Promise(resolve => {
+            a.events.on('link_stats', function onStats(update) {
+                if (update.reliable.rtt === null || update.unreliable.loss === null) return;
+                a.events.off('link_stats', onStats);
+                resolve(update);
+            });
+        });
+        monitorA.destroy();
+        monitorB.destroy();
+
+        assert.equal(stats.transport, 'loopback');
+        assert.ok(stats.reliable.rtt >= 35, `reliable RTT ${stats.reliable.rtt} ms is under two latencies`);
+        assert.equal(stats.reliable.loss, 0);
+        assert.equal(stats.unreliable.rtt, null);
+        assert.equal(stats.unreliable.loss, 1);
+    });
+});
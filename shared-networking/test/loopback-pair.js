@@ -0,0 +1,35 @@
+/**
+ * Helpers for the tests that run the browser-side modules over
+ * LoopbackGameConnections in Node
+ */
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+/**
+ * Resolve with the payload of the next event of this name
+ */
+const nextEvent = (emitter, name) => new Promise(resolve => emitter.once(name, resolve));
+
+/**
+ * Stand-in for a Phaser scene: the connections only use scene.events
+ */
+const fakeScene = () => ({ events: new EventEmitter() });
+
+/**
+ * Two scenes with an open channel between them
+ * @param {Object} [options] - latencyMs, as for LoopbackGameConnection
+ */
+async function openPair(options) {
+    const { createLoopbackPair } = await import('../LoopbackGameConnection.js');
+    const a = fakeScene();
+    const b = fakeScene();
+    const [endA, endB] = createLoopbackPair(a.events, b.events, options);
+    const opened = Promise.all([nextEvent(a.events, 'game_datachannel_open'), nextEvent(b.events, 'game_datachannel_open')]);
+    endA.initialize({ isInitiator: true });
+    assert.equal(endA.isConnected, false, 'opens only once both ends are initialized');
+    endB.initialize({ isInitiator: false });
+    await opened;
+    return { a, b, endA, endB };
+}
+
+module.exports = { nextEvent, fakeScene, openPair };
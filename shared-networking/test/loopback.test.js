@@ -0,0 +1,181 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextEvent, fakeScene, openPair } = require('./loopback-pair.js');
+
+describe('loopback connection', () => {
+    let LoopbackNetworkManager;
+    let RematchNegotiator;
+    let StateResync;
+    let SessionRecorder;
+
+    before(async () => {
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ LoopbackNetworkManager } = await import('../LoopbackGameConnection.js'));
+        ({ RematchNegotiator } = await import('../RematchNegotiator.js'));
+        ({ StateResync } = await import('../StateResync.js'));
+        ({ SessionRecorder } = await import('../SessionRecorder.js'));
+    });
+
+    it('delivers frames in order on the right channel, never synchronously', async () => {
+        const { b, endA } = await openPair();
+        const received = [];
+        b.events.on('game_data_received', event => received.push(event));
+
+        endA.send(new Uint8Array([1]).buffer, true);
+        endA.send(new Uint8Array([2]).buffer, false);
+        assert.equal(received.length, 0);
+
+        await nextEvent(b.events, 'game_data_received');
+        await nextEvent(b.events, 'game_data_received');
+        assert.deepEqual(received.map(event => new Uint8Array(event.data)[0]), [1, 2]);
+        assert.deepEqual(received.map(event => event.channel), ['game_reliable', 'game_unreliable']);
+    });
+
+    it('copies binary frames so the sender can reuse its buffer', async () => {
+        const { b, endA } = await openPair();
+        const buffer = new Uint8Array([7]).buffer;
+
+        endA.send(buffer);
+        new Uint8Array(buffer)[0] = 9;
+
+        const event = await nextEvent(b.events, 'game_data_received');
+        assert.equal(new Uint8Array(event.data)[0], 7);
+    });
+
+    it('adds the configured latency', async () => {
+        const { b, endA } = await openPair({ latencyMs: 60 });
+
+        const sentAt = Date.now();
+        endA.send('hello');
+        const event = await nextEvent(b.events, 'game_data_received');
+        assert.equal(event.data, 'hello');
+        assert.ok(Date.now() - sentAt >= 50, 'frame arrived before the latency passed');
+    });
+
+    it('tells the other end when one end closes', async () => {
+        const { b, endA, endB } = await openPair();
+
+        const lost = nextEvent(b.events, 'game_connection_lost');
+        endA.close();
+        await lost;
+        assert.equal(endB.isConnected, false);
+        assert.equal(endB.send('late'), false);
+    });
+
+    it('carries a rematch negotiation round trip', async () => {
+        const { a, b, endA, endB } = await openPair({ latencyMs: 5 });
+        const rematchA = new RematchNegotiator(a, { send: frame => endA.send(frame, true) });
+        const rematchB = new RematchNegotiator(b, { send: frame => endB.send(frame, true) });
+
+        const requested = nextEvent(b.events, 'rematch_requested');
+        rematchA.request();
+        await requested;
+
+        const started = Promise.all([nextEvent(a.events, 'rematch_started'), nextEvent(b.events, 'rematch_started')]);
+        rematchB.request();
+        const [startedA, startedB] = await started;
+        assert.equal(startedA.game, 1);
+        assert.equal(startedB.game, 1);
+
+        rematchA.destroy();
+        rematchB.destroy();
+    });
+
+    it('swaps state snapshots after a reconnect and catches up on a missed rematch', async () => {
+        const { a, b, endA, endB } = await openPair({ latencyMs: 5 });
+        const rematchA = new RematchNegotiator(a, { send: frame => endA.send(frame, true) });
+        const rematchB = new RematchNegotiator(b, { send: frame => endB.send(frame, true) });
+        rematchA.game = 1; // B never heard that the rematch was agreed
+
+        const applied = { A: null, B: null };
+        const resyncA = new StateResync(a, {
+            send: frame => endA.send(frame, true),
+            getState: () => ({ marks: 3 }),
+            applyState: state => { applied.A = state; },
+            rematch: rematchA
+        });
+        const resyncB = new StateResync(b, {
+            send: frame => endB.send(frame, true),
+            getState: () => ({ marks: 5 }),
+            applyState: state => { applied.B = state; },
+            rematch: rematchB
+        });
+
+        const rematchStarted = nextEvent(b.events, 'rematch_started');
+        const resynced = Promise.all([nextEvent(a.events, 'state_resynced'), nextEvent(b.events, 'state_resynced')]);
+        a.events.emit('game_reconnected');
+        b.events.emit('game_reconnected');
+        const [resyncedA, resyncedB] = await resynced;
+
+        assert.equal((await rematchStarted).game, 1);
+        assert.equal(rematchB.game, 1);
+        assert.equal(resyncedA.state, null, 'a snapshot from the last game is not merged');
+        assert.equal(applied.A, null);
+        assert.deepEqual(resyncedB.state, { marks: 3 });
+        assert.deepEqual(applied.B, { marks: 3 });
+
+        [rematchA, rematchB, resyncA, resyncB].forEach(helper => helper.destroy());
+    });
+
+    it('pairs two scenes of the same page like the matchmaking server', async () => {
+        const first = fakeScene();
+        const second = fakeScene();
+        const managerA = new LoopbackNetworkManager(first);
+        const managerB = new LoopbackNetworkManager(second);
+
+        // Scenes connect as soon as they hear about their match
+        [[first, managerA], [second, managerB]].forEach(([scene, manager]) => {
+            scene.events.on('match_found', () => manager.connectToGame());
+        });
+
+        const queued = nextEvent(first.events, 'queued');
+        await managerA.findMatch({ gameId: 'loopback-game', gameVersion: 1 });
+        await queued;
+
+        const found = Promise.all([nextEvent(first.events, 'match_found'), nextEvent(second.events, 'match_found')]);
+        const opened = nextEvent(second.events, 'game_datachannel_open');
+        await managerB.findMatch({ gameId: 'loopback-game', gameVersion: 1 });
+        const [matchA, matchB] = await found;
+        await opened;
+
+        assert.equal(matchA.role, 'A');
+        assert.equal(matchB.role, 'B');
+        assert.equal(matchA.roomId, matchB.roomId);
+        assert.ok(managerA.isConnected && managerB.isConnected);
+
+        managerA.disconnect();
+        assert.equal(managerB.isConnected, false);
+    });
+
+    it('says hello and records the match on each scene of the page, like the other managers', async () => {
+        const first = fakeScene();
+        const second = fakeScene();
+        const hello = { gameId: 'knife-throw', protocolVersion: 2, build: 'dev' };
+        const recorder = new SessionRecorder(first, hello);
+        const managerA = new LoopbackNetworkManager(first, { hello: { ...hello, features: ['resync', 'clock-sync'] }, recorder });
+        const managerB = new LoopbackNetworkManager(second, { hello: { ...hello, features: ['resync'] } });
+        [[first, managerA], [second, managerB]].forEach(([scene, manager]) => {
+            scene.events.on('match_found', () => manager.connectToGame());
+        });
+        assert.equal(managerA.sharesFeature('clock-sync'), true, 'our own features before any hello');
+
+        const verified = nextEvent(first.events, 'peer_verified');
+        const opened = Promise.all([nextEvent(first.events, 'game_datachannel_open'), nextEvent(second.events, 'game_datachannel_open')]);
+        await managerA.findMatch({ gameId: 'loopback-hello', gameVersion: 1 });
+        await managerB.findMatch({ gameId: 'loopback-hello', gameVersion: 1 });
+        const { features } = await verified;
+        await opened;
+
+        assert.deepEqual(features, ['resync']);
+        assert.equal(managerA.sharesFeature('clock-sync'), false);
+        assert.equal(managerB.sharesFeature('resync'), true);
+
+        const received = nextEvent(first.events, 'game_data_received');
+        managerB.gameConnection.send('move');
+        await received;
+        assert.ok(recorder.toJSON().entries.some(entry => entry.type === 'receive' && entry.text === 'move'));
+        managerA.disconnect();
+        recorder.destroy();
+    });
+});
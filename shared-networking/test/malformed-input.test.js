@@ -0,0 +1,126 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestClient } = require('../test-client.js');
+const { startServer } = require('./server-process.js');
+
+describe('malformed input', () => {
+    let server;
+    let clients = [];
+
+    const connect = async () => {
+        const client = await TestClient.connect(server.url);
+        clients.push(client);
+        return client;
+    };
+
+    const expectError = async (client, code) => {
+        const error = await client.waitFor('error');
+        assert.equal(error.code, code, error.message);
+        return error;
+    };
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('rejects text that is not JSON', async () => {
+        const client = await connect();
+        client.sendRaw('{"type": "find-match"');
+        await expectError(client, 'invalid-json');
+    });
+
+    it('rejects JSON that is not a typed object', async () => {
+        const client = await connect();
+        for (const value of ['42', '"find-match"', 'null', '[{"type":"find-match"}]', '{"gameId":"tic-tac-toe"}', '{"type":7}']) {
+            client.sendRaw(value);
+            await expectError(client, 'invalid-message');
+        }
+    });
+
+    it('rejects unknown message types and names the type', async () => {
+        const client = await connect();
+        client.send({ type: 'launch-missiles' });
+        const error = await expectError(client, 'unknown-type');
+        assert.equal(error.requestType, 'launch-missiles');
+    });
+
+    it('rejects messages with missing or mistyped fields', async () => {
+        const client = await connect();
+
+        client.send({ type: 'join-room', gameId: 'tic-tac-toe' });
+        assert.equal((await expectError(client, 'invalid-message')).requestType, 'join-room');
+
+        client.send({ type: 'find-match', gameId: { name: 'tic-tac-toe' } });
+        await expectError(client, 'invalid-message');
+
+        client.send({ type: 'signal', data: { type: 'hello' } });
+        await expectError(client, 'invalid-message');
+
+        client.send({ type: 'match-result', winner: 'C' });
+        await expectError(client, 'invalid-message');
+    });
+
+    it('rejects messages over the size limit for their type', async () => {
+        const client = await connect();
+
+        client.send({ type: 'find-match', gameId: 'tic-tac-toe', padding: 'x'.repeat(2048) });
+        assert.equal((await expectError(client, 'too-large')).requestType, 'find-match');
+
+        client.sendRaw(JSON.stringify({ type: 'signal', data: { type: 'offer', offer: { sdp: 'x'.repeat(20 * 1024) } } }));
+        await expectError(client, 'too-large');
+    });
+
+    it('ignores game frames from a player who is not in a relayed match', async () => {
+        const client = await connect();
+        client.sendRaw(Buffer.from([1, 2, 3, 4]));
+
+        await client.expectNoMessage('error');
+        assert.ok(client.isOpen);
+    });
+
+    it('disconnects a client that keeps sending bad messages', async () => {
+        const client = await connect();
+        for (let i = 0; i < 15; i++) client.sendRaw('not json');
+
+        const kicked = await client.waitFor('kicked');
+        assert.match(kicked.reason, /Too many/);
+        const { code } = await client.waitForClose();
+        assert.equal(code, 4000);
+    });
+
+    it('closes connections that send frames over the protocol limit', async () => {
+        const client = await connect();
+        client.sendRaw(Buffer.alloc(65 * 1024));
+
+        const { code } = await client.waitForClose();
+        assert.equal(code, 1009);
+    });
+
+    it('keeps serving other players after bad input', async () => {
+        const vandal = await connect();
+        vandal.sendRaw('}{');
+        vandal.send({ type: 'find-match', gameId: 42 });
+        vandal.send({ type: 'signal' });
+
+        const alice = await connect();
+        const bob = await connect();
+        alice.findMatch('malformed-recovery');
+        await alice.waitFor('waiting');
+        bob.findMatch('malformed-recovery');
+
+        const [matchA, matchB] = await Promise.all([alice.waitFor('match-found'), bob.waitFor('match-found')]);
+        assert.equal(matchA.roomId, matchB.roomId);
+
+        const health = await fetch(`${server.httpUrl}/health`).then(res => res.json());
+        assert.equal(health.status, 'ok');
+    });
+});
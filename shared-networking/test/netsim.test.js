@@ -0,0 +1,73 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextEvent, fakeScene } = require('./loopback-pair.js');
+
+describe('network simulator', () => {
+    let createLoopbackPair;
+    let NetworkConditioner;
+    let parseNetworkConditions;
+
+    before(async () => {
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ createLoopbackPair } = await import('../LoopbackGameConnection.js'));
+        ({ NetworkConditioner, parseNetworkConditions } = await import('../NetworkConditioner.js'));
+    });
+
+    it('reads simulated network conditions from presets and key:value pairs', () => {
+        assert.deepEqual(parseNetworkConditions('latency:100,jitter:30,loss:5%,bandwidth:500'), {
+            latencyMs: 100, jitterMs: 30, loss: 0.05, reorder: 0, bandwidthKbps: 500, preset: 'custom'
+        });
+        const conditions = parseNetworkConditions('3g,loss:0.2');
+        assert.equal(conditions.latencyMs, 150);
+        assert.equal(conditions.loss, 0.2);
+        assert.equal(parseNetworkConditions('').latencyMs, 0);
+    });
+
+    it('reads loss and reorder above 1 as percentages, and ignores shares above 100%', () => {
+        const warn = mock.method(console, 'warn', () => {});
+        const conditions = parseNetworkConditions('loss:5,reorder:2.5');
+        assert.equal(conditions.loss, 0.05);
+        assert.equal(conditions.reorder, 0.025);
+        assert.equal(parseNetworkConditions('loss:1').loss, 1);
+        assert.equal(parseNetworkConditions('3g,loss:150').loss, 0.03);
+        assert.equal(parseNetworkConditions('loss:150%').loss, 0);
+        assert.equal(warn.mock.callCount(), 2);
+        warn.mock.restore();
+    });
+
+    it('delays, drops and queues frames like the simulated network', async () => {
+        const a = fakeScene();
+        const b = fakeScene();
+        const conditions = parseNetworkConditions('latency:30,jitter:20,loss:100%,bandwidth:80');
+        const conditioner = new NetworkConditioner(a.events, conditions);
+        const [endA, endB] = createLoopbackPair(conditioner, b.events);
+        conditioner.attach(endA);
+        endA.initialize({ isInitiator: true });
+        endB.initialize({ isInitiator: false });
+
+        const received = [];
+        b.events.on('game_data_received', event => received.push(new Uint8Array(event.data)[0]));
+        const sentAt = performance.now();
+        for (let i = 1; i <= 5; i++) endA.send(new Uint8Array(100).fill(i).buffer, true);
+        endA.send(new Uint8Array([9]).buffer, false);
+
+        // 500 bytes at 80 kbps take 50 ms on top of the latency
+        while (received.length < 5) await nextEvent(b.events, 'game_data_received');
+        assert.ok(performance.now() - sentAt >= 55, 'frames arrived before the bandwidth and latency allowed');
+        assert.deepEqual(received, [1, 2, 3, 4, 5], 'the reliable channel must stay in order');
+
+        // Full loss on the unreliable channel; the reliable one is untouched
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal(received.includes(9), false);
+
+        // Changes to the conditions apply to the next frame, inbound too
+        conditions.loss = 0;
+        conditions.latencyMs = 0;
+        conditions.jitterMs = 0;
+        conditions.bandwidthKbps = 0;
+        endB.send(new Uint8Array([7]).buffer, false);
+        const event = await nextEvent(a.events, 'game_data_received');
+        assert.equal(new Uint8Array(event.data)[0], 7);
+    });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestClient } = require('../test-client.js');
+const { startServer } = require('./server-process.js');
+
+describe('pairing', () => {
+    let server;
+    let clients = [];
+
+    const connect = async () => {
+        const client = await TestClient.connect(server.url);
+        clients.push(client);
+        return client;
+    };
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('assigns every connection its own client id and session token', async () => {
+        const alice = await connect();
+        const bob = await connect();
+
+        assert.match(alice.clientId, /^client-/);
+        assert.notEqual(alice.clientId, bob.clientId);
+        assert.ok(alice.sessionToken);
+        assert.notEqual(alice.sessionToken, bob.sessionToken);
+    });
+
+    it('tells the first player to wait', async () => {
+        const alice = await connect();
+        alice.findMatch('pairing-wait');
+
+        const waiting = await alice.waitFor('waiting');
+        assert.equal(waiting.gameId, 'pairing-wait');
+        assert.equal(waiting.queueSize, 1);
+    });
+
+    it('pairs two players of the same game as A and B', async () => {
+        const alice = await connect();
+        const bob = await connect();
+
+        alice.findMatch('pairing-basic');
+        await alice.waitFor('waiting');
+        bob.findMatch('pairing-basic');
+
+        const [matchA, matchB] = await Promise.all([alice.waitFor('match-found'), bob.waitFor('match-found')]);
+
+        assert.equal(matchA.roomId, matchB.roomId);
+        assert.equal(matchA.role, 'A');
+        assert.equal(matchB.role, 'B');
+        assert.equal(matchA.isInitiator, true);
+        assert.equal(matchB.isInitiator, false);
+        assert.equal(matchA.opponentId, bob.clientId);
+        assert.equal(matchB.opponentId, alice.clientId);
+        assert.ok(Array.isArray(matchA.iceServers) && matchA.iceServers.length > 0);
+    });
+
+    it('never pairs players of different games or versions', async () => {
+        const alice = await connect();
+        const bob = await connect();
+        const carol = await connect();
+
+        alice.findMatch('pairing-game-1');
+        bob.findMatch('pairing-game-2');
+        carol.findMatch('pairing-game-1', { gameVersion: 2 });
+
+        await Promise.all([alice.waitFor('waiting'), bob.waitFor('waiting'), carol.waitFor('waiting')]);
+        await Promise.all([alice, bob, carol].map(client => client.expectNoMessage('match-found')));
+    });
+
+    it('forwards signaling messages to the opponent only', async () => {
+        const alice = await connect();
+        const bob = await connect();
+        const eve = await connect();
+
+        alice.findMatch('pairing-signal');
+        await alice.waitFor('waiting');
+        bob.findMatch('pairing-signal');
+        await Promise.all([alice.waitFor('match-found'), bob.waitFor('match-found')]);
+
+        const offer = { type: 'offer', offer: { type: 'offer', sdp: 'v=0 test-offer' } };
+        alice.signal(offer);
+        const received = await bob.waitFor('signal');
+        assert.equal(received.from, alice.clientId);
+        assert.deepEqual(received.data, offer);
+
+        const candidate = { type: 'ice-candidate', candidate: { candidate: 'candidate:1 1 udp 1 127.0.0.1 9 typ host' } };
+        bob.signal(candidate);
+        const reply = await alice.waitFor('signal');
+        assert.equal(reply.from, bob.clientId);
+        assert.deepEqual(reply.data, candidate);
+
+        await eve.expectNoMessage('signal');
+    });
+
+    it('drops signals from a player who is not in a match', async () => {
+        const alice = await connect();
+        const bob = await connect();
+
+        alice.findMatch('pairing-unmatched-signal');
+        await alice.waitFor('waiting');
+        alice.signal({ type: 'offer', offer: { type: 'offer', sdp: 'v=0' } });
+
+        await bob.expectNoMessage('signal');
+        await alice.expectNoMessage('error');
+    });
+
+    it('runs concurrent matches without crossing their signals', async () => {
+        const players = await Promise.all(Array.from({ length: 6 }, connect));
+
+        // Queue them one at a time so the pairs are known: (0, 1), (2, 3), (4, 5)
+        const found = [];
+        for (let i = 0; i < players.length; i += 2) {
+            players[i].findMatch('pairing-concurrent');
+            await players[i].waitFor('waiting');
+            players[i + 1].findMatch('pairing-concurrent');
+            found.push(...await Promise.all([players[i].waitFor('match-found'), players[i + 1].waitFor('match-found')]));
+        }
+
+        const roomIds = new Set(found.map(match => match.roomId));
+        assert.equal(roomIds.size, 3);
+        for (let i = 0; i < players.length; i += 2) {
+            assert.equal(found[i].roomId, found[i + 1].roomId);
+            assert.equal(found[i].opponentId, players[i + 1].clientId);
+        }
+
+        // Every player signals at once; each must hear exactly its own opponent
+        players.forEach((player, index) => {
+            player.signal({ type: 'offer', offer: { type: 'offer', sdp: `from-${index}` } });
+        });
+
+        await Promise.all(players.map(async (player, index) => {
+            const opponentIndex = index % 2 === 0 ? index + 1 : index - 1;
+            const received = await player.waitFor('signal');
+            assert.equal(received.from, players[opponentIndex].clientId);
+            assert.equal(received.data.offer.sdp, `from-${opponentIndex}`);
+            await player.expectNoMessage('signal', 100);
+        }));
+
+        const { matches } = await fetch(`${server.httpUrl}/matches`).then(res => res.json());
+        const listed = matches.filter(match => match.gameId === 'pairing-concurrent');
+        assert.deepEqual(listed.map(match => match.roomId).sort(), [...roomIds].sort());
+        listed.forEach(match => assert.equal(match.players.length, 2));
+    });
+
+    it('shows a game as finished until the rematch, and still takes its results', async () => {
+        const alice = await connect();
+        const bob = await connect();
+        alice.findMatch('pairing-lifecycle', { userId: 'alice' });
+        await alice.waitFor('waiting');
+        bob.findMatch('pairing-lifecycle', { userId: 'bob' });
+        const { roomId } = await alice.waitFor('match-found');
+        await bob.waitFor('match-found');
+
+        const stateOf = async () => {
+            // A round trip first, so the server has handled what was sent before
+            await alice.expectNoMessage('error', 50);
+            const { matches } = await fetch(`${server.httpUrl}/matches`).then(res => res.json());
+            return matches.find(match => match.roomId === roomId).state;
+        };
+
+        alice.reportState('playing');
+        bob.reportState('playing');
+        assert.equal(await stateOf(), 'playing');
+
+        // Alice's game is over before Bob's report arrives
+        alice.reportResult('A', 1);
+        alice.reportState('finished');
+        assert.equal(await stateOf(), 'finished');
+        bob.reportResult('A', 1);
+        bob.reportState('finished');
+        const update = await bob.waitFor('rating-update');
+        assert.equal(update.game, 1);
+        assert.ok(update.delta < 0);
+
+        // The rematch plays on in the same match
+        alice.reportState('playing');
+        assert.equal(await stateOf(), 'playing');
+    });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextEvent, fakeScene } = require('./loopback-pair.js');
+
+describe('session recorder and replay', () => {
+    let createLoopbackPair;
+    let SessionRecorder;
+    let ReplayGameConnection;
+    let checkRecording;
+
+    before(async () => {
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ createLoopbackPair } = await import('../LoopbackGameConnection.js'));
+        ({ SessionRecorder } = await import('../SessionRecorder.js'));
+        ({ ReplayGameConnection, checkRecording } = await import('../SessionReplay.js'));
+    });
+
+    it('records a session and replays what the scene got, in order', async () => {
+        const a = fakeScene();
+        const b = fakeScene();
+        const recorder = new SessionRecorder(a, { gameId: 'ping-pong', protocolVersion: 3, build: 'dev' });
+        a.events.emit('match_found', { roomId: 'room-1', role: 'A', isInitiator: true });
+        const tap = recorder.tap(a.events);
+        const [endA, endB] = createLoopbackPair(tap, b.events);
+        tap.attach(endA);
+        const opened = nextEvent(a.events, 'game_datachannel_open');
+        endA.initialize({ isInitiator: true });
+        endB.initialize({ isInitiator: false });
+        await opened;
+
+        endA.send(new Uint8Array([1, 2, 3]).buffer, false);
+        endB.send(new Uint8Array([4, 5]).buffer, true);
+        endB.send('text frame', true);
+        await nextEvent(a.events, 'game_data_received');
+        await nextEvent(a.events, 'game_data_received');
+
+        // Through JSON, as the downloaded file would be
+        const recording = JSON.parse(JSON.stringify(recorder.toJSON()));
+        assert.equal(checkRecording(recording, 'ping-pong', 3), null);
+        assert.match(checkRecording(recording, 'knife-throw', 3), /not knife-throw/);
+        assert.deepEqual(recording.matches.map(match => match.role), ['A']);
+        assert.deepEqual(recording.entries.map(entry => entry.type),
+            ['event', 'event', 'send', 'receive', 'receive']);
+
+        const replayed = fakeScene();
+        const seen = [];
+        replayed.events.on('game_datachannel_open', () => seen.push('open'));
+        replayed.events.on('game_data_received', event => {
+            seen.push(event.data instanceof ArrayBuffer ? Array.from(new Uint8Array(event.data)) : event.data);
+        });
+        const replay = new ReplayGameConnection(replayed.events, recording);
+        replay.initialize();
+        replay.pause();
+
+        // Stepping plays one message at a time; the scene's own sends are not fed back
+        while (replay.index < recording.entries.length) replay.step();
+        assert.deepEqual(seen, ['open', [4, 5], 'text frame']);
+        assert.equal(replay.isConnected, true);
+        recorder.destroy();
+    });
+
+    it('replays only the first match of a recording with two', async () => {
+        const a = fakeScene();
+        const recorder = new SessionRecorder(a, { gameId: 'ping-pong', protocolVersion: 3, build: 'dev' });
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        /**
+         * A new tapped connection for the recorder's scene; the other end plays the opponent
+         */
+        const openTapped = async () => {
+            const b = fakeScene();
+            const tap = recorder.tap(a.events);
+            const [endA, endB] = createLoopbackPair(tap, b.events);
+            tap.attach(endA);
+            const opened = nextEvent(a.events, 'game_datachannel_open');
+            endA.initialize({ isInitiator: true });
+            endB.initialize({ isInitiator: false });
+            await opened;
+            return { endA, endB };
+        };
+        const receive = async (end, byte) => {
+            const received = nextEvent(a.events, 'game_data_received');
+            end.send(new Uint8Array([byte]).buffer, true);
+            await received;
+        };
+
+        a.events.emit('match_found', { roomId: 'room-1', role: 'A', isInitiator: true });
+        const first = await openTapped();
+        await receive(first.endB, 1);
+        // A resumed session is still the first match
+        a.events.emit('match_found', { roomId: 'room-1', resumed: true, role: 'A', isInitiator: true });
+        await receive(first.endB, 2);
+        first.endA.close();
+        await wait(5);
+
+        a.events.emit('match_found', { roomId: 'room-2', role: 'B', isInitiator: false });
+        const second = await openTapped();
+        await receive(second.endB, 3);
+
+        const recording = JSON.parse(JSON.stringify(recorder.toJSON()));
+        assert.deepEqual(recording.matches.map(match => match.roomId), ['room-1', 'room-1', 'room-2']);
+
+        const replayed = fakeScene();
+        const seen = [];
+        replayed.events.on('game_data_received', event => seen.push(new Uint8Array(event.data)[0]));
+        const finished = nextEvent(replayed.events, 'replay_finished');
+        const replay = new ReplayGameConnection(replayed.events, recording);
+        replay.initialize();
+        replay.pause();
+
+        while (replay.index < replay.entries.length) replay.step();
+        await finished;
+        assert.deepEqual(seen, [1, 2]);
+        assert.ok(replay.entries.every(entry => entry.connection === 1), 'the second match\'s connection was replayed');
+        recorder.destroy();
+    });
+});
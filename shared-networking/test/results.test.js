@@ -0,0 +1,48 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestClient } = require('../test-client.js');
+const { startServer } = require('./server-process.js');
+
+describe('match results', () => {
+    let server;
+    let clients = [];
+
+    const connect = async () => {
+        const client = await TestClient.connect(server.url);
+        clients.push(client);
+        return client;
+    };
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('pairs reports by game number, so a lost report only costs its own game', async () => {
+        const alice = await connect();
+        const bob = await connect();
+        alice.findMatch('results-lost-report', { userId: 'alice' });
+        await alice.waitFor('waiting');
+        bob.findMatch('results-lost-report', { userId: 'bob' });
+        await Promise.all([alice.waitFor('match-found'), bob.waitFor('match-found')]);
+
+        // Bob's report of game 1 never arrives (his tab reloaded at game over)
+        alice.reportResult('A', 1);
+
+        alice.reportResult('B', 2);
+        bob.reportResult('B', 2);
+        const [updateA, updateB] = await Promise.all([alice.waitFor('rating-update'), bob.waitFor('rating-update')]);
+        assert.equal(updateA.game, 2);
+        assert.equal(updateA.winner, 'B');
+        assert.ok(updateB.delta > 0);
+        await alice.expectNoMessage('result-flagged');
+    });
+});
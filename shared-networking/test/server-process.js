@@ -0,0 +1,75 @@
+/**
+ * Runs local-server.js in a child process on a free port for the integration tests
+ * Ratings and results go to a temporary directory that is removed on stop().
+ */
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SERVER_SCRIPT = path.join(__dirname, '..', 'local-server.js');
+const START_TIMEOUT_MS = 5000;
+
+/**
+ * @param {string[]} [args] - Extra command line flags, e.g. ['--resume-grace', '200']
+ * @param {Object} [env] - Extra environment variables, e.g. { ADMIN_TOKEN: 'secret' }
+ * @returns {Promise<{url: string, httpUrl: string, output: function(): string, stop: function(): Promise<void>}>}
+ */
+function startServer(args = [], env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matchmaking-test-'));
+    const child = spawn(process.execPath, [
+        SERVER_SCRIPT,
+        '--host', '127.0.0.1',
+        '--port', '0',
+        '--ratings-file', path.join(dataDir, 'ratings.json'),
+        '--results-file', path.join(dataDir, 'results.json'),
+        ...args
+    ], { stdio: ['ignore', 'pipe', 'pipe'], env: { ...process.env, ADMIN_TOKEN: '', ...env } });
+
+    // Kept for failure messages
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const stop = () => new Promise(resolve => {
+        const cleanUp = () => {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+            resolve();
+        };
+        if (child.exitCode !== null) return cleanUp();
+        child.once('exit', cleanUp);
+        child.kill('SIGTERM');
+    });
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            stop().then(() => reject(new Error(`Server did not start within ${START_TIMEOUT_MS}ms:\n${output}`)));
+        }, START_TIMEOUT_MS);
+
+        const onEarlyExit = (code) => {
+            clearTimeout(timer);
+            fs.rmSync(dataDir, { recursive: true, force: true });
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        };
+        child.once('exit', onEarlyExit);
+
+        const onOutput = () => {
+            const listening = output.match(/running on [\w.]+:(\d+)/);
+            if (!listening) return;
+            clearTimeout(timer);
+            child.off('exit', onEarlyExit);
+            child.stdout.off('data', onOutput);
+
+            const address = `127.0.0.1:${listening[1]}`;
+            resolve({
+                url: `ws://${address}`,
+                httpUrl: `http://${address}`,
+                output: () => output,
+                stop: stop
+            });
+        };
+        child.stdout.on('data', onOutput);
+    });
+}
+
+module.exports = { startServer };
@@ -0,0 +1,149 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+// LocalNetworkManager.js gives a claimed tab this long to answer
+const CLAIM_TIMEOUT_MS = 2000;
+
+/**
+ * Resolve with the payload of the next event of this name
+ */
+const nextEvent = (emitter, name) => new Promise(resolve => emitter.once(name, resolve));
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * In-process BroadcastChannel: every other open channel of the same name gets
+ * a copy of each message, asynchronously, like between browser tabs
+ */
+class StubBroadcastChannel {
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        StubBroadcastChannel.open.add(this);
+    }
+
+    postMessage(message) {
+        const data = structuredClone(message);
+        StubBroadcastChannel.open.forEach(channel => {
+            if (channel === this || channel.name !== this.name) return;
+            setTimeout(() => {
+                if (StubBroadcastChannel.open.has(channel) && channel.onmessage) channel.onmessage({ data });
+            }, 0);
+        });
+    }
+
+    close() {
+        StubBroadcastChannel.open.delete(this);
+    }
+}
+StubBroadcastChannel.open = new Set();
+
+describe('tab pairing', () => {
+    let LocalNetworkManager;
+    let managers = [];
+
+    before(async () => {
+        global.BroadcastChannel = StubBroadcastChannel;
+        global.window = { addEventListener() {}, removeEventListener() {} };
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ LocalNetworkManager } = await import('../LocalNetworkManager.js'));
+    });
+
+    afterEach(() => {
+        managers.forEach(manager => manager.disconnect());
+        managers = [];
+        StubBroadcastChannel.open.clear();
+    });
+
+    after(() => {
+        delete global.BroadcastChannel;
+        delete global.window;
+    });
+
+    /**
+     * A tab whose manager stops at match_found; the WebRTC part needs a browser
+     */
+    const openTab = (peerId, options) => {
+        const scene = { events: new EventEmitter() };
+        const manager = new LocalNetworkManager(scene, options);
+        if (peerId) manager.peerId = peerId;
+        manager.connectToGame = async () => {};
+        manager.matched = nextEvent(scene.events, 'match_found');
+        managers.push(manager);
+        return manager;
+    };
+
+    it('pairs four tabs off one pair at a time, in the order they started looking', async () => {
+        const tabs = [openTab(), openTab(), openTab(), openTab()];
+        for (const tab of tabs) {
+            tab.findMatch({ gameId: 'pairing', gameVersion: 1 });
+            await wait(5); // A later `since` for each
+        }
+
+        const matches = await Promise.all(tabs.map(tab => tab.matched));
+        assert.deepEqual(matches.map(match => match.role), ['A', 'B', 'A', 'B']);
+        assert.equal(matches[0].opponentId, tabs[1].peerId);
+        assert.equal(matches[1].opponentId, tabs[0].peerId);
+        assert.equal(matches[2].opponentId, tabs[3].peerId);
+        assert.equal(matches[3].opponentId, tabs[2].peerId);
+        assert.equal(matches[0].roomId, matches[1].roomId);
+        assert.notEqual(matches[0].roomId, matches[2].roomId);
+    });
+
+    it('breaks ties between tabs that started looking at once by peer id', async () => {
+        // Both start in the same millisecond; the later one has the lower id
+        const now = mock.method(Date, 'now', () => 1000);
+        const first = openTab('peer-b');
+        const second = openTab('peer-a');
+        first.findMatch({ gameId: 'pairing-tie', gameVersion: 1 });
+        await wait(5);
+        second.findMatch({ gameId: 'pairing-tie', gameVersion: 1 });
+
+        const [matchB, matchA] = await Promise.all([first.matched, second.matched]);
+        now.mock.restore();
+        assert.equal(first.since, second.since);
+        assert.equal(matchA.role, 'A', 'the lower peer id claims');
+        assert.equal(matchA.opponentId, 'peer-b');
+        assert.equal(matchB.role, 'B');
+    });
+
+    it('skips a tab that never answers its claim', async () => {
+        const host = openTab('peer-host');
+        host.findMatch({ gameId: 'pairing-ghost', gameVersion: 1 });
+        await wait(5);
+
+        // A tab that says hello, ranks next, and then never answers
+        const ghost = new StubBroadcastChannel('local-game-signaling');
+        const claims = [];
+        ghost.onmessage = ({ data }) => {
+            if (data.type === 'claim' && data.to === 'peer-ghost') claims.push(data);
+        };
+        ghost.postMessage({ type: 'hello', from: 'peer-ghost', queueKey: 'pairing-ghost@1', since: host.since + 1, reply: false });
+        await wait(5);
+
+        const guest = openTab('peer-guest');
+        const startedAt = Date.now();
+        guest.findMatch({ gameId: 'pairing-ghost', gameVersion: 1 });
+
+        const match = await host.matched;
+        assert.equal(claims.length, 1, 'the ghost is claimed first');
+        assert.equal(match.opponentId, 'peer-guest');
+        assert.ok(Date.now() - startedAt >= CLAIM_TIMEOUT_MS - 50, 'the claim was given up before its timeout');
+        assert.equal((await guest.matched).opponentId, 'peer-host');
+    });
+
+    it('uses the features both tabs share once the other tab said hello', async () => {
+        const tab = openTab('peer-features', { hello: { gameId: 'knife-throw', features: ['resync', 'clock-sync'] } });
+        assert.equal(tab.sharesFeature('clock-sync'), true, 'our own features before any hello');
+
+        tab.scene.events.emit('peer_verified', { hello: {}, features: ['resync'] });
+        assert.equal(tab.sharesFeature('clock-sync'), false);
+        assert.equal(tab.sharesFeature('resync'), true);
+
+        // The next opponent starts over
+        tab.scene.events.emit('match_found', {});
+        assert.equal(tab.sharesFeature('clock-sync'), true);
+    });
+});
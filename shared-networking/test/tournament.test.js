@@ -0,0 +1,185 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TestClient } = require('../test-client.js');
+const { startServer } = require('./server-process.js');
+
+const ADMIN_TOKEN = 'tournament-admin';
+
+describe('tournaments', () => {
+    let server;
+    let clients = [];
+
+    const connect = async () => {
+        const client = await TestClient.connect(server.url);
+        clients.push(client);
+        return client;
+    };
+
+    const post = (path) => fetch(`${server.httpUrl}${path}`, {
+        method: 'POST',
+        headers: { 'X-Admin-Token': ADMIN_TOKEN }
+    }).then(res => res.json());
+    const get = (path) => fetch(`${server.httpUrl}${path}`).then(res => res.json());
+
+    /**
+     * Open a tournament and register the given number of players in order
+     */
+    const openTournament = async (format, count) => {
+        const tournament = await post(`/admin/create-tournament?gameId=tour-game&format=${format}&name=Game%20night`);
+        const players = [];
+        for (let i = 0; i < count; i++) {
+            const player = await connect();
+            player.joinTournament(tournament.id, 'tour-game');
+            await player.waitFor('tournament-update', { filter: msg => msg.tournament.players.length === i + 1 });
+            players.push(player);
+        }
+        return { tournament, players };
+    };
+
+    /**
+     * Both players of a match report the same winner
+     */
+    const playGame = async (first, second, winner) => {
+        const [matchA, matchB] = await Promise.all([first.waitFor('match-found'), second.waitFor('match-found')]);
+        assert.equal(matchA.roomId, matchB.roomId);
+        const byRole = { [matchA.role]: first, [matchB.role]: second };
+        byRole.A.reportResult(winner === first ? matchA.role : matchB.role);
+        byRole.B.reportResult(winner === first ? matchA.role : matchB.role);
+        return matchA;
+    };
+
+    before(async () => {
+        server = await startServer(['--tournament-break', '100', '--result-wait', '300'], { ADMIN_TOKEN });
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('registers players and publishes the tournament over HTTP', async () => {
+        const { tournament, players } = await openTournament('single-elimination', 2);
+
+        assert.equal(tournament.state, 'registering');
+        const update = await players[0].waitFor('tournament-update', { filter: msg => msg.tournament.players.length === 2 });
+        assert.equal(update.status, 'registered');
+
+        const { tournaments } = await get('/tournaments');
+        const listed = tournaments.find(entry => entry.id === tournament.id);
+        assert.equal(listed.players, 2);
+        assert.equal(listed.name, 'Game night');
+
+        const detail = await get(`/tournament?id=${tournament.id}`);
+        assert.deepEqual(detail.players.map(player => player.playerId), players.map(player => player.clientId));
+    });
+
+    it('refuses registrations for another game', async () => {
+        const tournament = await post('/admin/create-tournament?gameId=tour-game');
+        const player = await connect();
+        player.joinTournament(tournament.id, 'other-game');
+
+        const error = await player.waitFor('tournament-error');
+        assert.equal(error.message, 'Tournament is for a different game');
+    });
+
+    it('runs a single elimination bracket through to a champion', async () => {
+        const { tournament, players } = await openTournament('single-elimination', 4);
+        const started = await post(`/admin/start-tournament?id=${tournament.id}`);
+        assert.equal(started.state, 'running');
+        assert.equal(started.rounds[0].length, 2);
+
+        // Every pairing starts as a normal match tagged with the tournament
+        const [first, second] = started.rounds[0];
+        const byId = (id) => players.find(player => player.clientId === id);
+        const match = await playGame(byId(first.a), byId(first.b), byId(first.a));
+        assert.equal(match.tournamentId, tournament.id);
+        assert.equal(match.round, 1);
+
+        // The winner waits for the other semi-final, the loser is out
+        await byId(first.a).waitFor('tournament-update', { filter: msg => msg.status === 'waiting' });
+        await byId(first.b).waitFor('tournament-update', { filter: msg => msg.status === 'eliminated' });
+
+        await playGame(byId(second.a), byId(second.b), byId(second.b));
+        await playGame(byId(first.a), byId(second.b), byId(second.b));
+
+        const final = await byId(second.b).waitFor('tournament-update', { filter: msg => msg.status === 'champion' });
+        assert.equal(final.tournament.state, 'finished');
+        assert.equal(final.tournament.winner, second.b);
+        assert.equal(final.tournament.rounds.length, 2);
+    });
+
+    it('gives byes to the top seeds when the field is not a power of two', async () => {
+        const { tournament } = await openTournament('single-elimination', 3);
+        const started = await post(`/admin/start-tournament?id=${tournament.id}`);
+
+        const byes = started.rounds[0].filter(pairing => !pairing.a || !pairing.b);
+        assert.equal(byes.length, 1);
+        assert.equal(byes[0].state, 'done');
+        assert.equal(started.rounds[0].filter(pairing => pairing.state === 'playing').length, 1);
+    });
+
+    it('plays every pairing of a round robin and ranks on points', async () => {
+        const { tournament, players } = await openTournament('round-robin', 3);
+        const started = await post(`/admin/start-tournament?id=${tournament.id}`);
+        assert.equal(started.totalRounds, 3);
+
+        // Each round one player sits out; the first player wins every game
+        const byId = (id) => players.find(player => player.clientId === id);
+        for (let round = 0; round < 3; round++) {
+            const state = await get(`/tournament?id=${tournament.id}`);
+            const [pairing] = state.rounds[round];
+            const winner = pairing.a === players[0].clientId || pairing.b === players[0].clientId
+                ? players[0]
+                : byId(pairing.a);
+            await playGame(byId(pairing.a), byId(pairing.b), winner);
+        }
+
+        const final = await players[0].waitFor('tournament-update', { filter: msg => msg.status === 'champion' });
+        assert.equal(final.tournament.standings[0].playerId, players[0].clientId);
+        assert.equal(final.tournament.standings[0].points, 2);
+    });
+
+    it('hands the pairing to the opponent when a player leaves mid-game', async () => {
+        const { tournament, players } = await openTournament('single-elimination', 2);
+        await post(`/admin/start-tournament?id=${tournament.id}`);
+        await Promise.all(players.map(player => player.waitFor('match-found')));
+
+        players[0].leave();
+
+        const final = await players[1].waitFor('tournament-update', { filter: msg => msg.status === 'champion' });
+        assert.equal(final.tournament.rounds[0][0].forfeit, true);
+    });
+
+    it('replays a disputed game', async () => {
+        const { tournament, players } = await openTournament('single-elimination', 2);
+        await post(`/admin/start-tournament?id=${tournament.id}`);
+        const [match] = await Promise.all(players.map(player => player.waitFor('match-found')));
+
+        players[0].reportResult('A');
+        players[1].reportResult('B');
+
+        const replay = await Promise.all(players.map(player => player.waitFor('match-found')));
+        assert.notEqual(replay[0].roomId, match.roomId);
+        assert.equal(replay[0].roomId, replay[1].roomId);
+        assert.equal(replay[0].tournamentId, tournament.id);
+    });
+
+    it('replays a game only one player reported', async () => {
+        const { tournament, players } = await openTournament('single-elimination', 2);
+        await post(`/admin/start-tournament?id=${tournament.id}`);
+        const [match] = await Promise.all(players.map(player => player.waitFor('match-found')));
+
+        players[0].reportResult(match.role);
+
+        const replay = await Promise.all(players.map(player => player.waitFor('match-found')));
+        assert.notEqual(replay[0].roomId, match.roomId);
+        assert.equal(replay[0].roomId, replay[1].roomId);
+        const detail = await get(`/tournament?id=${tournament.id}`);
+        assert.equal(detail.winner, null, 'a lone report decides nothing');
+        assert.equal(detail.rounds[0][0].winner, null);
+    });
+});
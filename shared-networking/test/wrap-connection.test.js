@@ -0,0 +1,52 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { nextEvent, fakeScene } = require('./loopback-pair.js');
+
+describe('wrapConnection', () => {
+    let createLoopbackPair;
+    let HelloGate;
+    let parseNetworkConditions;
+    let SessionRecorder;
+    let wrapConnection;
+
+    before(async () => {
+        // The browser modules log every step; not interesting here
+        mock.method(console, 'log', () => {});
+        ({ createLoopbackPair } = await import('../LoopbackGameConnection.js'));
+        ({ HelloGate } = await import('../HelloHandshake.js'));
+        ({ parseNetworkConditions } = await import('../NetworkConditioner.js'));
+        ({ SessionRecorder } = await import('../SessionRecorder.js'));
+        ({ wrapConnection } = await import('../wrapConnection.js'));
+    });
+
+    it('wraps a connection in the simulated link, the hello gate and the recorder', async () => {
+        const a = fakeScene();
+        const b = fakeScene();
+        const hello = { gameId: 'ping-pong', protocolVersion: 3, build: 'dev', features: ['rematch'] };
+        const recorder = new SessionRecorder(a, hello);
+        const gateB = new HelloGate(b.events, hello);
+        let endB = null;
+        const endA = wrapConnection(a.events, (events) => {
+            const [end, other] = createLoopbackPair(events, gateB);
+            endB = gateB.attach(other);
+            return end;
+        }, { hello, networkConditions: parseNetworkConditions('latency:30'), recorder });
+
+        const verified = nextEvent(a.events, 'peer_verified');
+        const opened = nextEvent(a.events, 'game_datachannel_open');
+        const startedAt = performance.now();
+        endA.initialize({ isInitiator: true });
+        endB.initialize({ isInitiator: false });
+        assert.deepEqual((await verified).features, ['rematch']);
+        await opened;
+        assert.ok(performance.now() - startedAt >= 25, 'the hello skipped the simulated link');
+
+        endB.send(new Uint8Array([1]).buffer, true);
+        await nextEvent(a.events, 'game_data_received');
+
+        // The tap sits outside the gate: the scene's frames are recorded, the opponent's hello is not
+        const received = recorder.toJSON().entries.filter(entry => entry.type === 'receive');
+        assert.equal(received.length, 1);
+        recorder.destroy();
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * TokenBucket - Rate limiter that allows short bursts
+ * Holds up to `capacity` tokens and refills at `ratePerSecond`; every action
+ * takes one token and is refused when the bucket is empty.
+ */
+class TokenBucket {
+    constructor(ratePerSecond, capacity) {
+        this.ratePerSecond = ratePerSecond;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * @returns {boolean} true if a token was available
+     */
+    take() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens--;
+        return true;
+    }
+}
+
+module.exports = { TokenBucket };
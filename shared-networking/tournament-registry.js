@@ -0,0 +1,498 @@
+/**
+ * TournamentRegistry - Brackets for tournaments run on the matchmaking server
+ * Players register for a game while the tournament is open. Starting it draws
+ * the bracket: single elimination (seeded by rating, byes fill the first round
+ * up to a power of two, winners advance) or round robin (everyone plays
+ * everyone once, ranked on points). The registry only keeps the bracket;
+ * local-server.js starts each pairing as a match and reports its result.
+ */
+
+const TOURNAMENT_FORMAT = {
+    SINGLE_ELIMINATION: 'single-elimination',
+    ROUND_ROBIN: 'round-robin'
+};
+
+const TOURNAMENT_STATE = {
+    REGISTERING: 'registering', // Open for registrations
+    RUNNING: 'running',         // Bracket drawn, rounds being played
+    FINISHED: 'finished'        // Every pairing decided
+};
+
+const PAIRING_STATE = {
+    PENDING: 'pending', // Waiting for its round, or for the match to start
+    PLAYING: 'playing', // Match running
+    DONE: 'done'        // Decided (including byes and forfeits)
+};
+
+// What each player sees on their screen, see getPlayerStatus()
+const PLAYER_STATUS = {
+    REGISTERED: 'registered', // Waiting for the tournament to start
+    PLAYING: 'playing',       // In a match right now
+    WAITING: 'waiting',       // Waiting for the next round (or a bye)
+    ELIMINATED: 'eliminated', // Knocked out or withdrew
+    CHAMPION: 'champion',     // Won the tournament
+    FINISHED: 'finished'      // Tournament over, someone else won
+};
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 64;
+
+// Round robin points
+const POINTS_WIN = 1;
+const POINTS_DRAW = 0.5;
+
+class TournamentRegistry {
+    constructor() {
+        this.tournaments = new Map(); // id -> tournament
+        this.playerTournaments = new Map(); // playerId -> tournament id
+    }
+
+    generateId() {
+        let id;
+        do {
+            id = 'tour-' + Math.random().toString(36).substr(2, 6);
+        } while (this.tournaments.has(id));
+        return id;
+    }
+
+    /**
+     * Open a tournament for registrations
+     * @param {Object} options
+     * @param {string} options.gameId - Game being played (without a version)
+     * @param {string} [options.format] - A TOURNAMENT_FORMAT, single elimination by default
+     * @param {string} [options.name] - Shown to the players
+     * @param {number} [options.maxPlayers]
+     */
+    createTournament({ gameId, format = TOURNAMENT_FORMAT.SINGLE_ELIMINATION, name = null, maxPlayers = MAX_PLAYERS }) {
+        const now = Date.now();
+        const id = this.generateId();
+        const tournament = {
+            id: id,
+            name: name || id,
+            gameId: gameId,
+            queueKey: null, // "<gameId>@<version>" of the first player; everyone must run the same build
+            format: format,
+            state: TOURNAMENT_STATE.REGISTERING,
+            maxPlayers: Math.min(Math.max(maxPlayers, MIN_PLAYERS), MAX_PLAYERS),
+            players: [], // [{ playerId, userId, name, rating, seed, withdrawn }]
+            rounds: [], // [[pairing]], see createPairing()
+            currentRound: 0, // 1-based once running
+            winner: null, // playerId
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.tournaments.set(id, tournament);
+        return tournament;
+    }
+
+    /**
+     * Add a player while registrations are open
+     * @param {Object} player - { playerId, userId, name, rating }
+     * @returns {string|null} Why the player could not register, or null
+     */
+    register(tournament, player) {
+        if (tournament.state !== TOURNAMENT_STATE.REGISTERING) return 'Registrations are closed';
+        if (this.getPlayer(tournament, player.playerId)) return null;
+        if (this.playerTournaments.has(player.playerId)) return 'Already registered for another tournament';
+        if (tournament.players.length >= tournament.maxPlayers) return 'Tournament is full';
+
+        tournament.players.push({
+            playerId: player.playerId,
+            userId: player.userId || null,
+            name: player.name,
+            rating: player.rating,
+            seed: null,
+            withdrawn: false
+        });
+        this.playerTournaments.set(player.playerId, tournament.id);
+        tournament.updatedAt = Date.now();
+        return null;
+    }
+
+    /**
+     * Take a player out of their tournament. Before the start they are simply
+     * removed; once it runs they forfeit their current and any later pairings.
+     * @returns {{tournament: Object, forfeited: Array<Object>}|null} The tournament
+     *          and the pairings that were being played, or null if not registered
+     */
+    withdraw(playerId) {
+        const tournament = this.getTournamentForPlayer(playerId);
+        if (!tournament) return null;
+        this.playerTournaments.delete(playerId);
+        tournament.updatedAt = Date.now();
+
+        if (tournament.state === TOURNAMENT_STATE.REGISTERING) {
+            tournament.players = tournament.players.filter(p => p.playerId !== playerId);
+            return { tournament, forfeited: [] };
+        }
+
+        const player = this.getPlayer(tournament, playerId);
+        if (player) player.withdrawn = true;
+        if (tournament.state === TOURNAMENT_STATE.FINISHED) return { tournament, forfeited: [] };
+
+        const forfeited = [];
+        this.getCurrentPairings(tournament).forEach(pairing => {
+            if (pairing.state === PAIRING_STATE.DONE || (pairing.a !== playerId && pairing.b !== playerId)) return;
+            if (pairing.state === PAIRING_STATE.PLAYING) forfeited.push({ ...pairing });
+            this.decide(pairing, pairing.a === playerId ? pairing.b : pairing.a, true);
+        });
+        this.advance(tournament);
+        return { tournament, forfeited };
+    }
+
+    /**
+     * Close registrations and draw the bracket
+     * @returns {string|null} Why the tournament could not start, or null
+     */
+    start(tournament) {
+        if (tournament.state !== TOURNAMENT_STATE.REGISTERING) return 'Tournament has already started';
+        if (tournament.players.length < MIN_PLAYERS) return `At least ${MIN_PLAYERS} players are needed`;
+
+        // Best rated first; equal ratings in registration order
+        const seeded = tournament.players.slice().sort((a, b) => b.rating - a.rating);
+        seeded.forEach((player, index) => { player.seed = index + 1; });
+
+        tournament.state = TOURNAMENT_STATE.RUNNING;
+        tournament.rounds = tournament.format === TOURNAMENT_FORMAT.ROUND_ROBIN
+            ? this.drawRoundRobin(seeded)
+            : [this.drawFirstElimination(seeded)];
+        tournament.currentRound = 1;
+        tournament.updatedAt = Date.now();
+
+        this.advance(tournament);
+        return null;
+    }
+
+    /**
+     * First elimination round: the usual seeding (1 v 8, 4 v 5, ...), so the
+     * top seeds get the byes and only meet late
+     */
+    drawFirstElimination(seeded) {
+        let size = 2;
+        while (size < seeded.length) size *= 2;
+
+        let order = [1];
+        while (order.length < size) {
+            const total = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, total - seed]);
+        }
+
+        const pairings = [];
+        for (let i = 0; i < order.length; i += 2) {
+            const a = seeded[order[i] - 1];
+            const b = seeded[order[i + 1] - 1];
+            pairings.push(this.createPairing(1, pairings.length + 1, a ? a.playerId : null, b ? b.playerId : null));
+        }
+        return pairings;
+    }
+
+    /**
+     * Every round of a round robin, by the circle method: the first player
+     * stays put and everyone else rotates. With an odd number of players
+     * one sits out each round.
+     */
+    drawRoundRobin(seeded) {
+        const ids = seeded.map(player => player.playerId);
+        if (ids.length % 2 !== 0) ids.push(null);
+
+        const rounds = [];
+        for (let round = 1; round < ids.length; round++) {
+            const pairings = [];
+            for (let i = 0; i < ids.length / 2; i++) {
+                const a = ids[i];
+                const b = ids[ids.length - 1 - i];
+                if (a && b) pairings.push(this.createPairing(round, pairings.length + 1, a, b));
+            }
+            rounds.push(pairings);
+            ids.splice(1, 0, ids.pop());
+        }
+        return rounds;
+    }
+
+    createPairing(round, index, a, b) {
+        return {
+            id: `R${round}-M${index}`,
+            round: round,
+            a: a, // playerId, or null for a bye
+            b: b,
+            state: PAIRING_STATE.PENDING,
+            winner: null, // playerId, or null for a draw
+            forfeit: false,
+            roomId: null
+        };
+    }
+
+    /**
+     * Pairings of the current round that are ready for a match
+     */
+    getPairingsToStart(tournament) {
+        if (tournament.state !== TOURNAMENT_STATE.RUNNING) return [];
+        return this.getCurrentPairings(tournament).filter(pairing =>
+            pairing.state === PAIRING_STATE.PENDING && pairing.a && pairing.b);
+    }
+
+    markPlaying(tournament, pairingId, roomId) {
+        const pairing = this.getPairing(tournament, pairingId);
+        if (!pairing || pairing.state !== PAIRING_STATE.PENDING) return null;
+
+        pairing.state = PAIRING_STATE.PLAYING;
+        pairing.roomId = roomId;
+        tournament.updatedAt = Date.now();
+        return pairing;
+    }
+
+    /**
+     * Decide a pairing and move the tournament on. A draw in single
+     * elimination is replayed.
+     * @param {string|null} winnerId - Winning playerId, or null for a draw
+     * @returns {Object|null} The pairing, or null if it was not being played
+     */
+    recordResult(tournament, pairingId, winnerId) {
+        const pairing = this.getPairing(tournament, pairingId);
+        if (!pairing || pairing.state !== PAIRING_STATE.PLAYING) return null;
+
+        if (winnerId === null && tournament.format === TOURNAMENT_FORMAT.SINGLE_ELIMINATION) {
+            this.replay(tournament, pairingId);
+            return pairing;
+        }
+
+        this.decide(pairing, winnerId, false);
+        tournament.updatedAt = Date.now();
+        this.advance(tournament);
+        return pairing;
+    }
+
+    /**
+     * A player left the match they were playing: their opponent wins
+     */
+    forfeit(tournament, pairingId, playerId) {
+        const pairing = this.getPairing(tournament, pairingId);
+        if (!pairing || pairing.state !== PAIRING_STATE.PLAYING) return null;
+
+        this.decide(pairing, pairing.a === playerId ? pairing.b : pairing.a, true);
+        tournament.updatedAt = Date.now();
+        this.advance(tournament);
+        return pairing;
+    }
+
+    /**
+     * Put a pairing back in the queue to be played again
+     */
+    replay(tournament, pairingId) {
+        const pairing = this.getPairing(tournament, pairingId);
+        if (!pairing || pairing.state !== PAIRING_STATE.PLAYING) return null;
+
+        pairing.state = PAIRING_STATE.PENDING;
+        pairing.roomId = null;
+        tournament.updatedAt = Date.now();
+        return pairing;
+    }
+
+    decide(pairing, winnerId, forfeit) {
+        pairing.state = PAIRING_STATE.DONE;
+        pairing.winner = winnerId;
+        pairing.forfeit = forfeit;
+    }
+
+    /**
+     * Settle byes and withdrawals in the current round and, once every pairing
+     * in it is decided, draw (or move to) the next round or finish
+     */
+    advance(tournament) {
+        while (tournament.state === TOURNAMENT_STATE.RUNNING) {
+            const pairings = this.getCurrentPairings(tournament);
+            pairings.forEach(pairing => {
+                if (pairing.state !== PAIRING_STATE.PENDING) return;
+                const present = [pairing.a, pairing.b].filter(id => id && !this.isWithdrawn(tournament, id));
+                if (present.length < 2) this.decide(pairing, present[0] || null, Boolean(pairing.a && pairing.b));
+            });
+
+            if (!pairings.every(pairing => pairing.state === PAIRING_STATE.DONE)) return;
+
+            if (tournament.format === TOURNAMENT_FORMAT.ROUND_ROBIN) {
+                if (tournament.currentRound < tournament.rounds.length) {
+                    tournament.currentRound++;
+                    continue;
+                }
+                const [leader] = this.getStandings(tournament);
+                this.finish(tournament, leader ? leader.playerId : null);
+                return;
+            }
+
+            // Single elimination: winners of neighbouring pairings meet next
+            const winners = pairings.map(pairing => pairing.winner);
+            if (winners.length === 1) {
+                this.finish(tournament, winners[0]);
+                return;
+            }
+            const round = tournament.currentRound + 1;
+            const next = [];
+            for (let i = 0; i < winners.length; i += 2) {
+                next.push(this.createPairing(round, next.length + 1, winners[i], winners[i + 1]));
+            }
+            tournament.rounds.push(next);
+            tournament.currentRound = round;
+        }
+    }
+
+    finish(tournament, winnerId) {
+        tournament.state = TOURNAMENT_STATE.FINISHED;
+        tournament.winner = winnerId;
+        tournament.updatedAt = Date.now();
+    }
+
+    /**
+     * Round robin table: points (1 a win, 0.5 a draw), then wins, then seed.
+     * Byes and forfeits count as wins for the player who was there.
+     */
+    getStandings(tournament) {
+        const rows = new Map(tournament.players.map(player => [player.playerId, {
+            playerId: player.playerId,
+            name: player.name,
+            played: 0,
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            points: 0,
+            seed: player.seed
+        }]));
+
+        tournament.rounds.flat().forEach(pairing => {
+            if (pairing.state !== PAIRING_STATE.DONE) return;
+            [pairing.a, pairing.b].forEach(id => {
+                const row = rows.get(id);
+                if (!row) return;
+                row.played++;
+                if (pairing.winner === null) {
+                    row.draws++;
+                    row.points += POINTS_DRAW;
+                } else if (pairing.winner === id) {
+                    row.wins++;
+                    row.points += POINTS_WIN;
+                } else {
+                    row.losses++;
+                }
+            });
+        });
+
+        return Array.from(rows.values()).sort((a, b) =>
+            b.points - a.points || b.wins - a.wins || a.seed - b.seed);
+    }
+
+    /**
+     * Where a player stands, for their own screen (see PLAYER_STATUS)
+     */
+    getPlayerStatus(tournament, playerId) {
+        const player = this.getPlayer(tournament, playerId);
+        if (tournament.state === TOURNAMENT_STATE.REGISTERING) return PLAYER_STATUS.REGISTERED;
+        if (tournament.state === TOURNAMENT_STATE.FINISHED && tournament.winner === playerId) return PLAYER_STATUS.CHAMPION;
+        if (!player || player.withdrawn || this.isEliminated(tournament, playerId)) return PLAYER_STATUS.ELIMINATED;
+        if (tournament.state === TOURNAMENT_STATE.FINISHED) return PLAYER_STATUS.FINISHED;
+
+        const playing = this.getCurrentPairings(tournament).some(pairing =>
+            pairing.state === PAIRING_STATE.PLAYING && (pairing.a === playerId || pairing.b === playerId));
+        return playing ? PLAYER_STATUS.PLAYING : PLAYER_STATUS.WAITING;
+    }
+
+    /**
+     * Lost a single elimination pairing (nobody is knocked out of a round robin)
+     */
+    isEliminated(tournament, playerId) {
+        if (tournament.format !== TOURNAMENT_FORMAT.SINGLE_ELIMINATION) return false;
+        return tournament.rounds.flat().some(pairing =>
+            pairing.state === PAIRING_STATE.DONE && pairing.winner !== playerId &&
+            (pairing.a === playerId || pairing.b === playerId));
+    }
+
+    isWithdrawn(tournament, playerId) {
+        const player = this.getPlayer(tournament, playerId);
+        return !player || player.withdrawn;
+    }
+
+    /**
+     * Public view of a tournament: players by id, the bracket and, for round
+     * robins, the standings
+     */
+    describe(tournament) {
+        const nameOf = (id) => {
+            const player = id ? this.getPlayer(tournament, id) : null;
+            return player ? player.name : null;
+        };
+
+        return {
+            id: tournament.id,
+            name: tournament.name,
+            gameId: tournament.gameId,
+            format: tournament.format,
+            state: tournament.state,
+            maxPlayers: tournament.maxPlayers,
+            currentRound: tournament.currentRound,
+            totalRounds: this.getTotalRounds(tournament),
+            winner: tournament.winner,
+            winnerName: nameOf(tournament.winner),
+            players: tournament.players.map(player => ({
+                playerId: player.playerId,
+                name: player.name,
+                seed: player.seed,
+                withdrawn: player.withdrawn
+            })),
+            rounds: tournament.rounds.map(pairings => pairings.map(pairing => ({
+                id: pairing.id,
+                state: pairing.state,
+                a: pairing.a,
+                b: pairing.b,
+                aName: nameOf(pairing.a),
+                bName: nameOf(pairing.b),
+                winner: pairing.winner,
+                forfeit: pairing.forfeit,
+                roomId: pairing.roomId
+            }))),
+            ...(tournament.format === TOURNAMENT_FORMAT.ROUND_ROBIN && tournament.state !== TOURNAMENT_STATE.REGISTERING
+                ? { standings: this.getStandings(tournament) }
+                : {}),
+            createdAt: tournament.createdAt,
+            updatedAt: tournament.updatedAt
+        };
+    }
+
+    getTotalRounds(tournament) {
+        if (tournament.format === TOURNAMENT_FORMAT.ROUND_ROBIN) {
+            if (tournament.state !== TOURNAMENT_STATE.REGISTERING) return tournament.rounds.length;
+            const count = tournament.players.length;
+            return count % 2 === 0 ? count - 1 : count;
+        }
+        return Math.max(1, Math.ceil(Math.log2(Math.max(tournament.players.length, 1))));
+    }
+
+    getCurrentPairings(tournament) {
+        return tournament.rounds[tournament.currentRound - 1] || [];
+    }
+
+    getPairing(tournament, pairingId) {
+        return tournament.rounds.flat().find(pairing => pairing.id === pairingId) || null;
+    }
+
+    getPlayer(tournament, playerId) {
+        return tournament.players.find(player => player.playerId === playerId) || null;
+    }
+
+    getTournament(id) {
+        return this.tournaments.get(id) || null;
+    }
+
+    getTournamentForPlayer(playerId) {
+        const id = this.playerTournaments.get(playerId);
+        return id ? this.getTournament(id) : null;
+    }
+
+    list() {
+        return Array.from(this.tournaments.values());
+    }
+
+    get size() {
+        return this.tournaments.size;
+    }
+}
+
+module.exports = { TournamentRegistry, TOURNAMENT_FORMAT, TOURNAMENT_STATE, PAIRING_STATE, PLAYER_STATUS };
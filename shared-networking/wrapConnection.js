@@ -0,0 +1,43 @@
+/**
+ * wrapConnection - The layers between a player's game connection and the scene
+ * Every network manager puts the same stand-ins for the scene's events in
+ * front of the connections it creates, in the same order:
+ *
+ *   connection -> NetworkConditioner -> HelloGate -> ConnectionTap -> scene.events
+ *
+ * The conditioner goes first, so hellos take the simulated link too; the tap
+ * goes last, so the recording holds what the game itself sent and got. Each
+ * layer is only there when its option is set.
+ *
+ *   const connection = wrapConnection(scene.events, events => new LocalGameConnection(manager, events), {
+ *       hello, networkConditions, recorder
+ *   });
+ */
+
+import { HelloGate } from './HelloHandshake.js';
+import { NetworkConditioner } from './NetworkConditioner.js';
+
+/**
+ * Create a connection behind the layers the options ask for
+ * @param {Phaser.Events.EventEmitter} events - Scene events, where everything ends up
+ * @param {function(Object): Object} createConnection - Gets the events the connection should emit on
+ * @param {Object} [options]
+ * @param {Object} [options.hello] - Hold the channel back until the opponent said hello, see HelloHandshake
+ * @param {Object} [options.networkConditions] - Latency, loss and bandwidth to simulate, see NetworkConditioner
+ * @param {SessionRecorder} [options.recorder] - Record the connection's messages, see SessionRecorder
+ * @returns {Object} The connection
+ */
+export function wrapConnection(events, createConnection, options = {}) {
+    const tap = options.recorder ? options.recorder.tap(events) : null;
+    const sceneEvents = tap || events;
+    const gate = options.hello ? new HelloGate(sceneEvents, options.hello) : null;
+    const conditioner = options.networkConditions
+        ? new NetworkConditioner(gate || sceneEvents, options.networkConditions)
+        : null;
+
+    const connection = createConnection(conditioner || gate || sceneEvents);
+    if (conditioner) conditioner.attach(connection);
+    if (gate) gate.attach(connection);
+    if (tap) tap.attach(connection);
+    return connection;
+}
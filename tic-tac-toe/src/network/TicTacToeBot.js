@@ -0,0 +1,134 @@
+import { NetworkProtocol } from './NetworkProtocol.js';
+
+const WIN_PATTERNS = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
+    [0, 3, 6], [1, 4, 7], [2, 5, 8], // Cols
+    [0, 4, 8], [2, 4, 6]             // Diagonals
+];
+
+// Think time before each move
+const MOVE_DELAY_MS = 700;
+
+// Chance of playing a random cell instead of the best one, so the bot can be beaten
+const MISTAKE_CHANCE = 0.25;
+
+/**
+ * TicTacToeBot - Opponent played by the browser when nobody joins the queue
+ * Plays B over the same protocol as a remote player: it follows the player's
+ * moves and answers with its own, see BotGameConnection.
+ */
+export class TicTacToeBot {
+    /**
+     * @param {function(ArrayBuffer, boolean): void} send - Delivers a frame to the player
+     */
+    constructor(send) {
+        this.send = send;
+        this.board = Array(9).fill(null);
+        this.startingPlayer = 'A';
+        this.currentPlayer = 'A';
+        this.isGameOver = false;
+        this.moveTimer = null;
+    }
+
+    receive(data) {
+        if (!(data instanceof ArrayBuffer)) return;
+        const msg = NetworkProtocol.decode(data);
+        if (!msg) return;
+
+        switch (msg.type) {
+            case 'move':
+                if (this.currentPlayer === 'A') this.place(msg.index);
+                break;
+
+            case 'reset':
+                this.reset();
+                break;
+        }
+    }
+
+    /**
+     * Both agreed to play again; the starting player alternates like in the scene
+     */
+    onRematch(game) {
+        this.startingPlayer = game % 2 === 0 ? 'A' : 'B';
+        this.reset();
+    }
+
+    reset() {
+        this.cancelMove();
+        this.board.fill(null);
+        this.currentPlayer = this.startingPlayer;
+        this.isGameOver = false;
+        if (this.currentPlayer === 'B') this.scheduleMove();
+    }
+
+    place(index) {
+        if (this.isGameOver || this.board[index] !== null) return;
+
+        this.board[index] = this.currentPlayer;
+        if (this.findLine(this.currentPlayer) || this.board.every(cell => cell !== null)) {
+            this.isGameOver = true;
+            return;
+        }
+
+        this.currentPlayer = this.currentPlayer === 'A' ? 'B' : 'A';
+        if (this.currentPlayer === 'B') this.scheduleMove();
+    }
+
+    scheduleMove() {
+        this.cancelMove();
+        this.moveTimer = setTimeout(() => {
+            this.moveTimer = null;
+            const index = this.chooseMove();
+            this.send(NetworkProtocol.encode({ type: 'move', index: index }), true);
+            this.place(index);
+        }, MOVE_DELAY_MS);
+    }
+
+    cancelMove() {
+        if (this.moveTimer) {
+            clearTimeout(this.moveTimer);
+            this.moveTimer = null;
+        }
+    }
+
+    /**
+     * Win if possible, otherwise block, otherwise prefer the center and corners
+     */
+    chooseMove() {
+        const free = this.board.map((cell, index) => cell === null ? index : -1).filter(index => index !== -1);
+        const pick = (cells) => cells[Math.floor(Math.random() * cells.length)];
+
+        if (Math.random() < MISTAKE_CHANCE) return pick(free);
+
+        const winning = this.findCompletingMove('B');
+        if (winning !== -1) return winning;
+        const blocking = this.findCompletingMove('A');
+        if (blocking !== -1) return blocking;
+        if (this.board[4] === null) return 4;
+
+        const corners = [0, 2, 6, 8].filter(index => this.board[index] === null);
+        return corners.length > 0 ? pick(corners) : pick(free);
+    }
+
+    /**
+     * Free cell that would give the player three in a row, or -1
+     */
+    findCompletingMove(player) {
+        for (const pattern of WIN_PATTERNS) {
+            const cells = pattern.map(index => this.board[index]);
+            if (cells.filter(cell => cell === player).length === 2 && cells.includes(null)) {
+                return pattern[cells.indexOf(null)];
+            }
+        }
+        return -1;
+    }
+
+    findLine(player) {
+        return WIN_PATTERNS.find(pattern => pattern.every(index => this.board[index] === player));
+    }
+
+    destroy() {
+        this.cancelMove();
+    }
+}
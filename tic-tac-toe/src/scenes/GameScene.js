@@ -2,19 +2,39 @@ import Phaser from 'phaser';
 import GameConfig from '../config/GameConfig.js';
 import { NetworkManager } from '../network/NetworkManager.js';
 import { TicTacToeConnection } from '../network/TicTacToeConnection.js';
+import { RematchNegotiator } from '../../../shared-networking/RematchNegotiator.js';
+import { StateResync } from '../../../shared-networking/StateResync.js';
+import { LeaderboardPanel } from '../../../shared-networking/LeaderboardPanel.js';
+import { TournamentPanel } from '../../../shared-networking/TournamentPanel.js';
+import { LinkStatsOverlay } from '../../../shared-networking/LinkStatsOverlay.js';
+import { UpdateRequiredScreen } from '../../../shared-networking/UpdateRequiredScreen.js';
+import { NetworkConditionsPanel } from '../../../shared-networking/NetworkConditionsPanel.js';
+import { ReplayPanel } from '../../../shared-networking/ReplayPanel.js';
 
 export default class GameScene extends Phaser.Scene {
     constructor() {
         super('GameScene');
         this.board = Array(9).fill(null);
         this.currentPlayer = 'A'; // 'A' or 'B'
+        this.startingPlayer = 'A'; // Plays X and moves first; alternates with every rematch
         this.myRole = null; // 'A' or 'B'
         this.isGameOver = false;
+        this.isSpectator = false; // Watching someone else's match
+        this.isReconnecting = false; // Connection dropped mid-match; moves wait for the resync
+        this.tournamentId = null; // Set while playing a tournament game
         this.networkManager = null;
         this.ticTacToeConnection = null;
         this.cells = [];
         this.statusText = null;
         this.winningLine = null;
+        this.rematch = null;
+        this.resync = null;
+        this.rematchButton = null;
+        this.leaveButton = null;
+        this.leaderboardButton = null;
+        this.leaderboardPanel = null;
+        this.tournamentPanel = null;
+        this.linkStatsOverlay = null;
     }
 
     create() {
@@ -38,11 +58,30 @@ export default class GameScene extends Phaser.Scene {
         }).setOrigin(0.5);
 
         this.createBoard();
+        this.createRematchButtons();
+        this.tournamentPanel = new TournamentPanel(this);
+        this.linkStatsOverlay = new LinkStatsOverlay(this, { visible: GameConfig.NETWORK.SHOW_LINK_STATS });
+        this.updateRequiredScreen = new UpdateRequiredScreen(this);
+        if (GameConfig.NETWORK.SIMULATE_NETWORK) {
+            this.networkConditionsPanel = new NetworkConditionsPanel(this, GameConfig.NETWORK.SIMULATE_NETWORK);
+        }
+        if (GameConfig.NETWORK.REPLAY !== null) {
+            this.replayPanel = new ReplayPanel(this);
+        }
         this.setupNetworking();
     }
 
     setupNetworking() {
         this.networkManager = new NetworkManager(this);
+        this.rematch = new RematchNegotiator(this, {
+            send: (frame) => this.ticTacToeConnection?.gameConnection.send(frame, true)
+        });
+        this.resync = new StateResync(this, {
+            send: (frame) => this.ticTacToeConnection?.gameConnection.send(frame, true),
+            getState: () => this.getResyncState(),
+            applyState: (state) => this.applyResyncState(state),
+            rematch: this.rematch
+        });
         this.setupNetworkEvents();
         this.connectToServer();
     }
@@ -58,10 +97,18 @@ export default class GameScene extends Phaser.Scene {
                 await new Promise(resolve => setTimeout(resolve, 500));
                 this.networkManager.handleMatchFound(matchData);
                 this.statusText.setText('Connecting to game...');
+            } else if (GameConfig.SPECTATE_ROOM_ID) {
+                console.log('[TicTacToe] Joining as spectator...');
+                this.statusText.setText('Joining as Spectator...');
+                this.networkManager.spectate(GameConfig.SPECTATE_ROOM_ID);
+            } else if (GameConfig.TOURNAMENT_ID) {
+                console.log('[TicTacToe] Registering for tournament...');
+                this.statusText.setText('Joining Tournament...');
+                this.networkManager.joinTournament(GameConfig.TOURNAMENT_ID);
             } else {
                 console.log('[TicTacToe] Joining matchmaking queue...');
-                this.statusText.setText('Finding Match...');
-                this.networkManager.findMatch();
+                this.statusText.setText(GameConfig.ROOM_CODE ? 'Joining Room...' : 'Finding Match...');
+                this.networkManager.findMatch({ roomCode: GameConfig.ROOM_CODE });
             }
         } catch (error) {
             console.error('[TicTacToe] Failed to connect:', error);
@@ -75,13 +122,29 @@ export default class GameScene extends Phaser.Scene {
             if (this.statusText) this.statusText.setText('Waiting for opponent...');
         });
 
+        this.events.on('room_created', (data) => {
+            if (this.statusText) this.statusText.setText(`Room Code: ${data.code}`);
+        });
+
+        this.events.on('room_error', (data) => {
+            if (this.statusText) this.statusText.setText(data.message || 'Room not found');
+        });
+
         this.events.on('match_found', (data) => {
+            // The next tournament game comes in on a fresh connection; clear the last one first
+            if (data.tournamentId && this.tournamentId) this.prepareNextMatch();
+            this.tournamentId = data.tournamentId || null;
+            this.tournamentPanel.hide();
+
             let normalizedRole = 'B';
             if (data.role === 'A' || data.role === 'host') {
                 normalizedRole = 'A';
             }
             this.myRole = normalizedRole;
-            if (this.statusText) this.statusText.setText(`Match Found! You are ${this.myRole}`);
+            this.opponentName = data.opponentName || null; // Verified display name, if they signed in
+            if (this.statusText) {
+                this.statusText.setText(`Match Found! You are ${this.myRole}${this.opponentName ? ` vs ${this.opponentName}` : ''}`);
+            }
             this.networkManager.connectToGame();
         });
 
@@ -90,25 +153,69 @@ export default class GameScene extends Phaser.Scene {
             console.log('[TicTacToe] Data channel open!');
 
             // Ensure we hold the live game connection reference
-            if (!this.networkManager.gameConnection && this.networkManager.localNetworkManager?.gameConnection) {
+            if (this.networkManager.localNetworkManager?.gameConnection) {
                 this.networkManager.gameConnection = this.networkManager.localNetworkManager.gameConnection;
             }
 
             if (this.networkManager.gameConnection) {
+                // A resumed session opens a fresh channel; drop the old wrapper first
+                if (this.ticTacToeConnection) this.ticTacToeConnection.destroy();
                 this.ticTacToeConnection = new TicTacToeConnection(this.networkManager.gameConnection, this);
                 this.ticTacToeConnection.startHeartbeat();
-                this.updateStatus();
+                // After a reconnect the turn is only known once the boards are compared
+                if (!this.isReconnecting) this.updateStatus();
             } else {
                 console.warn('[TicTacToe] No gameConnection available for TicTacToeConnection');
             }
         });
 
         this.events.on('connection_failed', () => {
-            if (this.statusText) this.statusText.setText('Connection Lost');
+            // Nobody is left to play a rematch with
+            if (this.rematchButton) this.rematchButton.setVisible(false);
+            if (this.statusText) this.statusText.setText(this.isGameOver ? 'Opponent left' : 'Connection Lost');
+        });
+
+        this.events.on('opponent_reconnecting', () => {
+            if (this.statusText) this.statusText.setText('Opponent reconnecting...');
+        });
+
+        // Our own connection dropped; the board is compared with the opponent's once it is back
+        this.events.on('game_reconnecting', () => {
+            this.isReconnecting = true;
+            if (this.statusText && !this.isGameOver) {
+                this.statusText.setText('Reconnecting...');
+                this.statusText.setColor('#ffff00');
+            }
+        });
+
+        this.events.on('state_resynced', () => {
+            this.isReconnecting = false;
+            this.updateStatus();
+        });
+
+        // Spectator mode
+        this.events.on('spectate_started', () => {
+            this.isSpectator = true;
+            this.rematch.isSpectator = true;
+            this.resync.isSpectator = true;
+            const gameConnection = this.networkManager.localNetworkManager.gameConnection;
+            if (this.ticTacToeConnection) this.ticTacToeConnection.destroy();
+            this.ticTacToeConnection = new TicTacToeConnection(gameConnection, this);
+            this.updateStatus();
+        });
+
+        this.events.on('spectate_error', (data) => {
+            if (this.statusText) this.statusText.setText(data.message || 'Match not found');
+        });
+
+        this.events.on('spectate_ended', () => {
+            if (this.statusText && !this.isGameOver) this.statusText.setText('Match Ended');
         });
 
         // Game events
         this.events.on('remote_move', (msg) => {
+            // Spectators see both players' moves; take the mover from the sender
+            if (this.isSpectator && msg.from) this.currentPlayer = msg.from;
             this.makeMove(msg.index, false);
         });
 
@@ -116,6 +223,36 @@ export default class GameScene extends Phaser.Scene {
             this.resetGame(false);
         });
 
+        // Rematch
+        this.events.on('rematch_requested', () => {
+            if (!this.isSpectator && !this.rematch.hasChosen) this.rematchButton.setText('Accept Rematch');
+        });
+
+        this.events.on('rematch_declined', () => {
+            if (this.isSpectator) return;
+            this.rematchButton.setVisible(false);
+            this.statusText.setText('Opponent left');
+            this.statusText.setColor('#ffffff');
+        });
+
+        this.events.on('rematch_started', ({ game }) => {
+            this.hideRematchButtons();
+            this.startingPlayer = game % 2 === 0 ? 'A' : 'B';
+            this.resetGame(false);
+        });
+
+        // Tournaments: between games the panel shows the bracket or the table
+        this.events.on('tournament_updated', (update) => this.tournamentPanel.update(update));
+
+        this.events.on('tournament_error', (data) => {
+            if (this.statusText) this.statusText.setText(data.message || 'Tournament not found');
+        });
+
+        // The two players reported different winners, or only one reported
+        this.events.on('result_flagged', () => {
+            if (this.statusText) this.statusText.setText(`${this.statusText.text}\n(result not confirmed, it will not count)`);
+        });
+
         this.events.on('remote_game_over', (msg) => {
             this.isGameOver = true;
             if (msg.winnerRole) {
@@ -129,6 +266,8 @@ export default class GameScene extends Phaser.Scene {
             if (this.ticTacToeConnection) {
                 this.ticTacToeConnection.destroy();
             }
+            this.rematch.destroy();
+            this.resync.destroy();
         });
     }
 
@@ -168,8 +307,82 @@ export default class GameScene extends Phaser.Scene {
         }
     }
 
+    createRematchButtons() {
+        const { width, height } = this.scale;
+        const style = {
+            fontSize: '24px',
+            color: '#ffffff',
+            backgroundColor: '#333333',
+            padding: { x: 20, y: 10 }
+        };
+
+        this.rematchButton = this.add.text(width / 2 - 100, height - 60, 'Rematch', { ...style, color: '#00ff00' })
+            .setOrigin(0.5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => {
+                if (this.rematch.hasChosen) return;
+                this.rematchButton.setText('Waiting...');
+                this.rematch.request();
+            });
+
+        this.leaveButton = this.add.text(width / 2 + 100, height - 60, 'Leave', style)
+            .setOrigin(0.5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.leaveMatch());
+
+        // Between the status line and the board, so the bottom row stays two buttons wide
+        this.leaderboardPanel = new LeaderboardPanel(this, {
+            fetchLeaderboard: (limit) => this.networkManager.fetchLeaderboard(limit)
+        });
+        this.leaderboardButton = this.add.text(width / 2, 175, 'Leaderboard', { ...style, fontSize: '18px', padding: { x: 14, y: 6 } })
+            .setOrigin(0.5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.leaderboardPanel.toggle());
+
+        this.hideRematchButtons();
+    }
+
+    /**
+     * Offer a rematch once a game is decided
+     */
+    showRematchButtons() {
+        // Tournament games are followed by the next pairing, not a rematch
+        if (this.isSpectator || this.tournamentId) return;
+        this.rematchButton.setText(this.rematch.opponentWantsRematch ? 'Accept Rematch' : 'Rematch');
+        this.rematchButton.setVisible(true);
+        this.leaveButton.setVisible(true);
+        this.leaderboardButton.setVisible(true);
+    }
+
+    hideRematchButtons() {
+        this.rematchButton.setVisible(false);
+        this.leaveButton.setVisible(false);
+        this.leaderboardButton.setVisible(false);
+        this.leaderboardPanel.hide();
+    }
+
+    /**
+     * Clear the last game's board for the next tournament pairing
+     */
+    prepareNextMatch() {
+        this.hideRematchButtons();
+        this.rematch.reset();
+        this.startingPlayer = 'A';
+        this.resetGame(false);
+    }
+
+    leaveMatch() {
+        this.rematch.leave();
+        this.hideRematchButtons();
+        this.statusText.setText('You left the match');
+        this.statusText.setColor('#ffffff');
+
+        // Give the leave frame a moment to go out before the connection closes
+        this.time.delayedCall(200, () => this.networkManager.disconnect());
+    }
+
     handleCellClick(index) {
-        if (this.isGameOver || this.board[index] !== null) return;
+        if (this.isSpectator || this.isGameOver || this.isReconnecting || this.board[index] !== null) return;
         if (this.currentPlayer !== this.myRole) {
             console.log("Not your turn!");
             return;
@@ -187,8 +400,9 @@ export default class GameScene extends Phaser.Scene {
 
         this.board[index] = this.currentPlayer;
         const cell = this.cells[index];
-        cell.text.setText(this.currentPlayer === 'A' ? 'X' : 'O');
-        cell.text.setColor(this.currentPlayer === 'A' ? GameConfig.UI.X_COLOR : GameConfig.UI.O_COLOR);
+        const mark = this.getMark(this.currentPlayer);
+        cell.text.setText(mark);
+        cell.text.setColor(mark === 'X' ? GameConfig.UI.X_COLOR : GameConfig.UI.O_COLOR);
 
         // Marker Animation
         cell.text.setScale(0);
@@ -205,20 +419,77 @@ export default class GameScene extends Phaser.Scene {
 
         const winPattern = this.checkWin();
         if (winPattern) {
-            this.isGameOver = true;
-            this.statusText.setText(`Player ${this.currentPlayer} Wins!`);
-            this.statusText.setColor('#00ff00');
-            this.drawWinningLine(winPattern);
+            this.finishGame(this.currentPlayer, winPattern);
         } else if (this.board.every(cell => cell !== null)) {
-            this.isGameOver = true;
-            this.statusText.setText("It's a Draw!");
-            this.statusText.setColor('#ffffff');
+            this.finishGame(null);
         } else {
             this.currentPlayer = this.currentPlayer === 'A' ? 'B' : 'A';
             this.updateStatus();
         }
     }
 
+    /**
+     * @param {string|null} winner - Winning role, or null for a draw
+     * @param {number[]} [winPattern] - The winning line's cells
+     */
+    finishGame(winner, winPattern) {
+        this.isGameOver = true;
+        if (winner) {
+            this.statusText.setText(`Player ${winner} Wins!`);
+            this.statusText.setColor('#00ff00');
+            this.drawWinningLine(winPattern);
+        } else {
+            this.statusText.setText("It's a Draw!");
+            this.statusText.setColor('#ffffff');
+        }
+        this.reportResult(winner);
+        this.showRematchButtons();
+    }
+
+    getResyncState() {
+        return { board: [...this.board], currentPlayer: this.currentPlayer };
+    }
+
+    /**
+     * Moves alternate, so the board with more marks has every move of the
+     * other one; take it if it is the opponent's
+     */
+    applyResyncState(state) {
+        const marks = (board) => board.filter(cell => cell !== null).length;
+        if (this.isGameOver || marks(state.board) <= marks(this.board)) return;
+
+        console.log('[TicTacToe] Catching up with the opponent\'s board');
+        state.board.forEach((player, index) => {
+            this.board[index] = player;
+            const mark = player ? this.getMark(player) : '';
+            this.cells[index].text.setText(mark);
+            this.cells[index].text.setColor(mark === 'X' ? GameConfig.UI.X_COLOR : GameConfig.UI.O_COLOR);
+        });
+        this.currentPlayer = state.currentPlayer;
+
+        const winPattern = this.checkWin();
+        if (winPattern) {
+            this.finishGame(this.board[winPattern[0]], winPattern);
+        } else if (this.board.every(cell => cell !== null)) {
+            this.finishGame(null);
+        }
+    }
+
+    /**
+     * Update both players' ratings on the server (winner role, or null for a draw)
+     */
+    reportResult(winnerRole) {
+        if (this.isSpectator) return;
+        this.networkManager.reportMatchResult(winnerRole, this.rematch.game + 1);
+    }
+
+    /**
+     * X for whoever moves first this game, O for the other player
+     */
+    getMark(player) {
+        return player === this.startingPlayer ? 'X' : 'O';
+    }
+
     checkWin() {
         const winPatterns = [
             [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
@@ -260,14 +531,19 @@ export default class GameScene extends Phaser.Scene {
 
     updateStatus() {
         if (this.isGameOver) return;
-        const turnText = this.currentPlayer === this.myRole ? "Your Turn" : "Opponent's Turn";
-        this.statusText.setText(`${turnText} (${this.currentPlayer === 'A' ? 'X' : 'O'})`);
+        if (this.isSpectator) {
+            this.statusText.setText(`Player ${this.currentPlayer}'s Turn (${this.getMark(this.currentPlayer)})`);
+            this.statusText.setColor('#ffffff');
+            return;
+        }
+        const turnText = this.currentPlayer === this.myRole ? "Your Turn" : `${this.opponentName || 'Opponent'}'s Turn`;
+        this.statusText.setText(`${turnText} (${this.getMark(this.currentPlayer)})`);
         this.statusText.setColor(this.currentPlayer === this.myRole ? '#00ff00' : '#ffff00');
     }
 
     resetGame(isLocal) {
         this.board.fill(null);
-        this.currentPlayer = 'A';
+        this.currentPlayer = this.startingPlayer;
         this.isGameOver = false;
         this.cells.forEach(cell => {
             cell.text.setText('');
@@ -1,4 +1,15 @@
 import { defineConfig } from 'vite';
+import { execSync } from 'node:child_process';
+
+// Build the game names in its hello to the opponent (shared-networking/HelloHandshake.js)
+function buildId() {
+    if (process.env.BUILD_ID) return process.env.BUILD_ID;
+    try {
+        return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (err) {
+        return 'dev';
+    }
+}
 
 export default defineConfig({
     base: '/games/tic-tac-toe/', // Served from /games/ subdirectory in Next.js app
@@ -22,5 +33,8 @@ export default defineConfig({
     },
     server: {
         port: 3000
+    },
+    define: {
+        __BUILD_ID__: JSON.stringify(buildId())
     }
 });